@@ -23,6 +23,7 @@ const notificationRoutes = require("./routes/notificationRoutes");
 const reportRoutes = require("./routes/reportRoutes");
 const uploadRoutes = require("./routes/uploadRoutes");
 const serviceRoutes = require("./routes/serviceRoutes");
+const resourceRoutes = require("./routes/resourceRoutes");
 const invoiceRoutes = require("./routes/invoiceRoutes");
 const reviewRoutes = require("./routes/reviewRoutes");
 const campaignRoutes = require("./routes/campaignRoutes");
@@ -33,6 +34,7 @@ const loyaltyRoutes = require("./routes/loyaltyRoutes");
 const leadRoutes = require("./routes/leadRoutes");
 const inquiryRoutes = require("./routes/inquiryRoutes");
 const googleSheetRoutes = require("./routes/googleSheetRoutes");
+const couponRoutes = require("./routes/couponRoutes");
 
 const app = express();
 
@@ -195,6 +197,7 @@ app.use("/api/notifications", notificationRoutes);
 app.use("/api/reports", reportRoutes);
 app.use("/api/upload", uploadRoutes);
 app.use("/api/services", serviceRoutes);
+app.use("/api/resources", resourceRoutes);
 app.use("/api/invoices", invoiceRoutes);
 app.use("/api/reviews", reviewRoutes);
 app.use("/api/campaigns", campaignRoutes);
@@ -204,6 +207,7 @@ app.use("/api/settings", businessSettingsRoutes);
 app.use("/api/loyalty", loyaltyRoutes);
 app.use("/api/leads", leadRoutes);
 app.use("/api/inquiries", inquiryRoutes);
+app.use("/api/coupons", couponRoutes);
 app.use("/api/support", require("./routes/superAdminSupportRoutes"));
 app.use("/api/payments", require("./routes/paymentRoutes"));
 
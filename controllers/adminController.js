@@ -2,6 +2,7 @@ require('dotenv').config();
 const Admin = require("../models/Admin");
 const Business = require("../models/Business");
 const Manager = require("../models/Manager");
+const { PERMISSION_CATALOG, getEffectivePermissions } = require("../middleware/permissionMiddleware");
 const mongoose = require("mongoose");
 
 // Helper function to validate MongoDB ObjectId
@@ -23,6 +24,9 @@ const { cacheKeys } = require("../config/redis");
 const { formatCurrency } = require("../utils/businessUtils");
 const { notifyNewBusinessCreated, notifyNewManagerCreated, notifyBusinessDeleted } = require("../utils/adminNotifications");
 const { notifySuperAdmin } = require("../utils/superAdminNotifications");
+const { revokeUserSessions, listUserSessions } = require("../utils/sessionUtils");
+const { getPinLock } = require("../utils/pinUtils");
+const { hashPassword, comparePassword } = require("../utils/hashPassword");
 
 // ================== Admin Dashboard ==================
 const getAdminDashboard = async (req, res, next) => {
@@ -739,7 +743,7 @@ const getManagers = async (req, res, next) => {
                 id: manager._id,
                 name: manager.name,
                 username: manager.username,
-                pin: manager.pin, // Include PIN for admin view
+                pinLocked: Boolean(getPinLock(manager)), // PINs are hashed; admins reset them instead
                 email: manager.email,
                 phone: manager.phone,
                 business: manager.business?.name || '-',
@@ -791,7 +795,7 @@ const getManagerById = async (req, res, next) => {
                 id: manager._id,
                 name: manager.name,
                 username: manager.username,
-                pin: manager.pin, // Include PIN for admin view
+                pinLocked: Boolean(getPinLock(manager)), // PINs are hashed; admins reset them instead
                 email: manager.email,
                 phone: manager.phone,
                 business: {
@@ -813,6 +817,37 @@ const getManagerById = async (req, res, next) => {
     }
 };
 
+// ================== Get Manager Permissions ==================
+// Effective permission matrix of a manager (what their granted permissions allow right now)
+const getManagerPermissions = async (req, res, next) => {
+    try {
+        const adminId = req.user.id;
+        const { id } = req.params;
+
+        const manager = await Manager.findById(id);
+        if (!manager) {
+            return res.status(404).json({ success: false, message: "Manager not found" });
+        }
+
+        // Check if manager belongs to admin's business
+        const business = await Business.findOne({ _id: manager.business, admin: adminId });
+        if (!business) {
+            return res.status(403).json({ success: false, message: "Access denied" });
+        }
+
+        return res.json({
+            success: true,
+            data: {
+                managerId: manager._id,
+                ...getEffectivePermissions({ id: manager._id, role: 'manager' }, manager),
+                catalog: PERMISSION_CATALOG
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 // ================== Update Manager ==================
 const updateManager = async (req, res, next) => {
     try {
@@ -853,11 +888,20 @@ const updateManager = async (req, res, next) => {
         if (email !== undefined) updateData.email = email;
         if (phone !== undefined) updateData.phone = phone;
         if (username !== undefined) updateData.username = username;
-        if (pin !== undefined) updateData.pin = pin;
+        if (pin !== undefined) {
+            updateData.pin = pin;
+            updateData.pinSecurity = { failedAttempts: 0, lockCount: 0, resetAt: new Date() };
+        }
         if (permissions !== undefined) updateData.permissions = permissions;
 
         const updatedManager = await Manager.findByIdAndUpdate(id, updateData, { new: true }).populate('business');
 
+        // Whoever knew the old PIN should not stay logged in
+        let sessionsRevoked = 0;
+        if (pin !== undefined) {
+            sessionsRevoked = await revokeUserSessions(id, 'manager', 'admin_revoked', { revokedBy: adminId });
+        }
+
         // Invalidate cache
         await deleteCache(`admin:${adminId}:managers:*`);
         await deleteCache(`admin:${adminId}:dashboard`);
@@ -871,7 +915,8 @@ const updateManager = async (req, res, next) => {
                 username: updatedManager.username,
                 email: updatedManager.email,
                 phone: updatedManager.phone,
-                pinUpdated: pin !== undefined
+                pinUpdated: pin !== undefined,
+                sessionsRevoked
             }
         });
     } catch (error) {
@@ -902,6 +947,12 @@ const updateManagerStatus = async (req, res, next) => {
         if (isActive !== undefined) updateData.isActive = isActive;
         const updatedManager = await Manager.findByIdAndUpdate(id, updateData, { new: true }).populate('business');
 
+        // A deactivated manager is logged out of every device
+        let sessionsRevoked = 0;
+        if (updatedManager.isActive === false) {
+            sessionsRevoked = await revokeUserSessions(id, 'manager', 'account_deactivated', { revokedBy: adminId });
+        }
+
         // Invalidate cache
         await deleteCache(`admin:${adminId}:managers:*`);
         await deleteCache(`admin:${adminId}:dashboard`);
@@ -912,6 +963,7 @@ const updateManagerStatus = async (req, res, next) => {
             data: {
                 id: updatedManager._id,
                 isActive: updatedManager.isActive,
+                sessionsRevoked,
                 createdAt: updatedManager.createdAt,
                 updatedAt: updatedManager.updatedAt
             }
@@ -921,6 +973,152 @@ const updateManagerStatus = async (req, res, next) => {
     }
 };
 
+// ================== Get Manager Sessions ==================
+const getManagerSessions = async (req, res, next) => {
+    try {
+        const adminId = req.user.id;
+        const { id } = req.params;
+
+        const manager = await Manager.findById(id).select('business').lean();
+        if (!manager) {
+            return res.status(404).json({ success: false, message: "Manager not found" });
+        }
+
+        const business = await Business.findOne({ _id: manager.business, admin: adminId }).select('_id').lean();
+        if (!business) {
+            return res.status(403).json({ success: false, message: "Access denied" });
+        }
+
+        const sessions = await listUserSessions(id, 'manager');
+
+        return res.json({ success: true, data: sessions });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Revoke every session of a manager or staff member in one of the admin's businesses
+const revokeSessionsForAdmin = async (req, res, role) => {
+    const adminId = req.user.id;
+    const { id } = req.params;
+    const label = role === 'staff' ? 'Staff' : 'Manager';
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ success: false, message: `Invalid ${role} id` });
+    }
+
+    const user = await (role === 'staff' ? Staff : Manager).findById(id).select('business').lean();
+    if (!user) {
+        return res.status(404).json({ success: false, message: `${label} not found` });
+    }
+
+    const business = await Business.findOne({ _id: user.business, admin: adminId }).select('_id').lean();
+    if (!business) {
+        return res.status(403).json({ success: false, message: "Access denied" });
+    }
+
+    const revoked = await revokeUserSessions(id, role, 'admin_revoked', { revokedBy: adminId });
+
+    return res.json({
+        success: true,
+        message: `${label} logged out of ${revoked} session(s)`,
+        data: { revoked }
+    });
+};
+
+// ================== Revoke Manager Sessions ==================
+const revokeManagerSessions = async (req, res, next) => {
+    try {
+        return await revokeSessionsForAdmin(req, res, 'manager');
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ================== Revoke Staff Sessions ==================
+const revokeStaffSessions = async (req, res, next) => {
+    try {
+        return await revokeSessionsForAdmin(req, res, 'staff');
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Unlock a manager's or staff member's PIN login, optionally setting a new PIN
+const resetPinForAdmin = async (req, res, role) => {
+    const adminId = req.user.id;
+    const { id } = req.params;
+    const { pin } = req.body || {};
+    const label = role === 'staff' ? 'Staff' : 'Manager';
+    const Model = role === 'staff' ? Staff : Manager;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ success: false, message: `Invalid ${role} id` });
+    }
+
+    if (pin !== undefined && !/^\d{4}$/.test(pin)) {
+        return res.status(400).json({
+            success: false,
+            message: "PIN must be exactly 4 digits"
+        });
+    }
+
+    const user = await Model.findById(id).select('business pinSecurity').lean();
+    if (!user) {
+        return res.status(404).json({ success: false, message: `${label} not found` });
+    }
+
+    const business = await Business.findOne({ _id: user.business, admin: adminId }).select('_id').lean();
+    if (!business) {
+        return res.status(403).json({ success: false, message: "Access denied" });
+    }
+
+    const wasLocked = Boolean(getPinLock(user));
+    const updateData = { pinSecurity: { failedAttempts: 0, lockCount: 0, resetAt: new Date() } };
+    if (pin !== undefined) updateData.pin = pin;
+
+    await Model.updateOne({ _id: id }, { $set: updateData });
+
+    // Whoever knew the old PIN should not stay logged in
+    let sessionsRevoked = 0;
+    if (pin !== undefined) {
+        sessionsRevoked = await revokeUserSessions(id, role, 'admin_revoked', { revokedBy: adminId });
+    }
+
+    if (role === 'manager') {
+        await deleteCache(`admin:${adminId}:managers:*`);
+    }
+
+    return res.json({
+        success: true,
+        message: pin !== undefined ? `${label} PIN reset successfully` : `${label} PIN login unlocked`,
+        data: {
+            id,
+            wasLocked,
+            pinUpdated: pin !== undefined,
+            sessionsRevoked
+        }
+    });
+};
+
+// ================== Reset Manager PIN ==================
+const resetManagerPin = async (req, res, next) => {
+    try {
+        return await resetPinForAdmin(req, res, 'manager');
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ================== Reset Staff PIN ==================
+const resetStaffPin = async (req, res, next) => {
+    try {
+        return await resetPinForAdmin(req, res, 'staff');
+    } catch (error) {
+        next(error);
+    }
+};
+
 // ================== Delete Manager ==================
 const deleteManager = async (req, res, next) => {
     try {
@@ -940,6 +1138,7 @@ const deleteManager = async (req, res, next) => {
 
         // Soft delete manager
         await Manager.findByIdAndUpdate(id, { isActive: false });
+        await revokeUserSessions(id, 'manager', 'account_deactivated', { revokedBy: adminId });
 
         // Remove manager from business managers array
         await Business.findByIdAndUpdate(manager.business._id, {
@@ -1089,23 +1288,26 @@ const updateAdminPassword = async (req, res, next) => {
         }
 
         // Verify current password
-        const bcrypt = require('bcryptjs');
-        const isMatch = await bcrypt.compare(currentPassword, admin.password);
+        const isMatch = await comparePassword(currentPassword, admin.password);
         if (!isMatch) {
             return res.status(400).json({ success: false, message: "Current password is incorrect" });
         }
 
-        // Hash new password
-        const salt = await bcrypt.genSalt(10);
-        const hashedPassword = await bcrypt.hash(newPassword, salt);
-
         // Update password
-        admin.password = hashedPassword;
+        admin.password = await hashPassword(newPassword);
+        admin.passwordChangedAt = new Date();
         await admin.save();
 
+        // Every other device has to log in again with the new password
+        const sessionsRevoked = await revokeUserSessions(adminId, 'admin', 'password_changed', {
+            exceptSessionId: req.user.sessionId,
+            revokedBy: adminId
+        });
+
         return res.json({
             success: true,
-            message: "Password updated successfully"
+            message: "Password updated successfully",
+            data: { sessionsRevoked }
         });
     } catch (error) {
         next(error);
@@ -1397,8 +1599,14 @@ module.exports = {
     createManager,
     getManagers,
     getManagerById,
+    getManagerPermissions,
     updateManager,
     updateManagerStatus,
+    getManagerSessions,
+    revokeManagerSessions,
+    revokeStaffSessions,
+    resetManagerPin,
+    resetStaffPin,
     deleteManager,
     getBusinessLink,
     getAdminProfile,
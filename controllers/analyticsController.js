@@ -8,6 +8,8 @@ const Service = require("../models/Service");
 const Campaign = require("../models/Campaign");
 const Manager = require("../models/Manager");
 const { setCache, getCache, deleteCache } = require("../utils/cache");
+const { getBusinessTimezone } = require("../utils/timezoneUtils");
+const { NOTE_TYPES, signedTotalExpression, outstandingExpression } = require("../utils/invoiceNoteUtils");
 
 // ================== Dashboard Overview ==================
 const getDashboardOverview = async (req, res, next) => {
@@ -86,7 +88,7 @@ const getDashboardOverview = async (req, res, next) => {
                         status: { $ne: 'cancelled' }
                     } 
                 },
-                { $group: { _id: null, total: { $sum: '$total' } } }
+                { $group: { _id: null, total: { $sum: signedTotalExpression } } }
             ]),
             Invoice.aggregate([
                 { 
@@ -96,10 +98,11 @@ const getDashboardOverview = async (req, res, next) => {
                         status: { $ne: 'cancelled' }
                     } 
                 },
-                { $group: { _id: null, total: { $sum: '$total' } } }
+                { $group: { _id: null, total: { $sum: signedTotalExpression } } }
             ]),
             Invoice.countDocuments({
                 business: business._id,
+                invoiceType: { $nin: NOTE_TYPES },
                 paymentStatus: { $in: ['unpaid', 'partial', 'overdue'] }
             }),
             Review.aggregate([
@@ -197,16 +200,17 @@ const getRevenueAnalytics = async (req, res, next) => {
             return res.json({ success: true, source: "cache", data: cachedData });
         }
 
-        // Grouping format
+        // Grouping format (buckets follow the business's local calendar)
+        const timeZone = getBusinessTimezone(business);
         let dateFormat;
         if (groupBy === 'day') {
-            dateFormat = { $dateToString: { format: "%Y-%m-%d", date: "$invoiceDate" } };
+            dateFormat = { $dateToString: { format: "%Y-%m-%d", date: "$invoiceDate", timezone: timeZone } };
         } else if (groupBy === 'week') {
-            dateFormat = { $dateToString: { format: "%Y-W%U", date: "$invoiceDate" } };
+            dateFormat = { $dateToString: { format: "%Y-W%U", date: "$invoiceDate", timezone: timeZone } };
         } else if (groupBy === 'month') {
-            dateFormat = { $dateToString: { format: "%Y-%m", date: "$invoiceDate" } };
+            dateFormat = { $dateToString: { format: "%Y-%m", date: "$invoiceDate", timezone: timeZone } };
         } else {
-            dateFormat = { $dateToString: { format: "%Y", date: "$invoiceDate" } };
+            dateFormat = { $dateToString: { format: "%Y", date: "$invoiceDate", timezone: timeZone } };
         }
 
         const revenueData = await Invoice.aggregate([
@@ -220,11 +224,11 @@ const getRevenueAnalytics = async (req, res, next) => {
             {
                 $group: {
                     _id: dateFormat,
-                    totalRevenue: { $sum: '$total' },
+                    totalRevenue: { $sum: signedTotalExpression },
                     paidRevenue: { $sum: '$paidAmount' },
-                    pendingRevenue: { $sum: { $subtract: ['$total', '$paidAmount'] } },
-                    invoiceCount: { $sum: 1 },
-                    averageInvoiceValue: { $avg: '$total' }
+                    pendingRevenue: { $sum: outstandingExpression },
+                    invoiceCount: { $sum: { $cond: [{ $in: ['$invoiceType', NOTE_TYPES] }, 0, 1] } },
+                    averageInvoiceValue: { $avg: { $cond: [{ $in: ['$invoiceType', NOTE_TYPES] }, null, '$total'] } }
                 }
             },
             { $sort: { _id: 1 } }
@@ -241,11 +245,11 @@ const getRevenueAnalytics = async (req, res, next) => {
             {
                 $group: {
                     _id: null,
-                    totalRevenue: { $sum: '$total' },
+                    totalRevenue: { $sum: signedTotalExpression },
                     paidRevenue: { $sum: '$paidAmount' },
-                    pendingRevenue: { $sum: { $subtract: ['$total', '$paidAmount'] } },
-                    totalInvoices: { $sum: 1 },
-                    averageInvoiceValue: { $avg: '$total' }
+                    pendingRevenue: { $sum: outstandingExpression },
+                    totalInvoices: { $sum: { $cond: [{ $in: ['$invoiceType', NOTE_TYPES] }, 0, 1] } },
+                    averageInvoiceValue: { $avg: { $cond: [{ $in: ['$invoiceType', NOTE_TYPES] }, null, '$total'] } }
                 }
             }
         ]);
@@ -358,7 +362,7 @@ const getCustomerAnalytics = async (req, res, next) => {
             },
             {
                 $group: {
-                    _id: { $dateToString: { format: "%Y-%m", date: "$createdAt" } },
+                    _id: { $dateToString: { format: "%Y-%m", date: "$createdAt", timezone: getBusinessTimezone(business) } },
                     newCustomers: { $sum: 1 }
                 }
             },
@@ -763,8 +767,8 @@ const getTrendsAndPredictions = async (req, res, next) => {
             },
             {
                 $group: {
-                    _id: { $dateToString: { format: "%Y-%m", date: "$invoiceDate" } },
-                    revenue: { $sum: '$total' }
+                    _id: { $dateToString: { format: "%Y-%m", date: "$invoiceDate", timezone: getBusinessTimezone(business) } },
+                    revenue: { $sum: signedTotalExpression }
                 }
             },
             { $sort: { _id: 1 } }
@@ -780,7 +784,7 @@ const getTrendsAndPredictions = async (req, res, next) => {
             },
             {
                 $group: {
-                    _id: { $dateToString: { format: "%Y-%m", date: "$createdAt" } },
+                    _id: { $dateToString: { format: "%Y-%m", date: "$createdAt", timezone: getBusinessTimezone(business) } },
                     newCustomers: { $sum: 1 }
                 }
             },
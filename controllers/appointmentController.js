@@ -1,3 +1,4 @@
+const mongoose = require("mongoose");
 const Appointment = require("../models/Appointment");
 const Customer = require("../models/Customer");
 const Service = require("../models/Service");
@@ -7,6 +8,7 @@ const Razorpay = require("razorpay");
 const PDFDocument = require("pdfkit");
 const Manager = require("../models/Manager");
 const Transaction = require("../models/Transaction");
+const PaymentOrder = require("../models/PaymentOrder");
 const AdminNotification = require("../models/AdminNotification");
 const ManagerNotification = require("../models/ManagerNotification");
 const { setCache, getCache, deleteCache } = require("../utils/cache");
@@ -16,7 +18,34 @@ const { createAndSendOTP, verifyOTP } = require("../utils/sendOTP");
 const { sendTemplateSMS, sendTemplateWhatsApp } = require("../utils/sendSMS");
 const { encryptResponse } = require("../utils/encryptionUtils");
 const { sendTemplateMail } = require("../utils/sendMail");
-const { validateAppointmentBooking } = require("../utils/appointmentUtils");
+const {
+    validateAppointmentBooking,
+    checkBusinessOpen,
+    getAppointmentStartInstant,
+    buildServiceLines,
+    parseTimeToMinutes,
+    minutesToTimeString,
+    calculateCancellationRefund
+} = require("../utils/appointmentUtils");
+const { getAvailabilityForDate } = require("../utils/availabilityUtils");
+const { checkResourceAllocations, checkResourceAvailability } = require("../utils/resourceUtils");
+const { offerNextWaitlistEntry, hashClaimToken } = require("../utils/waitlistUtils");
+const { toRupees, linkOrderToAppointment, confirmHeldBooking, recordGatewayRefund } = require("../utils/paymentUtils");
+const { getAdvancePaymentSettings, calculateAdvanceAmount, releaseBookingHold } = require("../utils/bookingHoldUtils");
+const { createGatewayOrder, fetchGatewayPayment, refundGatewayPayment } = require("./paymentController");
+const { validateCoupon, redeemCoupon, releaseCouponRedemptions } = require("../utils/couponUtils");
+const Waitlist = require("../models/Waitlist");
+const CouponRedemption = require("../models/CouponRedemption");
+const {
+    DEFAULT_TIMEZONE,
+    getBusinessTimezone,
+    toCalendarDate,
+    getCalendarDayRange,
+    getCalendarMonthRange,
+    getZonedDayBounds,
+    getZonedMonthBounds,
+    getZonedNow
+} = require("../utils/timezoneUtils");
 // Calculate pricing (handle both old format and new pricingOptions)
 const { getServicePriceAndDuration } = require("../utils/appointmentUtils");
 
@@ -74,6 +103,35 @@ const notifyBusinessStaff = async (businessId, event, data, notificationData = n
     }
 };
 
+// Helper function to validate MongoDB ObjectId
+const isValidObjectId = (id) => {
+    if (!id || id === 'undefined' || id === 'null') {
+        return false;
+    }
+    return mongoose.Types.ObjectId.isValid(id);
+};
+
+/**
+ * Parse a multi-service sequence from slot-search query params
+ * serviceIds=a,b,c with optional position-aligned staffIds / durationOptions (blank = any / default)
+ * @param {Object} query - req.query
+ * @returns {Array|null} - [{ serviceId, staffId, durationOption }] or null for single-service searches
+ */
+const parseServiceSequence = (query) => {
+    if (!query.serviceIds) return null;
+
+    const split = (value) => (value ? String(value).split(',').map(v => v.trim()) : []);
+    const serviceIds = split(query.serviceIds);
+    const staffIds = split(query.staffIds);
+    const durationOptions = split(query.durationOptions);
+
+    return serviceIds.map((serviceId, index) => ({
+        serviceId,
+        staffId: staffIds[index] || null,
+        durationOption: durationOptions[index] || null
+    }));
+};
+
 // ================== Create Appointment ==================
 const createAppointment = async (req, res, next) => {
     try {
@@ -84,6 +142,7 @@ const createAppointment = async (req, res, next) => {
             customerId,
             serviceId,
             staffId,
+            services,
             appointmentDate,
             startTime,
             endTime,
@@ -129,39 +188,99 @@ const createAppointment = async (req, res, next) => {
             });
         }
 
-        // Verify service
-        const service = await Service.findOne({
-            _id: serviceId,
+        // Service lines: an ordered `services` list, or the single serviceId/staffId
+        const requestedLines = Array.isArray(services) && services.length > 0
+            ? services
+            : [{ serviceId, staffId }];
+
+        if (requestedLines.some(line => !isValidObjectId(line.serviceId) || (line.staffId && !isValidObjectId(line.staffId)))) {
+            return res.status(400).json({
+                success: false,
+                message: "Valid service (and staff) IDs are required"
+            });
+        }
+
+        // Verify services
+        const lineServices = await Service.find({
+            _id: { $in: requestedLines.map(line => line.serviceId) },
             business: business._id,
             isActive: true
         });
 
-        if (!service) {
+        const findLineService = (id) => lineServices.find(s => s._id.toString() === id.toString());
+        if (requestedLines.some(line => !findLineService(line.serviceId))) {
             return res.status(404).json({
                 success: false,
                 message: "Service not found or inactive"
             });
         }
 
-        // Check staff availability if staffId provided
-        if (staffId) {
+        const service = findLineService(requestedLines[0].serviceId);
+        const isMultiService = requestedLines.length > 1;
+
+        // Services run back to back from the start time, each with its own staff and price
+        const block = buildServiceLines(requestedLines.map(line => {
+            const lineService = findLineService(line.serviceId);
+            const { price, duration } = getServicePriceAndDuration(lineService, line.durationOption ? Number(line.durationOption) : null);
+            return { service: lineService._id, serviceName: lineService.name, staff: line.staffId, duration, price };
+        }), startTime);
+
+        // Single-service bookings keep the caller's end time; sequences end with the last service
+        const blockEndTime = isMultiService ? block.endTime : endTime;
+        const segments = isMultiService
+            ? block.lines
+            : [{ staff: staffId, startTime, endTime }];
+
+        // Appointment dates are stored as business-local calendar dates
+        const calendarDate = toCalendarDate(appointmentDate, getBusinessTimezone(business));
+
+        // Reject holidays, days off and times outside opening hours
+        const openCheck = checkBusinessOpen(business, calendarDate, startTime, blockEndTime);
+        if (!openCheck.isOpen) {
+            return res.status(400).json({
+                success: false,
+                message: openCheck.reason
+            });
+        }
+
+        // Check staff availability for every line with assigned staff
+        for (const segment of segments) {
+            if (!segment.staff) continue;
+
             const isAvailable = await Appointment.checkAvailability(
                 business._id,
-                staffId,
-                new Date(appointmentDate),
-                startTime,
-                endTime
+                segment.staff,
+                calendarDate,
+                segment.startTime,
+                segment.endTime
             );
 
             if (!isAvailable) {
                 return res.status(400).json({
                     success: false,
-                    message: "Staff is not available at the selected time"
+                    message: isMultiService
+                        ? `Staff is not available for ${segment.serviceName} at ${segment.startTime}`
+                        : "Staff is not available at the selected time"
                 });
             }
         }
 
-        const { price: servicePrice, duration: serviceDuration } = getServicePriceAndDuration(service);
+        // Rooms, chairs and equipment required by the services must be free as well
+        const resourceCheck = await checkResourceAvailability(business, calendarDate, block.lines.map(line => ({
+            service: findLineService(line.service),
+            startTime: line.startTime,
+            endTime: isMultiService ? line.endTime : blockEndTime
+        })));
+        if (!resourceCheck.isAvailable) {
+            return res.status(400).json({
+                success: false,
+                message: resourceCheck.message
+            });
+        }
+
+        const servicePrice = block.price;
+        const serviceNames = block.lines.map(line => line.serviceName).join(', ');
+        const serviceDuration = isMultiService ? block.duration : block.lines[0].duration;
         const discount = 0; // Can be calculated based on loyalty, membership, etc.
         const tax = servicePrice * 0.18; // 18% GST (can be configurable)
         const totalAmount = servicePrice + tax - discount;
@@ -170,11 +289,13 @@ const createAppointment = async (req, res, next) => {
         const appointment = await Appointment.create({
             business: business._id,
             customer: customerId,
-            service: serviceId,
-            staff: staffId,
-            appointmentDate: new Date(appointmentDate),
+            service: service._id,
+            staff: isMultiService ? block.lines[0].staff : staffId,
+            serviceLines: isMultiService ? block.lines : [],
+            resources: resourceCheck.allocations,
+            appointmentDate: calendarDate,
             startTime,
-            endTime,
+            endTime: blockEndTime,
             duration: serviceDuration,
             servicePrice,
             tax,
@@ -191,27 +312,28 @@ const createAppointment = async (req, res, next) => {
             createdByModel: userRole === 'admin' ? 'Admin' : 'Manager'
         });
 
-        // Update service stats
-        await service.updateStats(totalAmount);
+        // Update service stats (each line's share of the total, tax included)
+        for (const line of block.lines) {
+            const share = servicePrice > 0 ? (line.price / servicePrice) * totalAmount : 0;
+            await findLineService(line.service).updateStats(share);
+        }
 
         // Invalidate cache
         await deleteCache(`business:${business._id}:appointments*`);
         await deleteCache(`business:${business._id}:appointment:stats*`);
 
-        // Notify business admin
-        // Notify business staff (Admin + Managers)
         // Notify business staff (Admin + Managers)
         await notifyBusinessStaff(business._id, 'new_appointment', {
             message: `New appointment booked for ${customer.firstName} ${customer.lastName}`,
             appointmentId: appointment._id,
             customerName: `${customer.firstName} ${customer.lastName}`,
-            serviceName: service.name,
+            serviceName: serviceNames,
             time: `${appointmentDate} at ${startTime}`,
             data: appointment
         }, {
             // Persistent notification data
             title: 'New Appointment',
-            message: `New appointment: ${customer.firstName} ${customer.lastName} - ${service.name} at ${startTime}`,
+            message: `New appointment: ${customer.firstName} ${customer.lastName} - ${serviceNames} at ${startTime}`,
             type: 'appointment',
             relatedAppointment: appointment._id,
             actionUrl: `/manager/appointments/${appointment._id}`,
@@ -227,7 +349,7 @@ const createAppointment = async (req, res, next) => {
             await AdminNotification.createSystemNotification(
                 business.admin,
                 'New Appointment',
-                `New appointment booked for ${customer.firstName} ${customer.lastName} - ${service.name}`,
+                `New appointment booked for ${customer.firstName} ${customer.lastName} - ${serviceNames}`,
                 {
                     type: 'business',
                     priority: 'normal',
@@ -265,8 +387,8 @@ const createAppointment = async (req, res, next) => {
                     appointmentDate: formattedDate,
                     startTime: startTime,
                     endTime: endTime,
-                    services: service.name,
-                    confirmationCode: appointment.bookingNumber,
+                    services: serviceNames,
+                    confirmationCode: appointment.confirmationCode || appointment.bookingNumber,
                     staffInfo: staffId ? `<p><strong>Assigned Staff:</strong> Staff ID ${staffId}</p>` : '',
                     customerNotesInfo: customerNotes ? `<p><strong>Customer Notes:</strong> ${customerNotes}</p>` : '',
                     actionUrl: `${process.env.FRONTEND_URL || 'https://spaadvisor.in'}/admin/appointments/${appointment._id}`
@@ -363,6 +485,7 @@ const getAppointments = async (req, res, next) => {
 
         // Determine business scope
         let query = {};
+        let timeZone = DEFAULT_TIMEZONE;
 
         if (userRole === 'admin') {
             if (businessId) {
@@ -374,6 +497,7 @@ const getAppointments = async (req, res, next) => {
                     });
                 }
                 query.business = business._id;
+                timeZone = getBusinessTimezone(business);
             } else {
                 // If no businessId provided, fetch for all businesses owned by admin
                 const businesses = await Business.find({ admin: userId }).select('_id');
@@ -389,6 +513,8 @@ const getAppointments = async (req, res, next) => {
                 });
             }
             query.business = manager.business;
+            const managerBusiness = await Business.findById(manager.business).select('settings.timezone').lean();
+            timeZone = getBusinessTimezone(managerBusiness);
             // Explicitly set businessId for cache key consistent with the query
             businessId = manager.business.toString();
         }
@@ -423,12 +549,13 @@ const getAppointments = async (req, res, next) => {
             query.customer = customerId;
         }
 
+        // Multi-service appointments also match on any of their service lines
         if (staffId) {
-            query.staff = staffId;
+            query.$and = [...(query.$and || []), { $or: [{ staff: staffId }, { 'serviceLines.staff': staffId }] }];
         }
 
         if (serviceId) {
-            query.service = serviceId;
+            query.$and = [...(query.$and || []), { $or: [{ service: serviceId }, { 'serviceLines.service': serviceId }] }];
         }
 
         if (search) {
@@ -462,6 +589,7 @@ const getAppointments = async (req, res, next) => {
             .populate('customer', 'firstName lastName phone email')
             .populate('service', 'name price duration')
             .populate('staff', 'name role phone')
+            .populate('serviceLines.staff', 'name role')
             .skip((page - 1) * limit)
             .limit(parseInt(limit))
             .sort({ [req.query.sortBy || 'createdAt']: req.query.sortOrder === 'asc' ? 1 : -1 })
@@ -482,15 +610,10 @@ const getAppointments = async (req, res, next) => {
         // ===========================================
         // Add Revenue Stats (Requested Feature)
         // ===========================================
-        const now = new Date();
-        const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-        startOfMonth.setHours(0, 0, 0, 0);
-
-        const startOfDay = new Date(now);
-        startOfDay.setHours(0, 0, 0, 0);
-
-        const endOfDay = new Date(now);
-        endOfDay.setHours(23, 59, 59, 999);
+        // "Today" and "this month" follow the business's own calendar
+        const { dateKey: todayKey } = getZonedNow(timeZone);
+        const { start: startOfMonth } = getZonedMonthBounds(todayKey, timeZone);
+        const { start: startOfDay, end: endOfDay } = getZonedDayBounds(todayKey, timeZone);
 
         // Transaction Match Query (Scope: Business Only)
         // We use query.business which is already determined above
@@ -555,6 +678,8 @@ const getAppointmentById = async (req, res, next) => {
             .populate('customer', 'firstName lastName phone email address')
             .populate('service', 'name description price duration category')
             .populate('staff', 'name role phone email')
+            .populate('serviceLines.service', 'name description price duration category')
+            .populate('serviceLines.staff', 'name role phone email')
             .populate('createdBy')
             .populate('cancelledBy')
             .populate('rescheduledBy');
@@ -659,7 +784,6 @@ const confirmAppointment = async (req, res, next) => {
 
         await appointment.confirm();
 
-        // Invalidate cache
         // Invalidate cache
         await deleteCache(`business:${appointment.business}:appointments*`);
         await deleteCache(`business:${appointment.business}:appointment:stats*`);
@@ -695,8 +819,8 @@ const confirmAppointment = async (req, res, next) => {
                             startTime: fullAppt.startTime,
                             endTime: fullAppt.endTime,
                             services: fullAppt.service?.name || 'Service',
-                            confirmationCode: fullAppt.bookingNumber,
-                            actionUrl: `${process.env.FRONTEND_URL || 'https://spaadvisor.in'}/appointment/${fullAppt.bookingNumber}`
+                            confirmationCode: fullAppt.confirmationCode || fullAppt.bookingNumber,
+                            actionUrl: `${process.env.FRONTEND_URL || 'https://spaadvisor.in'}/appointment/${fullAppt.confirmationCode || fullAppt.bookingNumber}`
                         }
                     });
                 }
@@ -729,7 +853,6 @@ const startAppointment = async (req, res, next) => {
 
         await appointment.start();
 
-        // Invalidate cache
         // Invalidate cache
         await deleteCache(`business:${appointment.business}:appointments*`);
         await deleteCache(`business:${appointment.business}:appointment:stats*`);
@@ -831,7 +954,6 @@ const completeAppointment = async (req, res, next) => {
             }
         }
 
-        // Invalidate cache
         // Invalidate cache
         await deleteCache(`business:${appointment.business}:appointments*`);
         await deleteCache(`business:${appointment.business}:appointment:stats*`);
@@ -856,15 +978,62 @@ const completeAppointment = async (req, res, next) => {
     }
 };
 
+// Helper: Refund part of a prepaid appointment after cancellation
+// Online payments go back through Razorpay; anything else is left for the business to settle
+const refundCancelledAppointment = async (appointment, amount, reason) => {
+    if (!amount || amount <= 0) {
+        return { amount: 0, status: 'none' };
+    }
+
+    const paymentId = appointment.paymentDetails?.paymentId;
+    if (!paymentId) {
+        return { amount, status: 'manual', message: "Paid offline. The business will settle the refund." };
+    }
+
+    try {
+        const refund = await refundGatewayPayment(paymentId, amount, {
+            reason,
+            appointmentId: appointment._id.toString()
+        });
+        const order = await PaymentOrder.findOne({ orderId: appointment.paymentDetails.orderId });
+        await recordGatewayRefund(appointment, order, { id: refund.id, amount: toRupees(refund.amount), reason });
+
+        return {
+            amount: toRupees(refund.amount),
+            status: refund.status === 'processed' ? 'processed' : 'initiated',
+            refundId: refund.id
+        };
+    } catch (err) {
+        console.error(`[Refund] Gateway refund failed for appointment ${appointment._id}:`, err.error?.description || err.message);
+        return { amount, status: 'failed', message: "The refund could not be started. The business will follow up." };
+    }
+};
+
 // ================== Cancel Appointment ==================
 const cancelAppointment = async (req, res, next) => {
     try {
         const userId = req.user.id;
         const userRole = req.user.role;
         const { id } = req.params;
-        const { reason, cancellationFee = 0 } = req.body;
+        const { reason, cancellationFee = 0, refundAmount } = req.body;
 
-        const appointment = await Appointment.findById(id);
+        // Only appointments of the caller's own business(es)
+        let businessFilter;
+        if (userRole === 'admin') {
+            const businesses = await Business.find({ admin: userId }).select('_id');
+            businessFilter = { $in: businesses.map(b => b._id) };
+        } else {
+            const manager = req.manager || await Manager.findById(userId).select('business');
+            if (!manager) {
+                return res.status(404).json({
+                    success: false,
+                    message: "Manager not found"
+                });
+            }
+            businessFilter = manager.business;
+        }
+
+        const appointment = await Appointment.findOne({ _id: id, business: businessFilter });
 
         if (!appointment) {
             return res.status(404).json({
@@ -873,24 +1042,75 @@ const cancelAppointment = async (req, res, next) => {
             });
         }
 
-        await appointment.cancel(
+        // Cancelling twice would repeat the refund
+        if (appointment.status === 'cancelled') {
+            return res.status(400).json({
+                success: false,
+                message: "Appointment is already cancelled"
+            });
+        }
+
+        if (appointment.status === 'completed') {
+            return res.status(400).json({
+                success: false,
+                message: "Cannot cancel a completed appointment"
+            });
+        }
+
+        // Refund due by the cancellation policy; staff may override it within what was paid
+        const business = await Business.findById(appointment.business).select('settings');
+        const refundQuote = calculateCancellationRefund(appointment, business, new Date(), cancellationFee);
+        let amountToRefund = refundQuote.refundAmount;
+
+        if (refundAmount !== undefined && refundAmount !== null && refundAmount !== '') {
+            const requested = Number(refundAmount);
+            if (isNaN(requested) || requested < 0 || requested > refundQuote.refundableBalance) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Refund amount must be between 0 and ${refundQuote.refundableBalance}`
+                });
+            }
+            amountToRefund = requested;
+        }
+
+        const cancelled = await Appointment.claimCancellation(
+            { _id: appointment._id, business: businessFilter },
             reason,
             userId,
             userRole === 'admin' ? 'Admin' : 'Manager',
             cancellationFee
         );
 
-        // Invalidate cache
+        // Another request cancelled or completed it in the meantime
+        if (!cancelled) {
+            return res.status(409).json({
+                success: false,
+                message: "Appointment was already cancelled or completed"
+            });
+        }
+
+        await releaseCouponRedemptions({ appointment: cancelled._id });
+
+        const refund = await refundCancelledAppointment(
+            cancelled,
+            amountToRefund,
+            reason || `Cancelled by ${userRole}`
+        );
+
         // Invalidate cache
         await deleteCache(`business:${appointment.business}:appointments*`);
         await deleteCache(`business:${appointment.business}:appointment:stats*`);
 
+        // Offer the freed slot to the waitlist
+        offerNextWaitlistEntry(appointment.business, appointment.appointmentDate)
+            .catch(err => console.error('[Waitlist] Offer error:', err.message));
+
         // Notify staff
         notifyBusinessStaff(appointment.business, 'appointment_cancelled', {
             appointmentId: appointment._id,
             status: 'cancelled',
             message: `Appointment cancelled`,
-            data: appointment
+            data: cancelled
         });
 
         // ================== SEND EMAIL ==================
@@ -978,7 +1198,10 @@ const cancelAppointment = async (req, res, next) => {
 
         return res.json({
             success: true,
-            message: "Appointment cancelled successfully"
+            message: "Appointment cancelled successfully",
+            data: {
+                refund: { ...refund, percentage: refundQuote.percentage, hoursRemaining: refundQuote.hoursRemaining }
+            }
         });
     } catch (err) {
         next(err);
@@ -1000,7 +1223,23 @@ const rescheduleAppointment = async (req, res, next) => {
             });
         }
 
-        const appointment = await Appointment.findById(id);
+        // Only appointments of the caller's own business(es)
+        let businessFilter;
+        if (userRole === 'admin') {
+            const businesses = await Business.find({ admin: userId }).select('_id');
+            businessFilter = { $in: businesses.map(b => b._id) };
+        } else {
+            const manager = req.manager || await Manager.findById(userId).select('business');
+            if (!manager) {
+                return res.status(404).json({
+                    success: false,
+                    message: "Manager not found"
+                });
+            }
+            businessFilter = manager.business;
+        }
+
+        const appointment = await Appointment.findOne({ _id: id, business: businessFilter });
 
         if (!appointment) {
             return res.status(404).json({
@@ -1009,14 +1248,55 @@ const rescheduleAppointment = async (req, res, next) => {
             });
         }
 
+        // Reject holidays, days off and times outside opening hours
+        const business = await Business.findById(appointment.business)
+            .select('settings openingHours businessHours holidays daysOff')
+            .lean();
+
+        if (!business) {
+            return res.status(404).json({
+                success: false,
+                message: "Business not found"
+            });
+        }
+
+        const newCalendarDate = toCalendarDate(newDate, getBusinessTimezone(business));
+
+        // Multi-service appointments move as one block; each line keeps its staff
+        const isMultiService = appointment.serviceLines && appointment.serviceLines.length > 0;
+        const movedBlock = isMultiService
+            ? buildServiceLines(appointment.serviceLines.map(line => ({
+                service: line.service,
+                serviceName: line.serviceName,
+                staff: line.staff,
+                duration: line.duration,
+                price: line.price
+            })), newStartTime)
+            : null;
+        const blockEndTime = isMultiService ? movedBlock.endTime : newEndTime;
+        const segments = isMultiService
+            ? movedBlock.lines
+            : [{ staff: appointment.staff, startTime: newStartTime, endTime: newEndTime }];
+
+        const openCheck = checkBusinessOpen(business, newCalendarDate, newStartTime, blockEndTime);
+        if (!openCheck.isOpen) {
+            return res.status(400).json({
+                success: false,
+                message: openCheck.reason
+            });
+        }
+
         // Check availability for new time
-        if (appointment.staff) {
+        for (const segment of segments) {
+            if (!segment.staff) continue;
+
             const isAvailable = await Appointment.checkAvailability(
                 appointment.business,
-                appointment.staff,
-                new Date(newDate),
-                newStartTime,
-                newEndTime
+                segment.staff,
+                newCalendarDate,
+                segment.startTime,
+                segment.endTime,
+                appointment._id
             );
 
             if (!isAvailable) {
@@ -1027,20 +1307,40 @@ const rescheduleAppointment = async (req, res, next) => {
             }
         }
 
+        // Held resources move with the appointment and must be free at the new time
+        const shift = parseTimeToMinutes(newStartTime) - parseTimeToMinutes(appointment.startTime);
+        const resourceCheck = await checkResourceAllocations(business, newCalendarDate, (appointment.resources || []).map(allocation => ({
+            resource: allocation.resource,
+            quantity: allocation.quantity,
+            startTime: minutesToTimeString(parseTimeToMinutes(allocation.startTime) + shift),
+            endTime: minutesToTimeString(parseTimeToMinutes(allocation.endTime) + shift)
+        })), appointment._id);
+        if (!resourceCheck.isAvailable) {
+            return res.status(400).json({
+                success: false,
+                message: resourceCheck.message
+            });
+        }
+
+        const previousDate = appointment.appointmentDate;
+
         await appointment.reschedule(
-            new Date(newDate),
+            newCalendarDate,
             newStartTime,
-            newEndTime,
+            blockEndTime,
             reason,
             userId,
             userRole === 'admin' ? 'Admin' : 'Manager'
         );
 
-        // Invalidate cache
         // Invalidate cache
         await deleteCache(`business:${appointment.business}:appointments*`);
         await deleteCache(`business:${appointment.business}:appointment:stats*`);
 
+        // The old time is free now; offer it to the waitlist
+        offerNextWaitlistEntry(appointment.business, previousDate)
+            .catch(err => console.error('[Waitlist] Offer error:', err.message));
+
         // Notify staff
         notifyBusinessStaff(appointment.business, 'appointment_updated', {
             appointmentId: appointment._id,
@@ -1072,7 +1372,7 @@ const rescheduleAppointment = async (req, res, next) => {
                             startTime: fullAppt.startTime,
                             endTime: fullAppt.endTime,
                             services: fullAppt.service?.name || 'Service',
-                            actionUrl: `${process.env.FRONTEND_URL || 'https://spaadvisor.in'}/appointment/${fullAppt.bookingNumber}`
+                            actionUrl: `${process.env.FRONTEND_URL || 'https://spaadvisor.in'}/appointment/${fullAppt.confirmationCode || fullAppt.bookingNumber}`
                         }
                     });
                 }
@@ -1110,7 +1410,6 @@ const markNoShow = async (req, res, next) => {
 
         await appointment.markNoShow();
 
-        // Invalidate cache
         // Invalidate cache
         await deleteCache(`business:${appointment.business}:appointments*`);
         await deleteCache(`business:${appointment.business}:appointment:stats*`);
@@ -1186,6 +1485,7 @@ const getAppointmentStats = async (req, res, next) => {
 
         // Determine business scope
         let baseFilter = {};
+        let timeZone = DEFAULT_TIMEZONE;
 
         if (userRole === 'admin') {
             if (businessId) {
@@ -1197,6 +1497,7 @@ const getAppointmentStats = async (req, res, next) => {
                     });
                 }
                 baseFilter.business = business._id;
+                timeZone = getBusinessTimezone(business);
             } else {
                 // If no businessId provided, fetch for all businesses owned by admin
                 const businesses = await Business.find({ admin: userId }).select('_id');
@@ -1212,6 +1513,8 @@ const getAppointmentStats = async (req, res, next) => {
                 });
             }
             baseFilter.business = manager.business;
+            const managerBusiness = await Business.findById(manager.business).select('settings.timezone').lean();
+            timeZone = getBusinessTimezone(managerBusiness);
             // Explicitly set businessId for cache key
             businessId = manager.business.toString();
         }
@@ -1231,12 +1534,10 @@ const getAppointmentStats = async (req, res, next) => {
             });
         }
 
-        // Calculate date ranges for today and this month
-        const now = new Date();
-        const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, 0, 0);
-        const todayEnd = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 23, 59, 59);
-        const monthStart = new Date(now.getFullYear(), now.getMonth(), 1, 0, 0, 0);
-        const monthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
+        // Calculate date ranges for today and this month (business-local calendar dates)
+        const { dateKey: todayKey } = getZonedNow(timeZone);
+        const { start: todayStart, end: todayEnd } = getCalendarDayRange(todayKey, timeZone);
+        const { start: monthStart, end: monthEnd } = getCalendarMonthRange(todayKey, timeZone);
 
         // Build date filter for custom range
         let dateFilter = { ...baseFilter };
@@ -1401,7 +1702,7 @@ const getAppointmentStats = async (req, res, next) => {
         // 4. Upcoming appointments (future appointments that are not cancelled/no_show)
         const upcomingCount = await Appointment.countDocuments({
             ...baseFilter,
-            appointmentDate: { $gte: now },
+            appointmentDate: { $gte: todayStart },
             status: { $nin: ['cancelled', 'no_show', 'completed'] }
         });
 
@@ -1535,7 +1836,7 @@ const getAppointmentStats = async (req, res, next) => {
 // Get available slots (authenticated or public with businessId)
 const getAvailableSlots = async (req, res, next) => {
     try {
-        const { date, businessId, staffId, serviceId } = req.query;
+        const { date, businessId, staffId, serviceId, durationOption } = req.query;
 
         if (!date || !businessId) {
             return res.status(400).json({
@@ -1553,33 +1854,34 @@ const getAvailableSlots = async (req, res, next) => {
             });
         }
 
-        const appointmentDate = new Date(date);
-        const startOfDay = new Date(appointmentDate);
-        startOfDay.setHours(0, 0, 0, 0);
-        const endOfDay = new Date(appointmentDate);
-        endOfDay.setHours(23, 59, 59, 999);
-
-        // Get existing appointments
-        const query = {
-            business: business._id,
-            appointmentDate: { $gte: startOfDay, $lte: endOfDay },
-            status: { $nin: ['cancelled', 'no_show'] }
-        };
+        const appointmentDate = toCalendarDate(date, getBusinessTimezone(business));
 
-        if (staffId) query.staff = staffId;
+        // Multi-service search: serviceIds=a,b[&staffIds=x,y&durationOptions=60,30]
+        const sequence = parseServiceSequence(req.query);
+        if (sequence) {
+            const invalidId = sequence.some(entry => !isValidObjectId(entry.serviceId) || (entry.staffId && !isValidObjectId(entry.staffId)));
+            if (invalidId) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Invalid service or staff ID"
+                });
+            }
+        }
 
-        const existingAppointments = await Appointment.find(query)
-            .select('startTime endTime staff')
-            .lean();
+        // Staff-aware availability (falls back to business hours when no staff are rostered)
+        const { slots, lines } = await getAvailabilityForDate(business, appointmentDate, {
+            serviceId,
+            staffId,
+            durationOption,
+            services: sequence
+        });
 
-        // Generate slots
-        const { generateAvailableSlots } = require("../utils/appointmentUtils");
-        const slots = generateAvailableSlots(
-            business,
-            appointmentDate,
-            existingAppointments,
-            staffId
-        );
+        if (lines && lines.some(line => !line.service)) {
+            return res.status(404).json({
+                success: false,
+                message: "Service not found"
+            });
+        }
 
         return res.json({
             success: true,
@@ -1597,7 +1899,7 @@ const getBusinessInfoForBooking = async (req, res, next) => {
         const { slug } = req.params;
 
         const business = await Business.findOne({ slug, isActive: true })
-            .select('name type branch address city state country phone email website description settings businessLink slug images google360ImageUrl videos socialMedia location googleMapsUrl ratings features amenities category tags _id paymentMethods')
+            .select('name type branch address city state country phone email website description settings businessLink slug images google360ImageUrl videos socialMedia location googleMapsUrl ratings features amenities category tags _id paymentMethods openingHours holidays daysOff')
             .lean();
 
         if (!business) {
@@ -1653,7 +1955,7 @@ const getBusinessInfoForBooking = async (req, res, next) => {
 const getAvailableSlotsForBooking = async (req, res, next) => {
     try {
         const { slug } = req.params;
-        const { date, staffId } = req.query;
+        const { date, staffId, serviceId, durationOption } = req.query;
 
         if (!date) {
             return res.status(400).json({
@@ -1663,7 +1965,7 @@ const getAvailableSlotsForBooking = async (req, res, next) => {
         }
 
         const business = await Business.findOne({ slug, isActive: true })
-            .select('settings slug')
+            .select('settings slug openingHours businessHours holidays daysOff')
             .lean();
 
         if (!business) {
@@ -1680,35 +1982,63 @@ const getAvailableSlotsForBooking = async (req, res, next) => {
             });
         }
 
-        const appointmentDate = new Date(date);
-        const startOfDay = new Date(appointmentDate);
-        startOfDay.setHours(0, 0, 0, 0);
-        const endOfDay = new Date(appointmentDate);
-        endOfDay.setHours(23, 59, 59, 999);
+        const appointmentDate = toCalendarDate(date, getBusinessTimezone(business));
 
-        // Get existing appointments for the date
-        const query = {
-            business: business._id,
-            appointmentDate: { $gte: startOfDay, $lte: endOfDay },
-            status: { $nin: ['cancelled', 'no_show'] }
-        };
+        if (isNaN(appointmentDate.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid date"
+            });
+        }
 
-        if (staffId) {
-            query.staff = staffId;
+        // Multi-service search: serviceIds=a,b[&staffIds=x,y&durationOptions=60,30]
+        const sequence = parseServiceSequence(req.query);
+        if (sequence) {
+            const invalidId = sequence.some(entry => !isValidObjectId(entry.serviceId) || (entry.staffId && !isValidObjectId(entry.staffId)));
+            if (invalidId) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Invalid service or staff ID"
+                });
+            }
         }
 
-        const existingAppointments = await Appointment.find(query)
-            .select('startTime endTime staff')
-            .lean();
+        // Generate available slots per eligible staff member (and a merged "any staff" view)
+        const availability = await getAvailabilityForDate(business, appointmentDate, {
+            serviceId: serviceId || null,
+            staffId: staffId || null,
+            durationOption: durationOption || null,
+            services: sequence
+        });
 
-        // Generate available slots
-        const { generateAvailableSlots } = require("../utils/appointmentUtils");
-        const allSlots = generateAvailableSlots(
-            business,
-            appointmentDate,
-            existingAppointments,
-            staffId || null
-        );
+        if (availability.lines) {
+            if (availability.lines.some(line => !line.service)) {
+                return res.status(404).json({
+                    success: false,
+                    message: "Service not found"
+                });
+            }
+
+            if (availability.lines.some(line => line.durationOption && line.duration !== Number(line.durationOption))) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Invalid duration option for this service"
+                });
+            }
+        } else if (serviceId && !availability.service) {
+            return res.status(404).json({
+                success: false,
+                message: "Service not found"
+            });
+        }
+
+        // The requested duration must be one of the service's active pricing options
+        if (durationOption && availability.service && availability.duration !== Number(durationOption)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid duration option for this service"
+            });
+        }
 
         // Filter slots based on advance booking hours and current time
         const settings = business.settings.appointmentSettings;
@@ -1721,48 +2051,10 @@ const getAvailableSlotsForBooking = async (req, res, next) => {
             return hours * 60 + minutes;
         };
 
-        // Helper function to parse time string to 24-hour format
-        const parseTimeTo24Hour = (timeStr) => {
-            if (!timeStr) return { hours: 0, minutes: 0 };
-            let time = timeStr.trim();
-            let isPM = false;
-
-            if (time.includes('PM') || time.includes('pm')) {
-                isPM = true;
-                time = time.replace(/PM|pm/gi, '').trim();
-            } else if (time.includes('AM') || time.includes('am')) {
-                time = time.replace(/AM|am/gi, '').trim();
-            }
-
-            const parts = time.split(':');
-            if (parts.length < 2) return { hours: 0, minutes: 0 };
-
-            let hours = parseInt(parts[0], 10) || 0;
-            const minutes = parseInt(parts[1], 10) || 0;
-
-            if (isPM && hours !== 12) {
-                hours += 12;
-            } else if (!isPM && hours === 12) {
-                hours = 0;
-            }
-
-            return { hours, minutes };
-        };
-
         // Filter slots to only include truly available ones
-        const availableSlots = allSlots.filter(slot => {
-            // Check if slot is in the past
-            const slotDate = new Date(appointmentDate);
-            const timeParts = parseTimeTo24Hour(slot.startTime);
-            const slotDateTime = new Date(
-                slotDate.getFullYear(),
-                slotDate.getMonth(),
-                slotDate.getDate(),
-                timeParts.hours,
-                timeParts.minutes,
-                0,
-                0
-            );
+        const isBookable = (slot) => {
+            // Slot times are wall-clock times in the business timezone
+            const slotDateTime = getAppointmentStartInstant(business, appointmentDate, slot.startTime);
 
             // Check if slot is in the past
             if (slotDateTime <= now) {
@@ -1777,14 +2069,32 @@ const getAvailableSlotsForBooking = async (req, res, next) => {
 
             // Slot is available
             return true;
-        });
+        };
+
+        const availableSlots = availability.slots.filter(isBookable);
 
         return res.json({
             success: true,
             data: {
                 date: date,
+                duration: availability.duration,
                 availableSlots: availableSlots.map(slot => slot.startTime),
-                slots: availableSlots // Only return available slots
+                slots: availableSlots, // Only return available slots
+                // Fully booked days can still be waitlisted
+                waitlistAvailable: availableSlots.length === 0 && settings.waitlistSettings?.enabled !== false,
+                services: availability.lines ? availability.lines.map(line => ({
+                    serviceId: line.service._id,
+                    name: line.service.name,
+                    duration: line.duration,
+                    price: line.price,
+                    staffId: line.staffId
+                })) : undefined,
+                staff: availability.staff.map(entry => ({
+                    staffId: entry.staffId,
+                    name: entry.name,
+                    role: entry.role,
+                    slots: entry.slots.filter(isBookable)
+                }))
             }
         });
     } catch (err) {
@@ -1792,25 +2102,139 @@ const getAvailableSlotsForBooking = async (req, res, next) => {
     }
 };
 
-// Helper: Execute Booking Logic (Refactored)
-const executeBooking = async (bookingData, slug) => {
-    const {
-        customerInfo,
-        appointmentDate,
-        startTime,
-        endTime,
-        services,
-        staffId,
-        paymentMethod
-    } = bookingData;
+// Helper: Tell the business team about a new online booking
+const notifyNewOnlineBooking = async (business, appointment, customer, serviceNames) => {
+    await notifyBusinessStaff(business._id, 'new_appointment', {
+        message: `New online booking: ${customer.firstName} ${customer.lastName}`,
+        appointmentId: appointment._id,
+        customerName: `${customer.firstName} ${customer.lastName}`,
+        serviceName: serviceNames,
+        time: `${appointment.appointmentDate.toISOString().split('T')[0]} at ${appointment.startTime}`,
+        source: 'online',
+        data: appointment
+    }, {
+        title: 'New Online Booking',
+        message: `New online booking: ${customer.firstName} ${customer.lastName} - ${serviceNames} at ${appointment.startTime}`,
+        type: 'appointment',
+        priority: 'high',
+        relatedAppointment: appointment._id,
+        actionUrl: `/manager/appointments/${appointment._id}`,
+        metadata: {
+            source: 'online',
+            eventId: appointment._id.toString(),
+            category: 'appointment'
+        }
+    });
 
-    // Validate required fields
-    if (!customerInfo || !customerInfo.name || !customerInfo.phone) {
-        return { success: false, status: 400, message: "Customer information (name, phone) is required" };
+    if (business.admin) {
+        await AdminNotification.createSystemNotification(
+            business.admin,
+            'New Online Booking',
+            `New online booking received from ${customer.firstName} ${customer.lastName} for ${serviceNames}`,
+            {
+                type: 'business',
+                priority: 'high',
+                actionUrl: `/admin/appointments/${appointment._id}`,
+                actionText: 'View Booking',
+                metadata: {
+                    source: 'online',
+                    eventId: appointment._id,
+                    category: 'appointment'
+                }
+            }
+        );
     }
+};
 
-    if (!appointmentDate || !startTime || !endTime) {
-        return { success: false, status: 400, message: "Appointment date, start time, and end time are required" };
+// Helper: Announce a held booking once its advance is paid
+const finalizeHeldBooking = async (appointmentId) => {
+    try {
+        const appointment = await Appointment.findById(appointmentId)
+            .populate('customer', 'firstName lastName')
+            .populate('service', 'name');
+        if (!appointment) return;
+
+        const business = await Business.findById(appointment.business).select('admin');
+        const serviceNames = appointment.serviceLines?.length > 0
+            ? appointment.serviceLines.map(line => line.serviceName).filter(Boolean).join(', ')
+            : appointment.service?.name || 'Service';
+
+        await deleteCache(`business:${appointment.business}:appointments*`);
+        await deleteCache(`business:${appointment.business}:appointment:stats*`);
+
+        await notifyNewOnlineBooking(business, appointment, appointment.customer, serviceNames);
+        sendConfirmationNotifications(appointment._id, { customerNotes: appointment.customerNotes });
+    } catch (err) {
+        console.error(`[Booking] Failed to finalize held booking ${appointmentId}:`, err.message);
+    }
+};
+
+// Helper: Find a booked service by id or name, creating it when only a name is known
+const findOrCreateBookingService = async (businessId, serviceData) => {
+    let service = null;
+
+    if (serviceData.serviceId || serviceData._id || serviceData.id) {
+        const serviceId = serviceData.serviceId || serviceData._id || serviceData.id;
+        service = await Service.findOne({
+            _id: serviceId,
+            business: businessId,
+            isActive: true
+        });
+    }
+
+    if (!service && serviceData.serviceName) {
+        service = await Service.findOne({
+            business: businessId,
+            name: serviceData.serviceName,
+            isActive: true
+        });
+    }
+
+    if (!service && serviceData.serviceName) {
+        const servicePayload = {
+            business: businessId,
+            name: serviceData.serviceName,
+            category: serviceData.serviceCategory || 'General',
+            serviceType: serviceData.serviceType || 'service',
+            isActive: true
+        };
+
+        if (serviceData.pricingOptions && Array.isArray(serviceData.pricingOptions) && serviceData.pricingOptions.length > 0) {
+            servicePayload.pricingOptions = serviceData.pricingOptions;
+            servicePayload.pricingType = 'variable';
+        } else {
+            servicePayload.price = serviceData.price || 0;
+            servicePayload.duration = serviceData.duration || 60;
+            servicePayload.pricingType = 'fixed';
+        }
+
+        service = await Service.create(servicePayload);
+    }
+
+    return service;
+};
+
+// Helper: Execute Booking Logic (Refactored)
+// options.hold ({ percentage, holdMinutes }) books the slot as "awaiting_payment" until the advance is paid
+const executeBooking = async (bookingData, slug, options = {}) => {
+    const hold = options.hold || null;
+    const {
+        customerInfo,
+        appointmentDate,
+        startTime,
+        endTime,
+        services,
+        staffId,
+        paymentMethod
+    } = bookingData;
+
+    // Validate required fields
+    if (!customerInfo || !customerInfo.name || !customerInfo.phone) {
+        return { success: false, status: 400, message: "Customer information (name, phone) is required" };
+    }
+
+    if (!appointmentDate || !startTime || !endTime) {
+        return { success: false, status: 400, message: "Appointment date, start time, and end time are required" };
     }
 
     if (!services || services.length === 0) {
@@ -1846,7 +2270,8 @@ const executeBooking = async (bookingData, slug) => {
         customerQuery.$or.push({ email: customerInfo.email });
     }
 
-    let customer = await Customer.findOne(customerQuery);
+    // A merged duplicate still matches its old phone/email; book against the record it was merged into
+    let customer = await Customer.resolveMerged(await Customer.findOne(customerQuery));
 
     // Helper function to parse address string into object
     const parseAddress = (addressString) => {
@@ -1921,50 +2346,17 @@ const executeBooking = async (bookingData, slug) => {
         await customer.save();
     }
 
-    const serviceData = services[0];
-    let service = null;
-
-    if (serviceData.serviceId || serviceData._id || serviceData.id) {
-        const serviceId = serviceData.serviceId || serviceData._id || serviceData.id;
-        service = await Service.findOne({
-            _id: serviceId,
-            business: business._id,
-            isActive: true
-        });
-    }
-
-    if (!service && serviceData.serviceName) {
-        service = await Service.findOne({
-            business: business._id,
-            name: serviceData.serviceName,
-            isActive: true
-        });
-    }
-
-    if (!service && serviceData.serviceName) {
-        const servicePayload = {
-            business: business._id,
-            name: serviceData.serviceName,
-            category: serviceData.serviceCategory || 'General',
-            serviceType: serviceData.serviceType || 'service',
-            isActive: true
-        };
-
-        if (serviceData.pricingOptions && Array.isArray(serviceData.pricingOptions) && serviceData.pricingOptions.length > 0) {
-            servicePayload.pricingOptions = serviceData.pricingOptions;
-            servicePayload.pricingType = 'variable';
-        } else {
-            servicePayload.price = serviceData.price || 0;
-            servicePayload.duration = serviceData.duration || 60;
-            servicePayload.pricingType = 'fixed';
+    // Resolve every booked service; the first one is the appointment's primary service
+    const resolvedServices = [];
+    for (const serviceData of services) {
+        const resolved = await findOrCreateBookingService(business._id, serviceData);
+        if (!resolved) {
+            return { success: false, status: 400, message: "Service not found or could not be created" };
         }
-
-        service = await Service.create(servicePayload);
-    }
-
-    if (!service) {
-        return { success: false, status: 400, message: "Service not found or could not be created" };
+        resolvedServices.push(resolved);
     }
+    const service = resolvedServices[0];
+    const serviceNames = resolvedServices.map(s => s.name).join(', ');
 
     const { getServicePriceAndDuration, validateAppointmentBooking } = require("../utils/appointmentUtils");
     const totalPrice = services.reduce((sum, s) => {
@@ -1976,29 +2368,69 @@ const executeBooking = async (bookingData, slug) => {
         return sum + duration;
     }, 0);
 
-    const appointmentDateObj = new Date(appointmentDate);
-    const startOfDay = new Date(appointmentDateObj);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(appointmentDateObj);
-    endOfDay.setHours(23, 59, 59, 999);
+    // Discounts on public bookings only come from a valid coupon
+    let couponCheck = null;
+    if (bookingData.couponCode) {
+        couponCheck = await validateCoupon({
+            businessId: business._id,
+            code: bookingData.couponCode,
+            customerId: customer._id,
+            lines: services.map((s, index) => ({
+                service: resolvedServices[index]._id,
+                category: resolvedServices[index].category,
+                amount: getServicePriceAndDuration(s).price
+            }))
+        });
+        if (!couponCheck.valid) {
+            return { success: false, status: 400, message: couponCheck.message };
+        }
+    }
+
+    // Services run back to back from startTime, each with its own (optional) staff
+    const isMultiService = services.length > 1;
+    const block = buildServiceLines(services.map((s, index) => ({
+        service: resolvedServices[index]._id,
+        serviceName: resolvedServices[index].name,
+        optionLabel: s.optionLabel || s.pricingOptionLabel,
+        staff: s.staffId || staffId,
+        ...getServicePriceAndDuration(s)
+    })), startTime);
+    const blockEndTime = isMultiService ? block.endTime : endTime;
+
+    // Appointment dates are stored as business-local calendar dates
+    const timeZone = getBusinessTimezone(business);
+    const appointmentDateObj = toCalendarDate(appointmentDate, timeZone);
+    const { start: startOfDay, end: endOfDay } = getCalendarDayRange(appointmentDate, timeZone);
 
-    const existingAppointments = await Appointment.find({
+    const existingAppointments = Appointment.expandIntervals(await Appointment.find({
         business: business._id,
         appointmentDate: { $gte: startOfDay, $lte: endOfDay },
         status: { $nin: ['cancelled', 'no_show'] }
-    });
+    }).lean());
 
     const validation = validateAppointmentBooking({
         appointmentDate,
         startTime,
-        endTime,
-        staff: staffId
+        endTime: blockEndTime,
+        staff: isMultiService ? block.lines[0].staff : staffId,
+        serviceLines: isMultiService ? block.lines : undefined
     }, business, existingAppointments);
 
     if (!validation.isValid) {
         return { success: false, status: 400, message: validation.errors.join(', ') };
     }
 
+    // Rooms, chairs and equipment required by the services must be free as well
+    const resourceCheck = await checkResourceAvailability(business, appointmentDateObj, block.lines.map((line, index) => ({
+        service: resolvedServices[index],
+        startTime: line.startTime,
+        endTime: isMultiService ? line.endTime : blockEndTime
+    })));
+
+    if (!resourceCheck.isAvailable) {
+        return { success: false, status: 400, message: resourceCheck.message };
+    }
+
     // Store services data for later retrieval (store in internalNotes as JSON)
     const servicesData = services.map(s => ({
         serviceId: s.serviceId || s._id || s.id,
@@ -2056,87 +2488,88 @@ const executeBooking = async (bookingData, slug) => {
 
     // Use the paidAmount from bookingData if available (for online payments)
     const paidAmount = bookingData.paidAmount ? Number(bookingData.paidAmount) : (verifiedPaymentStatus === 'paid' ? totalPrice : 0);
-    const discount = bookingData.discount ? Number(bookingData.discount) : 0;
-
-    // If discount was applied, the totalAmount stored should be the discounted price?
-    // Or we keep totalAmount as Original and Paid as Discounted?
-    // Usually Total = Service + Charges - Discount.
-    // So let's calculate Total based on that.
+    const discount = couponCheck ? couponCheck.discount : 0;
 
+    // Total = Service + Charges - Discount
     const finalTotalAmount = totalPrice - discount;
+    const advanceAmount = hold ? calculateAdvanceAmount(finalTotalAmount, hold.percentage) : 0;
+
+    // Take the coupon use before creating the booking so its last use cannot go to two bookings
+    let redemption = null;
+    if (couponCheck) {
+        redemption = await redeemCoupon(couponCheck.coupon, { customer: customer._id, discountAmount: discount });
+        if (!redemption) {
+            return { success: false, status: 400, message: "This coupon has been fully redeemed" };
+        }
+    }
 
-    const appointment = await Appointment.create({
-        business: business._id,
-        customer: customer._id,
-        service: service._id,
-        staff: staffId || undefined,
-        appointmentDate: appointmentDateObj,
-        startTime: startTime,
-        endTime: endTime,
-        duration: totalDuration,
-        servicePrice: totalPrice, // Original Price
-        additionalCharges: 0,
-        discount: discount,       // Discount Amount
-        tax: 0,
-        totalAmount: finalTotalAmount, // Discounted Total
-        paidAmount: verifiedPaymentStatus === 'paid' ? paidAmount : 0, // Paid Amount
-        paymentStatus: verifiedPaymentStatus,
-        paymentMethod: bookingData.paymentMethod || 'cash',
-        bookingSource: 'online',
-        bookingType: 'regular',
-        customerNotes: bookingData.customerNotes,
-        internalNotes: JSON.stringify({ services: bookingData.services }),
-        paymentDetails: verifiedPaymentStatus === 'paid' ? bookingData.paymentDetails : undefined,
-        status: 'pending',
-        createdBy: customer._id,
-        createdByModel: 'Customer',
-        // Store services array in internalNotes as JSON string for retrieval
-        // internalNotes: JSON.stringify({ services: servicesData }) // This line is now redundant as internalNotes is set above
-    });
+    let appointment;
+    try {
+        appointment = await Appointment.create({
+            business: business._id,
+            customer: customer._id,
+            service: service._id,
+            staff: (isMultiService ? block.lines[0].staff : staffId) || undefined,
+            serviceLines: isMultiService ? block.lines : undefined,
+            resources: resourceCheck.allocations,
+            appointmentDate: appointmentDateObj,
+            startTime: startTime,
+            endTime: blockEndTime,
+            duration: totalDuration,
+            servicePrice: totalPrice, // Original Price
+            additionalCharges: 0,
+            discount: discount,       // Discount Amount
+            couponCode: couponCheck ? couponCheck.coupon.code : undefined,
+            tax: 0,
+            totalAmount: finalTotalAmount, // Discounted Total
+            paidAmount: verifiedPaymentStatus === 'paid' ? paidAmount : 0, // Paid Amount
+            paymentStatus: verifiedPaymentStatus,
+            paymentMethod: bookingData.paymentMethod || 'cash',
+            advanceAmount,
+            paymentHold: hold ? {
+                expiresAt: new Date(Date.now() + hold.holdMinutes * 60 * 1000),
+                amount: advanceAmount
+            } : undefined,
+            bookingSource: 'online',
+            bookingType: 'regular',
+            customerNotes: bookingData.customerNotes,
+            internalNotes: JSON.stringify({ services: bookingData.services }),
+            // The order id is kept even when verification failed so the payment webhook can settle the booking
+            paymentDetails: bookingData.paymentDetails?.orderId ? {
+                gateway: 'razorpay',
+                orderId: bookingData.paymentDetails.orderId,
+                paymentId: verifiedPaymentStatus === 'paid' ? bookingData.paymentDetails.paymentId : undefined,
+                signature: verifiedPaymentStatus === 'paid' ? bookingData.paymentDetails.signature : undefined
+            } : undefined,
+            status: hold ? 'awaiting_payment' : 'pending',
+            createdBy: customer._id,
+            createdByModel: 'Customer',
+            // Store services array in internalNotes as JSON string for retrieval
+            // internalNotes: JSON.stringify({ services: servicesData }) // This line is now redundant as internalNotes is set above
+        });
+    } catch (err) {
+        if (redemption) {
+            await releaseCouponRedemptions({ _id: redemption._id });
+        }
+        throw err;
+    }
 
-    const confirmationCode = appointment.bookingNumber || `CONF${Date.now()}${Math.floor(Math.random() * 1000)}`;
-    appointment.bookingNumber = confirmationCode;
-    await appointment.save();
+    if (redemption) {
+        await CouponRedemption.updateOne({ _id: redemption._id }, { $set: { appointment: appointment._id } });
+    }
 
-    await notifyBusinessStaff(business._id, 'new_appointment', {
-        message: `New online booking: ${customer.firstName} ${customer.lastName}`,
-        appointmentId: appointment._id,
-        customerName: `${customer.firstName} ${customer.lastName}`,
-        serviceName: service.name,
-        time: `${appointmentDate} at ${startTime}`,
-        source: 'online',
-        data: appointment
-    }, {
-        title: 'New Online Booking',
-        message: `New online booking: ${customer.firstName} ${customer.lastName} - ${service.name} at ${startTime}`,
-        type: 'appointment',
-        priority: 'high',
-        relatedAppointment: appointment._id,
-        actionUrl: `/manager/appointments/${appointment._id}`,
-        metadata: {
-            source: 'online',
-            eventId: appointment._id.toString(),
-            category: 'appointment'
-        }
-    });
+    const { confirmationCode } = appointment;
 
-    if (business.admin) {
-        await AdminNotification.createSystemNotification(
-            business.admin,
-            'New Online Booking',
-            `New online booking received from ${customer.firstName} ${customer.lastName} for ${service.name}`,
-            {
-                type: 'business',
-                priority: 'high',
-                actionUrl: `/admin/appointments/${appointment._id}`,
-                actionText: 'View Booking',
-                metadata: {
-                    source: 'online',
-                    eventId: appointment._id,
-                    category: 'appointment'
-                }
-            }
-        );
+    if (appointment.paymentDetails?.orderId) {
+        // Apply a payment the webhook captured before the booking existed
+        await linkOrderToAppointment(appointment).catch(err => {
+            console.error(`[Booking] Failed to link payment order to ${appointment._id}:`, err.message);
+        });
+    }
+
+    // Held bookings are announced once the advance is paid
+    if (!hold) {
+        await notifyNewOnlineBooking(business, appointment, customer, serviceNames);
     }
 
     await appointment.populate('business', 'name branch address phone');
@@ -2217,6 +2650,148 @@ const executeBooking = async (bookingData, slug) => {
     };
 };
 
+// Helper: Hold the slot and open a Razorpay order for the advance
+const holdBookingForAdvancePayment = async (res, bookingData, slug, business, advanceSettings) => {
+    const result = await executeBooking(
+        { ...bookingData, paymentStatus: 'pending', paymentDetails: undefined, paidAmount: undefined },
+        slug,
+        { hold: advanceSettings }
+    );
+    if (!result.success) {
+        return res.status(result.status || 400).json(result);
+    }
+
+    const appointment = result.data.appointment;
+
+    // Nothing to collect (e.g. a free service): confirm straight away
+    if (!appointment.advanceAmount) {
+        await Appointment.updateOne(
+            { _id: appointment._id, status: 'awaiting_payment' },
+            { $set: { status: 'pending', 'paymentHold.confirmedAt': new Date() } }
+        );
+        finalizeHeldBooking(appointment._id);
+        return res.json({
+            success: true,
+            message: "Booking confirmed successfully!",
+            requiresOTP: false,
+            requiresPayment: false,
+            data: result.data
+        });
+    }
+
+    let order = null;
+    try {
+        order = await createGatewayOrder({
+            business,
+            amount: appointment.advanceAmount,
+            receipt: result.data.confirmationCode,
+            appointment: appointment._id
+        });
+    } catch (err) {
+        console.error(`[Booking] Advance order creation failed for ${appointment._id}:`, err.error?.description || err.message);
+    }
+
+    if (!order) {
+        await releaseBookingHold(appointment._id, 'Advance payment could not be started');
+        return res.status(502).json({
+            success: false,
+            message: "Could not start the advance payment. Please try again."
+        });
+    }
+
+    await Appointment.updateOne(
+        { _id: appointment._id },
+        {
+            $set: {
+                'paymentHold.orderId': order.id,
+                'paymentDetails.gateway': 'razorpay',
+                'paymentDetails.orderId': order.id
+            }
+        }
+    );
+
+    return res.status(201).json({
+        success: true,
+        message: `Your slot is held for ${advanceSettings.holdMinutes} minutes. Pay the advance to confirm the booking.`,
+        requiresOTP: false,
+        requiresPayment: true,
+        data: {
+            appointmentId: appointment._id,
+            confirmationCode: result.data.confirmationCode,
+            totalAmount: appointment.totalAmount,
+            advanceAmount: appointment.advanceAmount,
+            advancePercentage: advanceSettings.percentage,
+            holdExpiresAt: appointment.paymentHold.expiresAt,
+            order: {
+                id: order.id,
+                amount: order.amount,
+                currency: order.currency
+            }
+        }
+    });
+};
+
+// Check a coupon code against the selected services before booking (public - by slug)
+const validateBookingCoupon = async (req, res, next) => {
+    try {
+        const { slug } = req.params;
+        const { code, phone, services } = req.body;
+
+        if (!code) {
+            return res.status(400).json({ success: false, message: "Coupon code is required" });
+        }
+        if (!services || services.length === 0) {
+            return res.status(400).json({ success: false, message: "Service required" });
+        }
+
+        const business = await Business.findOne({ slug, isActive: true }).select('_id');
+        if (!business) return res.status(404).json({ success: false, message: "Business not found" });
+
+        const serviceIds = services.map(s => s.serviceId || s._id || s.id).filter(isValidObjectId);
+        const knownServices = serviceIds.length > 0
+            ? await Service.find({ _id: { $in: serviceIds }, business: business._id }).select('category').lean()
+            : [];
+
+        // Customer-only and per-customer limits need the customer; new customers have no history yet
+        const phoneMatch = phone
+            ? await Customer.findOne({ business: business._id, phone }).select('_id mergedInto').lean()
+            : null;
+        const customer = phoneMatch && phoneMatch.mergedInto ? { _id: phoneMatch.mergedInto } : phoneMatch;
+
+        const result = await validateCoupon({
+            businessId: business._id,
+            code,
+            customerId: customer?._id,
+            lines: services.map(s => {
+                const known = knownServices.find(ks => ks._id.toString() === String(s.serviceId || s._id || s.id));
+                return {
+                    service: known?._id,
+                    category: known?.category || s.serviceCategory || s.category,
+                    amount: getServicePriceAndDuration(s).price
+                };
+            })
+        });
+
+        if (!result.valid) {
+            return res.status(400).json({ success: false, message: result.message });
+        }
+
+        return res.json({
+            success: true,
+            message: result.message,
+            data: {
+                code: result.coupon.code,
+                description: result.coupon.description,
+                discountType: result.coupon.discountType,
+                discountValue: result.coupon.discountValue,
+                discount: result.discount
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
 // Book appointment (public - by slug) - STEP 1 (OTP Request)
 const bookAppointmentPublic = async (req, res, next) => {
     try {
@@ -2238,33 +2813,35 @@ const bookAppointmentPublic = async (req, res, next) => {
         if (!business) return res.status(404).json({ success: false, message: "Business not found" });
 
         // Validate booking slot availability before sending OTP
-        const appointmentDateObj = new Date(appointmentDate);
-        const startOfDay = new Date(appointmentDateObj);
-        startOfDay.setHours(0, 0, 0, 0);
-        const endOfDay = new Date(appointmentDateObj);
-        endOfDay.setHours(23, 59, 59, 999);
-
-        // Get existing appointments for the date
-        const query = {
+        const { start: startOfDay, end: endOfDay } = getCalendarDayRange(appointmentDate, getBusinessTimezone(business));
+
+        // Get existing appointments for the date (multi-service bookings expand per line)
+        const existingAppointments = Appointment.expandIntervals(await Appointment.find({
             business: business._id,
             appointmentDate: { $gte: startOfDay, $lte: endOfDay },
             status: { $nin: ['cancelled', 'no_show'] }
-        };
-
-        if (bookingData.staffId) {
-            query.staff = bookingData.staffId;
-        }
-
-        const existingAppointments = await Appointment.find(query)
-            .select('startTime endTime staff')
-            .lean();
+        })
+            .select('startTime endTime staff serviceLines')
+            .lean());
+
+        // Multiple services are validated as back-to-back segments, each against its own staff
+        const isMultiService = services.length > 1;
+        const block = isMultiService
+            ? buildServiceLines(services.map(s => ({
+                service: s.serviceId || s._id || s.id,
+                serviceName: s.serviceName || s.name,
+                staff: s.staffId || bookingData.staffId,
+                ...getServicePriceAndDuration(s)
+            })), startTime)
+            : null;
 
         // Validate appointment booking
         const validation = validateAppointmentBooking({
             appointmentDate,
             startTime,
-            endTime,
-            staff: bookingData.staffId
+            endTime: isMultiService ? block.endTime : endTime,
+            staff: isMultiService ? block.lines[0].staff : bookingData.staffId,
+            serviceLines: isMultiService ? block.lines : undefined
         }, business, existingAppointments);
 
         if (!validation.isValid) {
@@ -2274,6 +2851,33 @@ const bookAppointmentPublic = async (req, res, next) => {
             });
         }
 
+        // Make sure the rooms/equipment the services need are free before sending an OTP
+        const requestedServiceIds = services.map(s => s.serviceId || s._id || s.id).filter(isValidObjectId);
+        const requestedServices = requestedServiceIds.length > 0
+            ? await Service.find({ _id: { $in: requestedServiceIds }, business: business._id })
+                .select('requiredResources')
+                .lean()
+            : [];
+        const segments = services.map((s, index) => ({
+            service: requestedServices.find(rs => rs._id.toString() === String(s.serviceId || s._id || s.id)),
+            startTime: isMultiService ? block.lines[index].startTime : startTime,
+            endTime: isMultiService ? block.lines[index].endTime : endTime
+        }));
+        const resourceCheck = await checkResourceAvailability(business, appointmentDate, segments);
+
+        if (!resourceCheck.isAvailable) {
+            return res.status(400).json({
+                success: false,
+                message: resourceCheck.message
+            });
+        }
+
+        // Advance required: hold the slot until the advance is paid (the verified payment stands in for the OTP)
+        const advanceSettings = getAdvancePaymentSettings(business);
+        if (advanceSettings && !(bookingData.paymentStatus === 'paid' && bookingData.paymentDetails)) {
+            return holdBookingForAdvancePayment(res, bookingData, slug, business, advanceSettings);
+        }
+
         // Check for Online Payment (Skip OTP)
         if (bookingData.paymentStatus === 'paid' && bookingData.paymentDetails) {
             const { orderId, paymentId, signature } = bookingData.paymentDetails;
@@ -2482,7 +3086,7 @@ const verifyBookingOTP = async (req, res, next) => {
                     startTime: appointment.startTime,
                     endTime: appointment.endTime,
                     services: appointment.service?.name || 'Service',
-                    confirmationCode: appointment.bookingNumber,
+                    confirmationCode: appointment.confirmationCode || appointment.bookingNumber,
                     staffInfo: appointment.staff ? `<p><strong>Assigned Staff:</strong> ${appointment.staff}</p>` : '', // Staff might be ID or populated
                     customerNotesInfo: '<p><strong>Booking Source:</strong> Online</p>',
                     actionUrl: `${process.env.FRONTEND_URL}/admin/appointments/${appointment._id}`
@@ -2525,7 +3129,7 @@ const verifyBookingOTP = async (req, res, next) => {
                         data: {
                             ...commonData,
                             customerName: appointment.customer.firstName,
-                            actionUrl: `${process.env.FRONTEND_URL || 'https://spaadvisor.in'}/appointment/${appointment.bookingNumber}`
+                            actionUrl: `${process.env.FRONTEND_URL || 'https://spaadvisor.in'}/appointment/${appointment.confirmationCode || appointment.bookingNumber}`
                         }
                     });
                 }
@@ -2535,8 +3139,92 @@ const verifyBookingOTP = async (req, res, next) => {
         })();
         // ==============================================================
 
-        return res.status(201).json(result);
+        return res.status(201).json(result);
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Confirm a held booking after the advance is paid (public)
+const confirmAdvancePayment = async (req, res, next) => {
+    try {
+        const { slug } = req.params;
+        const { appointmentId, razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+
+        if (!isValidObjectId(appointmentId) || !razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+            return res.status(400).json({ success: false, message: "Appointment ID and payment details are required" });
+        }
+
+        const business = await Business.findOne({ slug, isActive: true }).select('_id');
+        if (!business) return res.status(404).json({ success: false, message: "Business not found" });
+
+        const appointment = await Appointment.findOne({
+            _id: appointmentId,
+            business: business._id,
+            'paymentHold.orderId': razorpay_order_id
+        });
+        if (!appointment) {
+            return res.status(404).json({ success: false, message: "Held booking not found" });
+        }
+
+        const expectedSignature = crypto.createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+            .update(razorpay_order_id + "|" + razorpay_payment_id)
+            .digest('hex');
+        if (expectedSignature !== razorpay_signature) {
+            console.error('[Booking] Advance payment signature verification failed');
+            return res.status(400).json({ success: false, message: "Payment verification failed" });
+        }
+
+        const confirmedResponse = (confirmed) => res.json({
+            success: true,
+            message: "Booking confirmed successfully!",
+            data: {
+                appointmentId: confirmed._id,
+                confirmationCode: confirmed.confirmationCode || confirmed.bookingNumber,
+                totalAmount: confirmed.totalAmount,
+                paidAmount: confirmed.paidAmount,
+                paymentStatus: confirmed.paymentStatus
+            }
+        });
+
+        // The payment webhook may have confirmed it already
+        if (appointment.paymentHold?.confirmedAt) {
+            return confirmedResponse(appointment);
+        }
+
+        let payment;
+        try {
+            payment = await fetchGatewayPayment(razorpay_payment_id);
+        } catch (err) {
+            console.error(`[Booking] Could not fetch advance payment ${razorpay_payment_id}:`, err.error?.description || err.message);
+            return res.status(502).json({
+                success: false,
+                message: "Could not verify the payment with the gateway. Please try again."
+            });
+        }
+
+        if (payment.order_id !== razorpay_order_id || !['captured', 'authorized'].includes(payment.status)) {
+            return res.status(400).json({ success: false, message: "Payment has not been completed" });
+        }
+
+        const held = await confirmHeldBooking(appointment, payment);
+        if (!held) {
+            const current = await Appointment.findById(appointment._id);
+            if (current?.paymentHold?.confirmedAt) {
+                return confirmedResponse(current);
+            }
+
+            // The hold lapsed first; the webhook records the payment so it shows up in reconciliation for a refund
+            return res.status(409).json({
+                success: false,
+                message: "Your slot hold expired before the payment was received. The advance will be refunded."
+            });
+        }
 
+        finalizeHeldBooking(held.appointment._id);
+
+        return confirmedResponse(held.appointment);
     } catch (err) {
         next(err);
     }
@@ -2547,7 +3235,7 @@ const getAppointmentByConfirmationCode = async (req, res, next) => {
     try {
         const { confirmationCode } = req.params;
 
-        const appointment = await Appointment.findOne({ bookingNumber: confirmationCode })
+        const appointment = await Appointment.findByConfirmationCode(confirmationCode)
             .populate('business', 'name branch address city state country phone email website')
             .populate('service', 'name price duration category serviceType description pricingType pricingOptions currency originalPrice')
             .populate('staff', 'name role specialization phone email')
@@ -2659,7 +3347,7 @@ const getAppointmentByConfirmationCode = async (req, res, next) => {
                 ...appointment,
                 service: servicesArray.length > 0 ? servicesArray[0] : null, // Keep single service for backward compatibility
                 services: servicesArray, // Add services array for multiple services
-                confirmationCode: appointment.bookingNumber
+                confirmationCode: appointment.confirmationCode || appointment.bookingNumber
             }
         });
     } catch (err) {
@@ -2673,7 +3361,7 @@ const cancelAppointmentByCode = async (req, res, next) => {
         const { confirmationCode } = req.params;
         const { reason } = req.body;
 
-        const appointment = await Appointment.findOne({ bookingNumber: confirmationCode })
+        const appointment = await Appointment.findByConfirmationCode(confirmationCode)
             .populate('business');
 
         if (!appointment) {
@@ -2708,24 +3396,204 @@ const cancelAppointmentByCode = async (req, res, next) => {
             });
         }
 
+        const refundQuote = calculateCancellationRefund(appointment, appointment.business);
+
         // Cancel appointment
-        appointment.status = 'cancelled';
-        appointment.cancellationReason = reason || 'Cancelled by customer';
-        appointment.cancelledAt = new Date();
-        appointment.cancelledBy = appointment.customer;
-        appointment.cancelledByModel = 'Customer';
-        await appointment.save();
+        const cancelled = await Appointment.claimCancellation(
+            { _id: appointment._id },
+            reason || 'Cancelled by customer',
+            appointment.customer,
+            'Customer'
+        ).populate('business');
+
+        // Another request cancelled or completed it in the meantime
+        if (!cancelled) {
+            return res.status(409).json({
+                success: false,
+                message: "Appointment was already cancelled or completed"
+            });
+        }
+
+        await releaseCouponRedemptions({ appointment: cancelled._id });
+
+        const refund = await refundCancelledAppointment(cancelled, refundQuote.refundAmount, cancelled.cancellationReason);
 
         // Invalidate cache
-        await deleteCache(`business:${appointment.business}:appointments*`);
-        await deleteCache(`business:${appointment.business}:appointment:stats*`);
+        await deleteCache(`business:${cancelled.business._id}:appointments*`);
+        await deleteCache(`business:${cancelled.business._id}:appointment:stats*`);
+
+        // Offer the freed slot to the waitlist
+        offerNextWaitlistEntry(cancelled.business._id, cancelled.appointmentDate)
+            .catch(err => console.error('[Waitlist] Offer error:', err.message));
 
         return res.json({
             success: true,
             message: "Appointment cancelled successfully",
             data: {
-                appointment: appointment,
-                refundAmount: cancellationCheck.refundAmount || 0
+                appointment: cancelled,
+                refundAmount: refund.amount,
+                refund: { ...refund, percentage: refundQuote.percentage, hoursRemaining: refundQuote.hoursRemaining }
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Reschedule appointment by confirmation code (public)
+const rescheduleAppointmentByCode = async (req, res, next) => {
+    try {
+        const { confirmationCode } = req.params;
+        const { newDate, newStartTime, reason } = req.body;
+
+        if (!newDate || !newStartTime) {
+            return res.status(400).json({
+                success: false,
+                message: "New date and start time are required"
+            });
+        }
+
+        if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(newStartTime)) {
+            return res.status(400).json({
+                success: false,
+                message: "Start time must be in HH:MM format"
+            });
+        }
+
+        const appointment = await Appointment.findByConfirmationCode(confirmationCode)
+            .populate('business');
+
+        if (!appointment) {
+            return res.status(404).json({
+                success: false,
+                message: "Appointment not found"
+            });
+        }
+
+        if (!['pending', 'confirmed', 'rescheduled'].includes(appointment.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot reschedule an appointment that is ${appointment.status.replace('_', ' ')}`
+            });
+        }
+
+        const business = appointment.business;
+        const cancellationPolicy = business.settings?.appointmentSettings?.cancellationPolicy || {};
+        const minHours = cancellationPolicy.minCancellationHours || 0;
+
+        // Same notice period as a cancellation
+        const currentStart = getAppointmentStartInstant(business, appointment.appointmentDate, appointment.startTime);
+        if ((currentStart - new Date()) / (1000 * 60 * 60) < minHours) {
+            return res.status(400).json({
+                success: false,
+                message: `Rescheduling must be done at least ${minHours} hours before appointment`
+            });
+        }
+
+        const timeZone = getBusinessTimezone(business);
+        const newCalendarDate = toCalendarDate(newDate, timeZone);
+        if (isNaN(newCalendarDate.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid date"
+            });
+        }
+
+        // The appointment keeps its length (and service line layout)
+        const isMultiService = appointment.serviceLines && appointment.serviceLines.length > 0;
+        const movedBlock = isMultiService
+            ? buildServiceLines(appointment.serviceLines.map(line => ({
+                service: line.service,
+                serviceName: line.serviceName,
+                staff: line.staff,
+                duration: line.duration,
+                price: line.price
+            })), newStartTime)
+            : null;
+        const duration = parseTimeToMinutes(appointment.endTime) - parseTimeToMinutes(appointment.startTime);
+        const newEndTime = isMultiService
+            ? movedBlock.endTime
+            : minutesToTimeString(parseTimeToMinutes(newStartTime) + duration);
+
+        // Other bookings that day (this appointment excluded)
+        const { start: startOfDay, end: endOfDay } = getCalendarDayRange(newCalendarDate, timeZone);
+        const existingAppointments = Appointment.expandIntervals(await Appointment.find({
+            _id: { $ne: appointment._id },
+            business: business._id,
+            appointmentDate: { $gte: startOfDay, $lte: endOfDay },
+            status: { $nin: ['cancelled', 'no_show'] }
+        })
+            .select('startTime endTime staff serviceLines')
+            .lean());
+
+        const validation = validateAppointmentBooking({
+            appointmentDate: newCalendarDate,
+            startTime: newStartTime,
+            endTime: newEndTime,
+            staff: appointment.staff,
+            serviceLines: isMultiService ? movedBlock.lines : undefined
+        }, business, existingAppointments);
+
+        if (!validation.isValid) {
+            return res.status(400).json({
+                success: false,
+                message: validation.errors.join(', ')
+            });
+        }
+
+        // Held resources move with the appointment and must be free at the new time
+        const shift = parseTimeToMinutes(newStartTime) - parseTimeToMinutes(appointment.startTime);
+        const resourceCheck = await checkResourceAllocations(business, newCalendarDate, (appointment.resources || []).map(allocation => ({
+            resource: allocation.resource,
+            quantity: allocation.quantity,
+            startTime: minutesToTimeString(parseTimeToMinutes(allocation.startTime) + shift),
+            endTime: minutesToTimeString(parseTimeToMinutes(allocation.endTime) + shift)
+        })), appointment._id);
+        if (!resourceCheck.isAvailable) {
+            return res.status(400).json({
+                success: false,
+                message: resourceCheck.message
+            });
+        }
+
+        const previousDate = appointment.appointmentDate;
+
+        await appointment.reschedule(
+            newCalendarDate,
+            newStartTime,
+            newEndTime,
+            reason || 'Rescheduled by customer',
+            appointment.customer,
+            'Customer'
+        );
+
+        // Invalidate cache
+        await deleteCache(`business:${business._id}:appointments*`);
+        await deleteCache(`business:${business._id}:appointment:stats*`);
+
+        notifyBusinessStaff(business._id, 'appointment_updated', {
+            appointmentId: appointment._id,
+            status: appointment.status,
+            message: `Appointment ${confirmationCode} rescheduled by customer`,
+            data: appointment
+        });
+
+        // The old time is free now; offer it to the waitlist
+        offerNextWaitlistEntry(business._id, previousDate)
+            .catch(err => console.error('[Waitlist] Offer error:', err.message));
+
+        // Fire and forget notifications (same as a new booking confirmation)
+        sendConfirmationNotifications(appointment._id, { customerNotes: appointment.customerNotes });
+
+        return res.json({
+            success: true,
+            message: "Appointment rescheduled successfully",
+            data: {
+                confirmationCode,
+                appointmentDate: newCalendarDate.toISOString().split('T')[0],
+                startTime: newStartTime,
+                endTime: newEndTime,
+                status: appointment.status
             }
         });
     } catch (err) {
@@ -2796,6 +3664,9 @@ const updateAppointmentStatus = async (req, res, next) => {
         appointment.updatedByModel = userRole === 'admin' ? 'Admin' : 'Manager';
 
         await appointment.save();
+        if (status === 'cancelled' && oldStatus !== 'cancelled') {
+            await releaseCouponRedemptions({ appointment: appointment._id });
+        }
 
         // Invalidate cache
         await deleteCache(`business:${appointment.business}:appointments*`);
@@ -2840,7 +3711,7 @@ const updateAppointmentStatus = async (req, res, next) => {
                     let templateName = 'appointment_status_update';
                     let emailData = {
                         ...commonData,
-                        actionUrl: `${process.env.FRONTEND_URL || 'https://spaadvisor.in'}/appointment/${fullAppt.bookingNumber}`
+                        actionUrl: `${process.env.FRONTEND_URL || 'https://spaadvisor.in'}/appointment/${fullAppt.confirmationCode || fullAppt.bookingNumber}`
                     };
 
                     // ---- 1. Determine Template & Data ----
@@ -2853,7 +3724,7 @@ const updateAppointmentStatus = async (req, res, next) => {
                         emailData.actionUrl = `${process.env.FRONTEND_URL || ''}/book/${fullAppt.business.businessLink}`; // Re-book
                     } else if (status === 'confirmed') {
                         templateName = 'appointment_confirmation';
-                        emailData.confirmationCode = fullAppt.bookingNumber;
+                        emailData.confirmationCode = fullAppt.confirmationCode || fullAppt.bookingNumber;
                     }
 
                     // Track sent emails to prevent duplicates
@@ -2939,22 +3810,14 @@ const downloadInvoice = async (req, res) => {
         }
 
         // Extract Razorpay ID safely
-        let razorpayPaymentId = '';
-        if (appointment.paymentDetails) {
-            // If it's a Mongoose Map
-            if (typeof appointment.paymentDetails.get === 'function') {
-                razorpayPaymentId = appointment.paymentDetails.get('razorpay_payment_id');
-            } else {
-                razorpayPaymentId = appointment.paymentDetails.razorpay_payment_id;
-            }
-        }
+        const razorpayPaymentId = appointment.paymentDetails?.paymentId || '';
 
         // Create a document
         const doc = new PDFDocument({ margin: 50 });
 
         // Set response headers
         res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `attachment; filename=invoice-${appointment.bookingNumber}.pdf`);
+        res.setHeader('Content-Disposition', `attachment; filename=invoice-${String(appointment.bookingNumber).replace(/[^A-Za-z0-9-]/g, '_')}.pdf`);
 
         doc.pipe(res);
 
@@ -3190,7 +4053,7 @@ const sendConfirmationNotifications = async (appointmentId, bookingData) => {
             startTime: appointment.startTime,
             endTime: appointment.endTime,
             services: servicesText,
-            confirmationCode: appointment.bookingNumber,
+            confirmationCode: appointment.confirmationCode || appointment.bookingNumber,
             customerEmail: appointment.customer?.email || bookingData.customerInfo?.email || '',
             customerPhone: appointment.customer?.phone || bookingData.customerInfo?.phone || '',
             staffInfo: staffInfo,
@@ -3207,7 +4070,7 @@ const sendConfirmationNotifications = async (appointmentId, bookingData) => {
                     console.log(`[Notification] Sending appointment confirmation to ${phone}...`);
                     const result = await sendAppointmentConfirmation({
                         phone: phone,
-                        confirmationCode: appointment.bookingNumber
+                        confirmationCode: appointment.confirmationCode || appointment.bookingNumber
                     });
 
                     if (result.success) {
@@ -3272,15 +4135,334 @@ const sendConfirmationNotifications = async (appointmentId, bookingData) => {
     }
 };
 
+// ================== WAITLIST ==================
+
+// Join waitlist for a fully booked day (public - by slug)
+const joinWaitlist = async (req, res, next) => {
+    try {
+        const { slug } = req.params;
+        const { customerInfo, serviceId, durationOption, staffId, date, windowStart, windowEnd, notes } = req.body;
+
+        if (!customerInfo || !customerInfo.name || !customerInfo.phone) {
+            return res.status(400).json({ success: false, message: "Customer information (name, phone) is required" });
+        }
+
+        if (!serviceId || !date) {
+            return res.status(400).json({ success: false, message: "Service and date are required" });
+        }
+
+        if (!isValidObjectId(serviceId) || (staffId && !isValidObjectId(staffId))) {
+            return res.status(400).json({ success: false, message: "Invalid service or staff ID" });
+        }
+
+        const timeRegex = /^([01]\d|2[0-3]):[0-5]\d$/;
+        const start = windowStart || "00:00";
+        const end = windowEnd || "23:59";
+        if (!timeRegex.test(start) || !timeRegex.test(end) || parseTimeToMinutes(start) >= parseTimeToMinutes(end)) {
+            return res.status(400).json({ success: false, message: "Invalid time window" });
+        }
+
+        const business = await Business.findOne({ slug, isActive: true }).select('name settings');
+        if (!business) {
+            return res.status(404).json({ success: false, message: "Business not found" });
+        }
+
+        const appointmentSettings = business.settings?.appointmentSettings;
+        if (!appointmentSettings?.allowOnlineBooking || appointmentSettings?.waitlistSettings?.enabled === false) {
+            return res.status(403).json({ success: false, message: "Waitlist is not available for this business" });
+        }
+
+        const timeZone = getBusinessTimezone(business);
+        const calendarDate = toCalendarDate(date, timeZone);
+        if (isNaN(calendarDate.getTime())) {
+            return res.status(400).json({ success: false, message: "Invalid date" });
+        }
+
+        if (calendarDate.toISOString().split('T')[0] < getZonedNow(timeZone).dateKey) {
+            return res.status(400).json({ success: false, message: "Cannot join the waitlist for a past date" });
+        }
+
+        const service = await Service.findOne({ _id: serviceId, business: business._id, isActive: true }).select('_id');
+        if (!service) {
+            return res.status(404).json({ success: false, message: "Service not found" });
+        }
+
+        const existing = await Waitlist.findOne({
+            business: business._id,
+            'customerInfo.phone': customerInfo.phone,
+            service: service._id,
+            date: calendarDate,
+            status: { $in: ['waiting', 'offered'] }
+        });
+        if (existing) {
+            return res.status(400).json({ success: false, message: "You are already on the waitlist for this day" });
+        }
+
+        const entry = await Waitlist.create({
+            business: business._id,
+            customerInfo: {
+                name: customerInfo.name,
+                phone: customerInfo.phone,
+                email: customerInfo.email
+            },
+            service: service._id,
+            durationOption: durationOption ? Number(durationOption) : undefined,
+            staff: staffId || undefined,
+            date: calendarDate,
+            windowStart: start,
+            windowEnd: end,
+            notes
+        });
+
+        const position = await Waitlist.countDocuments({
+            business: business._id,
+            date: calendarDate,
+            status: 'waiting',
+            createdAt: { $lte: entry.createdAt }
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: "Added to the waitlist. We will message you if a slot opens up.",
+            data: {
+                waitlistId: entry._id,
+                date: calendarDate.toISOString().split('T')[0],
+                windowStart: start,
+                windowEnd: end,
+                position
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Helper: Load a live waitlist offer by its claim token
+const findOpenWaitlistOffer = (token) => {
+    return Waitlist.findOne({ 'offer.tokenHash': hashClaimToken(token) })
+        .populate('business', 'name slug settings')
+        .populate('service', 'name pricingOptions price duration')
+        .populate('offer.staff', 'name role');
+};
+
+// Get a waitlist offer (public - by claim token)
+const getWaitlistOffer = async (req, res, next) => {
+    try {
+        const entry = await findOpenWaitlistOffer(req.params.token);
+
+        if (!entry) {
+            return res.status(404).json({ success: false, message: "Offer not found" });
+        }
+
+        if (entry.status !== 'offered' || entry.offer.expiresAt <= new Date()) {
+            return res.status(410).json({ success: false, message: "This offer is no longer available" });
+        }
+
+        return res.json({
+            success: true,
+            data: {
+                businessName: entry.business?.name,
+                service: entry.service ? { _id: entry.service._id, name: entry.service.name } : null,
+                staff: entry.offer.staff || null,
+                date: entry.date.toISOString().split('T')[0],
+                startTime: entry.offer.startTime,
+                endTime: entry.offer.endTime,
+                expiresAt: entry.offer.expiresAt
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Claim a waitlist offer (public - by claim token); books through the regular online booking path
+const claimWaitlistOffer = async (req, res, next) => {
+    try {
+        const entry = await findOpenWaitlistOffer(req.params.token);
+
+        if (!entry) {
+            return res.status(404).json({ success: false, message: "Offer not found" });
+        }
+
+        // Lock the offer so a double click cannot book twice
+        const locked = await Waitlist.findOneAndUpdate(
+            { _id: entry._id, status: 'offered', 'offer.expiresAt': { $gt: new Date() } },
+            { $set: { status: 'booked' } },
+            { new: true }
+        );
+
+        if (!locked) {
+            return res.status(410).json({ success: false, message: "This offer is no longer available" });
+        }
+
+        const { price, duration } = getServicePriceAndDuration(entry.service, entry.durationOption || null);
+        const bookingData = {
+            customerInfo: {
+                name: entry.customerInfo.name,
+                phone: entry.customerInfo.phone,
+                email: entry.customerInfo.email
+            },
+            appointmentDate: entry.date.toISOString().split('T')[0],
+            startTime: entry.offer.startTime,
+            endTime: entry.offer.endTime,
+            services: [{
+                serviceId: entry.service._id,
+                serviceName: entry.service.name,
+                price,
+                duration
+            }],
+            staffId: entry.offer.staff?._id || entry.offer.staff || undefined,
+            paymentMethod: 'cash',
+            customerNotes: entry.notes
+        };
+
+        // The slot may have been taken in the meantime; the customer then stays on the waitlist
+        const releaseOffer = () => Waitlist.updateOne({ _id: entry._id }, { $set: { status: 'waiting' }, $unset: { offer: 1 } });
+
+        let result;
+        try {
+            result = await executeBooking(bookingData, entry.business.slug);
+        } catch (bookingError) {
+            await releaseOffer();
+            throw bookingError;
+        }
+
+        if (!result.success) {
+            await releaseOffer();
+            return res.status(result.status || 400).json({ success: false, message: result.message });
+        }
+
+        const appointmentId = result.data.appointment._id || result.data.appointment.id;
+        await Waitlist.updateOne({ _id: entry._id }, { $set: { bookedAppointment: appointmentId } });
+
+        // Fire and forget notifications
+        sendConfirmationNotifications(appointmentId, bookingData);
+
+        return res.json({
+            success: true,
+            message: "Booking confirmed successfully!",
+            data: result.data
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Get waitlist entries (admin / manager)
+const getWaitlist = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const userRole = req.user.role;
+        const { businessId, date, status } = req.query;
+
+        let business;
+        if (userRole === 'admin') {
+            if (!businessId || !isValidObjectId(businessId)) {
+                return res.status(400).json({ success: false, message: "Business ID is required" });
+            }
+            business = await Business.findOne({ _id: businessId, admin: userId }).select('settings');
+        } else if (userRole === 'manager') {
+            const manager = await Manager.findById(userId);
+            business = manager ? await Business.findById(manager.business).select('settings') : null;
+        }
+
+        if (!business) {
+            return res.status(404).json({ success: false, message: "Business not found or access denied" });
+        }
+
+        const query = { business: business._id };
+        if (status) query.status = status;
+        if (date) {
+            const calendarDate = toCalendarDate(date, getBusinessTimezone(business));
+            if (isNaN(calendarDate.getTime())) {
+                return res.status(400).json({ success: false, message: "Invalid date" });
+            }
+            query.date = calendarDate;
+        }
+
+        const entries = await Waitlist.find(query)
+            .select('-offer.tokenHash')
+            .populate('service', 'name')
+            .populate('staff', 'name role')
+            .populate('bookedAppointment', 'bookingNumber status')
+            .sort({ date: 1, createdAt: 1 })
+            .lean();
+
+        return res.json({
+            success: true,
+            data: entries
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Remove a customer from the waitlist (admin / manager)
+const cancelWaitlistEntry = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const userRole = req.user.role;
+        const { id } = req.params;
+
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ success: false, message: "Invalid waitlist ID" });
+        }
+
+        const entry = await Waitlist.findById(id);
+        if (!entry) {
+            return res.status(404).json({ success: false, message: "Waitlist entry not found" });
+        }
+
+        let hasAccess = false;
+        if (userRole === 'admin') {
+            hasAccess = !!(await Business.exists({ _id: entry.business, admin: userId }));
+        } else if (userRole === 'manager') {
+            const manager = await Manager.findById(userId);
+            hasAccess = !!manager && manager.business.toString() === entry.business.toString();
+        }
+
+        if (!hasAccess) {
+            return res.status(403).json({ success: false, message: "Access denied" });
+        }
+
+        if (!['waiting', 'offered'].includes(entry.status)) {
+            return res.status(400).json({ success: false, message: `Waitlist entry is already ${entry.status}` });
+        }
+
+        const wasOffered = entry.status === 'offered';
+        entry.status = 'cancelled';
+        await entry.save();
+
+        // A withdrawn offer frees its slot for the next customer
+        if (wasOffered) {
+            offerNextWaitlistEntry(entry.business, entry.date)
+                .catch(err => console.error('[Waitlist] Offer error:', err.message));
+        }
+
+        return res.json({
+            success: true,
+            message: "Waitlist entry cancelled"
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
 module.exports = {
     // Public routes
     getBusinessInfoForBooking,
     getAvailableSlotsForBooking,
     getAvailableSlots,
+    validateBookingCoupon,
     bookAppointmentPublic,
     verifyBookingOTP,
+    confirmAdvancePayment,
     getAppointmentByConfirmationCode,
     cancelAppointmentByCode,
+    rescheduleAppointmentByCode,
+    joinWaitlist,
+    getWaitlistOffer,
+    claimWaitlistOffer,
     // Protected routes
     createAppointment,
     getAppointments,
@@ -3295,5 +4477,9 @@ module.exports = {
     addReview,
     getAppointmentStats,
     updateAppointmentStatus,
-    downloadInvoice
+    downloadInvoice,
+    getWaitlist,
+    cancelWaitlistEntry,
+    // Used by the payment webhook
+    finalizeHeldBooking
 };
@@ -0,0 +1,563 @@
+// appointmentSeriesController.js - Recurring appointment series
+const mongoose = require("mongoose");
+const Appointment = require("../models/Appointment");
+const AppointmentSeries = require("../models/AppointmentSeries");
+const Business = require("../models/Business");
+const Customer = require("../models/Customer");
+const Manager = require("../models/Manager");
+const Service = require("../models/Service");
+const Staff = require("../models/Staff");
+const { deleteCache } = require("../utils/cache");
+const {
+    checkBusinessOpen,
+    getServicePriceAndDuration,
+    parseTimeToMinutes,
+    minutesToTimeString
+} = require("../utils/appointmentUtils");
+const { isStaffWorkingOn, isStaffOnLeave } = require("../utils/availabilityUtils");
+const { checkResourceAvailability } = require("../utils/resourceUtils");
+const { offerNextWaitlistEntry } = require("../utils/waitlistUtils");
+const { validateRecurrenceRule, generateOccurrenceDates, describeRecurrenceRule } = require("../utils/recurrenceUtils");
+const { getBusinessTimezone, toCalendarDate, getZonedNow } = require("../utils/timezoneUtils");
+
+const SCOPES = ['this', 'following', 'all'];
+const EDITABLE_STATUSES = ['pending', 'confirmed', 'rescheduled'];
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isValidObjectId = (id) => !!id && mongoose.Types.ObjectId.isValid(id);
+
+const toDateKey = (date) => new Date(date).toISOString().split('T')[0];
+
+// Helper: Check that the current admin/manager may work on a business
+const canAccessBusiness = async (user, businessId) => {
+    if (user.role === 'admin') {
+        return !!(await Business.exists({ _id: businessId, admin: user.id }));
+    }
+    if (user.role === 'manager') {
+        const manager = await Manager.findById(user.id);
+        return !!manager && !!manager.business && manager.business.toString() === businessId.toString();
+    }
+    return false;
+};
+
+/**
+ * Why a single occurrence cannot be placed (null when it can)
+ * @param {Object} business - Business document
+ * @param {Object} occurrence - { date, startTime, endTime, service, staff (document or null) }
+ * @param {string} excludeAppointmentId - Appointment being moved, if any
+ * @returns {Promise<Object>} - { reason, allocations }
+ */
+const checkOccurrence = async (business, occurrence, excludeAppointmentId = null) => {
+    const { date, startTime, endTime, service, staff } = occurrence;
+    const timeZone = getBusinessTimezone(business);
+
+    const openCheck = checkBusinessOpen(business, date, startTime, endTime);
+    if (!openCheck.isOpen) return { reason: openCheck.reason };
+
+    if (staff) {
+        if (isStaffOnLeave(staff, date, timeZone)) return { reason: `${staff.name} is on leave` };
+        if (!isStaffWorkingOn(staff, date, timeZone)) return { reason: `${staff.name} is not working on this day` };
+
+        const isAvailable = await Appointment.checkAvailability(business._id, staff._id, date, startTime, endTime, excludeAppointmentId);
+        if (!isAvailable) return { reason: `${staff.name} is not available at ${startTime}` };
+    }
+
+    const resourceCheck = await checkResourceAvailability(business, date, [{ service, startTime, endTime }], excludeAppointmentId);
+    if (!resourceCheck.isAvailable) return { reason: resourceCheck.message };
+
+    return { reason: null, allocations: resourceCheck.allocations };
+};
+
+// Helper: Appointments of a series covered by an edit/cancel scope
+const getScopedAppointments = async (series, scope, anchor, business) => {
+    if (scope === 'this') return [anchor];
+
+    const fromDate = scope === 'following'
+        ? anchor.appointmentDate
+        : toCalendarDate(getZonedNow(getBusinessTimezone(business)).dateKey);
+
+    return Appointment.find({
+        series: series._id,
+        appointmentDate: { $gte: fromDate },
+        status: { $in: EDITABLE_STATUSES }
+    }).sort({ appointmentDate: 1 });
+};
+
+// Helper: Validate scope + anchor appointment shared by update and cancel
+const resolveScope = async (series, scope, appointmentId) => {
+    if (!SCOPES.includes(scope)) {
+        return { error: `Invalid scope. Must be one of: ${SCOPES.join(', ')}` };
+    }
+
+    if (scope === 'all') return { anchor: null };
+
+    if (!isValidObjectId(appointmentId)) {
+        return { error: "appointmentId is required for this scope" };
+    }
+
+    const anchor = await Appointment.findOne({ _id: appointmentId, series: series._id });
+    if (!anchor) {
+        return { error: "Appointment does not belong to this series", status: 404 };
+    }
+
+    if (!EDITABLE_STATUSES.includes(anchor.status)) {
+        return { error: `Appointment is already ${anchor.status}` };
+    }
+
+    return { anchor };
+};
+
+// ================== Create Series ==================
+const createSeries = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const userRole = req.user.role;
+        const {
+            businessId,
+            customerId,
+            serviceId,
+            staffId,
+            durationOption,
+            startDate,
+            startTime,
+            recurrence,
+            customerNotes,
+            bookingSource = "walk-in",
+            paymentMethod = "cash"
+        } = req.body;
+
+        // Determine business
+        let business;
+        if (userRole === 'admin') {
+            if (!businessId) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Business ID is required"
+                });
+            }
+            business = await Business.findOne({ _id: businessId, admin: userId });
+        } else if (userRole === 'manager') {
+            const manager = await Manager.findById(userId);
+            business = manager ? await Business.findById(manager.business) : null;
+        }
+
+        if (!business) {
+            return res.status(404).json({
+                success: false,
+                message: "Business not found or access denied"
+            });
+        }
+
+        if (!isValidObjectId(customerId) || !isValidObjectId(serviceId) || (staffId && !isValidObjectId(staffId))) {
+            return res.status(400).json({
+                success: false,
+                message: "Valid customer, service (and staff) IDs are required"
+            });
+        }
+
+        if (!startDate || !startTime || !TIME_REGEX.test(startTime)) {
+            return res.status(400).json({
+                success: false,
+                message: "startDate and startTime (HH:MM) are required"
+            });
+        }
+
+        const ruleError = validateRecurrenceRule(recurrence);
+        if (ruleError) {
+            return res.status(400).json({
+                success: false,
+                message: ruleError
+            });
+        }
+
+        const timeZone = getBusinessTimezone(business);
+        const firstDate = toCalendarDate(startDate, timeZone);
+        if (isNaN(firstDate.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid start date"
+            });
+        }
+
+        const [customer, service, staff] = await Promise.all([
+            Customer.findOne({ _id: customerId, business: business._id }),
+            Service.findOne({ _id: serviceId, business: business._id, isActive: true }),
+            staffId
+                ? Staff.findOne({ _id: staffId, business: business._id }).select('name status workingHours attendance.records')
+                : null
+        ]);
+
+        if (!customer) {
+            return res.status(404).json({ success: false, message: "Customer not found" });
+        }
+        if (!service) {
+            return res.status(404).json({ success: false, message: "Service not found or inactive" });
+        }
+        if (staffId && !staff) {
+            return res.status(404).json({ success: false, message: "Staff not found" });
+        }
+
+        const { price, duration } = getServicePriceAndDuration(service, durationOption ? Number(durationOption) : null);
+        const endTime = minutesToTimeString(parseTimeToMinutes(startTime) + duration);
+        const dates = generateOccurrenceDates(recurrence, firstDate, timeZone);
+
+        const series = new AppointmentSeries({
+            business: business._id,
+            customer: customer._id,
+            service: service._id,
+            staff: staff ? staff._id : undefined,
+            durationOption: durationOption ? Number(durationOption) : undefined,
+            startTime,
+            endTime,
+            recurrence: {
+                frequency: recurrence.frequency,
+                interval: Number(recurrence.interval) || 1,
+                dayOfWeek: recurrence.dayOfWeek ? String(recurrence.dayOfWeek).toLowerCase() : undefined,
+                count: recurrence.count ? Number(recurrence.count) : undefined,
+                until: recurrence.until ? toCalendarDate(recurrence.until, timeZone) : undefined
+            },
+            startDate: firstDate,
+            customerNotes,
+            createdBy: userId,
+            createdByModel: userRole === 'admin' ? 'Admin' : 'Manager'
+        });
+
+        const tax = price * 0.18; // 18% GST (same as single bookings)
+        const totalAmount = price + tax;
+
+        // Place every occurrence independently; the ones that clash are reported, not booked
+        const created = [];
+        const skipped = [];
+        for (const [index, dateKey] of dates.entries()) {
+            const date = toCalendarDate(dateKey);
+            const { reason, allocations } = await checkOccurrence(business, { date, startTime, endTime, service, staff });
+
+            if (reason) {
+                skipped.push({ date, reason });
+                continue;
+            }
+
+            const appointment = await Appointment.create({
+                business: business._id,
+                customer: customer._id,
+                service: service._id,
+                staff: staff ? staff._id : undefined,
+                resources: allocations,
+                series: series._id,
+                seriesOccurrence: index + 1,
+                appointmentDate: date,
+                startTime,
+                endTime,
+                duration,
+                servicePrice: price,
+                tax,
+                discount: 0,
+                totalAmount,
+                customerNotes,
+                bookingSource,
+                paymentMethod,
+                createdBy: userId,
+                createdByModel: userRole === 'admin' ? 'Admin' : 'Manager'
+            });
+            await service.updateStats(totalAmount);
+            created.push(appointment);
+        }
+
+        if (created.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "None of the occurrences could be booked",
+                data: {
+                    skipped: skipped.map(entry => ({ date: toDateKey(entry.date), reason: entry.reason }))
+                }
+            });
+        }
+
+        series.skippedOccurrences = skipped;
+        await series.save();
+
+        // Invalidate cache
+        await deleteCache(`business:${business._id}:appointments*`);
+        await deleteCache(`business:${business._id}:appointment:stats*`);
+
+        return res.status(201).json({
+            success: true,
+            message: skipped.length > 0
+                ? `Series created: ${created.length} booked, ${skipped.length} could not be placed`
+                : `Series created with ${created.length} appointments`,
+            data: {
+                series,
+                summary: describeRecurrenceRule(series.recurrence, firstDate),
+                appointments: created.map(appointment => ({
+                    _id: appointment._id,
+                    bookingNumber: appointment.bookingNumber,
+                    occurrence: appointment.seriesOccurrence,
+                    date: toDateKey(appointment.appointmentDate),
+                    startTime: appointment.startTime,
+                    endTime: appointment.endTime
+                })),
+                skipped: skipped.map(entry => ({ date: toDateKey(entry.date), reason: entry.reason }))
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ================== Get Series ==================
+const getSeries = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ success: false, message: "Invalid series ID" });
+        }
+
+        const series = await AppointmentSeries.findById(id)
+            .populate('customer', 'firstName lastName phone email')
+            .populate('service', 'name')
+            .populate('staff', 'name role');
+
+        if (!series) {
+            return res.status(404).json({ success: false, message: "Series not found" });
+        }
+
+        if (!(await canAccessBusiness(req.user, series.business))) {
+            return res.status(403).json({ success: false, message: "Access denied" });
+        }
+
+        const appointments = await Appointment.find({ series: series._id })
+            .select('bookingNumber seriesOccurrence appointmentDate startTime endTime status staff')
+            .populate('staff', 'name role')
+            .sort({ appointmentDate: 1 })
+            .lean();
+
+        return res.json({
+            success: true,
+            data: {
+                series,
+                summary: describeRecurrenceRule(series.recurrence, series.startDate),
+                appointments
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ================== Update Series ==================
+// scope: "this" (one occurrence), "following" (this and later) or "all" (every upcoming occurrence)
+const updateSeries = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const userRole = req.user.role;
+        const { id } = req.params;
+        const { scope = 'all', appointmentId, startTime, staffId, customerNotes } = req.body;
+
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ success: false, message: "Invalid series ID" });
+        }
+
+        if (startTime !== undefined && !TIME_REGEX.test(startTime)) {
+            return res.status(400).json({ success: false, message: "startTime must be HH:MM" });
+        }
+
+        if (staffId && !isValidObjectId(staffId)) {
+            return res.status(400).json({ success: false, message: "Invalid staff ID" });
+        }
+
+        const series = await AppointmentSeries.findById(id);
+        if (!series) {
+            return res.status(404).json({ success: false, message: "Series not found" });
+        }
+
+        if (!(await canAccessBusiness(req.user, series.business))) {
+            return res.status(403).json({ success: false, message: "Access denied" });
+        }
+
+        if (series.status === 'cancelled') {
+            return res.status(400).json({ success: false, message: "Series is cancelled" });
+        }
+
+        const { anchor, error, status } = await resolveScope(series, scope, appointmentId);
+        if (error) {
+            return res.status(status || 400).json({ success: false, message: error });
+        }
+
+        const business = await Business.findById(series.business);
+        const [service, staff] = await Promise.all([
+            Service.findById(series.service),
+            staffId
+                ? Staff.findOne({ _id: staffId, business: series.business }).select('name status workingHours attendance.records')
+                : null
+        ]);
+
+        if (staffId && !staff) {
+            return res.status(404).json({ success: false, message: "Staff not found" });
+        }
+
+        const appointments = await getScopedAppointments(series, scope, anchor, business);
+        const staffCache = new Map();
+        const updated = [];
+        const conflicts = [];
+
+        for (const appointment of appointments) {
+            const duration = parseTimeToMinutes(appointment.endTime) - parseTimeToMinutes(appointment.startTime);
+            const newStartTime = startTime || appointment.startTime;
+            const newEndTime = minutesToTimeString(parseTimeToMinutes(newStartTime) + duration);
+
+            // staffId: undefined keeps the current staff, null/"" unassigns
+            let newStaff = staff;
+            if (staffId === undefined && appointment.staff) {
+                const key = appointment.staff.toString();
+                if (!staffCache.has(key)) {
+                    staffCache.set(key, await Staff.findById(appointment.staff).select('name status workingHours attendance.records'));
+                }
+                newStaff = staffCache.get(key);
+            }
+
+            const timeChanged = newStartTime !== appointment.startTime;
+            const staffChanged = (newStaff ? newStaff._id.toString() : null) !== (appointment.staff ? appointment.staff.toString() : null);
+
+            if (timeChanged || staffChanged) {
+                const { reason } = await checkOccurrence(business, {
+                    date: appointment.appointmentDate,
+                    startTime: newStartTime,
+                    endTime: newEndTime,
+                    service,
+                    staff: newStaff
+                }, appointment._id);
+
+                if (reason) {
+                    conflicts.push({ appointmentId: appointment._id, date: toDateKey(appointment.appointmentDate), reason });
+                    continue;
+                }
+            }
+
+            if (staffChanged) appointment.staff = newStaff ? newStaff._id : undefined;
+            if (customerNotes !== undefined) appointment.customerNotes = customerNotes;
+
+            if (timeChanged) {
+                await appointment.reschedule(
+                    appointment.appointmentDate,
+                    newStartTime,
+                    newEndTime,
+                    'Recurring series updated',
+                    userId,
+                    userRole === 'admin' ? 'Admin' : 'Manager'
+                );
+            } else {
+                await appointment.save();
+            }
+            updated.push(appointment._id);
+        }
+
+        // Later occurrences follow the new template
+        if (scope !== 'this') {
+            if (startTime) {
+                const duration = parseTimeToMinutes(series.endTime) - parseTimeToMinutes(series.startTime);
+                series.startTime = startTime;
+                series.endTime = minutesToTimeString(parseTimeToMinutes(startTime) + duration);
+            }
+            if (staffId !== undefined) series.staff = staff ? staff._id : undefined;
+            if (customerNotes !== undefined) series.customerNotes = customerNotes;
+            await series.save();
+        }
+
+        // Invalidate cache
+        await deleteCache(`business:${series.business}:appointments*`);
+        await deleteCache(`business:${series.business}:appointment:stats*`);
+
+        return res.json({
+            success: true,
+            message: conflicts.length > 0
+                ? `${updated.length} appointments updated, ${conflicts.length} could not be changed`
+                : `${updated.length} appointments updated`,
+            data: {
+                updated,
+                conflicts
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ================== Cancel Series ==================
+// scope: "this" (one occurrence), "following" (this and later) or "all" (every upcoming occurrence)
+const cancelSeries = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const userRole = req.user.role;
+        const { id } = req.params;
+        const { scope = 'all', appointmentId, reason } = req.body;
+
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ success: false, message: "Invalid series ID" });
+        }
+
+        const series = await AppointmentSeries.findById(id);
+        if (!series) {
+            return res.status(404).json({ success: false, message: "Series not found" });
+        }
+
+        if (!(await canAccessBusiness(req.user, series.business))) {
+            return res.status(403).json({ success: false, message: "Access denied" });
+        }
+
+        const { anchor, error, status } = await resolveScope(series, scope, appointmentId);
+        if (error) {
+            return res.status(status || 400).json({ success: false, message: error });
+        }
+
+        const business = await Business.findById(series.business).select('settings');
+        const appointments = await getScopedAppointments(series, scope, anchor, business);
+
+        for (const appointment of appointments) {
+            await appointment.cancel(
+                reason || 'Recurring series cancelled',
+                userId,
+                userRole === 'admin' ? 'Admin' : 'Manager'
+            );
+        }
+
+        if (scope === 'all') {
+            series.status = 'cancelled';
+            series.cancelledAt = new Date();
+            await series.save();
+        } else if (scope === 'following') {
+            // The series now ends the day before the first cancelled occurrence
+            series.recurrence.until = new Date(anchor.appointmentDate.getTime() - 24 * 60 * 60 * 1000);
+            await series.save();
+        }
+
+        // Invalidate cache
+        await deleteCache(`business:${series.business}:appointments*`);
+        await deleteCache(`business:${series.business}:appointment:stats*`);
+
+        // Offer the freed slots to the waitlist
+        const freedDates = [...new Set(appointments.map(appointment => toDateKey(appointment.appointmentDate)))];
+        freedDates.forEach(dateKey => {
+            offerNextWaitlistEntry(series.business, dateKey)
+                .catch(err => console.error('[Waitlist] Offer error:', err.message));
+        });
+
+        return res.json({
+            success: true,
+            message: `${appointments.length} appointments cancelled`,
+            data: {
+                cancelled: appointments.map(appointment => appointment._id),
+                seriesStatus: series.status
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = {
+    createSeries,
+    getSeries,
+    updateSeries,
+    cancelSeries
+};
@@ -1,12 +1,115 @@
-
+const mongoose = require("mongoose");
 const Admin = require("../models/Admin");
 const Manager = require("../models/Manager");
 const Staff = require("../models/Staff");
 const Otp = require("../models/OTP");
 const { hashPassword, comparePassword } = require("../utils/hashPassword");
-const { createAccessToken, createRefreshToken, verifyRefreshToken } = require("../utils/generateToken");
+const {
+    verifyRefreshToken,
+    createPasswordResetToken,
+    decodePasswordResetToken,
+    verifyPasswordResetToken,
+    createEmailVerificationToken,
+    verifyEmailVerificationToken,
+    createTwoFactorToken,
+    verifyTwoFactorToken,
+} = require("../utils/generateToken");
+const { createSession, rotateSession, revokeSession, revokeUserSessions, listUserSessions } = require("../utils/sessionUtils");
+const { verifyPin, getPinLock, recordFailedPinAttempt, clearPinFailures } = require("../utils/pinUtils");
 const { createAndSendOTP, verifyOTP: verifyOTPUtil } = require("../utils/sendOTP");
 const { notifySuperAdmin } = require("../utils/superAdminNotifications");
+const { sendTemplateMail } = require("../utils/sendMail");
+const {
+    startTwoFactorEnrollment,
+    confirmTwoFactorEnrollment,
+    verifyTwoFactorCode,
+    regenerateBackupCodes,
+    disableTwoFactor,
+    getTwoFactorStatus,
+    getTwoFactorPolicy,
+} = require("../utils/twoFactorUtils");
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://spaadvisor.in';
+const MIN_PASSWORD_LENGTH = 6;
+
+// "30m" / "24h" token lifetimes as shown in emails
+const describeExpiry = (value) => {
+    const match = /^(\d+)\s*([smhd])$/.exec(String(value));
+    if (!match) return String(value);
+    const units = { s: 'second', m: 'minute', h: 'hour', d: 'day' };
+    const count = parseInt(match[1], 10);
+    return `${count} ${units[match[2]]}${count === 1 ? '' : 's'}`;
+};
+
+// Email the link that confirms an admin's address
+const sendVerificationEmail = (admin) => sendTemplateMail({
+    to: admin.email,
+    template: 'email_verification',
+    data: {
+        name: admin.name,
+        companyName: admin.companyName,
+        email: admin.email,
+        expiresIn: describeExpiry(process.env.EMAIL_VERIFICATION_EXPIRES || '24h'),
+        actionUrl: `${FRONTEND_URL}/verify-email?token=${encodeURIComponent(createEmailVerificationToken(admin))}`
+    }
+});
+
+// Email a single-use password reset link
+const sendPasswordResetEmail = (admin) => sendTemplateMail({
+    to: admin.email,
+    template: 'password_reset',
+    data: {
+        name: admin.name,
+        companyName: admin.companyName,
+        expiresIn: describeExpiry(process.env.PASSWORD_RESET_EXPIRES || '30m'),
+        actionUrl: `${FRONTEND_URL}/reset-password?token=${encodeURIComponent(createPasswordResetToken(admin))}`
+    }
+});
+
+// Lockout response for a manager/staff account
+const sendPinLocked = (res, lockedUntil) => {
+    const minutes = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 60000));
+    return res.status(423).json({
+        success: false,
+        isLocked: true,
+        message: `Too many wrong PIN attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or ask your admin to reset your PIN.`,
+        lockedUntil
+    });
+};
+
+// Check a PIN against the manager and/or staff accounts with this username (usernames are only
+// unique per account type). Failures count only when no account matches, so one user's typos
+// cannot lock the other out. Sends the error response and returns null when nothing matches
+const verifyAccountPin = async (candidates, pin, res) => {
+    const earliestUnlock = (locks) => new Date(Math.min(...locks.map(lockedUntil => new Date(lockedUntil).getTime())));
+
+    const unlocked = candidates.filter(({ account }) => !getPinLock(account));
+    if (unlocked.length === 0) {
+        sendPinLocked(res, earliestUnlock(candidates.map(({ account }) => account.pinSecurity.lockedUntil)));
+        return null;
+    }
+
+    for (const candidate of unlocked) {
+        const { match, needsRehash } = await verifyPin(pin, candidate.account.pin);
+        if (match) {
+            await clearPinFailures(candidate.Model, candidate.account, pin, needsRehash);
+            return candidate;
+        }
+    }
+
+    const attempts = await Promise.all(unlocked.map(({ Model, account }) => recordFailedPinAttempt(Model, account._id)));
+    const open = attempts.filter(attempt => !attempt.locked);
+    if (open.length === 0) {
+        sendPinLocked(res, earliestUnlock(attempts.map(attempt => attempt.lockedUntil)));
+    } else {
+        res.status(401).json({
+            success: false,
+            message: "Invalid username or PIN",
+            attemptsRemaining: Math.max(...open.map(attempt => attempt.attemptsRemaining))
+        });
+    }
+    return null;
+};
 
 // ================== Admin Register ==================
 const registerAdmin = async (req, res, next) => {
@@ -27,8 +130,15 @@ const registerAdmin = async (req, res, next) => {
             email,
             phone,
             password: hashedPassword,
+            emailVerified: false,
         });
 
+        // Login stays blocked until the link in this email is opened
+        const mailResult = await sendVerificationEmail(admin);
+        if (!mailResult.success) {
+            console.error(`[Auth] Verification email to ${admin.email} failed:`, mailResult.error);
+        }
+
         // Notify Super Admin in real-time
         await notifySuperAdmin({
             title: "New Admin Registered",
@@ -40,8 +150,13 @@ const registerAdmin = async (req, res, next) => {
 
         return res.status(201).json({
             success: true,
-            message: "Admin registered successfully",
-            data: { id: admin._id, companyName: admin.companyName, email: admin.email },
+            message: "Admin registered successfully. Please verify your email to log in.",
+            data: {
+                id: admin._id,
+                companyName: admin.companyName,
+                email: admin.email,
+                emailVerificationSent: Boolean(mailResult.success)
+            },
         });
     } catch (err) {
         next(err);
@@ -51,11 +166,11 @@ const registerAdmin = async (req, res, next) => {
 // ================== Login (Admin/Manager) ==================
 const login = async (req, res, next) => {
     try {
-        const { email, password, username, pin } = req.body;
+        const { email, password, username, pin, deviceName } = req.body;
 
         // Admin login with email/password
         if (email && password) {
-            const admin = await Admin.findOne({ email }).select('_id name password isActive superAdminRemark').lean();
+            const admin = await Admin.findOne({ email }).select('_id name password isActive superAdminRemark emailVerified twoFactor.enabled').lean();
             if (!admin) return res.status(404).json({ success: false, message: "Admin not found" });
 
             if (admin.isActive === false) {
@@ -70,25 +185,80 @@ const login = async (req, res, next) => {
             const isMatch = await comparePassword(password, admin.password);
             if (!isMatch) return res.status(401).json({ success: false, message: "Invalid credentials" });
 
-            const accessToken = createAccessToken({ id: admin._id, role: "admin", name: admin.name || 'admin' });
-            const refreshToken = createRefreshToken({ id: admin._id, role: "admin", name: admin.name || 'admin' });
+            // Accounts created before verification existed have no flag and are let through
+            if (admin.emailVerified === false) {
+                return res.status(403).json({
+                    success: false,
+                    emailNotVerified: true,
+                    message: "Please verify your email address. Check your inbox for the verification link."
+                });
+            }
 
-            // Do not persist refresh tokens to DB to keep login fast and stateless
-            return res.json({ success: true, accessToken, refreshToken });
+            // With 2FA on, the password only earns a short-lived token for the code step
+            if (admin.twoFactor?.enabled) {
+                return res.json({
+                    success: true,
+                    twoFactorRequired: true,
+                    twoFactorToken: createTwoFactorToken({ id: admin._id, role: "admin" }),
+                    message: "Enter the code from your authenticator app"
+                });
+            }
+
+            const { accessToken, refreshToken } = await createSession(
+                { id: admin._id, role: "admin", name: admin.name || 'admin' }, req, deviceName
+            );
+
+            // Under a mandatory 2FA policy the new session can only reach the enrolment routes
+            const policy = await getTwoFactorPolicy();
+
+            return res.json({
+                success: true,
+                accessToken,
+                refreshToken,
+                ...(policy.admins && { twoFactorSetupRequired: true })
+            });
         }
 
-        // Manager login with username/pin
+        // Manager or staff login with username/pin
         if (username && pin) {
-            // Try manager login first
-            const manager = await Manager.findOne({ username, pin })
-                .select('_id business name isActive')
-                .populate({
-                    path: 'business',
-                    select: 'name isActiveFromSuperAdmin superAdminRemark admin',
-                    populate: { path: 'admin', select: 'isActive superAdminRemark' }
-                })
-                .lean();
-            if (manager) {
+            // A manager and a staff member may share a username, so both are tried
+            const [managerAccount, staffAccount] = await Promise.all([
+                Manager.findOne({ username })
+                    .select('_id business name isActive +pin pinSecurity')
+                    .populate({
+                        path: 'business',
+                        select: 'name isActiveFromSuperAdmin superAdminRemark admin',
+                        populate: { path: 'admin', select: 'isActive superAdminRemark' }
+                    })
+                    .lean(),
+                Staff.findOne({ username })
+                    .select('_id business manager name isActive +pin pinSecurity')
+                    .populate([
+                        {
+                            path: 'business',
+                            select: 'name isActiveFromSuperAdmin superAdminRemark admin',
+                            populate: { path: 'admin', select: 'isActive superAdminRemark' }
+                        },
+                        { path: 'manager', select: 'name', options: { lean: true } }
+                    ])
+                    .lean()
+            ]);
+
+            const candidates = [
+                managerAccount && { Model: Manager, account: managerAccount },
+                staffAccount && { Model: Staff, account: staffAccount }
+            ].filter(Boolean);
+
+            if (candidates.length === 0) {
+                return res.status(404).json({ success: false, message: "User not found" });
+            }
+
+            const matched = await verifyAccountPin(candidates, pin, res);
+            if (!matched) return;
+
+            if (matched.Model === Manager) {
+                const manager = matched.account;
+
                 // Check if business or admin is active
                 if (!manager.isActive) {
                     return res.status(200).json({ success: false, message: "Your manager account is inactive." });
@@ -105,8 +275,9 @@ const login = async (req, res, next) => {
                     });
                 }
 
-                const accessToken = createAccessToken({ id: manager._id, role: "manager", name: manager.name || 'manager' });
-                const refreshToken = createRefreshToken({ id: manager._id, role: "manager", name: manager.name || 'manager' });
+                const { accessToken, refreshToken } = await createSession(
+                    { id: manager._id, role: "manager", name: manager.name || 'manager' }, req, deviceName
+                );
 
                 return res.json({
                     success: true,
@@ -116,47 +287,34 @@ const login = async (req, res, next) => {
                 });
             }
 
-            // Try staff login if manager not found
-            const staff = await Staff.findOne({ username, pin })
-                .select('_id business manager name isActive')
-                .populate([
-                    {
-                        path: 'business',
-                        select: 'name isActiveFromSuperAdmin superAdminRemark admin',
-                        populate: { path: 'admin', select: 'isActive superAdminRemark' }
-                    },
-                    { path: 'manager', select: 'name', options: { lean: true } }
-                ])
-                .lean();
-            if (staff) {
-                if (!staff.isActive) {
-                    return res.status(200).json({ success: false, message: "Your staff account is inactive." });
-                }
-
-                const biz = staff.business;
-                if (biz && (biz.isActiveFromSuperAdmin === false || (biz.admin && biz.admin.isActive === false))) {
-                    const remark = (biz.isActiveFromSuperAdmin === false) ? biz.superAdminRemark : biz.admin.superAdminRemark;
-                    return res.status(200).json({
-                        success: false,
-                        isInactive: true,
-                        message: "The business or admin account is deactivated by Super Admin.",
-                        remark: remark || "No reason provided."
-                    });
-                }
+            const staff = matched.account;
 
-                const accessToken = createAccessToken({ id: staff._id, role: "staff", name: staff.name || 'staff' });
-                const refreshToken = createRefreshToken({ id: staff._id, role: "staff", name: staff.name || 'staff' });
+            if (!staff.isActive) {
+                return res.status(200).json({ success: false, message: "Your staff account is inactive." });
+            }
 
-                return res.json({
-                    success: true,
-                    accessToken,
-                    refreshToken,
-                    business: staff.business ? staff.business.name : null,
-                    manager: staff.manager ? staff.manager.name : null,
+            const biz = staff.business;
+            if (biz && (biz.isActiveFromSuperAdmin === false || (biz.admin && biz.admin.isActive === false))) {
+                const remark = (biz.isActiveFromSuperAdmin === false) ? biz.superAdminRemark : biz.admin.superAdminRemark;
+                return res.status(200).json({
+                    success: false,
+                    isInactive: true,
+                    message: "The business or admin account is deactivated by Super Admin.",
+                    remark: remark || "No reason provided."
                 });
             }
 
-            return res.status(404).json({ success: false, message: "User not found" });
+            const { accessToken, refreshToken } = await createSession(
+                { id: staff._id, role: "staff", name: staff.name || 'staff' }, req, deviceName
+            );
+
+            return res.json({
+                success: true,
+                accessToken,
+                refreshToken,
+                business: staff.business ? staff.business.name : null,
+                manager: staff.manager ? staff.manager.name : null,
+            });
         }
 
         return res.status(400).json({ success: false, message: "Invalid login credentials" });
@@ -168,16 +326,70 @@ const login = async (req, res, next) => {
 
 
 
+// ================== Login Second Step (Admin 2FA) ==================
+const loginTwoFactor = async (req, res, next) => {
+    try {
+        const { twoFactorToken, code, deviceName } = req.body;
+
+        if (!twoFactorToken || !code) {
+            return res.status(400).json({ success: false, message: "Two-factor token and code are required" });
+        }
+
+        let decoded;
+        try {
+            decoded = verifyTwoFactorToken(twoFactorToken);
+        } catch (err) {
+            return res.status(401).json({ success: false, message: "Login expired, please enter your password again" });
+        }
+
+        if (decoded.role !== "admin") {
+            return res.status(401).json({ success: false, message: "Invalid two-factor token" });
+        }
+
+        const admin = await Admin.findById(decoded.id).select('_id name isActive superAdminRemark').lean();
+        if (!admin) return res.status(404).json({ success: false, message: "Admin not found" });
+
+        if (admin.isActive === false) {
+            return res.status(200).json({
+                success: false,
+                isInactive: true,
+                message: "Your account has been deactivated by the Super Admin.",
+                remark: admin.superAdminRemark || "No reason provided."
+            });
+        }
+
+        const result = await verifyTwoFactorCode(Admin, admin._id, code);
+        if (!result.success) {
+            return res.status(result.status).json({ success: false, message: result.message, ...(result.lockedUntil && { lockedUntil: result.lockedUntil }) });
+        }
+
+        const { accessToken, refreshToken } = await createSession(
+            { id: admin._id, role: "admin", name: admin.name || 'admin' }, req, deviceName
+        );
+
+        return res.json({
+            success: true,
+            accessToken,
+            refreshToken,
+            ...(result.method === 'backup_code' && { backupCodesRemaining: result.backupCodesRemaining })
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
 // ================== Manager Login (PIN-based) ==================
 const loginManager = async (req, res, next) => {
     try {
-        const { username, pin } = req.body;
+        const { username, pin, deviceName } = req.body;
 
-        const manager = await Manager.findOne({ username, pin }).populate("business");
+        const manager = await Manager.findOne({ username }).select('+pin').populate("business");
         if (!manager) return res.status(404).json({ success: false, message: "Manager not found" });
+        if (!(await verifyAccountPin([{ Model: Manager, account: manager }], pin, res))) return;
 
-        const accessToken = createAccessToken({ id: manager._id, role: "manager", name: manager.name || 'manager' });
-        const refreshToken = createRefreshToken({ id: manager._id, role: "manager", name: manager.name || 'manager' });
+        const { accessToken, refreshToken } = await createSession(
+            { id: manager._id, role: "manager", name: manager.name || 'manager' }, req, deviceName
+        );
 
         return res.json({
             success: true,
@@ -250,24 +462,176 @@ const verifyOTP = async (req, res, next) => {
     }
 };
 
+// ================== Forgot Password ==================
+const forgotPassword = async (req, res, next) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({ success: false, message: "Email is required" });
+        }
+
+        // Same response whether or not the email is registered
+        const genericResponse = {
+            success: true,
+            message: "If an account exists for this email, a password reset link has been sent"
+        };
+
+        const admin = await Admin.findOne({ email: String(email).toLowerCase().trim() })
+            .select('_id name companyName email password isActive')
+            .lean();
+        if (!admin || admin.isActive === false) {
+            return res.json(genericResponse);
+        }
+
+        const mailResult = await sendPasswordResetEmail(admin);
+        if (!mailResult.success) {
+            console.error(`[Auth] Password reset email to ${admin.email} failed:`, mailResult.error);
+        }
+
+        return res.json(genericResponse);
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ================== Reset Password ==================
+const resetPassword = async (req, res, next) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!token || !password) {
+            return res.status(400).json({ success: false, message: "Reset token and new password are required" });
+        }
+
+        if (String(password).length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `New password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+            });
+        }
+
+        const invalidToken = { success: false, message: "Reset link is invalid or has expired" };
+
+        const adminId = decodePasswordResetToken(token);
+        if (!adminId || !mongoose.Types.ObjectId.isValid(adminId)) {
+            return res.status(400).json(invalidToken);
+        }
+
+        const admin = await Admin.findById(adminId).select('password isActive emailVerified');
+        if (!admin || admin.isActive === false) {
+            return res.status(400).json(invalidToken);
+        }
+
+        // Signed with the password hash, so a used token (or one issued before a password change) fails here
+        try {
+            verifyPasswordResetToken(token, admin.password);
+        } catch (err) {
+            return res.status(400).json(invalidToken);
+        }
+
+        admin.password = await hashPassword(password);
+        admin.passwordChangedAt = new Date();
+        // The reset link reached this inbox, which proves the address
+        if (admin.emailVerified === false) {
+            admin.emailVerified = true;
+            admin.emailVerifiedAt = new Date();
+        }
+        await admin.save();
+
+        const sessionsRevoked = await revokeUserSessions(admin._id, 'admin', 'password_changed');
+
+        return res.json({
+            success: true,
+            message: "Password reset successfully. Please log in with your new password.",
+            data: { sessionsRevoked }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ================== Verify Email ==================
+const verifyEmail = async (req, res, next) => {
+    try {
+        const { token } = req.body;
+
+        if (!token) {
+            return res.status(400).json({ success: false, message: "Verification token is required" });
+        }
+
+        let decoded;
+        try {
+            decoded = verifyEmailVerificationToken(token);
+        } catch (err) {
+            return res.status(400).json({ success: false, message: "Verification link is invalid or has expired" });
+        }
+
+        const admin = await Admin.findById(decoded.id).select('email emailVerified');
+        // A link sent to an address the admin has since changed does not verify the new one
+        if (!admin || admin.email !== decoded.email) {
+            return res.status(400).json({ success: false, message: "Verification link is invalid or has expired" });
+        }
+
+        if (admin.emailVerified !== false) {
+            return res.json({ success: true, message: "Email already verified" });
+        }
+
+        admin.emailVerified = true;
+        admin.emailVerifiedAt = new Date();
+        await admin.save();
+
+        return res.json({ success: true, message: "Email verified successfully. You can now log in." });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ================== Resend Verification Email ==================
+const resendVerificationEmail = async (req, res, next) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({ success: false, message: "Email is required" });
+        }
+
+        const genericResponse = {
+            success: true,
+            message: "If this email is registered and not yet verified, a new verification link has been sent"
+        };
+
+        const admin = await Admin.findOne({ email: String(email).toLowerCase().trim() })
+            .select('_id name companyName email emailVerified')
+            .lean();
+        if (!admin || admin.emailVerified !== false) {
+            return res.json(genericResponse);
+        }
+
+        const mailResult = await sendVerificationEmail(admin);
+        if (!mailResult.success) {
+            console.error(`[Auth] Verification email to ${admin.email} failed:`, mailResult.error);
+        }
+
+        return res.json(genericResponse);
+    } catch (err) {
+        next(err);
+    }
+};
+
 // ================== Refresh Token ==================
 const refreshToken = async (req, res, next) => {
     try {
         const { token } = req.body;
         if (!token) return res.status(401).json({ success: false, message: "No refresh token provided" });
 
-        const decoded = verifyRefreshToken(token);
-        if (!decoded) return res.status(401).json({ success: false, message: "Invalid refresh token" });
-
-        const { id, role, name } = decoded;
-        const accessToken = createAccessToken({ id, role, name });
-        const newRefreshToken = createRefreshToken({ id, role, name });
-
-        if (role === "admin") {
-            await Admin.findByIdAndUpdate(id, { refreshToken: newRefreshToken });
+        // Rotates the session's refresh token; a reused token revokes the session
+        const result = await rotateSession(token, req);
+        if (!result.success) {
+            return res.status(result.status).json({ success: false, message: result.message });
         }
 
-        return res.json({ success: true, accessToken, refreshToken: newRefreshToken });
+        return res.json({ success: true, accessToken: result.accessToken, refreshToken: result.refreshToken });
     } catch (err) {
         next(err);
     }
@@ -282,15 +646,17 @@ const logout = async (req, res, next) => {
             return res.status(401).json({ success: false, message: "Refresh token required" });
         }
 
-        const decoded = verifyRefreshToken(token);
-        if (!decoded) {
+        let decoded;
+        try {
+            decoded = verifyRefreshToken(token);
+        } catch (err) {
             return res.status(401).json({ success: false, message: "Invalid refresh token" });
         }
 
-        const { id, role } = decoded;
+        const { id, sid } = decoded;
 
-        if (role === "admin") {
-            await Admin.findByIdAndUpdate(id, { refreshToken: null });
+        if (sid) {
+            await revokeSession(sid, 'logout', { user: id });
         }
 
         return res.json({ success: true, message: "Logged out successfully" });
@@ -299,12 +665,188 @@ const logout = async (req, res, next) => {
     }
 };
 
+// ================== Logout All Devices ==================
+const logoutAll = async (req, res, next) => {
+    try {
+        const { id, role, sessionId } = req.user;
+        const keepCurrent = req.body?.keepCurrent === true;
+
+        const revoked = await revokeUserSessions(id, role, 'logout_all', {
+            exceptSessionId: keepCurrent ? sessionId : undefined,
+            revokedBy: id
+        });
+
+        return res.json({
+            success: true,
+            message: keepCurrent ? "Logged out of all other devices" : "Logged out of all devices",
+            data: { revoked }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ================== Get My Sessions ==================
+const getSessions = async (req, res, next) => {
+    try {
+        const { id, role, sessionId } = req.user;
+        const sessions = await listUserSessions(id, role, sessionId);
+
+        return res.json({ success: true, data: sessions });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ================== Revoke My Session ==================
+const revokeMySession = async (req, res, next) => {
+    try {
+        const { id, role } = req.user;
+        const { sessionId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+            return res.status(400).json({ success: false, message: "Invalid session id" });
+        }
+
+        const revoked = await revokeSession(sessionId, 'user_revoked', { user: id, role }, id);
+        if (!revoked) {
+            return res.status(404).json({ success: false, message: "Session not found" });
+        }
+
+        return res.json({ success: true, message: "Session logged out" });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ================== Two-Factor Status ==================
+const getTwoFactor = async (req, res, next) => {
+    try {
+        const policy = await getTwoFactorPolicy();
+        const status = await getTwoFactorStatus(Admin, req.user.id, policy.admins);
+
+        return res.json({ success: true, data: status });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ================== Two-Factor Setup ==================
+const setupTwoFactor = async (req, res, next) => {
+    try {
+        const result = await startTwoFactorEnrollment(Admin, req.user.id, req.user.email);
+        if (!result.success) {
+            return res.status(result.status).json({ success: false, message: result.message });
+        }
+
+        return res.json({
+            success: true,
+            message: "Scan the QR code with your authenticator app, then confirm with a code",
+            data: { secret: result.secret, otpauthUrl: result.otpauthUrl, qrCode: result.qrCode }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ================== Two-Factor Enable ==================
+const enableTwoFactor = async (req, res, next) => {
+    try {
+        const { code } = req.body;
+        if (!code) {
+            return res.status(400).json({ success: false, message: "Verification code is required" });
+        }
+
+        const result = await confirmTwoFactorEnrollment(Admin, req.user.id, code);
+        if (!result.success) {
+            return res.status(result.status).json({ success: false, message: result.message });
+        }
+
+        return res.json({
+            success: true,
+            message: "Two-factor authentication enabled. Save your backup codes; they are shown only once.",
+            data: { backupCodes: result.backupCodes }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ================== Two-Factor Disable ==================
+const disableTwoFactorAuth = async (req, res, next) => {
+    try {
+        const { password, code } = req.body;
+        if (!password || !code) {
+            return res.status(400).json({ success: false, message: "Password and authentication code are required" });
+        }
+
+        const policy = await getTwoFactorPolicy();
+        if (policy.admins) {
+            return res.status(403).json({ success: false, message: "Two-factor authentication is mandatory on this platform" });
+        }
+
+        const admin = await Admin.findById(req.user.id).select('password').lean();
+        if (!admin || !(await comparePassword(password, admin.password))) {
+            return res.status(400).json({ success: false, message: "Password is incorrect" });
+        }
+
+        const result = await verifyTwoFactorCode(Admin, req.user.id, code);
+        if (!result.success) {
+            return res.status(result.status).json({ success: false, message: result.message });
+        }
+
+        await disableTwoFactor(Admin, req.user.id);
+
+        return res.json({ success: true, message: "Two-factor authentication disabled" });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ================== Two-Factor Backup Codes ==================
+const regenerateTwoFactorBackupCodes = async (req, res, next) => {
+    try {
+        const { code } = req.body;
+        if (!code) {
+            return res.status(400).json({ success: false, message: "Authentication code is required" });
+        }
+
+        const result = await verifyTwoFactorCode(Admin, req.user.id, code);
+        if (!result.success) {
+            return res.status(result.status).json({ success: false, message: result.message });
+        }
+
+        const backupCodes = await regenerateBackupCodes(Admin, req.user.id);
+
+        return res.json({
+            success: true,
+            message: "New backup codes generated. Previous codes no longer work.",
+            data: { backupCodes }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
 module.exports = {
     registerAdmin,
     login,
+    loginTwoFactor,
     loginManager,
     sendOTP,
     verifyOTP,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerificationEmail,
     refreshToken,
     logout,
+    logoutAll,
+    getSessions,
+    revokeMySession,
+    getTwoFactor,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactorAuth,
+    regenerateTwoFactorBackupCodes,
 }
@@ -3,6 +3,8 @@ const Manager = require("../models/Manager");
 const mongoose = require("mongoose");
 const { setCache, getCache, deleteCache } = require("../utils/cache");
 const { getFileUrl } = require("../middleware/uploadMiddleware");
+const { NUMBER_SERIES, PREFIX_PATTERN } = require("../utils/numberingUtils");
+const { MAX_DUNNING_REMINDERS } = require("../utils/dunningScheduler");
 
 // Helper function to validate MongoDB ObjectId
 const isValidObjectId = (id) => {
@@ -12,6 +14,42 @@ const isValidObjectId = (id) => {
     return mongoose.Types.ObjectId.isValid(id);
 };
 
+const HH_MM_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DAYS_OF_WEEK = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Helper function to validate a list of opening shifts ({ open, close } in HH:MM)
+// Returns an error message, or null when valid
+const validateShifts = (shifts) => {
+    if (!Array.isArray(shifts)) {
+        return "Shifts must be an array";
+    }
+
+    const toMinutes = (time) => {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    };
+
+    const sorted = [];
+    for (const shift of shifts) {
+        if (!shift || !HH_MM_REGEX.test(shift.open || '') || !HH_MM_REGEX.test(shift.close || '')) {
+            return "Each shift needs open and close times in HH:MM format";
+        }
+        if (toMinutes(shift.open) >= toMinutes(shift.close)) {
+            return `Shift ${shift.open}-${shift.close} must close after it opens`;
+        }
+        sorted.push({ start: toMinutes(shift.open), end: toMinutes(shift.close), label: `${shift.open}-${shift.close}` });
+    }
+
+    sorted.sort((a, b) => a.start - b.start);
+    for (let i = 1; i < sorted.length; i++) {
+        if (sorted[i].start < sorted[i - 1].end) {
+            return `Shifts ${sorted[i - 1].label} and ${sorted[i].label} overlap`;
+        }
+    }
+
+    return null;
+};
+
 // ================== Get Business Settings ==================
 const getBusinessSettings = async (req, res, next) => {
     try {
@@ -91,6 +129,8 @@ const getBusinessSettings = async (req, res, next) => {
                 settings: business.settings || {},
                 businessHours: hoursObj,
                 holidays: business.holidays || [],
+                daysOff: business.daysOff || [],
+                openingHours: business.openingHours || { weekly: [], overrides: [] },
                 notifications: business.notificationPreferences || {}
             }
         });
@@ -188,6 +228,18 @@ const updateAppointmentSettings = async (req, res, next) => {
         const userRole = req.user.role;
         const { businessId, appointmentSettings } = req.body;
 
+        // Reminder schedule: hours before the appointment, e.g. [24, 2]
+        const reminderSchedule = appointmentSettings?.reminderSettings?.reminderSchedule;
+        if (reminderSchedule !== undefined) {
+            if (!Array.isArray(reminderSchedule) || reminderSchedule.some(h => typeof h !== 'number' || !(h > 0))) {
+                return res.status(400).json({
+                    success: false,
+                    message: "reminderSchedule must be an array of positive hour values"
+                });
+            }
+            appointmentSettings.reminderSettings.reminderSchedule = [...new Set(reminderSchedule)].sort((a, b) => b - a);
+        }
+
         // Determine business
         let business;
         if (userRole === 'admin') {
@@ -462,6 +514,273 @@ const removeHoliday = async (req, res, next) => {
     }
 };
 
+// ================== Update Opening Hours (Split Shifts) ==================
+const updateOpeningHours = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const userRole = req.user.role;
+        const { businessId, weekly } = req.body;
+
+        if (!Array.isArray(weekly)) {
+            return res.status(400).json({
+                success: false,
+                message: "Weekly opening hours are required"
+            });
+        }
+
+        const formattedWeekly = [];
+        for (const entry of weekly) {
+            const day = (entry.day || '').toLowerCase();
+            if (!DAYS_OF_WEEK.includes(day)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid day: ${entry.day}`
+                });
+            }
+            if (formattedWeekly.some(w => w.day === day)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Duplicate entry for ${day}`
+                });
+            }
+
+            const isClosed = entry.isClosed === true;
+            const shifts = isClosed ? [] : (entry.shifts || []);
+            const shiftError = validateShifts(shifts);
+            if (shiftError) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid hours for ${day}: ${shiftError}`
+                });
+            }
+            if (!isClosed && shifts.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Provide at least one shift for ${day} or mark it closed`
+                });
+            }
+
+            formattedWeekly.push({
+                day,
+                isClosed,
+                shifts: shifts.map(({ open, close }) => ({ open, close }))
+            });
+        }
+
+        // Determine business
+        let business;
+        if (userRole === 'admin') {
+            if (!businessId || !isValidObjectId(businessId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Valid Business ID is required"
+                });
+            }
+            business = await Business.findOne({ _id: businessId, admin: userId });
+        } else if (userRole === 'manager') {
+            const manager = await Manager.findById(userId);
+            if (!manager || !manager.business) {
+                return res.status(404).json({
+                    success: false,
+                    message: "Manager not found or business not assigned"
+                });
+            }
+            if (!isValidObjectId(manager.business)) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Invalid business ID for manager"
+                });
+            }
+            business = await Business.findById(manager.business);
+        }
+
+        if (!business) {
+            return res.status(404).json({
+                success: false,
+                message: "Business not found or access denied"
+            });
+        }
+
+        if (!business.openingHours) {
+            business.openingHours = { weekly: [], overrides: [] };
+        }
+        business.openingHours.weekly = formattedWeekly;
+        business.markModified('openingHours');
+        await business.save();
+
+        // Invalidate cache
+        await deleteCache(`business:${business._id}`);
+
+        return res.json({
+            success: true,
+            message: "Opening hours updated successfully",
+            data: { openingHours: business.openingHours }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ================== Add/Replace Date-Specific Hours ==================
+const addHoursOverride = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const userRole = req.user.role;
+        const { businessId, date, isClosed = false, shifts = [], reason } = req.body;
+
+        if (!date || isNaN(new Date(date).getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: "Valid date is required"
+            });
+        }
+
+        if (!isClosed) {
+            const shiftError = validateShifts(shifts);
+            if (shiftError || shifts.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: shiftError || "Provide at least one shift or mark the date closed"
+                });
+            }
+        }
+
+        // Determine business
+        let business;
+        if (userRole === 'admin') {
+            if (!businessId || !isValidObjectId(businessId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Valid Business ID is required"
+                });
+            }
+            business = await Business.findOne({ _id: businessId, admin: userId });
+        } else if (userRole === 'manager') {
+            const manager = await Manager.findById(userId);
+            if (!manager || !manager.business) {
+                return res.status(404).json({
+                    success: false,
+                    message: "Manager not found or business not assigned"
+                });
+            }
+            if (!isValidObjectId(manager.business)) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Invalid business ID for manager"
+                });
+            }
+            business = await Business.findById(manager.business);
+        }
+
+        if (!business) {
+            return res.status(404).json({
+                success: false,
+                message: "Business not found or access denied"
+            });
+        }
+
+        if (!business.openingHours) {
+            business.openingHours = { weekly: [], overrides: [] };
+        }
+
+        // One override per date: replace any existing entry
+        const overrides = (business.openingHours.overrides || []).filter(
+            o => new Date(o.date).toDateString() !== new Date(date).toDateString()
+        );
+        overrides.push({
+            date: new Date(date),
+            isClosed: isClosed === true,
+            shifts: isClosed ? [] : shifts.map(({ open, close }) => ({ open, close })),
+            reason
+        });
+        overrides.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+        business.openingHours.overrides = overrides;
+        business.markModified('openingHours');
+        await business.save();
+
+        // Invalidate cache
+        await deleteCache(`business:${business._id}`);
+
+        return res.json({
+            success: true,
+            message: "Date-specific hours saved successfully",
+            data: { overrides: business.openingHours.overrides }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ================== Remove Date-Specific Hours ==================
+const removeHoursOverride = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const userRole = req.user.role;
+        const { businessId, date } = req.body;
+
+        if (!date) {
+            return res.status(400).json({
+                success: false,
+                message: "Date is required"
+            });
+        }
+
+        // Determine business
+        let business;
+        if (userRole === 'admin') {
+            if (!businessId || !isValidObjectId(businessId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Valid Business ID is required"
+                });
+            }
+            business = await Business.findOne({ _id: businessId, admin: userId });
+        } else if (userRole === 'manager') {
+            const manager = await Manager.findById(userId);
+            if (!manager || !manager.business) {
+                return res.status(404).json({
+                    success: false,
+                    message: "Manager not found or business not assigned"
+                });
+            }
+            if (!isValidObjectId(manager.business)) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Invalid business ID for manager"
+                });
+            }
+            business = await Business.findById(manager.business);
+        }
+
+        if (!business) {
+            return res.status(404).json({
+                success: false,
+                message: "Business not found or access denied"
+            });
+        }
+
+        if (business.openingHours && business.openingHours.overrides) {
+            business.openingHours.overrides = business.openingHours.overrides.filter(
+                o => new Date(o.date).toDateString() !== new Date(date).toDateString()
+            );
+            business.markModified('openingHours');
+            await business.save();
+        }
+
+        // Invalidate cache
+        await deleteCache(`business:${business._id}`);
+
+        return res.json({
+            success: true,
+            message: "Date-specific hours removed successfully",
+            data: { overrides: (business.openingHours && business.openingHours.overrides) || [] }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
 // ================== Update Payment Settings ==================
 const updatePaymentSettings = async (req, res, next) => {
     try {
@@ -600,6 +919,195 @@ const updateTaxSettings = async (req, res, next) => {
     }
 };
 
+// ================== Update Numbering Settings ==================
+const updateNumberingSettings = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const userRole = req.user.role;
+        const { businessId, numberingSettings } = req.body;
+
+        if (!numberingSettings || typeof numberingSettings !== 'object') {
+            return res.status(400).json({
+                success: false,
+                message: "numberingSettings is required"
+            });
+        }
+
+        // Prefixes: letters, digits and hyphens (e.g. SPA-BLR)
+        const prefixFields = Object.values(NUMBER_SERIES).map(({ setting }) => setting);
+        for (const field of prefixFields) {
+            const value = numberingSettings[field];
+            if (value !== undefined && value !== null && value !== '' && !PREFIX_PATTERN.test(String(value).trim())) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${field} must be 1-16 letters, digits or hyphens`
+                });
+            }
+        }
+
+        if (numberingSettings.padding !== undefined &&
+            (!Number.isInteger(numberingSettings.padding) || numberingSettings.padding < 3 || numberingSettings.padding > 10)) {
+            return res.status(400).json({
+                success: false,
+                message: "padding must be a whole number between 3 and 10"
+            });
+        }
+
+        // Determine business
+        let business;
+        if (userRole === 'admin') {
+            if (!businessId || !isValidObjectId(businessId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Valid Business ID is required"
+                });
+            }
+            business = await Business.findOne({ _id: businessId, admin: userId });
+        } else if (userRole === 'manager') {
+            const manager = await Manager.findById(userId);
+            if (!manager || !manager.business) {
+                return res.status(404).json({
+                    success: false,
+                    message: "Manager not found or business not assigned"
+                });
+            }
+            business = await Business.findById(manager.business);
+        }
+
+        if (!business) {
+            return res.status(404).json({
+                success: false,
+                message: "Business not found or access denied"
+            });
+        }
+
+        if (!business.settings) {
+            business.settings = {};
+        }
+
+        // Sequences run per financial year regardless of prefix, so a new prefix continues the count
+        const current = business.settings.numberingSettings?.toObject?.() || business.settings.numberingSettings || {};
+        const updated = { ...current };
+        prefixFields.forEach(field => {
+            if (numberingSettings[field] !== undefined) {
+                updated[field] = numberingSettings[field] ? String(numberingSettings[field]).trim().toUpperCase() : undefined;
+            }
+        });
+        if (numberingSettings.padding !== undefined) {
+            updated.padding = numberingSettings.padding;
+        }
+        business.settings.numberingSettings = updated;
+
+        business.markModified('settings');
+        await business.save();
+
+        // Invalidate cache
+        await deleteCache(`business:${business._id}`);
+
+        return res.json({
+            success: true,
+            message: "Numbering settings updated successfully",
+            data: { numberingSettings: business.settings.numberingSettings }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ================== Update Dunning Settings ==================
+const updateDunningSettings = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const userRole = req.user.role;
+        const { businessId, dunningSettings } = req.body;
+
+        if (!dunningSettings || typeof dunningSettings !== 'object') {
+            return res.status(400).json({
+                success: false,
+                message: "dunningSettings is required"
+            });
+        }
+
+        const { reminderDays } = dunningSettings;
+        if (reminderDays !== undefined) {
+            if (!Array.isArray(reminderDays) || reminderDays.length > MAX_DUNNING_REMINDERS ||
+                !reminderDays.every(day => Number.isInteger(day) && day >= 0 && day <= 365)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `reminderDays must be up to ${MAX_DUNNING_REMINDERS} whole numbers of days (0-365) after the due date`
+                });
+            }
+        }
+
+        const booleanFields = ['enabled', 'sendEmail', 'sendSMS', 'sendWhatsapp', 'includePaymentLink'];
+        const invalidField = booleanFields.find(field => dunningSettings[field] !== undefined && typeof dunningSettings[field] !== 'boolean');
+        if (invalidField) {
+            return res.status(400).json({
+                success: false,
+                message: `${invalidField} must be true or false`
+            });
+        }
+
+        // Determine business
+        let business;
+        if (userRole === 'admin') {
+            if (!businessId || !isValidObjectId(businessId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Valid Business ID is required"
+                });
+            }
+            business = await Business.findOne({ _id: businessId, admin: userId });
+        } else if (userRole === 'manager') {
+            const manager = await Manager.findById(userId);
+            if (!manager || !manager.business) {
+                return res.status(404).json({
+                    success: false,
+                    message: "Manager not found or business not assigned"
+                });
+            }
+            business = await Business.findById(manager.business);
+        }
+
+        if (!business) {
+            return res.status(404).json({
+                success: false,
+                message: "Business not found or access denied"
+            });
+        }
+
+        if (!business.settings) {
+            business.settings = {};
+        }
+
+        const current = business.settings.dunningSettings?.toObject?.() || business.settings.dunningSettings || {};
+        const updated = { ...current };
+        booleanFields.forEach(field => {
+            if (dunningSettings[field] !== undefined) {
+                updated[field] = dunningSettings[field];
+            }
+        });
+        if (reminderDays !== undefined) {
+            updated.reminderDays = [...new Set(reminderDays)].sort((a, b) => a - b);
+        }
+        business.settings.dunningSettings = updated;
+
+        business.markModified('settings');
+        await business.save();
+
+        // Invalidate cache
+        await deleteCache(`business:${business._id}`);
+
+        return res.json({
+            success: true,
+            message: "Dunning settings updated successfully",
+            data: { dunningSettings: business.settings.dunningSettings }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
 // ================== Update General Settings ==================
 const updateGeneralSettings = async (req, res, next) => {
     try {
@@ -894,8 +1402,13 @@ module.exports = {
     updateNotificationPreferences,
     addHoliday,
     removeHoliday,
+    updateOpeningHours,
+    addHoursOverride,
+    removeHoursOverride,
     updatePaymentSettings,
     updateTaxSettings,
+    updateNumberingSettings,
+    updateDunningSettings,
     updateGeneralSettings,
     updateLoyaltySettings,
     updateBusinessProfile,
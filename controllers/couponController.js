@@ -0,0 +1,444 @@
+const mongoose = require("mongoose");
+const Coupon = require("../models/Coupon");
+const CouponRedemption = require("../models/CouponRedemption");
+const Business = require("../models/Business");
+const Manager = require("../models/Manager");
+const Service = require("../models/Service");
+const {
+    COUPON_CODE_PATTERN,
+    normalizeCouponCode,
+    generateCouponCode,
+    validateCoupon
+} = require("../utils/couponUtils");
+
+// Largest batch of single-use codes generated in one request
+const MAX_BATCH_SIZE = 1000;
+
+// Fields an admin or manager can set on a coupon
+const EDITABLE_FIELDS = [
+    'description', 'discountType', 'discountValue', 'maxDiscount', 'minSpend',
+    'applicableServices', 'applicableCategories', 'eligibleCustomers',
+    'usageLimit', 'perCustomerLimit', 'validFrom', 'validUntil', 'isActive'
+];
+
+/**
+ * Business the request acts on: admins name one of their businesses, managers use their own
+ * @returns {Promise<Object>} - { business } or { status, message }
+ */
+const resolveBusiness = async (req, businessId) => {
+    if (req.user.role === 'admin') {
+        if (!businessId) {
+            return { status: 400, message: "Business ID is required" };
+        }
+        const business = await Business.findOne({ _id: businessId, admin: req.user.id });
+        return business ? { business } : { status: 404, message: "Business not found or access denied" };
+    }
+
+    const manager = await Manager.findById(req.user.id);
+    if (!manager || !manager.business) {
+        return { status: 404, message: "Manager not found" };
+    }
+    const business = await Business.findById(manager.business);
+    return business ? { business } : { status: 404, message: "Business not found" };
+};
+
+/**
+ * Check and normalize coupon fields from a request body
+ * @param {Object} fields - Request body
+ * @param {Object} [current] - Existing coupon when updating
+ * @returns {string|null} - Error message
+ */
+const validateCouponFields = (fields, current = {}) => {
+    const discountType = fields.discountType ?? current.discountType;
+    const discountValue = fields.discountValue ?? current.discountValue;
+
+    if (!['percentage', 'fixed'].includes(discountType)) {
+        return "discountType must be 'percentage' or 'fixed'";
+    }
+    if (typeof discountValue !== 'number' || discountValue <= 0) {
+        return "discountValue must be a number greater than 0";
+    }
+    if (discountType === 'percentage' && discountValue > 100) {
+        return "A percentage discount cannot exceed 100";
+    }
+
+    for (const field of ['maxDiscount', 'minSpend']) {
+        if (fields[field] !== undefined && fields[field] !== null && !(typeof fields[field] === 'number' && fields[field] >= 0)) {
+            return `${field} must be a number of at least 0`;
+        }
+    }
+    for (const field of ['usageLimit', 'perCustomerLimit']) {
+        if (fields[field] !== undefined && fields[field] !== null && !(Number.isInteger(fields[field]) && fields[field] >= 1)) {
+            return `${field} must be a whole number of at least 1`;
+        }
+    }
+
+    for (const field of ['applicableServices', 'eligibleCustomers']) {
+        if (fields[field] !== undefined) {
+            if (!Array.isArray(fields[field]) || !fields[field].every(id => mongoose.Types.ObjectId.isValid(id))) {
+                return `${field} must be a list of IDs`;
+            }
+        }
+    }
+    if (fields.applicableCategories !== undefined && !Array.isArray(fields.applicableCategories)) {
+        return "applicableCategories must be a list";
+    }
+
+    const validFrom = fields.validFrom !== undefined ? new Date(fields.validFrom) : current.validFrom;
+    const validUntil = fields.validUntil !== undefined && fields.validUntil !== null ? new Date(fields.validUntil) : current.validUntil;
+    if ((validFrom && isNaN(validFrom)) || (validUntil && isNaN(validUntil))) {
+        return "Invalid validity dates";
+    }
+    if (validFrom && validUntil && validUntil <= validFrom) {
+        return "validUntil must be after validFrom";
+    }
+
+    return null;
+};
+
+const pickCouponFields = (body) => {
+    const fields = {};
+    EDITABLE_FIELDS.forEach(field => {
+        if (body[field] !== undefined) fields[field] = body[field];
+    });
+    return fields;
+};
+
+// ================== Coupons ==================
+
+/**
+ * @route   POST /api/coupons
+ * @desc    Create a coupon
+ * @access  Admin, Manager
+ */
+const createCoupon = async (req, res, next) => {
+    try {
+        const { businessId, code } = req.body;
+
+        const resolved = await resolveBusiness(req, businessId);
+        if (!resolved.business) {
+            return res.status(resolved.status).json({ success: false, message: resolved.message });
+        }
+
+        const normalizedCode = normalizeCouponCode(code);
+        if (!COUPON_CODE_PATTERN.test(normalizedCode)) {
+            return res.status(400).json({
+                success: false,
+                message: "Code must be 3-30 letters, digits or hyphens"
+            });
+        }
+
+        const fields = pickCouponFields(req.body);
+        const fieldError = validateCouponFields(fields);
+        if (fieldError) {
+            return res.status(400).json({ success: false, message: fieldError });
+        }
+
+        const existing = await Coupon.findOne({ business: resolved.business._id, code: normalizedCode });
+        if (existing) {
+            return res.status(409).json({ success: false, message: "A coupon with this code already exists" });
+        }
+
+        const coupon = await Coupon.create({
+            ...fields,
+            business: resolved.business._id,
+            code: normalizedCode,
+            source: 'manual',
+            createdBy: req.user.id,
+            createdByModel: req.user.role === 'admin' ? 'Admin' : 'Manager'
+        });
+
+        res.status(201).json({
+            success: true,
+            message: "Coupon created successfully",
+            data: coupon
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * @route   POST /api/coupons/batch
+ * @desc    Generate single-use codes for a campaign
+ * @access  Admin, Manager
+ */
+const generateCouponBatch = async (req, res, next) => {
+    try {
+        const { businessId, prefix = '', count, campaignId } = req.body;
+
+        const resolved = await resolveBusiness(req, businessId);
+        if (!resolved.business) {
+            return res.status(resolved.status).json({ success: false, message: resolved.message });
+        }
+
+        if (!Number.isInteger(count) || count < 1 || count > MAX_BATCH_SIZE) {
+            return res.status(400).json({
+                success: false,
+                message: `count must be a whole number between 1 and ${MAX_BATCH_SIZE}`
+            });
+        }
+        if (prefix && !/^[A-Za-z0-9]{1,12}$/.test(prefix)) {
+            return res.status(400).json({ success: false, message: "Prefix must be up to 12 letters or digits" });
+        }
+        if (campaignId && !mongoose.Types.ObjectId.isValid(campaignId)) {
+            return res.status(400).json({ success: false, message: "Invalid campaign ID" });
+        }
+
+        const fields = pickCouponFields(req.body);
+        delete fields.usageLimit;
+        delete fields.eligibleCustomers;
+        const fieldError = validateCouponFields(fields);
+        if (fieldError) {
+            return res.status(400).json({ success: false, message: fieldError });
+        }
+
+        const batchId = `${normalizeCouponCode(prefix) || 'BATCH'}-${Date.now().toString(36).toUpperCase()}`;
+        const codes = new Set();
+        while (codes.size < count) {
+            codes.add(generateCouponCode(prefix || 'PROMO', 8));
+        }
+
+        const coupons = await Coupon.insertMany([...codes].map(code => ({
+            ...fields,
+            business: resolved.business._id,
+            code,
+            usageLimit: 1,
+            perCustomerLimit: 1,
+            source: 'campaign',
+            campaign: campaignId,
+            batchId,
+            createdBy: req.user.id,
+            createdByModel: req.user.role === 'admin' ? 'Admin' : 'Manager'
+        })));
+
+        res.status(201).json({
+            success: true,
+            message: `${coupons.length} coupon codes generated`,
+            data: {
+                batchId,
+                codes: coupons.map(coupon => coupon.code)
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * @route   GET /api/coupons
+ * @desc    List coupons of a business
+ * @access  Admin, Manager
+ */
+const getCoupons = async (req, res, next) => {
+    try {
+        const { businessId, status, source, batchId, search, page = 1, limit = 20 } = req.query;
+
+        const resolved = await resolveBusiness(req, businessId);
+        if (!resolved.business) {
+            return res.status(resolved.status).json({ success: false, message: resolved.message });
+        }
+
+        const query = { business: resolved.business._id };
+        const now = new Date();
+        if (status === 'active') {
+            query.isActive = true;
+            query.$or = [{ validUntil: null }, { validUntil: { $gte: now } }];
+        } else if (status === 'expired') {
+            query.validUntil = { $lt: now };
+        } else if (status === 'inactive') {
+            query.isActive = false;
+        }
+        if (source) query.source = source;
+        if (batchId) query.batchId = batchId;
+        if (search) {
+            query.code = { $regex: normalizeCouponCode(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&') };
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const [coupons, total] = await Promise.all([
+            Coupon.find(query)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .populate('applicableServices', 'name category')
+                .lean(),
+            Coupon.countDocuments(query)
+        ]);
+
+        res.json({
+            success: true,
+            data: coupons,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / parseInt(limit))
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * @route   GET /api/coupons/:id
+ * @desc    Coupon with its recent redemptions
+ * @access  Admin, Manager
+ */
+const getCouponById = async (req, res, next) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id).populate('applicableServices', 'name category');
+        if (!coupon) {
+            return res.status(404).json({ success: false, message: "Coupon not found" });
+        }
+
+        const resolved = await resolveBusiness(req, coupon.business.toString());
+        if (!resolved.business || resolved.business._id.toString() !== coupon.business.toString()) {
+            return res.status(403).json({ success: false, message: "Access denied" });
+        }
+
+        const redemptions = await CouponRedemption.find({ coupon: coupon._id })
+            .sort({ createdAt: -1 })
+            .limit(50)
+            .populate('customer', 'firstName lastName phone')
+            .lean();
+
+        res.json({
+            success: true,
+            data: { ...coupon.toObject(), redemptions }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * @route   PUT /api/coupons/:id
+ * @desc    Update a coupon (the code itself cannot change)
+ * @access  Admin, Manager
+ */
+const updateCoupon = async (req, res, next) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+        if (!coupon) {
+            return res.status(404).json({ success: false, message: "Coupon not found" });
+        }
+
+        const resolved = await resolveBusiness(req, coupon.business.toString());
+        if (!resolved.business || resolved.business._id.toString() !== coupon.business.toString()) {
+            return res.status(403).json({ success: false, message: "Access denied" });
+        }
+
+        const fields = pickCouponFields(req.body);
+        const fieldError = validateCouponFields(fields, coupon);
+        if (fieldError) {
+            return res.status(400).json({ success: false, message: fieldError });
+        }
+        if (fields.usageLimit && fields.usageLimit < coupon.usedCount) {
+            return res.status(400).json({
+                success: false,
+                message: `Coupon has already been used ${coupon.usedCount} times`
+            });
+        }
+
+        Object.assign(coupon, fields);
+        await coupon.save();
+
+        res.json({
+            success: true,
+            message: "Coupon updated successfully",
+            data: coupon
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * @route   DELETE /api/coupons/:id
+ * @desc    Deactivate a coupon (kept for redemption history)
+ * @access  Admin, Manager
+ */
+const deactivateCoupon = async (req, res, next) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+        if (!coupon) {
+            return res.status(404).json({ success: false, message: "Coupon not found" });
+        }
+
+        const resolved = await resolveBusiness(req, coupon.business.toString());
+        if (!resolved.business || resolved.business._id.toString() !== coupon.business.toString()) {
+            return res.status(403).json({ success: false, message: "Access denied" });
+        }
+
+        coupon.isActive = false;
+        await coupon.save();
+
+        res.json({
+            success: true,
+            message: "Coupon deactivated successfully"
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * @route   POST /api/coupons/validate
+ * @desc    Check a code against services before billing
+ * @access  Admin, Manager
+ */
+const validateCouponCode = async (req, res, next) => {
+    try {
+        const { businessId, code, customerId, items = [] } = req.body;
+
+        const resolved = await resolveBusiness(req, businessId);
+        if (!resolved.business) {
+            return res.status(resolved.status).json({ success: false, message: resolved.message });
+        }
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({ success: false, message: "At least one item is required" });
+        }
+
+        const serviceIds = items.map(item => item.service).filter(id => id && mongoose.Types.ObjectId.isValid(id));
+        const services = await Service.find({ _id: { $in: serviceIds } }).select('category').lean();
+        const categoryById = new Map(services.map(service => [service._id.toString(), service.category]));
+
+        const lines = items.map(item => ({
+            service: item.service,
+            category: item.service ? categoryById.get(item.service.toString()) : undefined,
+            amount: (Number(item.price) || 0) * (Number(item.quantity) || 1) - (Number(item.discount) || 0)
+        }));
+
+        const result = await validateCoupon({
+            businessId: resolved.business._id,
+            code,
+            customerId,
+            lines
+        });
+
+        res.json({
+            success: true,
+            data: {
+                valid: result.valid,
+                message: result.message,
+                code: result.coupon ? result.coupon.code : normalizeCouponCode(code),
+                discount: result.discount,
+                eligibleAmount: result.eligibleAmount || 0
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = {
+    createCoupon,
+    generateCouponBatch,
+    getCoupons,
+    getCouponById,
+    updateCoupon,
+    deactivateCoupon,
+    validateCouponCode
+};
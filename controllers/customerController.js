@@ -1,10 +1,15 @@
 // customerController.js - Customer management operations
+const mongoose = require("mongoose");
 const Customer = require("../models/Customer");
 const Business = require("../models/Business");
 const Manager = require("../models/Manager");
 const Appointment = require("../models/Appointment");
 const Transaction = require("../models/Transaction");
 const { setCache, getCache, deleteCache } = require("../utils/cache");
+const { isValidGstin } = require("../utils/gstUtils");
+const CustomerMerge = require("../models/CustomerMerge");
+const { MAX_MERGE_DUPLICATES, findDuplicateCustomers, mergeCustomers: mergeCustomerRecords } = require("../utils/customerMergeUtils");
+const { parseCustomerImport, classifyImportRows, summarizeImportRows, commitCustomerImport } = require("../utils/customerImportUtils");
 
 // ================== Create Customer ==================
 const createCustomer = async (req, res, next) => {
@@ -34,9 +39,17 @@ const createCustomer = async (req, res, next) => {
             marketingConsent,
             socialMedia,
             emergencyContact,
-            customFields
+            customFields,
+            gstNumber
         } = req.body;
 
+        if (gstNumber && !isValidGstin(gstNumber)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid GSTIN"
+            });
+        }
+
         // Determine business ID based on user role
         let business;
         if (userRole === 'admin') {
@@ -66,7 +79,7 @@ const createCustomer = async (req, res, next) => {
         }
 
         // Check if customer exists by phone
-        let customer = await Customer.findOne({ business: business._id, phone });
+        let customer = await Customer.resolveMerged(await Customer.findOne({ business: business._id, phone }));
 
         if (customer) {
             // Update existing customer
@@ -107,6 +120,7 @@ const createCustomer = async (req, res, next) => {
             customer.socialMedia = socialMedia;
             customer.emergencyContact = emergencyContact;
             customer.customFields = customFields;
+            customer.gstNumber = gstNumber;
 
             customer.updatedBy = userId;
             customer.updatedByModel = userRole === 'admin' ? 'Admin' : 'Manager';
@@ -165,6 +179,7 @@ const createCustomer = async (req, res, next) => {
             socialMedia,
             emergencyContact,
             customFields,
+            gstNumber,
             createdBy: userId,
             createdByModel: userRole === 'admin' ? 'Admin' : 'Manager',
             firstVisit: new Date()
@@ -592,6 +607,13 @@ const updateCustomer = async (req, res, next) => {
         const { id } = req.params;
         const updates = req.body;
 
+        if (updates.gstNumber && !isValidGstin(updates.gstNumber)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid GSTIN"
+            });
+        }
+
         const customer = await Customer.findById(id);
 
         if (!customer) {
@@ -1546,6 +1568,283 @@ const updateCustomerTier = async (req, res, next) => {
     }
 };
 
+// ================== Customer Import ==================
+
+// Business of the caller and the parsed rows of the uploaded sheet (sends the error response itself)
+const loadCustomerImport = async (req, res) => {
+    const userId = req.user.id;
+    const userRole = req.user.role;
+    const { businessId } = req.body;
+
+    let business;
+    if (userRole === 'admin') {
+        if (!businessId) {
+            res.status(400).json({
+                success: false,
+                message: "Business ID is required"
+            });
+            return null;
+        }
+        business = await Business.findOne({ _id: businessId, admin: userId });
+    } else if (userRole === 'manager') {
+        const manager = await Manager.findById(userId);
+        business = manager ? await Business.findById(manager.business) : null;
+    }
+
+    if (!business) {
+        res.status(404).json({
+            success: false,
+            message: "Business not found or access denied"
+        });
+        return null;
+    }
+
+    // The sheet comes as an uploaded file, or as text in the body
+    const csv = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+    if (!csv || typeof csv !== 'string') {
+        res.status(400).json({
+            success: false,
+            message: "Upload a CSV file"
+        });
+        return null;
+    }
+
+    // Multipart forms send the column mapping as a JSON string
+    let mapping = req.body.mapping || {};
+    if (typeof mapping === 'string') {
+        try {
+            mapping = JSON.parse(mapping);
+        } catch (err) {
+            res.status(400).json({
+                success: false,
+                message: "Column mapping must be valid JSON"
+            });
+            return null;
+        }
+    }
+
+    const parsed = parseCustomerImport(csv, mapping);
+    if (parsed.error) {
+        res.status(400).json({
+            success: false,
+            message: parsed.error
+        });
+        return null;
+    }
+
+    const rows = await classifyImportRows(business._id, parsed.rows);
+    return { business, parsed, rows };
+};
+
+// Preview an import: column mapping, duplicates against existing customers and row errors
+const previewCustomerImport = async (req, res, next) => {
+    try {
+        const loaded = await loadCustomerImport(req, res);
+        if (!loaded) return;
+
+        const { parsed, rows } = loaded;
+        return res.json({
+            success: true,
+            data: {
+                columns: parsed.headers,
+                mapping: parsed.mapping,
+                unmappedColumns: parsed.unmapped,
+                ...summarizeImportRows(rows)
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Import customers from a sheet; existing customers are skipped unless onDuplicate is 'update'
+const importCustomers = async (req, res, next) => {
+    try {
+        const { onDuplicate = 'skip' } = req.body;
+        if (!['skip', 'update'].includes(onDuplicate)) {
+            return res.status(400).json({
+                success: false,
+                message: "onDuplicate must be 'skip' or 'update'"
+            });
+        }
+
+        const loaded = await loadCustomerImport(req, res);
+        if (!loaded) return;
+
+        const { business, rows } = loaded;
+        const result = await commitCustomerImport(business, rows, {
+            onDuplicate,
+            userId: req.user.id,
+            userModel: req.user.role === 'admin' ? 'Admin' : 'Manager'
+        });
+
+        // Invalidate cache
+        await deleteCache(`business:${business._id}:customers`);
+
+        return res.json({
+            success: true,
+            message: `Imported ${result.created} new and updated ${result.updated} existing customers`,
+            data: {
+                total: rows.length,
+                ...result
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ================== Duplicate Customers ==================
+
+// Business the caller may act on (admin: businessId from query/body, manager: own business)
+const resolveCustomerBusiness = async (req) => {
+    const businessId = req.query.businessId || req.body?.businessId;
+    if (req.user.role === 'admin') {
+        if (!businessId) return null;
+        return Business.findOne({ _id: businessId, admin: req.user.id });
+    }
+    const manager = await Manager.findById(req.user.id);
+    return manager ? Business.findById(manager.business) : null;
+};
+
+// Groups of customers that look like the same person (same phone, same email, or similar name + DOB)
+const getDuplicateCustomers = async (req, res, next) => {
+    try {
+        const business = await resolveCustomerBusiness(req);
+        if (!business) {
+            return res.status(404).json({
+                success: false,
+                message: "Business not found or access denied"
+            });
+        }
+
+        const groups = await findDuplicateCustomers(business._id);
+
+        return res.json({
+            success: true,
+            data: {
+                totalGroups: groups.length,
+                groups
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Merge duplicates into the customer to keep
+const mergeCustomers = async (req, res, next) => {
+    try {
+        const { survivorId, duplicateIds, reason } = req.body;
+
+        if (!survivorId || !mongoose.Types.ObjectId.isValid(survivorId)) {
+            return res.status(400).json({
+                success: false,
+                message: "Valid survivorId (customer to keep) is required"
+            });
+        }
+        if (!Array.isArray(duplicateIds) || duplicateIds.length === 0 || duplicateIds.length > MAX_MERGE_DUPLICATES) {
+            return res.status(400).json({
+                success: false,
+                message: `duplicateIds must list 1 to ${MAX_MERGE_DUPLICATES} customers to merge`
+            });
+        }
+        if (duplicateIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid customer ID in duplicateIds"
+            });
+        }
+
+        const business = await resolveCustomerBusiness(req);
+        if (!business) {
+            return res.status(404).json({
+                success: false,
+                message: "Business not found or access denied"
+            });
+        }
+
+        const result = await mergeCustomerRecords(business, survivorId, duplicateIds, {
+            userId: req.user.id,
+            userModel: req.user.role === 'admin' ? 'Admin' : 'Manager',
+            reason
+        });
+
+        if (!result.success) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        // Invalidate cache
+        await deleteCache(`business:${business._id}:customers`);
+
+        return res.json({
+            success: true,
+            message: `Merged ${duplicateIds.length} customer(s) into ${result.survivor.fullName}`,
+            data: {
+                customer: {
+                    id: result.survivor._id,
+                    fullName: result.survivor.fullName,
+                    phone: result.survivor.phone,
+                    email: result.survivor.email,
+                    totalVisits: result.survivor.totalVisits,
+                    totalSpent: result.survivor.totalSpent,
+                    loyaltyPoints: result.survivor.loyaltyPoints
+                },
+                mergeId: result.merge._id,
+                reassigned: result.merge.reassigned
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Merge audit history of a business
+const getCustomerMerges = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+
+        const business = await resolveCustomerBusiness(req);
+        if (!business) {
+            return res.status(404).json({
+                success: false,
+                message: "Business not found or access denied"
+            });
+        }
+
+        const query = { business: business._id };
+        const [merges, total] = await Promise.all([
+            CustomerMerge.find(query)
+                .select('-survivorBefore -mergedSnapshots')
+                .populate('survivor', 'firstName lastName phone email')
+                .populate('performedBy', 'name email')
+                .sort({ createdAt: -1 })
+                .skip((parseInt(page) - 1) * parseInt(limit))
+                .limit(parseInt(limit))
+                .lean(),
+            CustomerMerge.countDocuments(query)
+        ]);
+
+        return res.json({
+            success: true,
+            data: {
+                merges,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / parseInt(limit))
+                }
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
 module.exports = {
     createCustomer,
     getCustomers,
@@ -1560,5 +1859,10 @@ module.exports = {
     addCustomerNote,
     getCustomerAnalyticsOverview,
     getCustomerInsights,
-    updateCustomerTier // Export new function
+    updateCustomerTier, // Export new function
+    previewCustomerImport,
+    importCustomers,
+    getDuplicateCustomers,
+    mergeCustomers,
+    getCustomerMerges
 };
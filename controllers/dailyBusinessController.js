@@ -602,7 +602,14 @@ const closeDailyBusiness = async (req, res, next) => {
             invoiceDate: { $gte: startOfDay, $lte: endOfDay }
         });
 
-        const totalRevenue = invoices.reduce((sum, inv) => sum + (inv.total || 0), 0);
+        // Credit notes reduce the day's revenue (cancelled notes no longer count)
+        const totalRevenue = invoices.reduce((sum, inv) => {
+            if (inv.invoiceType === 'credit_note') {
+                return inv.status === 'cancelled' ? sum : sum - (inv.total || 0);
+            }
+            if (inv.invoiceType === 'debit_note' && inv.status === 'cancelled') return sum;
+            return sum + (inv.total || 0);
+        }, 0);
 
         // Calculate revenue by payment method
         const revenueByPaymentMethod = invoices.reduce((acc, inv) => {
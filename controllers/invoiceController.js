@@ -6,7 +6,38 @@ const Manager = require("../models/Manager");
 const Appointment = require("../models/Appointment");
 const MembershipPlan = require("../models/MembershipPlan");
 const LoyaltyTransaction = require("../models/LoyaltyTransaction");
+const Service = require("../models/Service");
+const Product = require("../models/Product");
+const Coupon = require("../models/Coupon");
+const CouponRedemption = require("../models/CouponRedemption");
+const PDFDocument = require("pdfkit");
 const { setCache, getCache, deleteCache } = require("../utils/cache");
+const {
+    GST_RATES,
+    round2,
+    getBusinessGstSettings,
+    resolvePlaceOfSupply,
+    splitGst,
+    buildTaxSummary,
+    toTaxBreakdown
+} = require("../utils/gstUtils");
+const { renderInvoicePdf } = require("../utils/invoicePdf");
+const {
+    NOTE_TYPES,
+    signedTotalExpression,
+    outstandingExpression,
+    getCreditedByLine,
+    buildNoteItems,
+    summarizeNoteItems
+} = require("../utils/invoiceNoteUtils");
+const {
+    normalizeCouponCode,
+    calculateCouponDiscount,
+    validateCoupon,
+    redeemCoupon,
+    releaseCouponRedemptions
+} = require("../utils/couponUtils");
+const { closePaymentLink } = require("../utils/dunningScheduler");
 
 // ================== Create Invoice ==================
 const createInvoice = async (req, res, next) => {
@@ -24,7 +55,8 @@ const createInvoice = async (req, res, next) => {
             discountCode,
             discountType,
             discountValue,
-            taxRate = 18
+            taxRate,
+            placeOfSupply
         } = req.body;
 
         // Validate items
@@ -80,6 +112,36 @@ const createInvoice = async (req, res, next) => {
             });
         }
 
+        // GST: rates per line, place of supply decides CGST + SGST vs IGST
+        const gstSettings = getBusinessGstSettings(business);
+        const supplyPlace = resolvePlaceOfSupply(business, placeOfSupply);
+        if (!supplyPlace) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid place of supply"
+            });
+        }
+        const interState = Boolean(gstSettings.stateCode && supplyPlace.stateCode && supplyPlace.stateCode !== gstSettings.stateCode);
+
+        const invalidRate = [taxRate, ...items.map(item => item.taxRate)]
+            .find(rate => rate !== undefined && rate !== null && !GST_RATES.includes(Number(rate)));
+        if (invalidRate !== undefined) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid GST rate: ${invalidRate}. Allowed rates: ${GST_RATES.join(', ')}`
+            });
+        }
+
+        // Services and products carry their own SAC/HSN code and rate
+        const serviceIds = items.filter(item => item.service).map(item => item.service);
+        const productIds = items.filter(item => item.product).map(item => item.product);
+        const [services, products] = await Promise.all([
+            serviceIds.length ? Service.find({ _id: { $in: serviceIds }, business: business._id }).select('sacCode gstRate category') : [],
+            productIds.length ? Product.find({ _id: { $in: productIds }, business: business._id }).select('hsnCode gstRate') : []
+        ]);
+        const serviceMap = new Map(services.map(service => [service._id.toString(), service]));
+        const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
         // Get membership plan for tier-based discount
         let membershipPlan = null;
         let tierDiscount = 0;
@@ -92,12 +154,8 @@ const createInvoice = async (req, res, next) => {
             });
         }
 
-        // Calculate invoice totals
-        let subtotal = 0;
-        let discountTotal = 0;
-        let taxTotal = 0;
-
-        const processedItems = items.map(item => {
+        // Line values after item and membership tier discounts
+        const lineValues = items.map(item => {
             if (!item.name || !item.price || !item.quantity) {
                 throw new Error("Item name, price, and quantity are required");
             }
@@ -111,30 +169,102 @@ const createInvoice = async (req, res, next) => {
                 itemDiscount += memberDiscount;
             }
 
-            const itemTaxableAmount = itemSubtotal - itemDiscount;
-            const itemTax = (itemTaxableAmount * Number(taxRate)) / 100;
-            const itemTotal = itemTaxableAmount + itemTax;
+            return { itemSubtotal, itemDiscount };
+        });
+
+        // Coupon: spread over the lines it applies to, before GST
+        let coupon = null;
+        let couponDiscounts = items.map(() => 0);
+        let bookingRedemption = null;
+        if (discountCode) {
+            const couponLines = items.map((item, index) => ({
+                service: item.service,
+                category: item.service ? serviceMap.get(item.service.toString())?.category : undefined,
+                amount: lineValues[index].itemSubtotal - lineValues[index].itemDiscount
+            }));
+
+            // A coupon redeemed when the appointment was booked is billed here without being used again
+            if (appointment) {
+                bookingRedemption = await CouponRedemption.findOne({
+                    appointment: appointment._id,
+                    code: normalizeCouponCode(discountCode),
+                    status: 'applied',
+                    invoice: null
+                });
+            }
+
+            if (bookingRedemption) {
+                coupon = await Coupon.findById(bookingRedemption.coupon);
+                couponDiscounts = calculateCouponDiscount(coupon, couponLines).lineDiscounts;
+            } else {
+                const couponCheck = await validateCoupon({
+                    businessId: business._id,
+                    code: discountCode,
+                    customerId: customer._id,
+                    lines: couponLines
+                });
+                if (!couponCheck.valid) {
+                    return res.status(400).json({
+                        success: false,
+                        message: couponCheck.message
+                    });
+                }
+                coupon = couponCheck.coupon;
+                couponDiscounts = couponCheck.lineDiscounts;
+            }
+        }
+
+        // Calculate invoice totals
+        let subtotal = 0;
+        let discountTotal = 0;
+        let taxTotal = 0;
+
+        const processedItems = items.map((item, index) => {
+            const { itemSubtotal } = lineValues[index];
+            const itemDiscount = round2(lineValues[index].itemDiscount + couponDiscounts[index]);
+
+            const source = (item.service && serviceMap.get(item.service.toString()))
+                || (item.product && productMap.get(item.product.toString()));
+            const itemTaxRate = [item.taxRate, source?.gstRate, taxRate, gstSettings.defaultRate]
+                .find(rate => rate !== undefined && rate !== null);
+            const hsnSacCode = item.hsnSacCode || source?.sacCode || source?.hsnCode
+                || (item.product ? undefined : gstSettings.defaultSacCode);
+
+            const taxableValue = round2(Math.max(itemSubtotal - itemDiscount, 0));
+            const gst = splitGst(taxableValue, Number(itemTaxRate), interState);
+            const itemTotal = round2(taxableValue + gst.totalTax);
 
             subtotal += itemSubtotal;
             discountTotal += itemDiscount;
-            taxTotal += itemTax;
+            taxTotal += gst.totalTax;
 
             return {
                 ...item,
                 itemType: item.itemType || 'service', // Default to service if missing
                 discount: itemDiscount,
-                tax: itemTax,
+                hsnSacCode,
+                taxRate: Number(itemTaxRate),
+                taxableValue,
+                cgst: gst.cgst,
+                sgst: gst.sgst,
+                igst: gst.igst,
+                tax: gst.totalTax,
                 total: itemTotal
             };
         });
 
-        const total = subtotal - discountTotal + taxTotal;
+        subtotal = round2(subtotal);
+        discountTotal = round2(discountTotal);
+        taxTotal = round2(taxTotal);
+        const total = round2(subtotal - discountTotal + taxTotal);
+        const taxSummary = buildTaxSummary(processedItems);
 
         // Customer snapshot
         const customerSnapshot = {
             name: customer.fullName,
             email: customer.email,
             phone: customer.phone,
+            gstNumber: customer.gstNumber,
             address: customer.address
         };
 
@@ -144,32 +274,68 @@ const createInvoice = async (req, res, next) => {
             email: business.email,
             phone: business.phone,
             address: business.address?.street || business.address,
-            gstNumber: business.registration?.gstNumber,
-            panNumber: business.registration?.panNumber
+            gstNumber: gstSettings.gstin,
+            panNumber: business.registration?.panNumber,
+            state: gstSettings.state,
+            stateCode: gstSettings.stateCode
         };
 
+        // Take the coupon use before creating the invoice so its last use cannot be billed twice
+        let redemption = bookingRedemption;
+        if (coupon && !bookingRedemption) {
+            redemption = await redeemCoupon(coupon, {
+                customer: customer._id,
+                discountAmount: round2(couponDiscounts.reduce((sum, amount) => sum + amount, 0))
+            });
+            if (!redemption) {
+                return res.status(400).json({
+                    success: false,
+                    message: "This coupon has been fully redeemed"
+                });
+            }
+        }
+
         // Create invoice
-        const invoice = await Invoice.create({
-            business: business._id,
-            customer: customerId,
-            appointment: appointmentId,
-            items: processedItems,
-            subtotal,
-            discountTotal,
-            taxTotal,
-            total,
-            dueDate,
-            notes,
-            termsAndConditions,
-            discountCode,
-            discountType,
-            discountValue,
-            taxRate,
-            customerSnapshot,
-            businessSnapshot,
-            createdBy: userId,
-            createdByModel: userRole === 'admin' ? 'Admin' : 'Manager'
-        });
+        let invoice;
+        try {
+            invoice = await Invoice.create({
+                business: business._id,
+                customer: customerId,
+                appointment: appointmentId,
+                items: processedItems,
+                subtotal,
+                discountTotal,
+                taxTotal,
+                total,
+                dueDate,
+                notes,
+                termsAndConditions,
+                discountCode: coupon ? coupon.code : discountCode,
+                discountType: coupon ? coupon.discountType : discountType,
+                discountValue: coupon ? coupon.discountValue : discountValue,
+                taxRate: taxRate !== undefined && taxRate !== null ? Number(taxRate) : gstSettings.defaultRate,
+                taxBreakdown: toTaxBreakdown(taxSummary),
+                placeOfSupply: supplyPlace,
+                supplyType: interState ? 'inter_state' : 'intra_state',
+                cgstTotal: round2(processedItems.reduce((sum, item) => sum + item.cgst, 0)),
+                sgstTotal: round2(processedItems.reduce((sum, item) => sum + item.sgst, 0)),
+                igstTotal: round2(processedItems.reduce((sum, item) => sum + item.igst, 0)),
+                taxSummary,
+                customerSnapshot,
+                businessSnapshot,
+                createdBy: userId,
+                createdByModel: userRole === 'admin' ? 'Admin' : 'Manager'
+            });
+        } catch (err) {
+            if (redemption && !bookingRedemption) {
+                await releaseCouponRedemptions({ _id: redemption._id });
+            }
+            throw err;
+        }
+
+        if (redemption) {
+            await CouponRedemption.updateOne({ _id: redemption._id }, { $set: { invoice: invoice._id } });
+        }
 
         // Invalidate cache
         await deleteCache(`business:${business._id}:invoices`);
@@ -209,7 +375,9 @@ const getInvoices = async (req, res, next) => {
             customerId,
             startDate,
             endDate,
-            search
+            search,
+            invoiceType,
+            parentInvoice
         } = req.query;
 
         // Determine business(es)
@@ -239,7 +407,7 @@ const getInvoices = async (req, res, next) => {
             });
         }
 
-        const cacheKey = `invoices:${userId}:${businessId || 'all'}:${page}:${limit}:${status}:${paymentStatus}:${customerId}:${startDate}:${endDate}:${search}`;
+        const cacheKey = `invoices:${userId}:${businessId || 'all'}:${page}:${limit}:${status}:${paymentStatus}:${customerId}:${startDate}:${endDate}:${search}:${invoiceType}:${parentInvoice}`;
 
         // Try cache first
         const cachedData = await getCache(cacheKey);
@@ -262,6 +430,14 @@ const getInvoices = async (req, res, next) => {
             query.customer = customerId;
         }
 
+        if (invoiceType) {
+            query.invoiceType = invoiceType;
+        }
+
+        if (parentInvoice) {
+            query.parentInvoice = parentInvoice;
+        }
+
         if (startDate && endDate) {
             query.invoiceDate = {
                 $gte: new Date(startDate),
@@ -443,6 +619,11 @@ const addPayment = async (req, res, next) => {
 
         await invoice.addPayment(paymentData);
 
+        // Settled: the reminder payment link is no longer needed, and dunning stops with the paid status
+        if (invoice.paymentStatus === 'paid') {
+            await closePaymentLink(invoice);
+        }
+
         // Auto-add loyalty points if invoice is now fully paid
         if (invoice.paymentStatus === 'paid' && !invoice.loyaltyPointsEarned) {
             const business = await Business.findById(invoice.business);
@@ -576,8 +757,41 @@ const cancelInvoice = async (req, res, next) => {
             });
         }
 
+        if (invoice.status === 'cancelled') {
+            return res.status(400).json({
+                success: false,
+                message: "Invoice is already cancelled"
+            });
+        }
+
+        if (invoice.creditNoteTotal > 0 || invoice.debitNoteTotal > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Cancel the credit/debit notes raised against this invoice first"
+            });
+        }
+
         await invoice.cancel();
 
+        // A cancelled note stops adjusting its parent's balance
+        if (NOTE_TYPES.includes(invoice.invoiceType) && invoice.parentInvoice) {
+            const parent = await Invoice.findById(invoice.parentInvoice);
+            if (parent) {
+                const field = invoice.invoiceType === 'credit_note' ? 'creditNoteTotal' : 'debitNoteTotal';
+                parent[field] = round2(Math.max((parent[field] || 0) - invoice.total, 0));
+                await parent.save();
+            }
+        }
+
+        await closePaymentLink(invoice);
+
+        // Give the coupon use back; one redeemed at booking stays with the appointment for re-billing
+        await releaseCouponRedemptions({ invoice: invoice._id, appointment: null });
+        await CouponRedemption.updateMany(
+            { invoice: invoice._id, appointment: { $ne: null }, status: 'applied' },
+            { $unset: { invoice: 1 } }
+        );
+
         // Invalidate cache
         await deleteCache(`business:${invoice.business}:invoices`);
 
@@ -620,7 +834,8 @@ const getInvoiceStats = async (req, res, next) => {
                 success: true,
                 data: {
                     totalInvoices: 0, unpaid: 0, partial: 0, paid: 0, overdue: 0,
-                    totalRevenue: 0, totalPaid: 0, totalPending: 0, averageInvoiceValue: 0
+                    grossRevenue: 0, totalPaid: 0, totalPending: 0, averageInvoiceValue: 0,
+                    creditNotes: 0, creditNoteTotal: 0, debitNotes: 0, debitNoteTotal: 0, totalRevenue: 0
                 }
             });
         }
@@ -642,44 +857,76 @@ const getInvoiceStats = async (req, res, next) => {
             };
         }
 
-        // Aggregate statistics
-        const stats = await Invoice.aggregate([
-            { $match: matchStage },
-            {
-                $group: {
-                    _id: null,
-                    totalInvoices: { $sum: 1 },
-                    unpaid: {
-                        $sum: { $cond: [{ $eq: ['$paymentStatus', 'unpaid'] }, 1, 0] }
-                    },
-                    partial: {
-                        $sum: { $cond: [{ $eq: ['$paymentStatus', 'partial'] }, 1, 0] }
-                    },
-                    paid: {
-                        $sum: { $cond: [{ $eq: ['$paymentStatus', 'paid'] }, 1, 0] }
-                    },
-                    overdue: {
-                        $sum: { $cond: [{ $eq: ['$paymentStatus', 'overdue'] }, 1, 0] }
-                    },
-                    totalRevenue: { $sum: '$total' },
-                    totalPaid: { $sum: '$paidAmount' },
-                    totalPending: { $sum: { $subtract: ['$total', '$paidAmount'] } },
-                    averageInvoiceValue: { $avg: '$total' }
+        // Aggregate statistics (credit/debit notes are counted separately and net into revenue)
+        const [stats, noteStats] = await Promise.all([
+            Invoice.aggregate([
+                { $match: { ...matchStage, invoiceType: { $nin: NOTE_TYPES } } },
+                {
+                    $group: {
+                        _id: null,
+                        totalInvoices: { $sum: 1 },
+                        unpaid: {
+                            $sum: { $cond: [{ $eq: ['$paymentStatus', 'unpaid'] }, 1, 0] }
+                        },
+                        partial: {
+                            $sum: { $cond: [{ $eq: ['$paymentStatus', 'partial'] }, 1, 0] }
+                        },
+                        paid: {
+                            $sum: { $cond: [{ $eq: ['$paymentStatus', 'paid'] }, 1, 0] }
+                        },
+                        overdue: {
+                            $sum: { $cond: [{ $eq: ['$paymentStatus', 'overdue'] }, 1, 0] }
+                        },
+                        grossRevenue: { $sum: '$total' },
+                        totalPaid: { $sum: '$paidAmount' },
+                        totalPending: { $sum: outstandingExpression },
+                        averageInvoiceValue: { $avg: '$total' }
+                    }
                 }
-            }
+            ]),
+            Invoice.aggregate([
+                { $match: { ...matchStage, invoiceType: { $in: NOTE_TYPES }, status: { $ne: 'cancelled' } } },
+                {
+                    $group: {
+                        _id: null,
+                        creditNotes: { $sum: { $cond: [{ $eq: ['$invoiceType', 'credit_note'] }, 1, 0] } },
+                        creditNoteTotal: { $sum: { $cond: [{ $eq: ['$invoiceType', 'credit_note'] }, '$total', 0] } },
+                        debitNotes: { $sum: { $cond: [{ $eq: ['$invoiceType', 'debit_note'] }, 1, 0] } },
+                        debitNoteTotal: { $sum: { $cond: [{ $eq: ['$invoiceType', 'debit_note'] }, '$total', 0] } },
+                        netAdjustment: { $sum: signedTotalExpression }
+                    }
+                }
+            ])
         ]);
 
-        const result = stats[0] || {
+        const invoiceTotals = stats[0] || {
             totalInvoices: 0,
             unpaid: 0,
             partial: 0,
             paid: 0,
             overdue: 0,
-            totalRevenue: 0,
+            grossRevenue: 0,
             totalPaid: 0,
             totalPending: 0,
             averageInvoiceValue: 0
         };
+        const noteTotals = noteStats[0] || {
+            creditNotes: 0,
+            creditNoteTotal: 0,
+            debitNotes: 0,
+            debitNoteTotal: 0,
+            netAdjustment: 0
+        };
+        delete invoiceTotals._id;
+        delete noteTotals._id;
+
+        const result = {
+            ...invoiceTotals,
+            ...noteTotals,
+            // Revenue net of credit notes and including debit notes
+            totalRevenue: round2(invoiceTotals.grossRevenue + noteTotals.netAdjustment)
+        };
+        delete result.netAdjustment;
 
         // Cache for 5 minutes
         await setCache(cacheKey, result, 300);
@@ -733,6 +980,247 @@ const getOverdueInvoices = async (req, res, next) => {
     }
 };
 
+// ================== Credit / Debit Notes ==================
+// Shared by createCreditNote and createDebitNote
+const issueInvoiceNote = async (req, res, next, noteType) => {
+    try {
+        const userId = req.user.id;
+        const userRole = req.user.role;
+        const { id } = req.params;
+        const { items, reason, notes } = req.body;
+        const label = noteType === 'credit_note' ? 'Credit note' : 'Debit note';
+
+        if (!items || !Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Select at least one invoice line"
+            });
+        }
+
+        if (!reason) {
+            return res.status(400).json({
+                success: false,
+                message: "Reason is required"
+            });
+        }
+
+        const parent = await Invoice.findById(id);
+
+        if (!parent) {
+            return res.status(404).json({
+                success: false,
+                message: "Invoice not found"
+            });
+        }
+
+        // Verify access
+        if (userRole === 'admin') {
+            const business = await Business.findOne({
+                _id: parent.business,
+                admin: userId
+            });
+            if (!business) {
+                return res.status(403).json({
+                    success: false,
+                    message: "Access denied"
+                });
+            }
+        } else if (userRole === 'manager') {
+            const manager = await Manager.findById(userId);
+            if (manager.business.toString() !== parent.business.toString()) {
+                return res.status(403).json({
+                    success: false,
+                    message: "Access denied"
+                });
+            }
+        }
+
+        if (parent.invoiceType !== 'regular') {
+            return res.status(400).json({
+                success: false,
+                message: "Notes can only be raised against a regular invoice"
+            });
+        }
+
+        if (parent.status === 'cancelled') {
+            return res.status(400).json({
+                success: false,
+                message: "Cannot raise a note against a cancelled invoice"
+            });
+        }
+
+        // What earlier credit notes already took off each line
+        let creditedByLine = new Map();
+        if (noteType === 'credit_note') {
+            const creditNotes = await Invoice.find({
+                parentInvoice: parent._id,
+                invoiceType: 'credit_note',
+                status: { $ne: 'cancelled' }
+            }).select('items.parentItem items.taxableValue');
+            creditedByLine = getCreditedByLine(creditNotes);
+        }
+
+        const { items: noteItems, error } = buildNoteItems(parent, items, noteType, creditedByLine);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const noteTotals = summarizeNoteItems(noteItems);
+        const totalField = noteType === 'credit_note' ? 'creditNoteTotal' : 'debitNoteTotal';
+
+        // Adjust the parent's outstanding balance first, in one conditional update: it only
+        // applies if no other credit note landed since the lines were checked and the credit
+        // stays within the invoice value, so two notes issued at once cannot both pass
+        const parentFilter = { _id: parent._id, status: { $ne: 'cancelled' } };
+        if (noteType === 'credit_note') {
+            // Invoices saved before notes existed have no creditNoteTotal stored, so compare with $ifNull
+            const storedCredit = { $ifNull: ['$creditNoteTotal', 0] };
+            parentFilter.$expr = {
+                $and: [
+                    { $eq: [storedCredit, parent.creditNoteTotal || 0] },
+                    {
+                        $lte: [
+                            { $add: [storedCredit, noteTotals.total] },
+                            { $add: ['$total', { $ifNull: ['$debitNoteTotal', 0] }] }
+                        ]
+                    }
+                ]
+            };
+        }
+
+        const updatedParent = await Invoice.findOneAndUpdate(
+            parentFilter,
+            {
+                $inc: { [totalField]: noteTotals.total },
+                $set: { updatedBy: userId, updatedByModel: userRole === 'admin' ? 'Admin' : 'Manager' }
+            },
+            { new: true }
+        );
+
+        if (!updatedParent) {
+            return res.status(409).json({
+                success: false,
+                message: "The invoice changed while the note was being issued, please try again"
+            });
+        }
+
+        let note;
+        try {
+            note = await Invoice.create({
+                business: parent.business,
+                customer: parent.customer,
+                appointment: parent.appointment,
+                invoiceType: noteType,
+                parentInvoice: parent._id,
+                noteReason: reason,
+                items: noteItems,
+                ...noteTotals,
+                taxRate: parent.taxRate,
+                placeOfSupply: parent.placeOfSupply,
+                supplyType: parent.supplyType,
+                customerSnapshot: parent.customerSnapshot,
+                businessSnapshot: parent.businessSnapshot,
+                notes,
+                createdBy: userId,
+                createdByModel: userRole === 'admin' ? 'Admin' : 'Manager'
+            });
+        } catch (err) {
+            await Invoice.updateOne({ _id: parent._id }, { $inc: { [totalField]: -noteTotals.total } });
+            throw err;
+        }
+
+        // Recalculates the payment status against the new balance; only changed fields are written
+        await updatedParent.save();
+
+        // Invalidate cache
+        await deleteCache(`business:${parent.business}:invoices`);
+
+        return res.status(201).json({
+            success: true,
+            message: `${label} created successfully`,
+            data: {
+                noteNumber: note.invoiceNumber,
+                invoiceType: note.invoiceType,
+                total: note.total,
+                parentInvoice: {
+                    id: updatedParent._id,
+                    invoiceNumber: updatedParent.invoiceNumber,
+                    netTotal: round2(updatedParent.netTotal),
+                    balanceDue: round2(updatedParent.balanceDue),
+                    paymentStatus: updatedParent.paymentStatus
+                }
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const createCreditNote = (req, res, next) => issueInvoiceNote(req, res, next, 'credit_note');
+
+const createDebitNote = (req, res, next) => issueInvoiceNote(req, res, next, 'debit_note');
+
+// ================== Download Invoice PDF ==================
+const getInvoicePdf = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const userRole = req.user.role;
+        const { id } = req.params;
+
+        const invoice = await Invoice.findById(id);
+
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                message: "Invoice not found"
+            });
+        }
+
+        // Verify access
+        if (userRole === 'admin') {
+            const business = await Business.findOne({
+                _id: invoice.business,
+                admin: userId
+            });
+            if (!business) {
+                return res.status(403).json({
+                    success: false,
+                    message: "Access denied"
+                });
+            }
+        } else if (userRole === 'manager') {
+            const manager = await Manager.findById(userId);
+            if (manager.business.toString() !== invoice.business.toString()) {
+                return res.status(403).json({
+                    success: false,
+                    message: "Access denied"
+                });
+            }
+        }
+
+        // Credit/debit notes print the invoice they adjust
+        let parentInvoiceNumber;
+        if (invoice.parentInvoice) {
+            const parent = await Invoice.findById(invoice.parentInvoice).select('invoiceNumber');
+            parentInvoiceNumber = parent?.invoiceNumber;
+        }
+
+        const doc = new PDFDocument({ margin: 50 });
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=${invoice.invoiceNumber.replace(/[^A-Za-z0-9-]/g, '_')}.pdf`);
+
+        doc.pipe(res);
+        renderInvoicePdf(doc, invoice, { parentInvoiceNumber });
+        doc.end();
+    } catch (err) {
+        next(err);
+    }
+};
+
 module.exports = {
     createInvoice,
     getInvoices,
@@ -742,6 +1230,9 @@ module.exports = {
     addRefund,
     cancelInvoice,
     getInvoiceStats,
-    getOverdueInvoices
+    getOverdueInvoices,
+    getInvoicePdf,
+    createCreditNote,
+    createDebitNote
 };
 
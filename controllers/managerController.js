@@ -9,6 +9,9 @@ const Customer = require("../models/Customer");
 const Service = require("../models/Service"); // Added for Transaction linking
 const Appointment = require("../models/Appointment");
 const { setCache, getCache, deleteCache } = require("../utils/cache");
+const { PERMISSION_CATALOG, getEffectivePermissions } = require("../middleware/permissionMiddleware");
+const { revokeUserSessions } = require("../utils/sessionUtils");
+const { verifyPin } = require("../utils/pinUtils");
 
 // ================== Manager Dashboard ==================
 const getManagerDashboard = async (req, res, next) => {
@@ -122,10 +125,13 @@ const addStaff = async (req, res, next) => {
         await deleteCache(`manager:${managerId}:staff`);
         await deleteCache(`business:${manager.business}:staff`);
 
+        const staffData = staff.toObject();
+        delete staffData.pin;
+
         return res.status(201).json({
             success: true,
             message: "Staff added successfully",
-            data: staff,
+            data: staffData,
         });
     } catch (err) {
         next(err);
@@ -277,6 +283,11 @@ const updateStaff = async (req, res, next) => {
             return res.status(404).json({ success: false, message: "Staff not found" });
         }
 
+        // A deactivated staff member is logged out of every device
+        if (staff.isActive === false) {
+            await revokeUserSessions(staff._id, 'staff', 'account_deactivated', { revokedBy: managerId });
+        }
+
         // Invalidate caches
         await deleteCache(`manager:${managerId}:staff`);
         await deleteCache(`business:${manager.business}:staff`);
@@ -313,6 +324,7 @@ const deleteStaff = async (req, res, next) => {
         await Business.findByIdAndUpdate(manager.business, {
             $pull: { staff: staff._id }
         });
+        await revokeUserSessions(staff._id, 'staff', 'account_deactivated', { revokedBy: managerId });
 
         // Invalidate caches
         await deleteCache(`manager:${managerId}:staff`);
@@ -364,10 +376,10 @@ const addTransaction = async (req, res, next) => {
             if (customerPhone) customerCriteria.push({ phone: customerPhone });
             if (customerEmail) customerCriteria.push({ email: customerEmail });
 
-            let existingCustomer = await Customer.findOne({
+            let existingCustomer = await Customer.resolveMerged(await Customer.findOne({
                 business: manager.business,
                 $or: customerCriteria
-            });
+            }));
 
             if (existingCustomer) {
                 customerId = existingCustomer._id;
@@ -1016,7 +1028,7 @@ const updateTransaction = async (req, res, next) => {
             if (updates.customerPhone) customerQuery.phone = updates.customerPhone;
             else if (updates.customerEmail) customerQuery.email = updates.customerEmail;
 
-            const existingCustomer = await Customer.findOne(customerQuery);
+            const existingCustomer = await Customer.resolveMerged(await Customer.findOne(customerQuery));
             if (existingCustomer) {
                 updates.customer = existingCustomer._id;
                 updates.isNewCustomer = false; // Linked
@@ -1124,6 +1136,28 @@ const getManagerProfile = async (req, res, next) => {
     }
 };
 
+// ================== Get Manager Permissions ==================
+// Effective permission matrix, so the frontend can hide actions the manager cannot take
+const getManagerPermissions = async (req, res, next) => {
+    try {
+        const manager = await Manager.findById(req.user.id);
+
+        if (!manager) {
+            return res.status(404).json({ success: false, message: "Manager not found" });
+        }
+
+        return res.json({
+            success: true,
+            data: {
+                ...getEffectivePermissions(req.user, manager),
+                catalog: PERMISSION_CATALOG
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
 // ================== Update Manager Profile ==================
 const updateManagerProfile = async (req, res, next) => {
     try {
@@ -1171,17 +1205,22 @@ const updateManagerPassword = async (req, res, next) => {
             });
         }
 
-        const manager = await Manager.findById(managerId);
+        if (!/^\d{4}$/.test(newPassword)) {
+            return res.status(400).json({ success: false, message: "PIN must be exactly 4 digits" });
+        }
+
+        const manager = await Manager.findById(managerId).select('+pin');
         if (!manager) {
             return res.status(404).json({ success: false, message: "Manager not found" });
         }
 
-        // Check current PIN (Managers use plain PIN in this system as per authController)
-        if (manager.pin !== currentPassword) {
+        // Check current PIN (hashed; legacy plain PINs still compare by value)
+        const { match } = await verifyPin(currentPassword, manager.pin);
+        if (!match) {
             return res.status(400).json({ success: false, message: "Incorrect current PIN" });
         }
 
-        // Update PIN
+        // Update PIN (hashed by the model)
         manager.pin = newPassword;
         await manager.save();
 
@@ -1214,6 +1253,7 @@ module.exports = {
     createTestNotification,
     getManagerAppointmentStats,
     getManagerProfile,
+    getManagerPermissions,
     updateManagerProfile,
     updateManagerPassword
 };
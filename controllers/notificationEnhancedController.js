@@ -5,6 +5,35 @@ const Appointment = require("../models/Appointment");
 const Business = require("../models/Business");
 const Manager = require("../models/Manager");
 const { setCache, getCache, deleteCache } = require("../utils/cache");
+const { getAppointmentStartInstant } = require("../utils/appointmentUtils");
+const { getBusinessTimezone, getCalendarDayRange, getZonedNow } = require("../utils/timezoneUtils");
+const { ensureOfferCoupon } = require("../utils/couponUtils");
+
+/**
+ * Window of appointments starting within the next few hours
+ * Appointment dates are business-local calendar dates and start times are wall-clock
+ * times, so candidates are fetched by calendar day and then narrowed by real start instant.
+ * @param {Object} business - Business document (settings.timezone)
+ * @param {number} hoursBefore - Size of the window in hours
+ * @returns {Object} - { dateRange, isInWindow }
+ */
+const getReminderWindow = (business, hoursBefore) => {
+    const timeZone = getBusinessTimezone(business);
+    const now = new Date();
+    const futureTime = new Date(now.getTime() + hoursBefore * 60 * 60 * 1000);
+
+    const dateRange = {
+        $gte: getCalendarDayRange(getZonedNow(timeZone, now).dateKey, timeZone).start,
+        $lte: getCalendarDayRange(getZonedNow(timeZone, futureTime).dateKey, timeZone).end
+    };
+
+    const isInWindow = (appointment) => {
+        const startsAt = getAppointmentStartInstant(business, appointment.appointmentDate, appointment.startTime);
+        return startsAt >= now && startsAt <= futureTime;
+    };
+
+    return { dateRange, isInWindow };
+};
 
 // ================== Send Birthday Wishes ==================
 const sendBirthdayWishes = async (req, res, next) => {
@@ -59,6 +88,15 @@ const sendBirthdayWishes = async (req, res, next) => {
             });
         }
 
+        // The offer code must exist as a coupon for these customers to redeem it
+        const offerCoupon = await ensureOfferCoupon(business._id, {
+            code: "BDAY20",
+            description: "Birthday offer",
+            discountValue: 20,
+            validDays: 7,
+            customers: customersWithBirthdayToday.map(c => c._id)
+        });
+
         // Create birthday notification
         const notification = await Notification.create({
             business: business._id,
@@ -74,7 +112,7 @@ const sendBirthdayWishes = async (req, res, next) => {
                 actionText: "Book Now",
                 discountCode: "BDAY20",
                 discountPercentage: 20,
-                expiryDate: new Date(today.getTime() + 7 * 24 * 60 * 60 * 1000) // 7 days validity
+                expiryDate: offerCoupon.validUntil
             },
             delivery: {
                 channels: ["sms", "email", "whatsapp"],
@@ -174,6 +212,15 @@ const sendAnniversaryWishes = async (req, res, next) => {
             });
         }
 
+        // The offer code must exist as a coupon for these customers to redeem it
+        const offerCoupon = await ensureOfferCoupon(business._id, {
+            code: "ANNIV25",
+            description: "Anniversary offer",
+            discountValue: 25,
+            validDays: 7,
+            customers: customersWithAnniversaryToday.map(c => c._id)
+        });
+
         // Create anniversary notification
         const notification = await Notification.create({
             business: business._id,
@@ -189,7 +236,7 @@ const sendAnniversaryWishes = async (req, res, next) => {
                 actionText: "Book Now",
                 discountCode: "ANNIV25",
                 discountPercentage: 25,
-                expiryDate: new Date(today.getTime() + 7 * 24 * 60 * 60 * 1000)
+                expiryDate: offerCoupon.validUntil
             },
             delivery: {
                 channels: ["sms", "email", "whatsapp"],
@@ -257,13 +304,12 @@ const sendAppointmentReminders = async (req, res, next) => {
             });
         }
 
-        // Find appointments in next X hours
-        const now = new Date();
-        const futureTime = new Date(now.getTime() + hoursBefore * 60 * 60 * 1000);
+        // Find appointments starting in the next X hours (business timezone)
+        const { dateRange, isInWindow } = getReminderWindow(business, Number(hoursBefore) || 24);
 
-        const upcomingAppointments = await Appointment.find({
+        const candidateAppointments = await Appointment.find({
             business: business._id,
-            appointmentDate: { $gte: now, $lte: futureTime },
+            appointmentDate: dateRange,
             status: { $in: ['pending', 'confirmed'] },
             reminderSent: false
         })
@@ -271,6 +317,8 @@ const sendAppointmentReminders = async (req, res, next) => {
         .populate('service', 'name')
         .populate('staff', 'name');
 
+        const upcomingAppointments = candidateAppointments.filter(isInWindow);
+
         if (upcomingAppointments.length === 0) {
             return res.json({
                 success: true,
@@ -284,7 +332,8 @@ const sendAppointmentReminders = async (req, res, next) => {
         // Send reminder for each appointment
         for (const appointment of upcomingAppointments) {
             const customer = appointment.customer;
-            const date = new Date(appointment.appointmentDate).toLocaleDateString();
+            // Stored calendar dates are UTC midnight, so format them in UTC
+            const date = new Date(appointment.appointmentDate).toLocaleDateString('en-IN', { timeZone: 'UTC' });
             const time = appointment.startTime;
 
             const notification = await Notification.create({
@@ -387,6 +436,15 @@ const sendReactivationCampaign = async (req, res, next) => {
             });
         }
 
+        // The offer code must exist as a coupon for these customers to redeem it
+        const offerCoupon = await ensureOfferCoupon(business._id, {
+            code: "COMEBACK30",
+            description: "Win-back offer for inactive customers",
+            discountValue: 30,
+            validDays: 30,
+            customers: inactiveCustomers.map(c => c._id)
+        });
+
         // Create reactivation notification
         const notification = await Notification.create({
             business: business._id,
@@ -402,7 +460,7 @@ const sendReactivationCampaign = async (req, res, next) => {
                 actionText: "Book Now",
                 discountCode: "COMEBACK30",
                 discountPercentage: 30,
-                expiryDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days validity
+                expiryDate: offerCoupon.validUntil
             },
             delivery: {
                 channels: ["sms", "email", "whatsapp"],
@@ -575,9 +633,9 @@ const getAutomatedNotificationsSummary = async (req, res, next) => {
             });
         }
 
-        const today = new Date();
-        const todayMonth = today.getMonth() + 1;
-        const todayDate = today.getDate();
+        const { dateKey: todayKey } = getZonedNow(getBusinessTimezone(business));
+        const [, todayMonth, todayDate] = todayKey.split('-').map(Number);
+        const reminderWindow = getReminderWindow(business, 24);
 
         // Count opportunities
         const [
@@ -607,15 +665,15 @@ const getAutomatedNotificationsSummary = async (req, res, next) => {
                     ]
                 }
             }),
-            Appointment.countDocuments({
+            Appointment.find({
                 business: business._id,
-                appointmentDate: { 
-                    $gte: new Date(),
-                    $lte: new Date(Date.now() + 24 * 60 * 60 * 1000)
-                },
+                appointmentDate: reminderWindow.dateRange,
                 status: { $in: ['pending', 'confirmed'] },
                 reminderSent: false
-            }),
+            })
+                .select('appointmentDate startTime')
+                .lean()
+                .then(appointments => appointments.filter(reminderWindow.isInWindow).length),
             Customer.countDocuments({
                 business: business._id,
                 isActive: true,
@@ -1,6 +1,17 @@
 const Razorpay = require("razorpay");
 const crypto = require("crypto");
+const mongoose = require("mongoose");
 const Business = require("../models/Business");
+const Manager = require("../models/Manager");
+const PaymentOrder = require("../models/PaymentOrder");
+const Appointment = require("../models/Appointment");
+const {
+    toRupees,
+    verifyWebhookSignature,
+    processWebhookEvent,
+    recordGatewayRefund,
+    buildReconciliationReport
+} = require("../utils/paymentUtils");
 // Enhanced credential loading with comprehensive whitespace removal
 const cleanCredential = (value) => {
     if (!value) return value;
@@ -45,6 +56,122 @@ const instance = credentialsValid ? new Razorpay({
     key_secret: RAZORPAY_KEY_SECRET,
 }) : null;
 
+/**
+ * Create a Razorpay order and record it for webhook matching and reconciliation
+ * @param {Object} params - { business, amount (rupees), currency, receipt, appointment, discountAmount }
+ * @returns {Promise<Object>} - Razorpay order
+ */
+const createGatewayOrder = async ({ business, amount, currency = "INR", receipt, appointment, discountAmount = 0 }) => {
+    if (!instance) {
+        throw new Error("Razorpay instance not initialized");
+    }
+
+    const order = await instance.orders.create({
+        amount: Math.round(amount * 100),
+        currency,
+        receipt,
+        // Lets the webhook attribute payments to the business
+        notes: { businessId: business._id.toString() }
+    });
+    if (!order) return null;
+
+    await PaymentOrder.create({
+        business: business._id,
+        orderId: order.id,
+        receipt,
+        amount: order.amount / 100,
+        currency: order.currency,
+        discountAmount,
+        appointment
+    }).catch(err => {
+        // The webhook can still attribute the payment through the order notes
+        console.error(`[PaymentController] Failed to record order ${order.id}:`, err.message);
+    });
+
+    return order;
+};
+
+/**
+ * Fetch a payment from Razorpay
+ * @param {string} paymentId - Razorpay payment id
+ * @returns {Promise<Object>} - Razorpay payment entity
+ */
+const fetchGatewayPayment = async (paymentId) => {
+    if (!instance) {
+        throw new Error("Razorpay instance not initialized");
+    }
+    return instance.payments.fetch(paymentId);
+};
+
+/**
+ * Refund (part of) a captured Razorpay payment
+ * @param {string} paymentId - Razorpay payment id
+ * @param {number} amount - Amount to refund, in rupees
+ * @param {Object} notes - Notes stored on the refund (e.g. { reason, appointmentId })
+ * @returns {Promise<Object>} - Razorpay refund entity
+ */
+const refundGatewayPayment = async (paymentId, amount, notes = {}) => {
+    if (!instance) {
+        throw new Error("Razorpay instance not initialized");
+    }
+    return instance.payments.refund(paymentId, {
+        amount: Math.round(amount * 100),
+        speed: "normal",
+        notes
+    });
+};
+
+/**
+ * Create a Razorpay payment link for what is still owed on an invoice
+ * Razorpay does not notify the customer itself; the link goes out with our own reminders.
+ * @param {Object} params - { invoice, amount (rupees), customer: { name, phone, email }, expiresAt }
+ * @returns {Promise<Object>} - Razorpay payment link entity
+ */
+const createGatewayPaymentLink = async ({ invoice, amount, customer = {}, expiresAt }) => {
+    if (!instance) {
+        throw new Error("Razorpay instance not initialized");
+    }
+
+    return instance.paymentLink.create({
+        amount: Math.round(amount * 100),
+        currency: "INR",
+        // Unique per link: a new link is made whenever the balance changes
+        reference_id: `${invoice.invoiceNumber}-${Date.now().toString(36)}`.slice(0, 40),
+        description: `Payment for invoice ${invoice.invoiceNumber}`,
+        customer: {
+            name: customer.name,
+            contact: customer.phone,
+            email: customer.email
+        },
+        notify: { sms: false, email: false },
+        reminder_enable: false,
+        expire_by: expiresAt ? Math.floor(expiresAt.getTime() / 1000) : undefined,
+        // Lets the webhook attribute the payment to the business and invoice
+        notes: {
+            businessId: invoice.business.toString(),
+            invoiceId: invoice._id.toString()
+        }
+    });
+};
+
+/**
+ * Cancel a payment link that is no longer needed (e.g. the balance changed)
+ * @param {string} paymentLinkId - Razorpay payment link id
+ * @returns {Promise<Object>}
+ */
+const cancelGatewayPaymentLink = async (paymentLinkId) => {
+    if (!instance) {
+        throw new Error("Razorpay instance not initialized");
+    }
+    return instance.paymentLink.cancel(paymentLinkId);
+};
+
+exports.createGatewayOrder = createGatewayOrder;
+exports.fetchGatewayPayment = fetchGatewayPayment;
+exports.refundGatewayPayment = refundGatewayPayment;
+exports.createGatewayPaymentLink = createGatewayPaymentLink;
+exports.cancelGatewayPaymentLink = cancelGatewayPaymentLink;
+
 exports.createOrder = async (req, res) => {
     try {
         // Check if Razorpay instance is initialized
@@ -89,13 +216,13 @@ exports.createOrder = async (req, res) => {
             finalAmount = amount - discountAmount;
         }
 
-        const options = {
-            amount: Math.round(finalAmount * 100),
+        const order = await createGatewayOrder({
+            business,
+            amount: finalAmount,
             currency,
             receipt,
-        };
-
-        const order = await instance.orders.create(options);
+            discountAmount
+        });
 
         if (!order) return res.status(500).json({ success: false, message: "Server Error" });
 
@@ -137,8 +264,8 @@ exports.verifyPayment = async (req, res) => {
         const isAuthentic = expectedSignature === razorpay_signature;
 
         if (isAuthentic) {
-            // Payment verified
-            // Here you can save transaction details to DB or perform other post-payment actions
+            // Payment verified. The booking stores the order id, and the captured payment is
+            // recorded against it by the webhook (see handleWebhook)
             res.status(200).json({
                 success: true,
                 message: "Payment Verified Successfully",
@@ -179,3 +306,103 @@ exports.checkConfig = async (req, res) => {
         mode: RAZORPAY_KEY_ID?.includes('live') ? 'LIVE' : RAZORPAY_KEY_ID?.includes('test') ? 'TEST' : 'UNKNOWN'
     });
 };
+
+// Helper: Return an advance that arrived after its slot hold was released
+const refundReleasedHold = async (appointmentId) => {
+    const appointment = await Appointment.findById(appointmentId);
+    if (!appointment || appointment.status !== 'cancelled' || !appointment.paymentDetails?.paymentId) return;
+
+    const amount = (appointment.paidAmount || 0) - (appointment.refundedAmount || 0);
+    if (amount <= 0) return;
+
+    const reason = 'Slot hold expired before the advance was received';
+    const refund = await refundGatewayPayment(appointment.paymentDetails.paymentId, amount, {
+        reason,
+        appointmentId: appointment._id.toString()
+    });
+    const order = await PaymentOrder.findOne({ orderId: appointment.paymentDetails.orderId });
+    await recordGatewayRefund(appointment, order, { id: refund.id, amount: toRupees(refund.amount), reason });
+};
+
+// Razorpay webhook: payment.captured, payment.failed, refund.processed
+exports.handleWebhook = async (req, res) => {
+    try {
+        const secret = cleanCredential(process.env.RAZORPAY_WEBHOOK_SECRET);
+        if (!secret) {
+            console.error(`[PaymentController] ❌ Webhook received but RAZORPAY_WEBHOOK_SECRET is not set`);
+            return res.status(500).json({ success: false, message: "Webhook not configured" });
+        }
+
+        const signature = req.headers['x-razorpay-signature'];
+        if (!verifyWebhookSignature(req.rawBody, signature, secret)) {
+            return res.status(400).json({ success: false, message: "Invalid Signature" });
+        }
+
+        const result = await processWebhookEvent(req.body, req.headers['x-razorpay-event-id']);
+
+        if (result.confirmedAppointment) {
+            // Required here to avoid a circular import with the appointment controller
+            const { finalizeHeldBooking } = require("./appointmentController");
+            finalizeHeldBooking(result.confirmedAppointment);
+        }
+
+        if (result.releasedHoldPayment) {
+            refundReleasedHold(result.releasedHoldPayment).catch(err => {
+                console.error(`[PaymentController] Refund for released hold ${result.releasedHoldPayment} failed:`, err.error?.description || err.message);
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: result.duplicate ? "Event already processed" : "Event processed",
+            data: result
+        });
+    } catch (error) {
+        console.error(`[PaymentController] Webhook processing failed:`, error.message);
+        // Non-2xx makes Razorpay redeliver the event
+        res.status(500).json({ success: false, message: "Webhook processing failed" });
+    }
+};
+
+// Reconciliation report: paid orders without a booking, online bookings without a captured payment
+exports.getReconciliationReport = async (req, res, next) => {
+    try {
+        const { businessId, from, to } = req.query;
+
+        let business = null;
+        if (req.user.role === 'admin') {
+            if (!businessId || !mongoose.Types.ObjectId.isValid(businessId)) {
+                return res.status(400).json({ success: false, message: "Valid business ID is required" });
+            }
+            business = await Business.findOne({ _id: businessId, admin: req.user.id }).select('_id name');
+        } else {
+            const manager = await Manager.findById(req.user.id).select('business');
+            if (manager) business = await Business.findById(manager.business).select('_id name');
+        }
+
+        if (!business) {
+            return res.status(404).json({ success: false, message: "Business not found or access denied" });
+        }
+
+        // Default: the last 30 days
+        const toDate = to ? new Date(to) : new Date();
+        const fromDate = from ? new Date(from) : new Date(toDate.getTime() - 30 * 24 * 60 * 60 * 1000);
+        if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime()) || fromDate > toDate) {
+            return res.status(400).json({ success: false, message: "Invalid date range" });
+        }
+        if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) toDate.setUTCHours(23, 59, 59, 999);
+
+        const report = await buildReconciliationReport(business._id, fromDate, toDate);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                business: { id: business._id, name: business.name },
+                period: { from: fromDate, to: toDate },
+                ...report
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
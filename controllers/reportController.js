@@ -8,6 +8,26 @@ const Business = require("../models/Business");
 const Manager = require("../models/Manager");
 const { setCache, getCache } = require("../utils/cache");
 const { exportToCSV, exportToPDF } = require("../utils/reportExport");
+const { DEFAULT_TIMEZONE, getBusinessTimezone, getCalendarDayRange, getZonedDayBounds, getDateKey } = require("../utils/timezoneUtils");
+const { NOTE_TYPES, getNoteTotalsByDay } = require("../utils/invoiceNoteUtils");
+
+/**
+ * $dateToString timezone resolving each document's own business timezone
+ * @param {Array} businesses - Businesses (with settings.timezone) in the aggregation
+ * @returns {Object|string} - Aggregation expression or timezone name
+ */
+const buildBusinessTimezoneExpression = (businesses) => {
+    if (businesses.length === 0) return DEFAULT_TIMEZONE;
+    return {
+        $switch: {
+            branches: businesses.map(b => ({
+                case: { $eq: ["$business", b._id] },
+                then: getBusinessTimezone(b)
+            })),
+            default: DEFAULT_TIMEZONE
+        }
+    };
+};
 
 // ================== Get Manager Reports ==================
 const getManagerReports = async (req, res, next) => {
@@ -25,6 +45,8 @@ const getManagerReports = async (req, res, next) => {
             });
         }
         const businessId = manager.business;
+        const business = await Business.findById(businessId).select('settings.timezone').lean();
+        const timeZone = getBusinessTimezone(business);
 
         // AGGREGATION: Find unique dates with activity (Transactions) for this business
         const dateAggregation = await Transaction.aggregate([
@@ -32,7 +54,7 @@ const getManagerReports = async (req, res, next) => {
             {
                 $group: {
                     _id: {
-                        date: { $dateToString: { format: "%Y-%m-%d", date: "$transactionDate" } },
+                        date: { $dateToString: { format: "%Y-%m-%d", date: "$transactionDate", timezone: timeZone } },
                         business: "$business"
                     }
                 }
@@ -53,8 +75,8 @@ const getManagerReports = async (req, res, next) => {
         const virtualReports = await Promise.all(entries.map(async (entry) => {
             const dateStr = entry._id.date;
             const date = new Date(dateStr);
-            const startOfDay = new Date(date); startOfDay.setHours(0, 0, 0, 0);
-            const endOfDay = new Date(date); endOfDay.setHours(23, 59, 59, 999);
+            const { start: startOfDay, end: endOfDay } = getZonedDayBounds(dateStr, timeZone);
+            const appointmentDay = getCalendarDayRange(dateStr, timeZone);
 
             // 1. Transaction Metrics
             const transactions = await Transaction.find({
@@ -69,7 +91,7 @@ const getManagerReports = async (req, res, next) => {
             // 2. Untracked Appts Metrics
             const appCustomerIds = await Appointment.distinct('customer', {
                 business: businessId,
-                appointmentDate: { $gte: startOfDay, $lte: endOfDay }
+                appointmentDate: { $gte: appointmentDay.start, $lte: appointmentDay.end }
             });
 
             const uniqueCustomers = new Set([
@@ -120,8 +142,9 @@ const getAdminReports = async (req, res, next) => {
         const { page = 1, limit = 10 } = req.query;
 
         // Get admin's businesses
-        const businesses = await Business.find({ admin: adminId }).select('_id');
+        const businesses = await Business.find({ admin: adminId }).select('_id settings.timezone').lean();
         const businessIds = businesses.map(b => b._id);
+        const timeZones = new Map(businesses.map(b => [b._id.toString(), getBusinessTimezone(b)]));
 
         // AGGREGATION: Find unique dates+business with activity (Transactions)
         const dateAggregation = await Transaction.aggregate([
@@ -129,7 +152,7 @@ const getAdminReports = async (req, res, next) => {
             {
                 $group: {
                     _id: {
-                        date: { $dateToString: { format: "%Y-%m-%d", date: "$transactionDate" } },
+                        date: { $dateToString: { format: "%Y-%m-%d", date: "$transactionDate", timezone: buildBusinessTimezoneExpression(businesses) } },
                         business: "$business"
                     },
                     firstTransaction: { $first: "$$ROOT" } // Keep reference
@@ -152,8 +175,9 @@ const getAdminReports = async (req, res, next) => {
             const dateStr = entry._id.date;
             const businessId = entry._id.business;
             const date = new Date(dateStr);
-            const startOfDay = new Date(date); startOfDay.setHours(0, 0, 0, 0);
-            const endOfDay = new Date(date); endOfDay.setHours(23, 59, 59, 999);
+            const timeZone = timeZones.get(businessId.toString()) || DEFAULT_TIMEZONE;
+            const { start: startOfDay, end: endOfDay } = getZonedDayBounds(dateStr, timeZone);
+            const appointmentDay = getCalendarDayRange(dateStr, timeZone);
 
             // 1. Fetch Metrics for this day/business
             const transactions = await Transaction.find({
@@ -168,7 +192,7 @@ const getAdminReports = async (req, res, next) => {
             // 2. Untracked Appointments Metrics
             const appCustomerIds = await Appointment.distinct('customer', {
                 business: businessId,
-                appointmentDate: { $gte: startOfDay, $lte: endOfDay }
+                appointmentDate: { $gte: appointmentDay.start, $lte: appointmentDay.end }
             });
 
             const uniqueCustomers = new Set([
@@ -269,8 +293,9 @@ const exportReports = async (req, res, next) => {
         let reports;
 
         if (userRole === "admin") {
-            const businesses = await Business.find({ admin: userId }).select('_id name');
+            const businesses = await Business.find({ admin: userId }).select('_id name settings.timezone').lean();
             let businessIds = businesses.map(b => b._id);
+            const timeZones = new Map(businesses.map(b => [b._id.toString(), getBusinessTimezone(b)]));
             if (scope !== "admin") {
                 // If filtering by specific business (though scope paramenter usage is ambiguous in current frontend, assuming 'admin' means all)
                 // If scope matches a business ID, filter by it? 
@@ -283,7 +308,7 @@ const exportReports = async (req, res, next) => {
                 {
                     $group: {
                         _id: {
-                            date: { $dateToString: { format: "%Y-%m-%d", date: "$transactionDate" } },
+                            date: { $dateToString: { format: "%Y-%m-%d", date: "$transactionDate", timezone: buildBusinessTimezoneExpression(businesses) } },
                             business: "$business"
                         }
                     }
@@ -291,13 +316,20 @@ const exportReports = async (req, res, next) => {
                 { $sort: { "_id.date": -1 } }
             ]);
 
+            // Credit/debit notes issued per business and day
+            const noteTotals = await getNoteTotalsByDay(
+                { business: { $in: businessIds } },
+                buildBusinessTimezoneExpression(businesses)
+            );
+
             // Hydrate each entry into a full Report Object
             reports = await Promise.all(dateAggregation.map(async (entry) => {
                 const dateStr = entry._id.date;
                 const businessId = entry._id.business;
                 const date = new Date(dateStr);
-                const startOfDay = new Date(date); startOfDay.setHours(0, 0, 0, 0);
-                const endOfDay = new Date(date); endOfDay.setHours(23, 59, 59, 999);
+                const timeZone = timeZones.get(businessId.toString()) || DEFAULT_TIMEZONE;
+                const { start: startOfDay, end: endOfDay } = getZonedDayBounds(dateStr, timeZone);
+                const appointmentDay = getCalendarDayRange(dateStr, timeZone);
 
                 // 1. Fetch Metrics for this day/business
                 const transactions = await Transaction.find({
@@ -312,7 +344,7 @@ const exportReports = async (req, res, next) => {
                 // 2. Untracked Appointments Metrics
                 const appCustomerIds = await Appointment.distinct('customer', {
                     business: businessId,
-                    appointmentDate: { $gte: startOfDay, $lte: endOfDay }
+                    appointmentDate: { $gte: appointmentDay.start, $lte: appointmentDay.end }
                 });
 
                 const uniqueCustomers = new Set([
@@ -337,6 +369,8 @@ const exportReports = async (req, res, next) => {
                     totalIncome: transactionRevenue,
                     totalCustomers: uniqueCustomers.size,
                     totalExpenses: dailyRecord?.totalExpenses || 0,
+                    creditNotes: noteTotals.get(`${businessId}:${dateStr}`)?.creditNotes || 0,
+                    debitNotes: noteTotals.get(`${businessId}:${dateStr}`)?.debitNotes || 0,
                     isCompleted: dailyRecord?.isCompleted ?? true
                 };
             }));
@@ -354,6 +388,15 @@ const exportReports = async (req, res, next) => {
                 .populate("manager", "username name")
                 .populate("business", "name")
                 .lean();
+
+            // Credit/debit notes issued per day
+            const business = await Business.findById(manager.business).select('settings.timezone').lean();
+            const timeZone = getBusinessTimezone(business);
+            const noteTotals = await getNoteTotalsByDay({ business: manager.business }, timeZone);
+            reports = reports.map(r => {
+                const totals = noteTotals.get(`${manager.business}:${getDateKey(r.date, timeZone)}`);
+                return { ...r, creditNotes: totals?.creditNotes || 0, debitNotes: totals?.debitNotes || 0 };
+            });
         } else {
             return res.status(403).json({ success: false, message: "Unauthorized" });
         }
@@ -424,16 +467,19 @@ const getAnalytics = async (req, res, next) => {
         // Build business filter based on role
         let businessFilter = {};
         let businessOnlyFilter = {}; // For counts without date filter
+        let reportBusinesses = []; // For timezone-aware day buckets
 
         if (userRole === 'admin') {
             if (businessId) {
                 // Admin viewing specific business
                 businessFilter.business = businessId;
                 businessOnlyFilter.business = businessId;
+                reportBusinesses = await Business.find({ _id: businessId }).select('_id settings.timezone').lean();
             } else {
                 // Admin viewing all their businesses
-                const businesses = await Business.find({ admin: userId }).select('_id');
+                const businesses = await Business.find({ admin: userId }).select('_id settings.timezone').lean();
                 const businessIds = businesses.map(b => b._id);
+                reportBusinesses = businesses;
 
                 // CRITICAL FIX: Always apply filter, even if empty. An admin with no businesses should see nothing.
                 businessFilter.business = { $in: businessIds };
@@ -445,6 +491,7 @@ const getAnalytics = async (req, res, next) => {
             if (manager && manager.business) {
                 businessFilter.business = manager.business;
                 businessOnlyFilter.business = manager.business;
+                reportBusinesses = await Business.find({ _id: manager.business }).select('_id settings.timezone').lean();
             }
         }
 
@@ -464,7 +511,7 @@ const getAnalytics = async (req, res, next) => {
             Customer.countDocuments(businessFilter),
             Appointment.countDocuments(businessFilter),
             Appointment.countDocuments({ ...businessFilter, status: 'completed' }),
-            Invoice.countDocuments(businessFilter)
+            Invoice.countDocuments({ ...businessFilter, invoiceType: { $nin: NOTE_TYPES } })
         ]);
 
         // Build match filter for revenue queries
@@ -608,7 +655,7 @@ const getAnalytics = async (req, res, next) => {
             { $match: trendBusinessMatch },
             {
                 $group: {
-                    _id: { $dateToString: { format: "%Y-%m-%d", date: "$transactionDate" } },
+                    _id: { $dateToString: { format: "%Y-%m-%d", date: "$transactionDate", timezone: buildBusinessTimezoneExpression(reportBusinesses) } },
                     totalIncome: { $sum: "$finalPrice" },
                     count: { $sum: 1 }
                 }
@@ -891,20 +938,26 @@ const getTrends = async (req, res, next) => {
 
         // Build business filter
         let businessIds = [];
+        let trendBusinesses = [];
         if (userRole === 'admin') {
             if (businessId) {
                 businessIds = [businessId];
+                trendBusinesses = await Business.find({ _id: businessId }).select('_id settings.timezone').lean();
             } else {
-                const businesses = await Business.find({ admin: userId }).select('_id');
-                businessIds = businesses.map(b => b._id);
+                trendBusinesses = await Business.find({ admin: userId }).select('_id settings.timezone').lean();
+                businessIds = trendBusinesses.map(b => b._id);
             }
         } else if (userRole === 'manager') {
             const manager = await Manager.findById(userId);
             if (manager?.business) {
                 businessIds = [manager.business];
+                trendBusinesses = await Business.find({ _id: manager.business }).select('_id settings.timezone').lean();
             }
         }
 
+        // Day buckets follow each business's local calendar
+        const timeZone = buildBusinessTimezoneExpression(trendBusinesses);
+
         const businessFilter = businessIds.length === 1
             ? { business: businessIds[0] }
             : { business: { $in: businessIds } };
@@ -917,7 +970,7 @@ const getTrends = async (req, res, next) => {
                 { $match: businessFilter },
                 {
                     $group: {
-                        _id: { $dateToString: { format: "%Y-%m-%d", date: "$transactionDate" } },
+                        _id: { $dateToString: { format: "%Y-%m-%d", date: "$transactionDate", timezone: timeZone } },
                         value: { $sum: "$finalPrice" },
                         count: { $sum: 1 }
                     }
@@ -940,7 +993,7 @@ const getTrends = async (req, res, next) => {
                 { $match: businessIds.length === 1 ? { business: businessIds[0] } : { business: { $in: businessIds } } },
                 {
                     $group: {
-                        _id: { $dateToString: { format: "%Y-%m-%d", date: "$date" } },
+                        _id: { $dateToString: { format: "%Y-%m-%d", date: "$date", timezone: timeZone } },
                         expenses: { $sum: "$totalExpenses" }
                     }
                 },
@@ -963,7 +1016,7 @@ const getTrends = async (req, res, next) => {
                 { $match: businessFilter },
                 {
                     $group: {
-                        _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+                        _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt", timezone: timeZone } },
                         registered: { $sum: 1 }
                     }
                 },
@@ -974,7 +1027,7 @@ const getTrends = async (req, res, next) => {
                 { $match: { ...businessFilter, customer: null } },
                 {
                     $group: {
-                        _id: { $dateToString: { format: "%Y-%m-%d", date: "$transactionDate" } },
+                        _id: { $dateToString: { format: "%Y-%m-%d", date: "$transactionDate", timezone: timeZone } },
                         phones: { $addToSet: "$customerPhone" }
                     }
                 },
@@ -1004,6 +1057,7 @@ const getTrends = async (req, res, next) => {
                 { $match: businessFilter },
                 {
                     $group: {
+                        // appointmentDate is already a calendar date (UTC midnight), so no timezone shift
                         _id: { $dateToString: { format: "%Y-%m-%d", date: "$appointmentDate" } },
                         value: { $sum: 1 },
                         completed: { $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] } },
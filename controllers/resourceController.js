@@ -0,0 +1,283 @@
+// resourceController.js - Bookable resources (rooms, chairs, equipment)
+const mongoose = require("mongoose");
+const Resource = require("../models/Resource");
+const Service = require("../models/Service");
+const Business = require("../models/Business");
+const Manager = require("../models/Manager");
+const { getResourceCapacityLimit } = require("../utils/resourceUtils");
+
+const RESOURCE_TYPES = ["room", "chair", "equipment"];
+
+// Helper: Resolve the business the current admin/manager works on
+const getAccessibleBusiness = async (user, businessId) => {
+    if (user.role === 'admin') {
+        if (!businessId || !mongoose.Types.ObjectId.isValid(businessId)) return null;
+        return Business.findOne({ _id: businessId, admin: user.id });
+    }
+
+    if (user.role === 'manager') {
+        const manager = await Manager.findById(user.id);
+        if (!manager) return null;
+        if (businessId && manager.business.toString() !== businessId.toString()) return null;
+        return Business.findById(manager.business);
+    }
+
+    return null;
+};
+
+// Helper: Make sure the active units of a type stay within Business.capacity
+// (numberOfRooms for rooms, seatingCapacity for chairs)
+const checkCapacityLimit = async (business, type, quantity, excludeResourceId = null) => {
+    const limit = getResourceCapacityLimit(business, type);
+    if (limit === null) return null;
+
+    const query = { business: business._id, type, isActive: true };
+    if (excludeResourceId) query._id = { $ne: excludeResourceId };
+
+    const existing = await Resource.find(query).select('quantity').lean();
+    const total = existing.reduce((sum, resource) => sum + (resource.quantity || 1), 0) + quantity;
+
+    if (total > limit) {
+        const field = type === 'room' ? 'number of rooms' : 'seating capacity';
+        return `This would exceed the business ${field} (${limit})`;
+    }
+    return null;
+};
+
+// ================== Create Resource ==================
+const createResource = async (req, res, next) => {
+    try {
+        const { businessId, name, type, quantity = 1, description } = req.body;
+
+        if (!name || !type) {
+            return res.status(400).json({
+                success: false,
+                message: "Name and type are required"
+            });
+        }
+
+        if (!RESOURCE_TYPES.includes(type)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid type. Must be one of: ${RESOURCE_TYPES.join(', ')}`
+            });
+        }
+
+        if (!Number.isInteger(Number(quantity)) || Number(quantity) < 1) {
+            return res.status(400).json({
+                success: false,
+                message: "Quantity must be a whole number of at least 1"
+            });
+        }
+
+        const business = await getAccessibleBusiness(req.user, businessId);
+        if (!business) {
+            return res.status(404).json({
+                success: false,
+                message: "Business not found or access denied"
+            });
+        }
+
+        const capacityError = await checkCapacityLimit(business, type, Number(quantity));
+        if (capacityError) {
+            return res.status(400).json({
+                success: false,
+                message: capacityError
+            });
+        }
+
+        const existing = await Resource.findOne({ business: business._id, name: name.trim() });
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: "A resource with this name already exists"
+            });
+        }
+
+        const resource = await Resource.create({
+            business: business._id,
+            name,
+            type,
+            quantity: Number(quantity),
+            description,
+            createdBy: req.user.id,
+            createdByModel: req.user.role === 'admin' ? 'Admin' : 'Manager'
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: "Resource created successfully",
+            data: resource
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ================== Get Resources ==================
+const getResources = async (req, res, next) => {
+    try {
+        const { businessId, type, isActive } = req.query;
+
+        const business = await getAccessibleBusiness(req.user, businessId);
+        if (!business) {
+            return res.status(404).json({
+                success: false,
+                message: "Business not found or access denied"
+            });
+        }
+
+        const query = { business: business._id };
+        if (type) query.type = type;
+        if (isActive !== undefined) query.isActive = isActive === 'true';
+
+        const resources = await Resource.find(query).sort({ type: 1, name: 1 }).lean();
+
+        return res.json({
+            success: true,
+            data: resources,
+            capacity: {
+                numberOfRooms: getResourceCapacityLimit(business, 'room'),
+                seatingCapacity: getResourceCapacityLimit(business, 'chair')
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ================== Update Resource ==================
+const updateResource = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { name, type, quantity, description, isActive } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid resource ID"
+            });
+        }
+
+        const resource = await Resource.findById(id);
+        if (!resource) {
+            return res.status(404).json({
+                success: false,
+                message: "Resource not found"
+            });
+        }
+
+        const business = await getAccessibleBusiness(req.user, resource.business);
+        if (!business) {
+            return res.status(403).json({
+                success: false,
+                message: "Access denied"
+            });
+        }
+
+        if (type !== undefined && !RESOURCE_TYPES.includes(type)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid type. Must be one of: ${RESOURCE_TYPES.join(', ')}`
+            });
+        }
+
+        if (quantity !== undefined && (!Number.isInteger(Number(quantity)) || Number(quantity) < 1)) {
+            return res.status(400).json({
+                success: false,
+                message: "Quantity must be a whole number of at least 1"
+            });
+        }
+
+        const nextType = type || resource.type;
+        const nextQuantity = quantity !== undefined ? Number(quantity) : resource.quantity;
+        const nextActive = isActive !== undefined ? Boolean(isActive) : resource.isActive;
+
+        if (nextActive) {
+            const capacityError = await checkCapacityLimit(business, nextType, nextQuantity, resource._id);
+            if (capacityError) {
+                return res.status(400).json({
+                    success: false,
+                    message: capacityError
+                });
+            }
+        }
+
+        if (name !== undefined) resource.name = name;
+        if (description !== undefined) resource.description = description;
+        resource.type = nextType;
+        resource.quantity = nextQuantity;
+        resource.isActive = nextActive;
+        await resource.save();
+
+        return res.json({
+            success: true,
+            message: "Resource updated successfully",
+            data: resource
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ================== Delete Resource ==================
+const deleteResource = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid resource ID"
+            });
+        }
+
+        const resource = await Resource.findById(id);
+        if (!resource) {
+            return res.status(404).json({
+                success: false,
+                message: "Resource not found"
+            });
+        }
+
+        const business = await getAccessibleBusiness(req.user, resource.business);
+        if (!business) {
+            return res.status(403).json({
+                success: false,
+                message: "Access denied"
+            });
+        }
+
+        // Services that need this resource could no longer be booked
+        const dependentServices = await Service.find({
+            business: resource.business,
+            isActive: true,
+            'requiredResources.resource': resource._id
+        }).select('name').lean();
+
+        if (dependentServices.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Resource is required by: ${dependentServices.map(s => s.name).join(', ')}`
+            });
+        }
+
+        // Soft delete so past bookings keep their reference
+        resource.isActive = false;
+        await resource.save();
+
+        return res.json({
+            success: true,
+            message: "Resource deleted successfully"
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = {
+    createResource,
+    getResources,
+    updateResource,
+    deleteResource
+};
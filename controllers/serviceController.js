@@ -1,11 +1,30 @@
 // serviceController.js - Service/Product catalog management
+const mongoose = require("mongoose");
 const Service = require("../models/Service");
 const Business = require("../models/Business");
 const Manager = require("../models/Manager");
 const Appointment = require("../models/Appointment");
 const { setCache, getCache, deleteCache } = require("../utils/cache");
+const Resource = require("../models/Resource");
 const { getServicePriceAndDuration } = require("../utils/appointmentUtils");
 
+// Helper: every required resource must be an active resource of the same business
+const validateRequiredResources = async (businessId, requiredResources) => {
+    if (requiredResources === undefined) return null;
+    if (!Array.isArray(requiredResources)) return "requiredResources must be an array";
+
+    const ids = requiredResources.map(requirement => requirement && requirement.resource);
+    if (ids.some(id => !id || !mongoose.Types.ObjectId.isValid(id))) {
+        return "Each required resource needs a valid resource ID";
+    }
+    if (requiredResources.some(requirement => requirement.quantity !== undefined && !(Number(requirement.quantity) >= 1))) {
+        return "Required resource quantity must be at least 1";
+    }
+
+    const found = await Resource.countDocuments({ _id: { $in: ids }, business: businessId, isActive: true });
+    return found === new Set(ids.map(String)).size ? null : "One or more required resources were not found";
+};
+
 // ================== Create Service ==================
 const createService = async (req, res, next) => {
     try {
@@ -44,6 +63,14 @@ const createService = async (req, res, next) => {
         // Remove businessId from serviceData to prevent override
         const { businessId, ...cleanServiceData } = serviceData;
 
+        const resourceError = await validateRequiredResources(business._id, cleanServiceData.requiredResources);
+        if (resourceError) {
+            return res.status(400).json({
+                success: false,
+                message: resourceError
+            });
+        }
+
         // Create service
         const service = await Service.create({
             ...cleanServiceData,
@@ -368,6 +395,14 @@ const updateService = async (req, res, next) => {
         // Remove protected fields from updates (cannot be changed)
         const { business, businessId, createdBy, createdByModel, _id, __v, ...allowedUpdates } = updates;
 
+        const resourceError = await validateRequiredResources(service.business, allowedUpdates.requiredResources);
+        if (resourceError) {
+            return res.status(400).json({
+                success: false,
+                message: resourceError
+            });
+        }
+
         // Update service
         Object.assign(service, allowedUpdates);
         service.updatedBy = userId;
@@ -413,10 +413,10 @@ const addTransaction = async (req, res, next) => {
             if (customerPhone) customerCriteria.push({ phone: customerPhone });
             if (customerEmail) customerCriteria.push({ email: customerEmail });
 
-            let existingCustomer = await Customer.findOne({
+            let existingCustomer = await Customer.resolveMerged(await Customer.findOne({
                 business: staff.business,
                 $or: customerCriteria
-            });
+            }));
 
             if (existingCustomer) {
                 customerId = existingCustomer._id;
@@ -4,6 +4,9 @@ const Manager = require("../../models/Manager");
 const Staff = require("../../models/Staff");
 const Appointment = require("../../models/Appointment");
 const Transaction = require("../../models/Transaction");
+const SuperAdmin = require("../../models/SuperAdmin");
+const PlatformSettings = require("../../models/PlatformSettings");
+const { getTwoFactorPolicy, clearTwoFactorPolicyCache, disableTwoFactor } = require("../../utils/twoFactorUtils");
 
 // Get all Admins with pagination, filtering and searching
 const getAllAdmins = async (req, res, next) => {
@@ -234,7 +237,7 @@ const getAdminAllBusiness = async (req, res, next) => {
         // Enrich each business with managers, staff, and bookings
         const business_list = await Promise.all(businesses.map(async (bus) => {
             // Managers (Multiple)
-            const managers = await Manager.find({ business: bus._id }).select('name pin sidebarSettings').lean();
+            const managers = await Manager.find({ business: bus._id }).select('name sidebarSettings').lean();
 
             // Staff
             const staffList = await Staff.find({ business: bus._id }).select('email phone').lean();
@@ -275,7 +278,7 @@ const getAdminAllBusiness = async (req, res, next) => {
                 business_name: bus.name,
                 business_type: bus.type,
                 branch: bus.branch,
-                managers_list: managers.map(m => ({ manager_id: m._id, name: m.name, pin: m.pin, sidebarSettings: m.sidebarSettings })),
+                managers_list: managers.map(m => ({ manager_id: m._id, name: m.name, sidebarSettings: m.sidebarSettings })),
                 staff_contact: staffList.map(s => ({ email: s.email, phone: s.phone })),
                 total_staff: staffList.length,
                 total_booking: busBooking,
@@ -393,10 +396,85 @@ const updateAdminBusinessPlan = async (req, res, next) => {
     }
 };
 
+// Get platform security policy
+const getSecurityPolicy = async (req, res, next) => {
+    try {
+        const requireTwoFactor = await getTwoFactorPolicy();
+
+        return res.json({ success: true, data: { requireTwoFactor } });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Update platform security policy (mandatory 2FA)
+const updateSecurityPolicy = async (req, res, next) => {
+    try {
+        const { requireTwoFactor = {} } = req.body;
+        const { admins, superAdmins } = requireTwoFactor;
+
+        if ((admins !== undefined && typeof admins !== 'boolean') || (superAdmins !== undefined && typeof superAdmins !== 'boolean')) {
+            return res.status(400).json({ success: false, message: "requireTwoFactor.admins and requireTwoFactor.superAdmins must be boolean" });
+        }
+
+        // Requiring 2FA for Super Admins without having it would lock the caller out
+        if (superAdmins === true) {
+            const superAdmin = await SuperAdmin.findById(req.user.id).select('twoFactor.enabled').lean();
+            if (!superAdmin?.twoFactor?.enabled) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Enable two-factor authentication on your own account before making it mandatory for Super Admins"
+                });
+            }
+        }
+
+        const update = { updatedBy: req.user.id };
+        if (admins !== undefined) update['security.requireTwoFactor.admins'] = admins;
+        if (superAdmins !== undefined) update['security.requireTwoFactor.superAdmins'] = superAdmins;
+
+        await PlatformSettings.updateOne({ key: "platform" }, { $set: update }, { upsert: true });
+        await clearTwoFactorPolicyCache();
+
+        return res.json({
+            success: true,
+            message: "Security policy updated",
+            data: { requireTwoFactor: await getTwoFactorPolicy() }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Reset an Admin's 2FA (lost authenticator and backup codes)
+const resetAdminTwoFactor = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const admin = await Admin.findById(id).select('_id twoFactor.enabled').lean();
+        if (!admin) return res.status(404).json({ success: false, message: "Admin not found" });
+
+        if (!admin.twoFactor?.enabled) {
+            return res.status(400).json({ success: false, message: "Two-factor authentication is not enabled for this admin" });
+        }
+
+        await disableTwoFactor(Admin, id);
+
+        return res.json({
+            success: true,
+            message: "Two-factor authentication reset. The admin can set it up again after logging in."
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
 module.exports = {
     getAllAdmins,
     getAdminAllBusiness,
     updateAdminStatus,
     updateAdminBusinessStatus,
-    updateAdminBusinessPlan
+    updateAdminBusinessPlan,
+    getSecurityPolicy,
+    updateSecurityPolicy,
+    resetAdminTwoFactor
 };
@@ -1,6 +1,36 @@
 const SuperAdmin = require("../../models/SuperAdmin");
 const { hashPassword, comparePassword } = require("../../utils/hashPassword");
-const { createAccessToken, createRefreshToken, verifyRefreshToken } = require("../../utils/generateToken");
+const { createAccessToken, createRefreshToken, verifyRefreshToken, createTwoFactorToken, verifyTwoFactorToken } = require("../../utils/generateToken");
+const {
+    startTwoFactorEnrollment,
+    confirmTwoFactorEnrollment,
+    verifyTwoFactorCode,
+    regenerateBackupCodes,
+    disableTwoFactor,
+    getTwoFactorStatus,
+    getTwoFactorPolicy,
+} = require("../../utils/twoFactorUtils");
+
+// Tokens and profile returned once a Super Admin has fully logged in
+const buildLoginResponse = (superAdmin) => {
+    const payload = {
+        id: superAdmin._id,
+        role: "super-admin",
+        name: superAdmin.user_name
+    };
+
+    return {
+        success: true,
+        accessToken: createAccessToken(payload),
+        refreshToken: createRefreshToken(payload),
+        user: {
+            id: superAdmin._id,
+            user_name: superAdmin.user_name,
+            email: superAdmin.email,
+            profile_pic: superAdmin.profile_pic
+        }
+    };
+};
 
 // Super Admin Login
 const login = async (req, res, next) => {
@@ -21,25 +51,60 @@ const login = async (req, res, next) => {
             return res.status(401).json({ success: false, message: "Invalid credentials" });
         }
 
-        const payload = {
-            id: superAdmin._id,
-            role: "super-admin",
-            name: superAdmin.user_name
-        };
+        // With 2FA on, the password only earns a short-lived token for the code step
+        if (superAdmin.twoFactor?.enabled) {
+            return res.json({
+                success: true,
+                twoFactorRequired: true,
+                twoFactorToken: createTwoFactorToken({ id: superAdmin._id, role: "super-admin" }),
+                message: "Enter the code from your authenticator app"
+            });
+        }
 
-        const accessToken = createAccessToken(payload);
-        const refreshToken = createRefreshToken(payload);
+        const policy = await getTwoFactorPolicy();
 
         return res.json({
-            success: true,
-            accessToken,
-            refreshToken,
-            user: {
-                id: superAdmin._id,
-                user_name: superAdmin.user_name,
-                email: superAdmin.email,
-                profile_pic: superAdmin.profile_pic
-            }
+            ...buildLoginResponse(superAdmin),
+            ...(policy.superAdmins && { twoFactorSetupRequired: true })
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Super Admin Login Second Step (2FA)
+const loginTwoFactor = async (req, res, next) => {
+    try {
+        const { twoFactorToken, code } = req.body;
+
+        if (!twoFactorToken || !code) {
+            return res.status(400).json({ success: false, message: "Two-factor token and code are required" });
+        }
+
+        let decoded;
+        try {
+            decoded = verifyTwoFactorToken(twoFactorToken);
+        } catch (err) {
+            return res.status(401).json({ success: false, message: "Login expired, please enter your password again" });
+        }
+
+        if (decoded.role !== "super-admin") {
+            return res.status(401).json({ success: false, message: "Invalid two-factor token" });
+        }
+
+        const superAdmin = await SuperAdmin.findById(decoded.id);
+        if (!superAdmin) {
+            return res.status(404).json({ success: false, message: "Super Admin not found" });
+        }
+
+        const result = await verifyTwoFactorCode(SuperAdmin, superAdmin._id, code);
+        if (!result.success) {
+            return res.status(result.status).json({ success: false, message: result.message, ...(result.lockedUntil && { lockedUntil: result.lockedUntil }) });
+        }
+
+        return res.json({
+            ...buildLoginResponse(superAdmin),
+            ...(result.method === 'backup_code' && { backupCodesRemaining: result.backupCodesRemaining })
         });
     } catch (err) {
         next(err);
@@ -103,9 +168,124 @@ const getProfile = async (req, res, next) => {
     }
 };
 
+// Get Two-Factor Status
+const getTwoFactor = async (req, res, next) => {
+    try {
+        const policy = await getTwoFactorPolicy();
+        const status = await getTwoFactorStatus(SuperAdmin, req.user.id, policy.superAdmins);
+
+        return res.json({ success: true, data: status });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Start Two-Factor Setup
+const setupTwoFactor = async (req, res, next) => {
+    try {
+        const result = await startTwoFactorEnrollment(SuperAdmin, req.user.id, req.user.email);
+        if (!result.success) {
+            return res.status(result.status).json({ success: false, message: result.message });
+        }
+
+        return res.json({
+            success: true,
+            message: "Scan the QR code with your authenticator app, then confirm with a code",
+            data: { secret: result.secret, otpauthUrl: result.otpauthUrl, qrCode: result.qrCode }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Confirm Two-Factor Setup
+const enableTwoFactor = async (req, res, next) => {
+    try {
+        const { code } = req.body;
+        if (!code) {
+            return res.status(400).json({ success: false, message: "Verification code is required" });
+        }
+
+        const result = await confirmTwoFactorEnrollment(SuperAdmin, req.user.id, code);
+        if (!result.success) {
+            return res.status(result.status).json({ success: false, message: result.message });
+        }
+
+        return res.json({
+            success: true,
+            message: "Two-factor authentication enabled. Save your backup codes; they are shown only once.",
+            data: { backupCodes: result.backupCodes }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Disable Two-Factor
+const disableTwoFactorAuth = async (req, res, next) => {
+    try {
+        const { password, code } = req.body;
+        if (!password || !code) {
+            return res.status(400).json({ success: false, message: "Password and authentication code are required" });
+        }
+
+        const policy = await getTwoFactorPolicy();
+        if (policy.superAdmins) {
+            return res.status(403).json({ success: false, message: "Two-factor authentication is mandatory for Super Admins" });
+        }
+
+        const superAdmin = await SuperAdmin.findById(req.user.id).select('password').lean();
+        if (!superAdmin || !(await comparePassword(password, superAdmin.password))) {
+            return res.status(400).json({ success: false, message: "Password is incorrect" });
+        }
+
+        const result = await verifyTwoFactorCode(SuperAdmin, req.user.id, code);
+        if (!result.success) {
+            return res.status(result.status).json({ success: false, message: result.message });
+        }
+
+        await disableTwoFactor(SuperAdmin, req.user.id);
+
+        return res.json({ success: true, message: "Two-factor authentication disabled" });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Regenerate Backup Codes
+const regenerateTwoFactorBackupCodes = async (req, res, next) => {
+    try {
+        const { code } = req.body;
+        if (!code) {
+            return res.status(400).json({ success: false, message: "Authentication code is required" });
+        }
+
+        const result = await verifyTwoFactorCode(SuperAdmin, req.user.id, code);
+        if (!result.success) {
+            return res.status(result.status).json({ success: false, message: result.message });
+        }
+
+        const backupCodes = await regenerateBackupCodes(SuperAdmin, req.user.id);
+
+        return res.json({
+            success: true,
+            message: "New backup codes generated. Previous codes no longer work.",
+            data: { backupCodes }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
 module.exports = {
     login,
+    loginTwoFactor,
     register,
     logout,
-    getProfile
+    getProfile,
+    getTwoFactor,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactorAuth,
+    regenerateTwoFactorBackupCodes
 };
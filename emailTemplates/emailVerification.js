@@ -0,0 +1,31 @@
+module.exports = {
+    subject: 'Verify your email for SpaAdvisor',
+    html: `
+        <div style="font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif; background-color: #f9f9f9; padding: 40px 20px;">
+            <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 8px; box-shadow: 0 4px 15px rgba(0,0,0,0.05); overflow: hidden;">
+                <!-- Header -->
+                <div style="background-color: #333; color: #ffffff; padding: 25px; text-align: center;">
+                    <h1 style="margin: 0; font-size: 24px; font-weight: 300; letter-spacing: 1px;">{{companyName}}</h1>
+                </div>
+
+                <!-- Body -->
+                <div style="padding: 40px 30px; color: #444444; line-height: 1.6;">
+                    <h2 style="color: #333; margin-top: 0; font-size: 20px;">Confirm your email address</h2>
+                    <p style="margin-bottom: 25px;">Hello {{name}},</p>
+                    <p>Thanks for registering <strong>{{companyName}}</strong>. Please confirm that <strong>{{email}}</strong> is your email address so you can sign in. This link expires in {{expiresIn}}.</p>
+
+                    <div style="text-align: center; margin: 30px 0;">
+                        <a href="{{actionUrl}}" style="background-color: #27ae60; color: #ffffff; text-decoration: none; padding: 12px 25px; border-radius: 4px; font-weight: bold; display: inline-block;">Verify Email</a>
+                    </div>
+
+                    <p style="font-size: 14px; color: #7f8c8d;">If you did not create this account, you can ignore this email.</p>
+                </div>
+
+                <!-- Footer -->
+                <div style="background-color: #f1f2f6; padding: 20px; text-align: center; color: #95a5a6; font-size: 12px;">
+                    <p style="margin: 0;">&copy; {{year}} SpaAdvisor. All rights reserved.</p>
+                </div>
+            </div>
+        </div>
+    `
+};
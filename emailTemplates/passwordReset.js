@@ -0,0 +1,31 @@
+module.exports = {
+    subject: 'Reset your SpaAdvisor password',
+    html: `
+        <div style="font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif; background-color: #f9f9f9; padding: 40px 20px;">
+            <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 8px; box-shadow: 0 4px 15px rgba(0,0,0,0.05); overflow: hidden;">
+                <!-- Header -->
+                <div style="background-color: #333; color: #ffffff; padding: 25px; text-align: center;">
+                    <h1 style="margin: 0; font-size: 24px; font-weight: 300; letter-spacing: 1px;">{{companyName}}</h1>
+                </div>
+
+                <!-- Body -->
+                <div style="padding: 40px 30px; color: #444444; line-height: 1.6;">
+                    <h2 style="color: #333; margin-top: 0; font-size: 20px;">Password reset request</h2>
+                    <p style="margin-bottom: 25px;">Hello {{name}},</p>
+                    <p>We received a request to reset the password for your account. Click the button below to choose a new password. This link expires in {{expiresIn}} and can only be used once.</p>
+
+                    <div style="text-align: center; margin: 30px 0;">
+                        <a href="{{actionUrl}}" style="background-color: #3498db; color: #ffffff; text-decoration: none; padding: 12px 25px; border-radius: 4px; font-weight: bold; display: inline-block;">Reset Password</a>
+                    </div>
+
+                    <p style="font-size: 14px; color: #7f8c8d;">If you did not request a password reset, you can ignore this email. Your password will stay the same.</p>
+                </div>
+
+                <!-- Footer -->
+                <div style="background-color: #f1f2f6; padding: 20px; text-align: center; color: #95a5a6; font-size: 12px;">
+                    <p style="margin: 0;">&copy; {{year}} SpaAdvisor. All rights reserved.</p>
+                </div>
+            </div>
+        </div>
+    `
+};
@@ -1,7 +1,9 @@
 // Verifies access JWT, loads the corresponding user model (Admin / Manager / Staff)
-// Attaches req.user = { id, role, businessId, companyId (admin id) } for downstream use.
+// Attaches req.user = { id, role, businessId, companyId (admin id), sessionId } for downstream use.
 
 const { verifyAccessToken } = require('../utils/generateToken');
+const { isSessionActive } = require('../utils/sessionUtils');
+const { getTwoFactorPolicy } = require('../utils/twoFactorUtils');
 const Admin = require('../models/Admin');
 const Manager = require('../models/Manager');
 const Staff = require('../models/Staff');
@@ -34,16 +36,31 @@ async function authMiddleware(req, res, next) {
         }
 
         // Expect token to contain { id, role } - role should be 'admin' | 'manager' | 'staff'
-        const { id: tokenUserId, role: tokenRole } = decoded;
+        const { id: tokenUserId, role: tokenRole, sid: sessionId } = decoded;
         if (!tokenUserId || !tokenRole) {
             return res.status(401).json({ success: false, message: 'Token payload missing id or role' });
         }
 
+        // Manager and staff tokens are always bound to a session; one without it cannot be revoked
+        if (!sessionId && (tokenRole === 'manager' || tokenRole === 'staff')) {
+            return res.status(401).json({ success: false, sessionRevoked: true, message: 'Session expired, please log in again' });
+        }
+
+        // Tokens bound to a session stop working once it is logged out or revoked
+        if (sessionId && !(await isSessionActive(sessionId, tokenUserId))) {
+            return res.status(401).json({ success: false, sessionRevoked: true, message: 'Session has been logged out, please log in again' });
+        }
+
         // Load user from DB based on role and attach normalized req.user
         if (tokenRole === 'admin') {
             const admin = await Admin.findById(tokenUserId).select('-password -refreshToken').lean();
             if (!admin) return res.status(401).json({ success: false, message: 'Admin not found' });
 
+            // Tokens from before sessions existed cannot be revoked, so a password change ends them here
+            if (!sessionId && admin.passwordChangedAt && decoded.iat * 1000 < new Date(admin.passwordChangedAt).getTime()) {
+                return res.status(401).json({ success: false, sessionRevoked: true, message: 'Password was changed, please log in again' });
+            }
+
             // Check if Admin is active
             if (admin.isActive === false) {
                 return res.status(403).json({
@@ -54,6 +71,18 @@ async function authMiddleware(req, res, next) {
                 });
             }
 
+            // Mandatory 2FA: until enrolled, only the enrolment routes are open
+            if (!admin.twoFactor?.enabled && !req.twoFactorSetupRoute) {
+                const policy = await getTwoFactorPolicy();
+                if (policy.admins) {
+                    return res.status(403).json({
+                        success: false,
+                        twoFactorSetupRequired: true,
+                        message: 'Two-factor authentication is required. Please set it up to continue.'
+                    });
+                }
+            }
+
             req.user = {
                 id: String(admin._id),
                 role: 'admin',
@@ -61,6 +90,7 @@ async function authMiddleware(req, res, next) {
                 name: admin.name,
                 email: admin.email,
                 phone: admin.phone,
+                sessionId: sessionId || null,
             };
             return next();
         }
@@ -96,6 +126,7 @@ async function authMiddleware(req, res, next) {
                 username: manager.username,
                 businessId: business ? String(business._id) : null,
                 companyId,
+                sessionId: sessionId || null,
             };
             return next();
         }
@@ -134,6 +165,7 @@ async function authMiddleware(req, res, next) {
                 managerId: manager ? String(manager._id) : null,
                 businessId: business ? String(business._id) : null,
                 companyId,
+                sessionId: sessionId || null,
             };
             return next();
         }
@@ -146,4 +178,13 @@ async function authMiddleware(req, res, next) {
     }
 }
 
+/**
+ * authMiddleware for the 2FA enrolment routes, which must stay open while enrolment is mandatory
+ */
+function twoFactorSetupAuth(req, res, next) {
+    req.twoFactorSetupRoute = true;
+    return authMiddleware(req, res, next);
+}
+
 module.exports = authMiddleware;
+module.exports.twoFactorSetupAuth = twoFactorSetupAuth;
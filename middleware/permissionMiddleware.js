@@ -8,13 +8,164 @@ const Manager = require('../models/Manager');
  * Also enforces branch-level and time-based access restrictions
  */
 
+/**
+ * Every resource/action a manager can be granted (Manager.permissions), with labels for the UI
+ * Routes may only check permissions declared here.
+ */
+const PERMISSION_CATALOG = {
+    staff: {
+        view: 'View staff',
+        create: 'Add staff',
+        edit: 'Edit staff',
+        delete: 'Remove staff',
+        viewSalary: 'See salary and commission'
+    },
+    customers: {
+        view: 'View customers, reviews and leads',
+        create: 'Add and import customers',
+        edit: 'Edit customers, loyalty points and memberships',
+        delete: 'Delete and merge customers',
+        exportData: 'Export customer data'
+    },
+    appointments: {
+        view: 'View appointments',
+        create: 'Book appointments',
+        edit: 'Update, reschedule and check in appointments',
+        cancel: 'Cancel appointments',
+        refund: 'Refund appointment payments'
+    },
+    invoices: {
+        view: 'View invoices',
+        create: 'Create invoices',
+        edit: 'Edit draft invoices',
+        collectPayment: 'Record invoice payments',
+        cancel: 'Cancel invoices',
+        issueNotes: 'Issue credit and debit notes',
+        refund: 'Refund invoice payments'
+    },
+    financial: {
+        viewRevenue: 'View revenue, transactions and day book',
+        viewExpenses: 'View expenses',
+        recordExpenses: 'Record expenses',
+        recordTransactions: 'Record transactions and daily business',
+        approveExpenses: 'Approve expenses',
+        viewProfitMargin: 'See profit and margins'
+    },
+    inventory: {
+        view: 'View products and stock',
+        manageProducts: 'Add and edit products',
+        adjustStock: 'Adjust stock and handle stock requests',
+        viewCost: 'See cost prices'
+    },
+    services: {
+        view: 'View services and resources',
+        create: 'Add services and resources',
+        edit: 'Edit services and resources',
+        delete: 'Delete services and resources'
+    },
+    marketing: {
+        view: 'View campaigns, coupons, rewards and notifications',
+        manage: 'Create and send campaigns, coupons, rewards and notifications'
+    },
+    reports: {
+        dailyReports: 'Daily reports and dashboards',
+        monthlyReports: 'Reports spanning up to a month',
+        yearlyReports: 'Reports spanning longer periods',
+        exportReports: 'Export reports'
+    },
+    settings: {
+        view: 'View business settings',
+        edit: 'Change business settings, profile and images'
+    }
+};
+
+/**
+ * Why a manager's access period does not allow access right now
+ * @param {Object} manager - Manager document
+ * @param {Date} now - Current instant
+ * @returns {string|null} - Error message, or null when access is allowed
+ */
+function getAccessPeriodError(manager, now = new Date()) {
+    if (!manager.accessPeriod) return null;
+    if (manager.accessPeriod.startDate && now < manager.accessPeriod.startDate) {
+        return 'Access period has not started yet';
+    }
+    if (manager.accessPeriod.endDate && now > manager.accessPeriod.endDate) {
+        return 'Access period has expired';
+    }
+    return null;
+}
+
+/**
+ * Effective permission matrix of a user, shaped like PERMISSION_CATALOG with booleans
+ * Admins get every permission; a manager outside their access period gets none.
+ * @param {Object} user - req.user ({ id, role })
+ * @param {Object} [manager] - Manager document (for managers)
+ * @returns {Object} - { role, permissions, accessActive, accessPeriod, accessScope, assignedBranches }
+ */
+function getEffectivePermissions(user, manager = null) {
+    const isAdmin = user.role === 'admin';
+    const accessError = !isAdmin && manager ? getAccessPeriodError(manager) : null;
+    const accessActive = isAdmin || Boolean(manager && manager.isActive && !accessError);
+
+    const permissions = {};
+    Object.entries(PERMISSION_CATALOG).forEach(([resource, actions]) => {
+        permissions[resource] = {};
+        Object.keys(actions).forEach(action => {
+            permissions[resource][action] = isAdmin ||
+                (accessActive && Boolean(manager.permissions?.[resource]?.[action]));
+        });
+    });
+
+    return {
+        role: user.role,
+        permissions,
+        accessActive,
+        accessMessage: accessError || (!isAdmin && !accessActive ? 'Manager account is inactive' : null),
+        accessPeriod: isAdmin ? null : manager?.accessPeriod || null,
+        accessScope: isAdmin ? 'all_branches' : manager?.accessScope || 'all_branches',
+        assignedBranches: isAdmin ? [] : manager?.assignedBranches || []
+    };
+}
+
+/**
+ * Report permission needed for a request, from the period it covers
+ * Uses ?period (daily/weekly/monthly/yearly) when given, else the startDate-endDate span;
+ * reports without a date range cover all time and need yearlyReports.
+ * @param {Object} req - Express request
+ * @returns {string} - dailyReports | monthlyReports | yearlyReports
+ */
+function getReportAction(req) {
+    const { period, startDate, endDate } = req.query;
+
+    if (period) {
+        if (['daily', 'day', 'today'].includes(period)) return 'dailyReports';
+        if (['weekly', 'week', 'monthly', 'month'].includes(period)) return 'monthlyReports';
+        return 'yearlyReports';
+    }
+
+    const start = startDate ? new Date(startDate) : null;
+    const end = endDate ? new Date(endDate) : null;
+    if (!start || !end || isNaN(start) || isNaN(end)) return 'yearlyReports';
+
+    const days = (end - start) / (24 * 60 * 60 * 1000);
+    if (days <= 1) return 'dailyReports';
+    if (days <= 31) return 'monthlyReports';
+    return 'yearlyReports';
+}
+
 /**
  * Check if manager has permission for a specific resource and action
- * @param {string} resource - Resource name (staff, customers, financial, appointments, inventory, reports)
- * @param {string} action - Action name (view, create, edit, delete, etc.)
+ * @param {string} resource - Resource name (a key of PERMISSION_CATALOG)
+ * @param {string|Function} action - Action name (view, create, edit, delete, etc.), or a function
+ *   of the request returning one when the action depends on the payload
  * @returns {Function} Express middleware
  */
 function checkPermission(resource, action) {
+    if (typeof action === 'string' && !PERMISSION_CATALOG[resource]?.[action]) {
+        throw new Error(`Undeclared permission ${resource}.${action}`);
+    }
+
     return async (req, res, next) => {
         try {
             const user = req.user;
@@ -24,16 +175,13 @@ function checkPermission(resource, action) {
                 return next();
             }
 
-            // Only managers are subject to granular permissions
+            // Only managers are subject to granular permissions (other roles are gated by roleMiddleware)
             if (user.role !== 'manager') {
-                return res.status(403).json({
-                    success: false,
-                    message: 'Access forbidden'
-                });
+                return next();
             }
 
-            // Fetch manager with permissions
-            const manager = await Manager.findById(user.id);
+            // Fetch manager with permissions (once per request)
+            const manager = req.manager || await Manager.findById(user.id);
 
             if (!manager || !manager.isActive) {
                 return res.status(403).json({
@@ -43,30 +191,23 @@ function checkPermission(resource, action) {
             }
 
             // Check time-based access restrictions
-            if (manager.accessPeriod) {
-                const now = new Date();
-                if (manager.accessPeriod.startDate && now < manager.accessPeriod.startDate) {
-                    return res.status(403).json({
-                        success: false,
-                        message: 'Access period has not started yet'
-                    });
-                }
-                if (manager.accessPeriod.endDate && now > manager.accessPeriod.endDate) {
-                    return res.status(403).json({
-                        success: false,
-                        message: 'Access period has expired'
-                    });
-                }
+            const accessError = getAccessPeriodError(manager);
+            if (accessError) {
+                return res.status(403).json({
+                    success: false,
+                    message: accessError
+                });
             }
 
             // Check granular permission
-            const hasPermission = manager.permissions?.[resource]?.[action];
+            const requiredAction = typeof action === 'function' ? action(req) : action;
+            const hasPermission = manager.permissions?.[resource]?.[requiredAction];
 
             if (!hasPermission) {
                 return res.status(403).json({
                     success: false,
-                    message: `You don't have permission to ${action} ${resource}`,
-                    requiredPermission: `${resource}.${action}`
+                    message: `You don't have permission to ${requiredAction} ${resource}`,
+                    requiredPermission: `${resource}.${requiredAction}`
                 });
             }
 
@@ -115,7 +256,7 @@ function checkBranchAccess() {
             }
 
             // Check if requesting specific branch
-            const requestedBranch = req.query.branch || req.body.branch;
+            const requestedBranch = req.query.branch || req.body?.branch;
 
             if (manager.accessScope === 'specific_branches') {
                 if (requestedBranch && !manager.assignedBranches.includes(requestedBranch)) {
@@ -314,6 +455,9 @@ function canExportData(dataType) {
 }
 
 module.exports = {
+    PERMISSION_CATALOG,
+    getEffectivePermissions,
+    getReportAction,
     checkPermission,
     checkBranchAccess,
     filterResponseData,
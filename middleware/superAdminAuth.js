@@ -1,5 +1,6 @@
 const { verifyAccessToken } = require('../utils/generateToken');
 const SuperAdmin = require('../models/SuperAdmin');
+const { getTwoFactorPolicy } = require('../utils/twoFactorUtils');
 
 /**
  * Middleware: verifies Super Admin JWT and role
@@ -28,6 +29,18 @@ async function superAdminAuth(req, res, next) {
             return res.status(401).json({ success: false, message: 'Super Admin not found' });
         }
 
+        // Mandatory 2FA: until enrolled, only the enrolment routes are open
+        if (!superAdmin.twoFactor?.enabled && !req.twoFactorSetupRoute) {
+            const policy = await getTwoFactorPolicy();
+            if (policy.superAdmins) {
+                return res.status(403).json({
+                    success: false,
+                    twoFactorSetupRequired: true,
+                    message: 'Two-factor authentication is required. Please set it up to continue.'
+                });
+            }
+        }
+
         req.user = {
             id: String(superAdmin._id),
             role: 'super-admin',
@@ -41,4 +54,13 @@ async function superAdminAuth(req, res, next) {
     }
 }
 
+/**
+ * superAdminAuth for the 2FA enrolment routes, which must stay open while enrolment is mandatory
+ */
+function twoFactorSetupAuth(req, res, next) {
+    req.twoFactorSetupRoute = true;
+    return superAdminAuth(req, res, next);
+}
+
 module.exports = superAdminAuth;
+module.exports.twoFactorSetupAuth = twoFactorSetupAuth;
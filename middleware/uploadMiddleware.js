@@ -66,6 +66,18 @@ const imageFileFilter = (req, file, cb) => {
     }
 };
 
+// File filter for spreadsheet imports (CSV; Excel sheets are saved as CSV first)
+const csvFileFilter = (req, file, cb) => {
+    const allowedMimes = ['text/csv', 'application/csv', 'text/plain', 'application/vnd.ms-excel'];
+    const ext = path.extname(file.originalname).toLowerCase();
+
+    if (allowedMimes.includes(file.mimetype) && ['.csv', '.txt'].includes(ext)) {
+        cb(null, true);
+    } else {
+        cb(new Error('Invalid file type. Upload a CSV file (in Excel use Save As > CSV UTF-8).'), false);
+    }
+};
+
 // Size limits (in bytes)
 const FILE_SIZE_LIMITS = {
     logo: 5 * 1024 * 1024,      // 5MB
@@ -73,7 +85,8 @@ const FILE_SIZE_LIMITS = {
     gallery: 10 * 1024 * 1024,  // 10MB
     thumbnail: 2 * 1024 * 1024, // 2MB
     qrcode: 2 * 1024 * 1024,    // 2MB
-    profile: 5 * 1024 * 1024    // 5MB
+    profile: 5 * 1024 * 1024,   // 5MB
+    import: 5 * 1024 * 1024     // 5MB
 };
 
 // Create upload middleware for different types
@@ -99,6 +112,16 @@ const uploadStaffProfile = createUploadMiddleware('staff/profiles', 'profile', 1
 const uploadManagerProfile = createUploadMiddleware('managers/profiles', 'profile', 1, FILE_SIZE_LIMITS.profile);
 const uploadAdminProfile = createUploadMiddleware('admin/profiles', 'profile', 1, FILE_SIZE_LIMITS.profile);
 
+// Customer import sheet, kept in memory since it is parsed straight away
+const uploadCustomerImport = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: csvFileFilter,
+    limits: {
+        fileSize: FILE_SIZE_LIMITS.import,
+        files: 1
+    }
+});
+
 // Multiple uploads for business (all images at once)
 const uploadBusinessImages = multer({
     storage: multer.diskStorage({
@@ -237,6 +260,7 @@ module.exports = {
     uploadStaffProfile,
     uploadManagerProfile,
     uploadAdminProfile,
+    uploadCustomerImport,
     
     // Helper functions
     deleteFile,
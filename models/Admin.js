@@ -7,6 +7,26 @@ const adminSchema = new mongoose.Schema(
         email: { type: String, required: true, unique: true, lowercase: true },
         phone: { type: String, required: true, unique: true, index: true },
         password: { type: String, required: true },
+        passwordChangedAt: { type: Date },
+
+        // Unset on accounts created before verification existed; those are treated as verified
+        emailVerified: { type: Boolean },
+        emailVerifiedAt: { type: Date },
+
+        // Two-factor authentication (TOTP), see utils/twoFactorUtils.js
+        twoFactor: {
+            enabled: { type: Boolean, default: false },
+            secret: { type: String, select: false }, // encrypted
+            pendingSecret: { type: String, select: false }, // set during setup until the first code is confirmed
+            lastUsedStep: { type: Number, select: false }, // a code is accepted only once
+            backupCodes: {
+                type: [{ codeHash: String, usedAt: Date, _id: false }],
+                select: false
+            },
+            failedAttempts: { type: Number, default: 0 },
+            lockedUntil: { type: Date }, // wrong codes lock the second factor for a while
+            enabledAt: { type: Date }
+        },
 
         businesses: [{ type: mongoose.Schema.Types.ObjectId, ref: "Business" }],
 
@@ -1,5 +1,53 @@
 // Appointment.js - Appointment/Booking model
+const crypto = require("crypto");
 const mongoose = require("mongoose");
+const { generateDocumentNumber } = require("../utils/numberingUtils");
+
+// "HH:MM" <-> minutes since midnight (service line times are 24-hour strings)
+const toMinutes = (time) => {
+    const [hours, minutes] = (time || '00:00').split(':').map(Number);
+    return (hours || 0) * 60 + (minutes || 0);
+};
+const toTimeString = (minutes) => {
+    return `${Math.floor(minutes / 60).toString().padStart(2, '0')}:${(minutes % 60).toString().padStart(2, '0')}`;
+};
+
+// One service within an appointment, in the order it is performed
+const serviceLineSchema = new mongoose.Schema(
+    {
+        service: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Service",
+            required: true
+        },
+        serviceName: {
+            type: String
+        },
+        optionLabel: {
+            type: String
+        },
+        staff: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Staff"
+        },
+        startTime: {
+            type: String,
+            required: true
+        },
+        endTime: {
+            type: String,
+            required: true
+        },
+        duration: {
+            type: Number, // in minutes
+            required: true
+        },
+        price: {
+            type: Number,
+            default: 0
+        }
+    }
+);
 
 const appointmentSchema = new mongoose.Schema(
     {
@@ -26,13 +74,38 @@ const appointmentSchema = new mongoose.Schema(
             ref: "Staff"
         },
 
-        // Booking Number
+        // Ordered service lines for multi-service bookings
+        // (service/staff/startTime/endTime above mirror the first line and the whole block)
+        serviceLines: [serviceLineSchema],
+
+        // Resources held by this booking (one entry per required resource and service line)
+        resources: [{
+            resource: { type: mongoose.Schema.Types.ObjectId, ref: "Resource", required: true },
+            quantity: { type: Number, default: 1, min: 1 },
+            startTime: { type: String, required: true },
+            endTime: { type: String, required: true }
+        }],
+
+        // Recurring series this appointment belongs to
+        series: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "AppointmentSeries"
+        },
+        seriesOccurrence: { type: Number }, // 1-based position in the series
+
+        // Booking Number (sequential per business and financial year, e.g. BK/2026-27/00042)
         bookingNumber: {
             type: String,
-            unique: true,
             index: true
         },
 
+        // Code customers use to view, cancel or reschedule online; random so it cannot be guessed
+        confirmationCode: {
+            type: String,
+            unique: true,
+            sparse: true
+        },
+
         // Date & Time
         appointmentDate: {
             type: Date,
@@ -55,7 +128,7 @@ const appointmentSchema = new mongoose.Schema(
         // Status
         status: {
             type: String,
-            enum: ["pending", "confirmed", "in_progress", "completed", "cancelled", "no_show", "rescheduled"],
+            enum: ["awaiting_payment", "pending", "confirmed", "in_progress", "completed", "cancelled", "no_show", "rescheduled"],
             default: "pending",
             index: true
         },
@@ -73,6 +146,9 @@ const appointmentSchema = new mongoose.Schema(
             type: Number,
             default: 0
         },
+        couponCode: {
+            type: String // Coupon that gave the discount
+        },
         tax: {
             type: Number,
             default: 0
@@ -85,7 +161,7 @@ const appointmentSchema = new mongoose.Schema(
         // Payment
         paymentStatus: {
             type: String,
-            enum: ["pending", "partial", "paid", "refunded"],
+            enum: ["pending", "partial", "paid", "failed", "refunded"],
             default: "pending",
             index: true
         },
@@ -102,6 +178,29 @@ const appointmentSchema = new mongoose.Schema(
             type: Number,
             default: 0
         },
+        refundedAmount: {
+            type: Number,
+            default: 0
+        },
+        // Online payment reference (kept in sync by the gateway webhook)
+        paymentDetails: {
+            gateway: { type: String },
+            orderId: { type: String },
+            paymentId: { type: String },
+            signature: { type: String },
+            method: { type: String },
+            capturedAt: { type: Date },
+            failureReason: { type: String },
+            refundIds: [{ type: String }]
+        },
+        // Slot held while the customer pays the advance (status "awaiting_payment")
+        paymentHold: {
+            expiresAt: { type: Date },
+            orderId: { type: String },
+            amount: { type: Number },
+            confirmedAt: { type: Date },
+            releasedAt: { type: Date }
+        },
 
         // Booking Details
         bookingSource: {
@@ -139,6 +238,30 @@ const appointmentSchema = new mongoose.Schema(
         reminderSentAt: {
             type: Date
         },
+        // One entry per scheduled reminder (e.g. 24h and 2h), with per-channel delivery results
+        reminders: [{
+            hoursBefore: { type: Number, required: true },
+            processedAt: { type: Date, default: Date.now },
+            status: {
+                type: String,
+                enum: ['sent', 'failed', 'skipped'],
+                default: 'sent'
+            },
+            reason: { type: String },
+            channels: [{
+                channel: {
+                    type: String,
+                    enum: ['sms', 'email', 'whatsapp']
+                },
+                status: {
+                    type: String,
+                    enum: ['sent', 'failed', 'skipped']
+                },
+                messageId: { type: String },
+                error: { type: String },
+                sentAt: { type: Date }
+            }]
+        }],
         confirmationSent: {
             type: Boolean,
             default: false
@@ -275,15 +398,24 @@ const appointmentSchema = new mongoose.Schema(
 );
 
 // Indexes for better performance
+appointmentSchema.index({ business: 1, bookingNumber: 1 }, { unique: true });
 appointmentSchema.index({ business: 1, appointmentDate: 1 });
 appointmentSchema.index({ business: 1, status: 1 });
 appointmentSchema.index({ business: 1, customer: 1 });
 appointmentSchema.index({ business: 1, staff: 1, appointmentDate: 1 });
+appointmentSchema.index({ business: 1, "serviceLines.staff": 1, appointmentDate: 1 });
+appointmentSchema.index({ business: 1, "resources.resource": 1, appointmentDate: 1 });
+appointmentSchema.index({ series: 1, appointmentDate: 1 });
+appointmentSchema.index({ "paymentDetails.orderId": 1 }, { sparse: true });
+appointmentSchema.index({ "paymentDetails.paymentId": 1 }, { sparse: true });
+appointmentSchema.index({ status: 1, "paymentHold.expiresAt": 1 });
 appointmentSchema.index({ business: 1, service: 1 });
 appointmentSchema.index({ createdAt: -1 });
 
 // Virtual for formatted booking number
 appointmentSchema.virtual('formattedBookingNumber').get(function () {
+    // Sequential numbers already carry their prefix
+    if (this.bookingNumber && this.bookingNumber.includes('/')) return this.bookingNumber;
     return `BK${this.bookingNumber}`;
 });
 
@@ -305,18 +437,31 @@ appointmentSchema.virtual('isUpcoming').get(function () {
     return appointmentDateTime > now && ['pending', 'confirmed'].includes(this.status);
 });
 
-// Pre-save middleware to generate booking number
+// Unambiguous characters for confirmation codes (no 0/O, 1/I)
+const CONFIRMATION_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Pre-save middleware to generate booking number and confirmation code
 appointmentSchema.pre('save', async function (next) {
     if (!this.bookingNumber) {
-        // Generate unique booking number: YYYYMMDD + random 4 digits
-        const date = new Date();
-        const dateStr = date.toISOString().split('T')[0].replace(/-/g, '');
-        const random = Math.floor(1000 + Math.random() * 9000);
-        this.bookingNumber = `${dateStr}${random}`;
+        this.bookingNumber = await generateDocumentNumber(this.business, 'booking');
+    }
+    // Only new bookings: older ones keep using their booking number as the code
+    if (this.isNew && !this.confirmationCode) {
+        this.confirmationCode = Array.from(crypto.randomBytes(10), byte => CONFIRMATION_CODE_CHARS[byte % CONFIRMATION_CODE_CHARS.length]).join('');
     }
     next();
 });
 
+// Static method to look up a booking by the code given to the customer
+appointmentSchema.statics.findByConfirmationCode = function (code) {
+    return this.findOne({
+        $or: [
+            { confirmationCode: code },
+            { bookingNumber: code, confirmationCode: { $exists: false } }
+        ]
+    });
+};
+
 // Method to confirm appointment
 appointmentSchema.methods.confirm = async function () {
     this.status = 'confirmed';
@@ -357,8 +502,34 @@ appointmentSchema.methods.cancel = async function (reason, cancelledBy, cancelle
     await this.save();
 };
 
+// Static method to cancel in a single write, so concurrent requests cannot both cancel (and refund) one appointment.
+// Resolves to null when nothing matches or the appointment is already cancelled or completed.
+appointmentSchema.statics.claimCancellation = function (filter, reason, cancelledBy, cancelledByModel, fee = 0) {
+    return this.findOneAndUpdate(
+        { ...filter, status: { $nin: ['cancelled', 'completed'] } },
+        {
+            $set: {
+                status: 'cancelled',
+                cancellationReason: reason,
+                cancelledBy,
+                cancelledByModel,
+                cancelledAt: new Date(),
+                cancellationFee: fee
+            }
+        },
+        { new: true }
+    );
+};
+
 // Method to reschedule appointment
 appointmentSchema.methods.reschedule = async function (newDate, newStartTime, newEndTime, reason, rescheduledBy, rescheduledByModel) {
+    // Service lines and held resources move with the appointment, keeping their order and gaps
+    const shift = toMinutes(newStartTime) - toMinutes(this.startTime);
+    [...(this.serviceLines || []), ...(this.resources || [])].forEach(entry => {
+        entry.startTime = toTimeString(toMinutes(entry.startTime) + shift);
+        entry.endTime = toTimeString(toMinutes(entry.endTime) + shift);
+    });
+
     this.originalAppointmentDate = this.appointmentDate;
     this.appointmentDate = newDate;
     this.startTime = newStartTime;
@@ -368,6 +539,10 @@ appointmentSchema.methods.reschedule = async function (newDate, newStartTime, ne
     this.rescheduledByModel = rescheduledByModel;
     this.rescheduledAt = new Date();
     this.status = 'rescheduled';
+    // Reminders are scheduled relative to the new time
+    this.reminders = [];
+    this.reminderSent = false;
+    this.reminderSentAt = undefined;
     await this.save();
 };
 
@@ -384,6 +559,21 @@ appointmentSchema.methods.sendReminder = async function () {
     await this.save();
 };
 
+// Method to record the outcome of a scheduled reminder
+appointmentSchema.methods.recordReminder = async function (hoursBefore, channels = [], reason = null) {
+    const delivered = channels.some(c => c.status === 'sent');
+    const status = delivered ? 'sent' : (channels.some(c => c.status === 'failed') ? 'failed' : 'skipped');
+
+    this.reminders.push({ hoursBefore, status, reason, channels });
+
+    if (delivered) {
+        this.reminderSent = true;
+        this.reminderSentAt = new Date();
+    }
+
+    await this.save();
+};
+
 // Method to add review
 appointmentSchema.methods.addReview = async function (rating, review) {
     this.rating = rating;
@@ -408,30 +598,50 @@ appointmentSchema.statics.getUpcoming = async function (businessId, startDate, e
         .sort({ appointmentDate: 1, startTime: 1 });
 };
 
+// Busy intervals of appointments: one per service line, or the whole appointment for single-service bookings
+appointmentSchema.statics.expandIntervals = function (appointments = []) {
+    return appointments.flatMap(appointment => {
+        if (appointment.serviceLines && appointment.serviceLines.length > 0) {
+            return appointment.serviceLines.map(line => ({
+                appointment: appointment._id,
+                startTime: line.startTime,
+                endTime: line.endTime,
+                staff: line.staff || null
+            }));
+        }
+        return [{
+            appointment: appointment._id,
+            startTime: appointment.startTime,
+            endTime: appointment.endTime,
+            staff: appointment.staff || null
+        }];
+    });
+};
+
 // Static method to check availability
-appointmentSchema.statics.checkAvailability = async function (businessId, staffId, date, startTime, endTime) {
-    const conflictingAppointments = await this.find({
+appointmentSchema.statics.checkAvailability = async function (businessId, staffId, date, startTime, endTime, excludeAppointmentId = null) {
+    const query = {
         business: businessId,
-        staff: staffId,
         appointmentDate: date,
-        status: { $in: ['pending', 'confirmed', 'in_progress'] },
-        $or: [
-            {
-                startTime: { $lte: startTime },
-                endTime: { $gt: startTime }
-            },
-            {
-                startTime: { $lt: endTime },
-                endTime: { $gte: endTime }
-            },
-            {
-                startTime: { $gte: startTime },
-                endTime: { $lte: endTime }
-            }
-        ]
-    });
+        // Same statuses as the slot listing in availabilityUtils, so payment holds and rescheduled bookings block too
+        status: { $nin: ['cancelled', 'no_show'] },
+        $or: [{ staff: staffId }, { 'serviceLines.staff': staffId }]
+    };
+
+    if (excludeAppointmentId) {
+        query._id = { $ne: excludeAppointmentId };
+    }
+
+    const appointments = await this.find(query).select('startTime endTime staff serviceLines').lean();
+
+    const start = toMinutes(startTime);
+    const end = toMinutes(endTime);
 
-    return conflictingAppointments.length === 0;
+    return !this.expandIntervals(appointments).some(interval =>
+        interval.staff && interval.staff.toString() === staffId.toString() &&
+        start < toMinutes(interval.endTime) &&
+        end > toMinutes(interval.startTime)
+    );
 };
 
 module.exports = mongoose.model("Appointment", appointmentSchema);
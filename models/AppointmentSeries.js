@@ -0,0 +1,82 @@
+// AppointmentSeries.js - Recurring appointment series (weekly blow-dry, monthly facial, ...)
+const mongoose = require("mongoose");
+
+const appointmentSeriesSchema = new mongoose.Schema(
+    {
+        business: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Business",
+            required: true,
+            index: true
+        },
+        customer: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Customer",
+            required: true,
+            index: true
+        },
+        service: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Service",
+            required: true
+        },
+        staff: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Staff"
+        },
+        durationOption: { type: Number },
+
+        // Template for every occurrence (business-local wall-clock times)
+        startTime: { type: String, required: true },
+        endTime: { type: String, required: true },
+
+        // Recurrence rule
+        recurrence: {
+            frequency: {
+                type: String,
+                enum: ["daily", "weekly", "monthly"],
+                required: true
+            },
+            interval: { type: Number, default: 1, min: 1 }, // every N days/weeks/months
+            dayOfWeek: {
+                type: String,
+                enum: ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"]
+            },
+            count: { type: Number, min: 1 },
+            until: { type: Date }
+        },
+        startDate: { type: Date, required: true },
+
+        status: {
+            type: String,
+            enum: ["active", "cancelled"],
+            default: "active"
+        },
+
+        // Occurrences that could not be booked when the series was created
+        skippedOccurrences: [{
+            date: { type: Date },
+            reason: { type: String }
+        }],
+
+        customerNotes: { type: String },
+
+        // Metadata
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'createdByModel'
+        },
+        createdByModel: {
+            type: String,
+            enum: ['Admin', 'Manager']
+        },
+        cancelledAt: { type: Date }
+    },
+    {
+        timestamps: true
+    }
+);
+
+appointmentSeriesSchema.index({ business: 1, status: 1 });
+
+module.exports = mongoose.model("AppointmentSeries", appointmentSeriesSchema);
@@ -11,6 +11,15 @@ const slugify = (text) => {
         .replace(/--+/g, '-');    // Replace multiple - with single -
 };
 
+// A single opening period within a day (split shifts use several)
+const shiftSchema = new mongoose.Schema(
+    {
+        open: { type: String, required: true }, // HH:MM
+        close: { type: String, required: true } // HH:MM
+    },
+    { _id: false }
+);
+
 const businessSchema = new mongoose.Schema(
     {
         admin: {
@@ -360,6 +369,22 @@ const businessSchema = new mongoose.Schema(
             reason: { type: String }
         }],
 
+        // Structured opening hours (takes precedence over businessHours / settings.workingHours)
+        openingHours: {
+            weekly: [{
+                day: { type: String, enum: ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"] },
+                isClosed: { type: Boolean, default: false },
+                shifts: [shiftSchema]
+            }],
+            // Date-specific hours, e.g. shorter hours on Christmas Eve or a one-off closure
+            overrides: [{
+                date: { type: Date },
+                isClosed: { type: Boolean, default: false },
+                shifts: [shiftSchema],
+                reason: { type: String }
+            }]
+        },
+
         // Location Coordinates (for maps)
         location: {
             type: { type: String, enum: ["Point"], default: "Point" },
@@ -375,6 +400,32 @@ const businessSchema = new mongoose.Schema(
                 days: [{ type: String, enum: ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"] }]
             },
             currency: { type: String, default: "INR" },
+
+            // GST invoicing (GSTIN is registration.gstNumber)
+            gstSettings: {
+                defaultRate: { type: Number, default: 18 }, // Used when a service/product has no rate of its own
+                defaultSacCode: { type: String, trim: true } // SAC printed for services without their own code
+            },
+
+            // Document numbering: PREFIX/FINANCIAL-YEAR/SEQUENCE, e.g. SPA-BLR/2026-27/00042
+            numberingSettings: {
+                invoicePrefix: { type: String, trim: true },
+                creditNotePrefix: { type: String, trim: true },
+                debitNotePrefix: { type: String, trim: true },
+                bookingPrefix: { type: String, trim: true },
+                padding: { type: Number, default: 5, min: 3, max: 10 }
+            },
+
+            // Payment reminders for overdue invoices
+            dunningSettings: {
+                enabled: { type: Boolean, default: false },
+                // Days after the due date on which reminders go out, each firmer than the last; defaults to [1, 7, 15, 30]
+                reminderDays: [{ type: Number, min: 0 }],
+                sendEmail: { type: Boolean, default: true },
+                sendSMS: { type: Boolean, default: false },
+                sendWhatsapp: { type: Boolean, default: true },
+                includePaymentLink: { type: Boolean, default: true }
+            },
             timezone: { type: String, default: "Asia/Kolkata" },
 
             // Appointment settings
@@ -387,6 +438,7 @@ const businessSchema = new mongoose.Schema(
                 allowOnlineBooking: { type: Boolean, default: true },
                 requireAdvancePayment: { type: Boolean, default: false },
                 advancePaymentPercentage: { type: Number, default: 0 },
+                advancePaymentHoldMinutes: { type: Number, default: 15, min: 5 }, // How long a slot is held while the advance is paid
                 cancellationPolicy: {
                     allowCancellation: { type: Boolean, default: true },
                     minCancellationHours: { type: Number, default: 10 },
@@ -396,7 +448,13 @@ const businessSchema = new mongoose.Schema(
                     sendSMSReminder: { type: Boolean, default: false },
                     sendEmailReminder: { type: Boolean, default: false },
                     sendWhatsappReminder: { type: Boolean, default: true },
-                    reminderHours: { type: Number, default: 24 } // Hours before appointment
+                    reminderHours: { type: Number, default: 24 }, // Hours before appointment
+                    // Multiple reminders, in hours before the appointment (e.g. [24, 2]); falls back to reminderHours when empty
+                    reminderSchedule: [{ type: Number, min: 0 }]
+                },
+                waitlistSettings: {
+                    enabled: { type: Boolean, default: true },
+                    offerExpiryMinutes: { type: Number, default: 30, min: 5 } // How long a freed slot is held for the offered customer
                 }
             }
         },
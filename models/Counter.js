@@ -0,0 +1,32 @@
+// Counter.js - Atomic sequences for document numbering (per business, series and financial year)
+const mongoose = require("mongoose");
+
+const counterSchema = new mongoose.Schema(
+    {
+        business: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Business",
+            required: true
+        },
+        series: {
+            type: String,
+            enum: ["invoice", "credit_note", "debit_note", "booking"],
+            required: true
+        },
+        financialYear: {
+            type: String, // e.g. "2026-27"
+            required: true
+        },
+        seq: {
+            type: Number,
+            default: 0
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+counterSchema.index({ business: 1, series: 1, financialYear: 1 }, { unique: true });
+
+module.exports = mongoose.model("Counter", counterSchema);
@@ -0,0 +1,125 @@
+// Coupon.js - Promo codes and coupons (manual, campaign batches, automated offers)
+const mongoose = require("mongoose");
+
+const couponSchema = new mongoose.Schema(
+    {
+        // Business Reference
+        business: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Business",
+            required: true,
+            index: true
+        },
+
+        // Code Details
+        code: {
+            type: String,
+            required: true,
+            trim: true,
+            uppercase: true
+        },
+        description: {
+            type: String
+        },
+
+        // Discount
+        discountType: {
+            type: String,
+            enum: ["percentage", "fixed"],
+            required: true
+        },
+        discountValue: {
+            type: Number,
+            required: true,
+            min: 0
+        },
+        maxDiscount: {
+            type: Number, // Cap for percentage coupons
+            min: 0
+        },
+        minSpend: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+
+        // Restrictions (empty = no restriction)
+        applicableServices: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Service"
+        }],
+        applicableCategories: [{
+            type: String
+        }],
+        eligibleCustomers: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Customer"
+        }],
+
+        // Usage Limits (empty = unlimited)
+        usageLimit: {
+            type: Number,
+            min: 1
+        },
+        perCustomerLimit: {
+            type: Number,
+            min: 1
+        },
+        usedCount: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+
+        // Validity Window
+        validFrom: {
+            type: Date,
+            default: Date.now
+        },
+        validUntil: {
+            type: Date
+        },
+        isActive: {
+            type: Boolean,
+            default: true,
+            index: true
+        },
+
+        // Origin
+        source: {
+            type: String,
+            enum: ["manual", "campaign", "automated"],
+            default: "manual"
+        },
+        campaign: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Campaign"
+        },
+        batchId: {
+            type: String, // Groups single-use codes generated together
+            index: true
+        },
+
+        // Metadata
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'createdByModel'
+        },
+        createdByModel: {
+            type: String,
+            enum: ['Admin', 'Manager']
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+couponSchema.index({ business: 1, code: 1 }, { unique: true });
+
+// Virtual for single-use codes
+couponSchema.virtual('isSingleUse').get(function () {
+    return this.usageLimit === 1;
+});
+
+module.exports = mongoose.model("Coupon", couponSchema);
@@ -0,0 +1,60 @@
+// CouponRedemption.js - Each use of a coupon on a booking or invoice
+const mongoose = require("mongoose");
+
+const couponRedemptionSchema = new mongoose.Schema(
+    {
+        coupon: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Coupon",
+            required: true,
+            index: true
+        },
+        business: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Business",
+            required: true
+        },
+        customer: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Customer"
+        },
+        code: {
+            type: String,
+            required: true
+        },
+        discountAmount: {
+            type: Number,
+            required: true,
+            min: 0
+        },
+
+        // Where it was used
+        appointment: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Appointment",
+            index: true
+        },
+        invoice: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Invoice",
+            index: true
+        },
+
+        // Released when the booking/invoice is cancelled, giving the use back
+        status: {
+            type: String,
+            enum: ["applied", "released"],
+            default: "applied"
+        },
+        releasedAt: {
+            type: Date
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+couponRedemptionSchema.index({ coupon: 1, customer: 1, status: 1 });
+
+module.exports = mongoose.model("CouponRedemption", couponRedemptionSchema);
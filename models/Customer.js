@@ -35,6 +35,9 @@ const customerSchema = new mongoose.Schema(
         },
         anniversary: { type: Date },
 
+        // GSTIN for business customers (B2B tax invoices)
+        gstNumber: { type: String, trim: true, uppercase: true },
+
         // Address
         address: {
             street: { type: String },
@@ -127,6 +130,13 @@ const customerSchema = new mongoose.Schema(
         isBlacklisted: { type: Boolean, default: false },
         blacklistReason: { type: String },
 
+        // Set when this record was merged into another (duplicate) customer
+        mergedInto: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Customer"
+        },
+        mergedAt: { type: Date },
+
         // Emergency Contact
         emergencyContact: {
             name: { type: String },
@@ -277,6 +287,18 @@ customerSchema.statics.findDuplicates = async function (business, phone, email)
     return await this.find(query);
 };
 
+// Static method to follow a merged customer to the record it was merged into
+customerSchema.statics.resolveMerged = async function (customer) {
+    let current = customer;
+    // Merges can chain (A into B, later B into C)
+    for (let depth = 0; current && current.mergedInto && depth < 5; depth++) {
+        const survivor = await this.findById(current.mergedInto);
+        if (!survivor) break;
+        current = survivor;
+    }
+    return current;
+};
+
 // Pre-save middleware to update customer type
 customerSchema.pre('save', function (next) {
     // Check if customer has been inactive for 180+ days
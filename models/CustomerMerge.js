@@ -0,0 +1,69 @@
+// CustomerMerge.js - Audit record of duplicate customers merged into one
+const mongoose = require("mongoose");
+
+const customerMergeSchema = new mongoose.Schema(
+    {
+        business: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Business",
+            required: true,
+            index: true
+        },
+
+        // Record that was kept
+        survivor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Customer",
+            required: true,
+            index: true
+        },
+        // Records folded into the survivor (kept inactive with mergedInto set)
+        mergedCustomers: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Customer"
+        }],
+
+        // Customer documents as they were before the merge
+        survivorBefore: { type: mongoose.Schema.Types.Mixed },
+        mergedSnapshots: [{ type: mongoose.Schema.Types.Mixed }],
+
+        // Documents re-pointed to the survivor, by collection
+        reassigned: {
+            appointments: { type: Number, default: 0 },
+            appointmentSeries: { type: Number, default: 0 },
+            invoices: { type: Number, default: 0 },
+            transactions: { type: Number, default: 0 },
+            loyaltyTransactions: { type: Number, default: 0 },
+            memberships: { type: Number, default: 0 },
+            reviews: { type: Number, default: 0 },
+            couponRedemptions: { type: Number, default: 0 },
+            coupons: { type: Number, default: 0 }
+        },
+
+        // Survivor totals after the merge
+        totals: {
+            totalVisits: { type: Number },
+            totalSpent: { type: Number },
+            loyaltyPoints: { type: Number }
+        },
+
+        reason: { type: String },
+
+        performedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'performedByModel'
+        },
+        performedByModel: {
+            type: String,
+            enum: ['Admin', 'Manager']
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+customerMergeSchema.index({ business: 1, createdAt: -1 });
+customerMergeSchema.index({ mergedCustomers: 1 });
+
+module.exports = mongoose.model("CustomerMerge", customerMergeSchema);
@@ -1,5 +1,6 @@
 // Invoice.js - Invoice and payment tracking model
 const mongoose = require("mongoose");
+const { generateDocumentNumber } = require("../utils/numberingUtils");
 
 const invoiceSchema = new mongoose.Schema(
     {
@@ -21,12 +22,9 @@ const invoiceSchema = new mongoose.Schema(
             ref: "Appointment"
         },
 
-        // Invoice Number
+        // Invoice Number (gapless per business and financial year, assigned on first save)
         invoiceNumber: {
-            type: String,
-            unique: true,
-            required: true,
-            index: true
+            type: String
         },
 
         // Invoice Date
@@ -50,6 +48,14 @@ const invoiceSchema = new mongoose.Schema(
                 type: mongoose.Schema.Types.ObjectId,
                 ref: "Service"
             },
+            product: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "Product"
+            },
+            // Credit/debit notes: the parent invoice line being adjusted
+            parentItem: {
+                type: mongoose.Schema.Types.ObjectId
+            },
             name: {
                 type: String,
                 required: true
@@ -78,6 +84,13 @@ const invoiceSchema = new mongoose.Schema(
                 default: 0,
                 min: 0
             },
+            // GST per line
+            hsnSacCode: { type: String },
+            taxRate: { type: Number },
+            taxableValue: { type: Number },
+            cgst: { type: Number, default: 0 },
+            sgst: { type: Number, default: 0 },
+            igst: { type: Number, default: 0 },
             total: {
                 type: Number,
                 required: true
@@ -136,6 +149,28 @@ const invoiceSchema = new mongoose.Schema(
             taxAmount: { type: Number }
         }],
 
+        // GST: intra-state supplies carry CGST + SGST, inter-state supplies IGST
+        placeOfSupply: {
+            state: { type: String },
+            stateCode: { type: String }
+        },
+        supplyType: {
+            type: String,
+            enum: ["intra_state", "inter_state"],
+            default: "intra_state"
+        },
+        cgstTotal: { type: Number, default: 0 },
+        sgstTotal: { type: Number, default: 0 },
+        igstTotal: { type: Number, default: 0 },
+        taxSummary: [{
+            taxRate: { type: Number },
+            taxableValue: { type: Number },
+            cgst: { type: Number },
+            sgst: { type: Number },
+            igst: { type: Number },
+            totalTax: { type: Number }
+        }],
+
         // Payment Status
         paymentStatus: {
             type: String,
@@ -229,6 +264,7 @@ const invoiceSchema = new mongoose.Schema(
             name: { type: String },
             email: { type: String },
             phone: { type: String },
+            gstNumber: { type: String },
             address: {
                 street: { type: String },
                 city: { type: String },
@@ -245,7 +281,9 @@ const invoiceSchema = new mongoose.Schema(
             phone: { type: String },
             address: { type: String },
             gstNumber: { type: String },
-            panNumber: { type: String }
+            panNumber: { type: String },
+            state: { type: String },
+            stateCode: { type: String }
         },
 
         // Notes
@@ -282,6 +320,28 @@ const invoiceSchema = new mongoose.Schema(
             type: Date
         },
 
+        // Dunning: payment reminders sent after the due date
+        reminderLog: [{
+            stage: { type: Number }, // 1-based position in the business's reminder schedule
+            daysOverdue: { type: Number },
+            amountDue: { type: Number },
+            paymentLinkUrl: { type: String },
+            channels: [{
+                channel: { type: String, enum: ["email", "sms", "whatsapp"] },
+                status: { type: String, enum: ["sent", "failed", "skipped"] },
+                messageId: { type: String },
+                error: { type: String }
+            }],
+            sentAt: { type: Date, default: Date.now }
+        }],
+        paymentLink: {
+            id: { type: String },
+            url: { type: String },
+            amount: { type: Number }, // Balance the link was created for
+            expiresAt: { type: Date },
+            createdAt: { type: Date }
+        },
+
         // Loyalty Points
         loyaltyPointsEarned: {
             type: Number,
@@ -302,7 +362,23 @@ const invoiceSchema = new mongoose.Schema(
         // Related Invoices
         parentInvoice: {
             type: mongoose.Schema.Types.ObjectId,
-            ref: "Invoice"
+            ref: "Invoice",
+            index: true
+        },
+        noteReason: {
+            type: String
+        },
+
+        // Credit/debit notes raised against this invoice (active notes only)
+        creditNoteTotal: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        debitNoteTotal: {
+            type: Number,
+            default: 0,
+            min: 0
         },
 
         // Metadata
@@ -331,14 +407,20 @@ const invoiceSchema = new mongoose.Schema(
 );
 
 // Indexes for better performance
+invoiceSchema.index({ business: 1, invoiceNumber: 1 }, { unique: true });
 invoiceSchema.index({ business: 1, invoiceDate: -1 });
 invoiceSchema.index({ business: 1, customer: 1 });
 invoiceSchema.index({ business: 1, paymentStatus: 1 });
 invoiceSchema.index({ business: 1, status: 1 });
 
+// Virtual for total after credit and debit notes
+invoiceSchema.virtual('netTotal').get(function () {
+    return this.total + (this.debitNoteTotal || 0) - (this.creditNoteTotal || 0);
+});
+
 // Virtual for balance due
 invoiceSchema.virtual('balanceDue').get(function () {
-    return this.total - this.paidAmount + this.refundedAmount;
+    return this.netTotal - this.paidAmount + this.refundedAmount;
 });
 
 // Virtual for is paid
@@ -368,15 +450,20 @@ invoiceSchema.virtual('daysOverdue').get(function () {
 // Pre-save middleware to generate invoice number
 invoiceSchema.pre('save', async function (next) {
     if (!this.invoiceNumber) {
-        // Generate unique invoice number: INV-YYYYMMDD-XXXX
-        const date = new Date();
-        const dateStr = date.toISOString().split('T')[0].replace(/-/g, '');
-        const random = Math.floor(1000 + Math.random() * 9000);
-        this.invoiceNumber = `INV-${dateStr}-${random}`;
+        // Numbered after validation so rejected invoices do not use up a number
+        const series = this.invoiceType === 'credit_note' || this.invoiceType === 'debit_note' ? this.invoiceType : 'invoice';
+        this.invoiceNumber = await generateDocumentNumber(this.business, series, this.invoiceDate || new Date());
     }
 
-    // Update payment status based on paid amount
-    if (this.paidAmount >= this.total) {
+    // Notes carry no payments of their own (they adjust the parent), and cancelled invoices keep their status
+    if (this.invoiceType === 'credit_note' || this.invoiceType === 'debit_note' || this.status === 'cancelled') {
+        return next();
+    }
+
+    // Update payment status based on paid and refunded amounts
+    if (this.refundedAmount > 0 && this.refundedAmount >= this.paidAmount) {
+        this.paymentStatus = 'refunded';
+    } else if (this.paidAmount >= this.netTotal) {
         this.paymentStatus = 'paid';
     } else if (this.paidAmount > 0) {
         this.paymentStatus = 'partial';
@@ -397,7 +484,7 @@ invoiceSchema.methods.addPayment = async function (paymentData) {
     this.payments.push(paymentData);
     this.paidAmount += paymentData.amount;
 
-    if (this.paidAmount >= this.total) {
+    if (this.paidAmount >= this.netTotal) {
         this.paymentStatus = 'paid';
         this.status = 'paid';
     } else if (this.paidAmount > 0) {
@@ -479,10 +566,29 @@ invoiceSchema.statics.calculateRevenue = async function (businessId, startDate,
         {
             $group: {
                 _id: null,
-                totalRevenue: { $sum: '$total' },
+                // Credit notes reduce revenue, debit notes add to it
+                totalRevenue: {
+                    $sum: { $cond: [{ $eq: ['$invoiceType', 'credit_note'] }, { $multiply: ['$total', -1] }, '$total'] }
+                },
                 paidRevenue: { $sum: '$paidAmount' },
-                pendingRevenue: { $sum: { $subtract: ['$total', '$paidAmount'] } },
-                invoiceCount: { $sum: 1 }
+                // Notes move their parent's balance instead of carrying one
+                pendingRevenue: {
+                    $sum: {
+                        $cond: [
+                            { $in: ['$invoiceType', ['credit_note', 'debit_note']] },
+                            0,
+                            {
+                                $subtract: [
+                                    { $add: ['$total', { $ifNull: ['$debitNoteTotal', 0] }] },
+                                    { $add: ['$paidAmount', { $ifNull: ['$creditNoteTotal', 0] }] }
+                                ]
+                            }
+                        ]
+                    }
+                },
+                invoiceCount: {
+                    $sum: { $cond: [{ $in: ['$invoiceType', ['credit_note', 'debit_note']] }, 0, 1] }
+                }
             }
         }
     ]);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { hashPinBeforeSave, hashPinBeforeUpdate } = require("../utils/pinUtils");
 
 const managerSchema = new mongoose.Schema(
     {
@@ -20,7 +21,8 @@ const managerSchema = new mongoose.Schema(
         },
         pin: {
             type: String,
-            required: true
+            required: true,
+            select: false // bcrypt hash
         },
         email: {
             type: String
@@ -35,6 +37,14 @@ const managerSchema = new mongoose.Schema(
         lastLogin: {
             type: Date
         },
+        // Failed PIN logins and progressive lockout (see utils/pinUtils.js)
+        pinSecurity: {
+            failedAttempts: { type: Number, default: 0 },
+            lockCount: { type: Number, default: 0 },
+            lockedUntil: { type: Date },
+            lastFailedAt: { type: Date },
+            resetAt: { type: Date }
+        },
 
         // === PHASE 1 ENHANCEMENT: Access Scope ===
         accessScope: {
@@ -125,6 +135,14 @@ const managerSchema = new mongoose.Schema(
                     type: Boolean,
                     default: false
                 },
+                recordExpenses: {
+                    type: Boolean,
+                    default: true
+                },
+                recordTransactions: {
+                    type: Boolean,
+                    default: true
+                },
                 approveExpenses: {
                     type: Boolean,
                     default: false
@@ -143,6 +161,10 @@ const managerSchema = new mongoose.Schema(
                     type: Boolean,
                     default: true
                 },
+                edit: {
+                    type: Boolean,
+                    default: true
+                },
                 cancel: {
                     type: Boolean,
                     default: true
@@ -157,6 +179,10 @@ const managerSchema = new mongoose.Schema(
                     type: Boolean,
                     default: true
                 },
+                manageProducts: {
+                    type: Boolean,
+                    default: true
+                },
                 adjustStock: {
                     type: Boolean,
                     default: false
@@ -183,6 +209,74 @@ const managerSchema = new mongoose.Schema(
                     type: Boolean,
                     default: false
                 }
+            },
+            invoices: {
+                view: {
+                    type: Boolean,
+                    default: true
+                },
+                create: {
+                    type: Boolean,
+                    default: true
+                },
+                edit: {
+                    type: Boolean,
+                    default: true
+                },
+                collectPayment: {
+                    type: Boolean,
+                    default: true
+                },
+                cancel: {
+                    type: Boolean,
+                    default: false
+                },
+                issueNotes: {
+                    type: Boolean,
+                    default: false
+                },
+                refund: {
+                    type: Boolean,
+                    default: false
+                }
+            },
+            services: {
+                view: {
+                    type: Boolean,
+                    default: true
+                },
+                create: {
+                    type: Boolean,
+                    default: true
+                },
+                edit: {
+                    type: Boolean,
+                    default: true
+                },
+                delete: {
+                    type: Boolean,
+                    default: false
+                }
+            },
+            marketing: {
+                view: {
+                    type: Boolean,
+                    default: true
+                },
+                manage: {
+                    type: Boolean,
+                    default: false
+                }
+            },
+            settings: {
+                view: {
+                    type: Boolean,
+                    default: true
+                },
+                edit: {
+                    type: Boolean,
+                    default: false
+                }
             }
         },
 
@@ -222,5 +316,9 @@ managerSchema.index({ business: 1, isActive: 1 });
 // === PHASE 1 ENHANCEMENT: Additional Indexes ===
 managerSchema.index({ business: 1, accessScope: 1 });
 
+// PINs are stored as bcrypt hashes
+managerSchema.pre('save', hashPinBeforeSave);
+managerSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], hashPinBeforeUpdate);
+
 module.exports = mongoose.model("Manager", managerSchema);
 
@@ -0,0 +1,48 @@
+// PaymentEvent.js - Log of payment gateway webhook events, used to process each event only once
+const mongoose = require("mongoose");
+
+const paymentEventSchema = new mongoose.Schema(
+    {
+        gateway: {
+            type: String,
+            enum: ["razorpay"],
+            default: "razorpay"
+        },
+        // Gateway event id (x-razorpay-event-id), unique so retries are not applied twice
+        eventId: {
+            type: String,
+            required: true,
+            unique: true
+        },
+        event: {
+            type: String,
+            required: true
+        },
+        business: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Business",
+            index: true
+        },
+        orderId: { type: String, index: true },
+        paymentId: { type: String },
+        refundId: { type: String },
+        amount: { type: Number }, // rupees
+
+        status: {
+            type: String,
+            enum: ["received", "processed", "ignored", "failed"],
+            default: "received"
+        },
+        result: { type: String },
+        error: { type: String },
+        payload: { type: mongoose.Schema.Types.Mixed },
+        processedAt: { type: Date }
+    },
+    {
+        timestamps: true
+    }
+);
+
+paymentEventSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("PaymentEvent", paymentEventSchema);
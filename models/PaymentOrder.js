@@ -0,0 +1,67 @@
+// PaymentOrder.js - Razorpay orders created for online bookings, and what became of them
+const mongoose = require("mongoose");
+
+const paymentOrderSchema = new mongoose.Schema(
+    {
+        business: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Business",
+            required: true,
+            index: true
+        },
+        gateway: {
+            type: String,
+            enum: ["razorpay"],
+            default: "razorpay"
+        },
+        orderId: {
+            type: String,
+            required: true,
+            unique: true
+        },
+        receipt: { type: String },
+
+        // Amounts in rupees (the gateway works in paise)
+        amount: { type: Number, required: true },
+        currency: { type: String, default: "INR" },
+        discountAmount: { type: Number, default: 0 },
+
+        status: {
+            type: String,
+            enum: ["created", "paid", "failed", "refunded"],
+            default: "created",
+            index: true
+        },
+
+        // Filled in from webhook events
+        paymentId: { type: String, index: true },
+        paymentMethod: { type: String },
+        amountPaid: { type: Number, default: 0 },
+        amountRefunded: { type: Number, default: 0 },
+        capturedAt: { type: Date },
+        failureReason: { type: String },
+        refunds: [{
+            refundId: { type: String },
+            amount: { type: Number },
+            processedAt: { type: Date }
+        }],
+
+        // Booking the payment was made for (set once the appointment exists)
+        appointment: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Appointment"
+        },
+        invoice: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Invoice"
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+paymentOrderSchema.index({ business: 1, status: 1, createdAt: -1 });
+paymentOrderSchema.index({ appointment: 1 }, { sparse: true });
+
+module.exports = mongoose.model("PaymentOrder", paymentOrderSchema);
@@ -0,0 +1,40 @@
+// PlatformSettings.js - Platform-wide settings managed by the Super Admin (single document)
+const mongoose = require("mongoose");
+
+const platformSettingsSchema = new mongoose.Schema(
+    {
+        // Always "platform"; there is only one settings document
+        key: {
+            type: String,
+            default: "platform",
+            unique: true
+        },
+
+        security: {
+            // Accounts that must enrol in two-factor authentication before using the dashboard
+            requireTwoFactor: {
+                admins: { type: Boolean, default: false },
+                superAdmins: { type: Boolean, default: false }
+            }
+        },
+
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "SuperAdmin"
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Settings document, created with defaults on first use
+platformSettingsSchema.statics.getSettings = function () {
+    return this.findOneAndUpdate(
+        { key: "platform" },
+        { $setOnInsert: { key: "platform" } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+};
+
+module.exports = mongoose.model("PlatformSettings", platformSettingsSchema);
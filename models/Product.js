@@ -66,6 +66,8 @@ const productSchema = new mongoose.Schema({
         type: Number,
         min: 0
     },  // Retail price (if sold to customers)
+    hsnCode: { type: String, trim: true }, // GST HSN code for retail sales
+    gstRate: { type: Number, min: 0, max: 40 },
     margin: { type: Number }, // Profit margin %
 
     // Supplier Information
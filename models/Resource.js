@@ -0,0 +1,56 @@
+// Resource.js - Bookable resources (rooms, chairs, equipment) that services can require
+const mongoose = require("mongoose");
+
+const resourceSchema = new mongoose.Schema(
+    {
+        // Business Reference
+        business: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Business",
+            required: true,
+            index: true
+        },
+
+        // Basic Information
+        name: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        type: {
+            type: String,
+            enum: ["room", "chair", "equipment"],
+            required: true,
+            index: true
+        },
+        description: { type: String },
+
+        // Number of identical units that can be in use at the same time
+        // (e.g. one "Massage Room" resource with quantity 3)
+        quantity: {
+            type: Number,
+            default: 1,
+            min: 1
+        },
+
+        // Availability
+        isActive: { type: Boolean, default: true, index: true },
+
+        // Metadata
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'createdByModel'
+        },
+        createdByModel: {
+            type: String,
+            enum: ['Admin', 'Manager']
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+resourceSchema.index({ business: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model("Resource", resourceSchema);
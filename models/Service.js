@@ -95,7 +95,17 @@ const serviceSchema = new mongoose.Schema(
             type: mongoose.Schema.Types.ObjectId, 
             ref: "Staff" 
         }],
+
+        // Resource Requirements (rooms, chairs, equipment held for the whole service)
+        requiredResources: [{
+            resource: { type: mongoose.Schema.Types.ObjectId, ref: "Resource", required: true },
+            quantity: { type: Number, default: 1, min: 1 }
+        }],
         
+        // GST: SAC code and rate (falls back to the business defaults)
+        sacCode: { type: String, trim: true },
+        gstRate: { type: Number, min: 0, max: 40 },
+
         // Commission
         staffCommission: {
             type: { type: String, enum: ["percentage", "fixed"], default: "percentage" },
@@ -0,0 +1,52 @@
+// Session.js - Per-device login session holding the current refresh token (hashed)
+const mongoose = require("mongoose");
+
+const sessionSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'userModel',
+            required: true
+        },
+        userModel: {
+            type: String,
+            enum: ['Admin', 'Manager', 'Staff'],
+            required: true
+        },
+        role: {
+            type: String,
+            enum: ['admin', 'manager', 'staff'],
+            required: true
+        },
+
+        // sha256 of the refresh token currently valid for this session
+        refreshTokenHash: { type: String, required: true },
+        // Token it replaced, so a racing refresh from the same device is not treated as reuse
+        previousTokenHash: { type: String },
+        rotatedAt: { type: Date },
+        rotationCount: { type: Number, default: 0 },
+
+        // Device details
+        deviceName: { type: String, trim: true },
+        userAgent: { type: String },
+        ipAddress: { type: String },
+        lastUsedAt: { type: Date, default: Date.now },
+
+        revokedAt: { type: Date },
+        revokedReason: {
+            type: String,
+            enum: ['logout', 'logout_all', 'user_revoked', 'admin_revoked', 'account_deactivated', 'password_changed', 'token_reuse']
+        },
+        revokedBy: { type: mongoose.Schema.Types.ObjectId },
+
+        // Refresh token expiry; the document is removed once it passes
+        expiresAt: { type: Date, required: true, index: { expires: 0 } }
+    },
+    {
+        timestamps: true
+    }
+);
+
+sessionSchema.index({ user: 1, role: 1, revokedAt: 1 });
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { hashPinBeforeSave, hashPinBeforeUpdate } = require("../utils/pinUtils");
 
 const attendanceRecordSchema = new mongoose.Schema(
     {
@@ -56,7 +57,15 @@ const staffSchema = new mongoose.Schema(
         // 🔹 Login (Secure)
         username: { type: String, unique: true, sparse: true },
         password: { type: String, select: false }, // must hash
-        pin: { type: String, select: false }, // must hash
+        pin: { type: String, select: false }, // bcrypt hash
+        // Failed PIN logins and progressive lockout (see utils/pinUtils.js)
+        pinSecurity: {
+            failedAttempts: { type: Number, default: 0 },
+            lockCount: { type: Number, default: 0 },
+            lockedUntil: { type: Date },
+            lastFailedAt: { type: Date },
+            resetAt: { type: Date }
+        },
 
         // 🔹 Status
         status: {
@@ -157,4 +166,8 @@ staffSchema.index({ business: 1, role: 1 });
 staffSchema.index({ "performance.totalRevenue": -1 });
 staffSchema.index({ phone: 1 });
 
+// PINs are stored as bcrypt hashes
+staffSchema.pre('save', hashPinBeforeSave);
+staffSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], hashPinBeforeUpdate);
+
 module.exports = mongoose.model("Staff", staffSchema);
@@ -27,6 +27,21 @@ const superAdminSchema = new mongoose.Schema(
             type: String,
             default: ""
         },
+
+        // Two-factor authentication (TOTP), see utils/twoFactorUtils.js
+        twoFactor: {
+            enabled: { type: Boolean, default: false },
+            secret: { type: String, select: false }, // encrypted
+            pendingSecret: { type: String, select: false }, // set during setup until the first code is confirmed
+            lastUsedStep: { type: Number, select: false }, // a code is accepted only once
+            backupCodes: {
+                type: [{ codeHash: String, usedAt: Date, _id: false }],
+                select: false
+            },
+            failedAttempts: { type: Number, default: 0 },
+            lockedUntil: { type: Date }, // wrong codes lock the second factor for a while
+            enabledAt: { type: Date }
+        },
     },
     {
         timestamps: true
@@ -63,6 +63,7 @@ const transactionSchema = new mongoose.Schema(
         // Date and time
         transactionDate: { type: Date, default: Date.now, index: true },
         isRefunded: { type: Boolean, default: false },
+        refundedAmount: { type: Number, default: 0 },
         refundDate: { type: Date },
         refundReason: { type: String }
     },
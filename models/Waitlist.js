@@ -0,0 +1,79 @@
+// Waitlist.js - Customers waiting for a slot to free up on a fully booked day
+const mongoose = require("mongoose");
+
+const waitlistSchema = new mongoose.Schema(
+    {
+        business: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Business",
+            required: true,
+            index: true
+        },
+
+        // Customer contact (the Customer record is created when the offer is claimed)
+        customerInfo: {
+            name: { type: String, required: true, trim: true },
+            phone: { type: String, required: true, trim: true },
+            email: { type: String, trim: true, lowercase: true }
+        },
+
+        // What the customer wants
+        service: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Service",
+            required: true
+        },
+        durationOption: { type: Number },
+        staff: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Staff"
+        },
+
+        // Calendar date (UTC midnight of the business-local day) and acceptable time window
+        date: {
+            type: Date,
+            required: true
+        },
+        windowStart: {
+            type: String, // "HH:MM"
+            required: true
+        },
+        windowEnd: {
+            type: String, // "HH:MM"
+            required: true
+        },
+
+        status: {
+            type: String,
+            enum: ["waiting", "offered", "booked", "expired", "cancelled"],
+            default: "waiting"
+        },
+
+        // Current offer of a freed slot
+        offer: {
+            startTime: { type: String },
+            endTime: { type: String },
+            staff: { type: mongoose.Schema.Types.ObjectId, ref: "Staff" },
+            tokenHash: { type: String },
+            offeredAt: { type: Date },
+            expiresAt: { type: Date },
+            channel: { type: String, enum: ["sms", "whatsapp"] }
+        },
+        offerCount: { type: Number, default: 0 },
+
+        bookedAppointment: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Appointment"
+        },
+        notes: { type: String }
+    },
+    {
+        timestamps: true
+    }
+);
+
+waitlistSchema.index({ business: 1, date: 1, status: 1, createdAt: 1 });
+waitlistSchema.index({ "offer.tokenHash": 1 }, { sparse: true });
+waitlistSchema.index({ status: 1, "offer.expiresAt": 1 });
+
+module.exports = mongoose.model("Waitlist", waitlistSchema);
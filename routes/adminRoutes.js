@@ -38,9 +38,17 @@ router.delete("/business/:id", adminController.deleteBusiness);
 router.post("/manager", adminController.createManager);
 router.get("/managers", adminController.getManagers);
 router.get("/manager/:id", adminController.getManagerById);
+router.get("/manager/:id/permissions", adminController.getManagerPermissions);
 router.put("/manager/:id", adminController.updateManager);
 router.put("/manager/:id/status", adminController.updateManagerStatus);
 router.delete("/manager/:id", adminController.deleteManager);
+router.get("/manager/:id/sessions", adminController.getManagerSessions);
+router.delete("/manager/:id/sessions", adminController.revokeManagerSessions);
+router.post("/manager/:id/pin/reset", adminController.resetManagerPin);
+
+// ================== Staff Sessions & PIN ==================
+router.delete("/staff/:id/sessions", adminController.revokeStaffSessions);
+router.post("/staff/:id/pin/reset", adminController.resetStaffPin);
 
 // ================== Get Business by ID (must be last to avoid conflicts) ==================
 router.get("/:id", adminController.getBusinessById);
@@ -4,6 +4,7 @@ const router = express.Router();
 const analyticsController = require("../controllers/analyticsController");
 const authMiddleware = require("../middleware/authMiddleware");
 const roleMiddleware = require("../middleware/roleMiddleware");
+const { checkPermission } = require("../middleware/permissionMiddleware");
 
 // All routes require authentication (Admin or Manager)
 router.use(authMiddleware, roleMiddleware(["admin", "manager"]));
@@ -11,25 +12,25 @@ router.use(authMiddleware, roleMiddleware(["admin", "manager"]));
 // ================== Dashboard Analytics ==================
 
 // Get dashboard overview
-router.get("/dashboard", analyticsController.getDashboardOverview);
+router.get("/dashboard", checkPermission("reports", "dailyReports"), analyticsController.getDashboardOverview);
 
 // Get revenue analytics
-router.get("/revenue", analyticsController.getRevenueAnalytics);
+router.get("/revenue", checkPermission("financial", "viewRevenue"), analyticsController.getRevenueAnalytics);
 
 // Get customer analytics
-router.get("/customers", analyticsController.getCustomerAnalytics);
+router.get("/customers", checkPermission("customers", "view"), analyticsController.getCustomerAnalytics);
 
 // Get service performance
-router.get("/services", analyticsController.getServicePerformance);
+router.get("/services", checkPermission("services", "view"), analyticsController.getServicePerformance);
 
 // Get appointment analytics
-router.get("/appointments", analyticsController.getAppointmentAnalytics);
+router.get("/appointments", checkPermission("appointments", "view"), analyticsController.getAppointmentAnalytics);
 
 // Get staff performance
-router.get("/staff", analyticsController.getStaffPerformance);
+router.get("/staff", checkPermission("staff", "view"), analyticsController.getStaffPerformance);
 
 // Get trends and predictions
-router.get("/trends", analyticsController.getTrendsAndPredictions);
+router.get("/trends", checkPermission("reports", "monthlyReports"), analyticsController.getTrendsAndPredictions);
 
 module.exports = router;
 
@@ -1,8 +1,18 @@
 const express = require("express");
 const router = express.Router();
 const appointmentController = require("../controllers/appointmentController");
+const appointmentSeriesController = require("../controllers/appointmentSeriesController");
 const authMiddleware = require("../middleware/authMiddleware");
 const roleMiddleware = require("../middleware/roleMiddleware");
+const { checkPermission } = require("../middleware/permissionMiddleware");
+
+// Cancelling through the status endpoint needs the cancel permission
+const getStatusAction = (req) => (req.body?.status === 'cancelled' ? 'cancel' : 'edit');
+// Overriding the policy refund amount also needs the refund permission
+const getCancelRefundAction = (req) => {
+    const refundAmount = req.body?.refundAmount;
+    return refundAmount !== undefined && refundAmount !== null && refundAmount !== '' ? 'refund' : 'cancel';
+};
 
 // ================== PUBLIC ROUTES (No Authentication Required) ==================
 
@@ -15,18 +25,34 @@ router.get("/business/:slug/slots", appointmentController.getAvailableSlotsForBo
 // Get available slots (by businessId - Internal/Shared)
 router.get("/available-slots", appointmentController.getAvailableSlots);
 
+// Check a coupon code before booking (by slug)
+router.post("/business/:slug/coupons/validate", appointmentController.validateBookingCoupon);
+
 // Book appointment (by slug)
 router.post("/business/:slug/book", appointmentController.bookAppointmentPublic);
 
 // Verify booking OTP (by slug)
 router.post("/business/:slug/book/verify", appointmentController.verifyBookingOTP);
 
+// Confirm a held booking once the advance is paid (public)
+router.post("/business/:slug/book/confirm-payment", appointmentController.confirmAdvancePayment);
+
 // Get appointment by confirmation code (public)
 router.get("/confirmation/:confirmationCode", appointmentController.getAppointmentByConfirmationCode);
 
 // Cancel appointment by confirmation code (public)
 router.post("/confirmation/:confirmationCode/cancel", appointmentController.cancelAppointmentByCode);
 
+// Reschedule appointment by confirmation code (public)
+router.post("/confirmation/:confirmationCode/reschedule", appointmentController.rescheduleAppointmentByCode);
+
+// Join waitlist for a fully booked day (by slug)
+router.post("/business/:slug/waitlist", appointmentController.joinWaitlist);
+
+// View / claim a waitlist offer (link sent by SMS/WhatsApp)
+router.get("/waitlist/claim/:token", appointmentController.getWaitlistOffer);
+router.post("/waitlist/claim/:token", appointmentController.claimWaitlistOffer);
+
 // ================== PROTECTED ROUTES (Authentication Required) ==================
 
 // All routes below require authentication (Admin or Manager)
@@ -35,47 +61,67 @@ router.use(authMiddleware, roleMiddleware(["admin", "manager"]));
 // ================== Appointment Management ==================
 
 // Create new appointment
-router.post("/", appointmentController.createAppointment);
+router.post("/", checkPermission("appointments", "create"), appointmentController.createAppointment);
 
 // Get appointments with filtering and pagination
-router.get("/", appointmentController.getAppointments);
+router.get("/", checkPermission("appointments", "view"), appointmentController.getAppointments);
 
 // Get appointment statistics
-router.get("/stats", appointmentController.getAppointmentStats);
+router.get("/stats", checkPermission("appointments", "view"), appointmentController.getAppointmentStats);
+
+// Get waitlist entries
+router.get("/waitlist", checkPermission("appointments", "view"), appointmentController.getWaitlist);
+
+// Remove a waitlist entry
+router.delete("/waitlist/:id", checkPermission("appointments", "cancel"), appointmentController.cancelWaitlistEntry);
+
+// ================== Recurring Series ==================
+
+// Create recurring series
+router.post("/series", checkPermission("appointments", "create"), appointmentSeriesController.createSeries);
+
+// Get series with its occurrences
+router.get("/series/:id", checkPermission("appointments", "view"), appointmentSeriesController.getSeries);
+
+// Update series (scope: this | following | all)
+router.put("/series/:id", checkPermission("appointments", "edit"), appointmentSeriesController.updateSeries);
+
+// Cancel series (scope: this | following | all)
+router.post("/series/:id/cancel", checkPermission("appointments", "cancel"), appointmentSeriesController.cancelSeries);
 
 // Get appointment by ID
-router.get("/:id", appointmentController.getAppointmentById);
+router.get("/:id", checkPermission("appointments", "view"), appointmentController.getAppointmentById);
 
 // Update appointment
-router.put("/:id", appointmentController.updateAppointment);
+router.put("/:id", checkPermission("appointments", "edit"), appointmentController.updateAppointment);
 
 // ================== Appointment Actions ==================
 
 // Confirm appointment
-router.post("/:id/confirm", appointmentController.confirmAppointment);
+router.post("/:id/confirm", checkPermission("appointments", "edit"), appointmentController.confirmAppointment);
 
 // Start appointment (customer checked in)
-router.post("/:id/start", appointmentController.startAppointment);
+router.post("/:id/start", checkPermission("appointments", "edit"), appointmentController.startAppointment);
 
 // Complete appointment
-router.post("/:id/complete", appointmentController.completeAppointment);
+router.post("/:id/complete", checkPermission("appointments", "edit"), appointmentController.completeAppointment);
 
 // Cancel appointment
-router.post("/:id/cancel", appointmentController.cancelAppointment);
+router.post("/:id/cancel", checkPermission("appointments", "cancel"), checkPermission("appointments", getCancelRefundAction), appointmentController.cancelAppointment);
 
 // Reschedule appointment
-router.post("/:id/reschedule", appointmentController.rescheduleAppointment);
+router.post("/:id/reschedule", checkPermission("appointments", "edit"), appointmentController.rescheduleAppointment);
 
 // Mark as no-show
-router.post("/:id/no-show", appointmentController.markNoShow);
+router.post("/:id/no-show", checkPermission("appointments", "edit"), appointmentController.markNoShow);
 
 // Add review to appointment
-router.post("/:id/review", appointmentController.addReview);
+router.post("/:id/review", checkPermission("customers", "edit"), appointmentController.addReview);
 
 // Update appointment status
-router.patch("/:id/status", appointmentController.updateAppointmentStatus);
+router.patch("/:id/status", checkPermission("appointments", getStatusAction), appointmentController.updateAppointmentStatus);
 
 // Download Invoice
-router.get("/:id/invoice", appointmentController.downloadInvoice);
+router.get("/:id/invoice", checkPermission("appointments", "view"), appointmentController.downloadInvoice);
 
 module.exports = router;
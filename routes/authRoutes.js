@@ -1,13 +1,33 @@
 const express = require("express");
 const router = express.Router();
 const authController = require("../controllers/authController");
+const authMiddleware = require("../middleware/authMiddleware");
+const roleMiddleware = require("../middleware/roleMiddleware");
+
+// Admin two-factor routes stay reachable while a mandatory 2FA policy is waiting on enrolment
+const twoFactorAuth = [authMiddleware.twoFactorSetupAuth, roleMiddleware(["admin"])];
 
 // Auth Routes
 router.post("/register", authController.registerAdmin);       // Admin register
 router.post("/login", authController.login);                  // Admin/Manager login
+router.post("/login/2fa", authController.loginTwoFactor);     // Admin login second step
 router.post("/refresh", authController.refreshToken);         // Refresh token
-router.post("/logout", authController.logout);                // Logout
+router.post("/logout", authController.logout);                // Logout (current device)
+router.post("/logout-all", authMiddleware, authController.logoutAll);              // Logout all devices
+router.get("/sessions", authMiddleware, authController.getSessions);               // Active sessions
+router.delete("/sessions/:sessionId", authMiddleware, authController.revokeMySession); // Logout one device
 router.post("/otp/send", authController.sendOTP);             // Send OTP
 router.post("/otp/verify", authController.verifyOTP);         // Verify OTP
+router.post("/password/forgot", authController.forgotPassword);           // Email a password reset link
+router.post("/password/reset", authController.resetPassword);             // Set new password from reset link
+router.post("/email/verify", authController.verifyEmail);                 // Confirm admin email
+router.post("/email/resend-verification", authController.resendVerificationEmail); // Resend verification link
+
+// Two-Factor Authentication (Admin)
+router.get("/2fa", twoFactorAuth, authController.getTwoFactor);
+router.post("/2fa/setup", twoFactorAuth, authController.setupTwoFactor);
+router.post("/2fa/enable", twoFactorAuth, authController.enableTwoFactor);
+router.post("/2fa/disable", twoFactorAuth, authController.disableTwoFactorAuth);
+router.post("/2fa/backup-codes", twoFactorAuth, authController.regenerateTwoFactorBackupCodes);
 
 module.exports = router;
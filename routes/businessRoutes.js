@@ -3,6 +3,7 @@ const router = express.Router();
 const businessController = require("../controllers/businessController");
 const authMiddleware = require("../middleware/authMiddleware");
 const roleMiddleware = require("../middleware/roleMiddleware");
+const { checkPermission } = require("../middleware/permissionMiddleware");
 
 // ================== Public Routes (No Authentication Required) ==================
 
@@ -62,6 +63,7 @@ router.get("/public/profile/:slug", businessController.getBusinessBySlug);
 router.put("/:id",
     authMiddleware,
     roleMiddleware(["admin", "manager"]),
+    checkPermission("settings", "edit"),
     businessController.updateBusiness
 );
 
@@ -69,6 +71,7 @@ router.put("/:id",
 router.get("/:id",
     authMiddleware,
     roleMiddleware(["admin", "manager"]),
+    checkPermission("settings", "view"),
     businessController.getBusinessById
 );
 
@@ -76,6 +79,7 @@ router.get("/:id",
 router.get("/:id/staff",
     authMiddleware,
     roleMiddleware(["admin", "manager"]),
+    checkPermission("staff", "view"),
     businessController.getBusinessStaff
 );
 
@@ -83,6 +87,7 @@ router.get("/:id/staff",
 router.get("/:id/daily-business",
     authMiddleware,
     roleMiddleware(["admin", "manager"]),
+    checkPermission("financial", "viewRevenue"),
     businessController.getBusinessDailyRecords
 );
 
@@ -90,6 +95,7 @@ router.get("/:id/daily-business",
 router.get("/:id/analytics",
     authMiddleware,
     roleMiddleware(["admin", "manager"]),
+    checkPermission("financial", "viewRevenue"),
     businessController.getBusinessAnalytics
 );
 
@@ -111,6 +117,7 @@ router.get("/:id/sidebar-settings",
 
 router.put("/:id/sidebar-settings",
     authMiddleware,
+    checkPermission("settings", "edit"),
     businessController.updateSidebarSettings
 );
 
@@ -4,6 +4,7 @@ const router = express.Router();
 const businessSettingsController = require("../controllers/businessSettingsController");
 const authMiddleware = require("../middleware/authMiddleware");
 const roleMiddleware = require("../middleware/roleMiddleware");
+const { checkPermission } = require("../middleware/permissionMiddleware");
 const { uploadBusinessImages } = require("../middleware/uploadMiddleware");
 
 // All routes require authentication (Admin or Manager)
@@ -12,42 +13,59 @@ router.use(authMiddleware, roleMiddleware(["admin", "manager"]));
 // ================== Business Settings Management ==================
 
 // Get business settings
-router.get("/", businessSettingsController.getBusinessSettings);
+router.get("/", checkPermission("settings", "view"), businessSettingsController.getBusinessSettings);
 
 // Update business hours
-router.put("/business-hours", businessSettingsController.updateBusinessHours);
+router.put("/business-hours", checkPermission("settings", "edit"), businessSettingsController.updateBusinessHours);
+
+// Update structured weekly opening hours (split shifts)
+router.put("/opening-hours", checkPermission("settings", "edit"), businessSettingsController.updateOpeningHours);
 
 // Update appointment settings
-router.put("/appointments", businessSettingsController.updateAppointmentSettings);
+router.put("/appointments", checkPermission("settings", "edit"), businessSettingsController.updateAppointmentSettings);
 
 // Update notification preferences
-router.put("/notifications", businessSettingsController.updateNotificationPreferences);
+router.put("/notifications", checkPermission("settings", "edit"), businessSettingsController.updateNotificationPreferences);
 
 // Update payment settings
-router.put("/payments", businessSettingsController.updatePaymentSettings);
+router.put("/payments", checkPermission("settings", "edit"), businessSettingsController.updatePaymentSettings);
 
 // Update tax settings
-router.put("/tax", businessSettingsController.updateTaxSettings);
+router.put("/tax", checkPermission("settings", "edit"), businessSettingsController.updateTaxSettings);
+
+// Update invoice/booking number prefixes
+router.put("/numbering", checkPermission("settings", "edit"), businessSettingsController.updateNumberingSettings);
+
+// Update overdue invoice reminder settings
+router.put("/dunning", checkPermission("settings", "edit"), businessSettingsController.updateDunningSettings);
 
 // Update general settings
-router.put("/general", businessSettingsController.updateGeneralSettings);
+router.put("/general", checkPermission("settings", "edit"), businessSettingsController.updateGeneralSettings);
 
 // Update loyalty settings
-router.put("/loyalty", businessSettingsController.updateLoyaltySettings);
+router.put("/loyalty", checkPermission("settings", "edit"), businessSettingsController.updateLoyaltySettings);
 
 // Update business profile (Name, Address, etc.)
-router.put("/profile", businessSettingsController.updateBusinessProfile);
+router.put("/profile", checkPermission("settings", "edit"), businessSettingsController.updateBusinessProfile);
 
 // Update business images (URLs)
-router.put("/images", businessSettingsController.updateBusinessImages);
+router.put("/images", checkPermission("settings", "edit"), businessSettingsController.updateBusinessImages);
 
 // ================== Holiday Management ==================
 
 // Add holiday
-router.post("/holidays", businessSettingsController.addHoliday);
+router.post("/holidays", checkPermission("settings", "edit"), businessSettingsController.addHoliday);
 
 // Remove holiday
-router.delete("/holidays", businessSettingsController.removeHoliday);
+router.delete("/holidays", checkPermission("settings", "edit"), businessSettingsController.removeHoliday);
+
+// ================== Date-Specific Hours ==================
+
+// Add or replace hours for a specific date
+router.post("/hours-overrides", checkPermission("settings", "edit"), businessSettingsController.addHoursOverride);
+
+// Remove hours for a specific date
+router.delete("/hours-overrides", checkPermission("settings", "edit"), businessSettingsController.removeHoursOverride);
 
 module.exports = router;
 
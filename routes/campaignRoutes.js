@@ -6,6 +6,7 @@ const campaignEnhancedController = require("../controllers/campaignEnhancedContr
 const campaignAnalyticsController = require("../controllers/campaignAnalyticsController");
 const authMiddleware = require("../middleware/authMiddleware");
 const roleMiddleware = require("../middleware/roleMiddleware");
+const { checkPermission } = require("../middleware/permissionMiddleware");
 
 // All routes require authentication (Admin or Manager)
 router.use(authMiddleware, roleMiddleware(["admin", "manager"]));
@@ -13,108 +14,108 @@ router.use(authMiddleware, roleMiddleware(["admin", "manager"]));
 // ================== Campaign Management ==================
 
 // Create new campaign
-router.post("/", campaignController.createCampaign);
+router.post("/", checkPermission("marketing", "manage"), campaignController.createCampaign);
 
 // Get campaigns with filtering and pagination
-router.get("/", campaignController.getCampaigns);
+router.get("/", checkPermission("marketing", "view"), campaignController.getCampaigns);
 
 // Get campaign statistics - MUST BE BEFORE /:id
-router.get("/stats", campaignController.getCampaignStats);
+router.get("/stats", checkPermission("marketing", "view"), campaignController.getCampaignStats);
 
 // Get target audience count (for preview before creating campaign) - MUST BE BEFORE /:id
-router.post("/audience-count", campaignController.getTargetAudienceCount);
+router.post("/audience-count", checkPermission("marketing", "view"), campaignController.getTargetAudienceCount);
 
 // ================== Campaign Templates - MUST BE BEFORE /:id ==================
 
 // Get popular templates - MUST BE BEFORE /templates
-router.get("/templates/popular", campaignEnhancedController.getPopularTemplates);
+router.get("/templates/popular", checkPermission("marketing", "view"), campaignEnhancedController.getPopularTemplates);
 
 // Get templates
-router.get("/templates", campaignEnhancedController.getTemplates);
+router.get("/templates", checkPermission("marketing", "view"), campaignEnhancedController.getTemplates);
 
 // Get template by ID - MUST BE BEFORE generic :id route
-router.get("/templates/:id", campaignEnhancedController.getTemplateById);
+router.get("/templates/:id", checkPermission("marketing", "view"), campaignEnhancedController.getTemplateById);
 
 // Create template
-router.post("/templates", campaignEnhancedController.createTemplate);
+router.post("/templates", checkPermission("marketing", "manage"), campaignEnhancedController.createTemplate);
 
 // ================== Automated Campaigns - MUST BE BEFORE /:id ==================
 
 // Get automated campaigns
-router.get("/automated", campaignEnhancedController.getAutomatedCampaigns);
+router.get("/automated", checkPermission("marketing", "view"), campaignEnhancedController.getAutomatedCampaigns);
 
 // Create automated campaign
-router.post("/automated", campaignEnhancedController.createAutomatedCampaign);
+router.post("/automated", checkPermission("marketing", "manage"), campaignEnhancedController.createAutomatedCampaign);
 
 // Get automated campaign by ID
-router.get("/automated/:id", campaignEnhancedController.getAutomatedCampaignById);
+router.get("/automated/:id", checkPermission("marketing", "view"), campaignEnhancedController.getAutomatedCampaignById);
 
 // Update automated campaign
-router.put("/automated/:id", campaignEnhancedController.updateAutomatedCampaign);
+router.put("/automated/:id", checkPermission("marketing", "manage"), campaignEnhancedController.updateAutomatedCampaign);
 
 // Delete automated campaign
-router.delete("/automated/:id", campaignEnhancedController.deleteAutomatedCampaign);
+router.delete("/automated/:id", checkPermission("marketing", "manage"), campaignEnhancedController.deleteAutomatedCampaign);
 
 // Trigger automated campaign manually
-router.post("/automated/:id/trigger", campaignEnhancedController.triggerAutomatedCampaign);
+router.post("/automated/:id/trigger", checkPermission("marketing", "manage"), campaignEnhancedController.triggerAutomatedCampaign);
 
 // ================== Drip Campaigns - MUST BE BEFORE /:id ==================
 
 // Get drip campaigns
-router.get("/drip", campaignEnhancedController.getDripCampaigns);
+router.get("/drip", checkPermission("marketing", "view"), campaignEnhancedController.getDripCampaigns);
 
 // Create drip campaign
-router.post("/drip", campaignEnhancedController.createDripCampaign);
+router.post("/drip", checkPermission("marketing", "manage"), campaignEnhancedController.createDripCampaign);
 
 // Get drip campaign enrollments
-router.get("/drip/:id/enrollments", campaignEnhancedController.getDripEnrollments);
+router.get("/drip/:id/enrollments", checkPermission("marketing", "view"), campaignEnhancedController.getDripEnrollments);
 
 // Enroll customer in drip campaign
-router.post("/drip/:id/enroll", campaignEnhancedController.enrollInDrip);
+router.post("/drip/:id/enroll", checkPermission("marketing", "manage"), campaignEnhancedController.enrollInDrip);
 
 // ================== Campaign Analytics - MUST BE BEFORE /:id ==================
 
 // Get best time to send analysis
-router.get("/analytics/best-time", campaignAnalyticsController.analyzeBestTimeToSend);
+router.get("/analytics/best-time", checkPermission("marketing", "view"), campaignAnalyticsController.analyzeBestTimeToSend);
 
 // Get campaign insights
-router.get("/analytics/insights", campaignAnalyticsController.getCampaignInsights);
+router.get("/analytics/insights", checkPermission("marketing", "view"), campaignAnalyticsController.getCampaignInsights);
 
 // Get customer engagement pattern
-router.get("/analytics/customer-pattern/:customerId", campaignAnalyticsController.getCustomerEngagementPattern);
+router.get("/analytics/customer-pattern/:customerId", checkPermission("marketing", "view"), campaignAnalyticsController.getCustomerEngagementPattern);
 
 // Compare campaigns
-router.post("/analytics/compare", campaignAnalyticsController.compareCampaigns);
+router.post("/analytics/compare", checkPermission("marketing", "view"), campaignAnalyticsController.compareCampaigns);
 
 // ================== Link Tracking - MUST BE BEFORE /:id ==================
 
 // Generate tracking link with UTM parameters
-router.post("/tracking/generate-link", campaignEnhancedController.generateTrackingLink);
+router.post("/tracking/generate-link", checkPermission("marketing", "manage"), campaignEnhancedController.generateTrackingLink);
 
 // ================== Campaign by ID - MUST BE LAST ==================
 
 // Get campaign by ID - MUST BE AFTER ALL SPECIFIC ROUTES
-router.get("/:id", campaignController.getCampaignById);
+router.get("/:id", checkPermission("marketing", "view"), campaignController.getCampaignById);
 
 // Update campaign
-router.put("/:id", campaignController.updateCampaign);
+router.put("/:id", checkPermission("marketing", "manage"), campaignController.updateCampaign);
 
 // ================== Campaign Actions ==================
 
 // Launch campaign
-router.post("/:id/launch", campaignController.launchCampaign);
+router.post("/:id/launch", checkPermission("marketing", "manage"), campaignController.launchCampaign);
 
 // Cancel campaign
-router.post("/:id/cancel", campaignController.cancelCampaign);
+router.post("/:id/cancel", checkPermission("marketing", "manage"), campaignController.cancelCampaign);
 
 // Clone campaign
-router.post("/:id/clone", campaignEnhancedController.cloneCampaign);
+router.post("/:id/clone", checkPermission("marketing", "manage"), campaignEnhancedController.cloneCampaign);
 
 // Start A/B test
-router.post("/:id/ab-test/start", campaignEnhancedController.startABTest);
+router.post("/:id/ab-test/start", checkPermission("marketing", "manage"), campaignEnhancedController.startABTest);
 
 // Get A/B test results
-router.get("/:id/ab-test/results", campaignEnhancedController.getABTestResults);
+router.get("/:id/ab-test/results", checkPermission("marketing", "view"), campaignEnhancedController.getABTestResults);
 
 module.exports = router;
 
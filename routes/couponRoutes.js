@@ -0,0 +1,35 @@
+// couponRoutes.js - Coupon and promo code routes
+const express = require("express");
+const router = express.Router();
+const couponController = require("../controllers/couponController");
+const authMiddleware = require("../middleware/authMiddleware");
+const roleMiddleware = require("../middleware/roleMiddleware");
+const { checkPermission } = require("../middleware/permissionMiddleware");
+
+// All routes require authentication (Admin or Manager)
+router.use(authMiddleware, roleMiddleware(["admin", "manager"]));
+
+// ================== Coupon Management ==================
+
+// Create coupon
+router.post("/", checkPermission("marketing", "manage"), couponController.createCoupon);
+
+// Generate single-use codes for a campaign
+router.post("/batch", checkPermission("marketing", "manage"), couponController.generateCouponBatch);
+
+// Check a code against items before billing
+router.post("/validate", checkPermission("invoices", "create"), couponController.validateCouponCode);
+
+// List coupons
+router.get("/", checkPermission("marketing", "view"), couponController.getCoupons);
+
+// Get coupon with redemptions
+router.get("/:id", checkPermission("marketing", "view"), couponController.getCouponById);
+
+// Update coupon
+router.put("/:id", checkPermission("marketing", "manage"), couponController.updateCoupon);
+
+// Deactivate coupon
+router.delete("/:id", checkPermission("marketing", "manage"), couponController.deactivateCoupon);
+
+module.exports = router;
@@ -3,6 +3,8 @@ const router = express.Router();
 const customerController = require("../controllers/customerController");
 const authMiddleware = require("../middleware/authMiddleware");
 const roleMiddleware = require("../middleware/roleMiddleware");
+const { checkPermission } = require("../middleware/permissionMiddleware");
+const { uploadCustomerImport, handleUploadError } = require("../middleware/uploadMiddleware");
 
 // All routes require authentication (Admin or Manager)
 router.use(authMiddleware, roleMiddleware(["admin", "manager"]));
@@ -10,47 +12,72 @@ router.use(authMiddleware, roleMiddleware(["admin", "manager"]));
 // ================== Customer Management ==================
 
 // Create new customer
-router.post("/", customerController.createCustomer);
+router.post("/", checkPermission("customers", "create"), customerController.createCustomer);
 
 // Get customers with filtering and pagination
-router.get("/", customerController.getCustomers);
+router.get("/", checkPermission("customers", "view"), customerController.getCustomers);
 
 // Get customer statistics
-router.get("/stats", customerController.getCustomerStats);
+router.get("/stats", checkPermission("customers", "view"), customerController.getCustomerStats);
 
 // Get customer analytics overview
-router.get("/analytics/overview", customerController.getCustomerAnalyticsOverview);
+router.get("/analytics/overview", checkPermission("customers", "view"), customerController.getCustomerAnalyticsOverview);
 
 // Get customer AI insights
-router.get("/analytics/insights", customerController.getCustomerInsights);
+router.get("/analytics/insights", checkPermission("customers", "view"), customerController.getCustomerInsights);
+
+// Parse the uploaded import sheet (field "file")
+const uploadImportFile = (req, res, next) => {
+    uploadCustomerImport.single('file')(req, res, (err) => {
+        if (err) {
+            return handleUploadError(err, req, res, next);
+        }
+        next();
+    });
+};
+
+// Preview a CSV import (column mapping, duplicates, row errors)
+router.post("/import/preview", checkPermission("customers", "create"), uploadImportFile, customerController.previewCustomerImport);
+
+// Import customers from CSV in batches
+router.post("/import", checkPermission("customers", "create"), uploadImportFile, customerController.importCustomers);
+
+// Find likely duplicate customers
+router.get("/duplicates", checkPermission("customers", "view"), customerController.getDuplicateCustomers);
+
+// Merge duplicate customers into one
+router.post("/merge", checkPermission("customers", "delete"), customerController.mergeCustomers);
+
+// Merge audit history
+router.get("/merges", checkPermission("customers", "view"), customerController.getCustomerMerges);
 
 // Lookup customer by phone
-router.get("/lookup", customerController.lookupCustomer);
+router.get("/lookup", checkPermission("customers", "view"), customerController.lookupCustomer);
 
 // Add customer note
-router.post("/:id/notes", customerController.addCustomerNote);
+router.post("/:id/notes", checkPermission("customers", "edit"), customerController.addCustomerNote);
 
 // Get customer timeline
-router.get("/:id/timeline", customerController.getCustomerTimeline);
+router.get("/:id/timeline", checkPermission("customers", "view"), customerController.getCustomerTimeline);
 
 // Get customer by ID
-router.get("/:id", customerController.getCustomerById);
+router.get("/:id", checkPermission("customers", "view"), customerController.getCustomerById);
 
 // Update customer information
-router.put("/:id", customerController.updateCustomer);
+router.put("/:id", checkPermission("customers", "edit"), customerController.updateCustomer);
 
 // Update customer tier
-router.put("/:id/tier", customerController.updateCustomerTier);
+router.put("/:id/tier", checkPermission("customers", "edit"), customerController.updateCustomerTier);
 
 // Delete customer (soft delete)
-router.delete("/:id", customerController.deleteCustomer);
+router.delete("/:id", checkPermission("customers", "delete"), customerController.deleteCustomer);
 
 // ================== Loyalty Points ==================
 
 // Add loyalty points to customer
-router.post("/:id/loyalty/add", customerController.addLoyaltyPoints);
+router.post("/:id/loyalty/add", checkPermission("customers", "edit"), customerController.addLoyaltyPoints);
 
 // Redeem loyalty points
-router.post("/:id/loyalty/redeem", customerController.redeemLoyaltyPoints);
+router.post("/:id/loyalty/redeem", checkPermission("customers", "edit"), customerController.redeemLoyaltyPoints);
 
 module.exports = router;
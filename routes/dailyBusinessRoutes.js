@@ -3,6 +3,7 @@ const router = express.Router();
 const dailyBusinessController = require("../controllers/dailyBusinessController");
 const authMiddleware = require("../middleware/authMiddleware");
 const roleMiddleware = require("../middleware/roleMiddleware");
+const { checkPermission } = require("../middleware/permissionMiddleware");
 
 // All routes require authentication
 router.use(authMiddleware);
@@ -12,36 +13,42 @@ router.use(authMiddleware);
 // Add daily business record (Manager only)
 router.post("/",
     roleMiddleware(["manager"]),
+    checkPermission("financial", "recordTransactions"),
     dailyBusinessController.addDailyBusiness
 );
 
 // Get daily business records (Manager + Admin)
 router.get("/",
     roleMiddleware(["manager", "admin"]),
+    checkPermission("financial", "viewRevenue"),
     dailyBusinessController.getDailyBusinessRecords
 );
 
 // Get daily summary (Manager + Admin)
 router.get("/summary",
     roleMiddleware(["manager", "admin"]),
+    checkPermission("financial", "viewRevenue"),
     dailyBusinessController.getDailySummary
 );
 
 // Get business analytics (Manager + Admin)
 router.get("/analytics",
     roleMiddleware(["manager", "admin"]),
+    checkPermission("financial", "viewRevenue"),
     dailyBusinessController.getBusinessAnalytics
 );
 
 // Update daily business record (Manager only)
 router.put("/:id",
     roleMiddleware(["manager"]),
+    checkPermission("financial", "recordTransactions"),
     dailyBusinessController.updateDailyBusiness
 );
 
 // Delete daily business record (Manager only)
 router.delete("/:id",
     roleMiddleware(["manager"]),
+    checkPermission("financial", "recordTransactions"),
     dailyBusinessController.deleteDailyBusiness
 );
 
@@ -50,12 +57,14 @@ router.delete("/:id",
 // Initialize daily business (Manager + Admin)
 router.post("/initialize",
     roleMiddleware(["manager", "admin"]),
+    checkPermission("financial", "recordTransactions"),
     dailyBusinessController.initializeDailyBusiness
 );
 
 // Close daily business with cash reconciliation (Manager + Admin)
 router.post("/:id/close",
     roleMiddleware(["manager", "admin"]),
+    checkPermission("financial", "recordTransactions"),
     dailyBusinessController.closeDailyBusiness
 );
 
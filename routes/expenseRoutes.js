@@ -3,6 +3,7 @@ const router = express.Router();
 const expenseController = require('../controllers/expenseController');
 const authMiddleware = require('../middleware/authMiddleware');
 const roleMiddleware = require('../middleware/roleMiddleware');
+const { checkPermission } = require('../middleware/permissionMiddleware');
 
 // ================== Expense Routes ==================
 
@@ -11,6 +12,7 @@ router.post(
     '/',
     authMiddleware,
     roleMiddleware(['manager', 'admin']),
+    checkPermission('financial', 'recordExpenses'),
     expenseController.createExpense
 );
 
@@ -19,6 +21,7 @@ router.get(
     '/',
     authMiddleware,
     roleMiddleware(['manager', 'admin']),
+    checkPermission('financial', 'viewExpenses'),
     expenseController.getExpenses
 );
 
@@ -27,6 +30,7 @@ router.get(
     '/reports/by-category',
     authMiddleware,
     roleMiddleware(['manager', 'admin']),
+    checkPermission('financial', 'viewExpenses'),
     expenseController.getExpensesByCategory
 );
 
@@ -51,6 +55,7 @@ router.get(
     '/:id',
     authMiddleware,
     roleMiddleware(['manager', 'admin']),
+    checkPermission('financial', 'viewExpenses'),
     expenseController.getExpenseById
 );
 
@@ -59,6 +64,7 @@ router.put(
     '/:id',
     authMiddleware,
     roleMiddleware(['manager', 'admin']),
+    checkPermission('financial', 'recordExpenses'),
     expenseController.updateExpense
 );
 
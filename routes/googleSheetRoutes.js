@@ -3,6 +3,7 @@ const router = express.Router();
 const googleSheetController = require('../controllers/googleSheetController');
 const protect = require('../middleware/authMiddleware');
 const roleMiddleware = require('../middleware/roleMiddleware');
+const { checkPermission } = require('../middleware/permissionMiddleware');
 
 
 // ==========================================
@@ -41,7 +42,7 @@ router.delete('/leads/config', protect, roleMiddleware(['admin']), googleSheetCo
 router.get('/leads/managers', protect, roleMiddleware(['admin']), googleSheetController.getManagersByLocation);
 
 // Update lead status (Admin/Manager manually marking as done)
-router.post('/leads/admin-status', protect, roleMiddleware(['admin', 'manager']), googleSheetController.updateLeadAdminStatus);
+router.post('/leads/admin-status', protect, roleMiddleware(['admin', 'manager']), checkPermission('customers', 'edit'), googleSheetController.updateLeadAdminStatus);
 
 
 // ==========================================
@@ -49,11 +50,11 @@ router.post('/leads/admin-status', protect, roleMiddleware(['admin', 'manager'])
 // ==========================================
 
 // Get leads only for manager's assigned location(s)
-router.get('/leads/manager', protect, roleMiddleware(['manager']), googleSheetController.getLeadsForManager);
+router.get('/leads/manager', protect, roleMiddleware(['manager']), checkPermission('customers', 'view'), googleSheetController.getLeadsForManager);
 
 // Update lead contact status (mark as called or whatsapped)
-router.post('/leads/update-status', protect, roleMiddleware(['manager']), googleSheetController.updateLeadContactStatus);
+router.post('/leads/update-status', protect, roleMiddleware(['manager']), checkPermission('customers', 'edit'), googleSheetController.updateLeadContactStatus);
 
 // Add Remark
-router.post('/leads/remark', protect, roleMiddleware(['admin', 'manager']), googleSheetController.addLeadRemark);
+router.post('/leads/remark', protect, roleMiddleware(['admin', 'manager']), checkPermission('customers', 'edit'), googleSheetController.addLeadRemark);
 module.exports = router;
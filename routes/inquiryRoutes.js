@@ -2,16 +2,17 @@ const express = require('express');
 const router = express.Router();
 const inquiryController = require('../controllers/inquiry.controller');
 const authMiddleware = require('../middleware/authMiddleware');
+const { checkPermission } = require('../middleware/permissionMiddleware');
 
 // Public Routes
 router.post('/send-otp', inquiryController.sendInquiryOTP);
 router.post('/', inquiryController.createInquiry);
 
 // Protected Routes
-router.get('/', authMiddleware, inquiryController.getAllInquiries);
-router.get('/export', authMiddleware, inquiryController.exportInquiries);
-router.patch('/:id/receive', authMiddleware, inquiryController.markAsRecieved);
-router.delete('/:id', authMiddleware, inquiryController.deleteInquiry);
-router.patch('/:id/remark', authMiddleware, inquiryController.remarkInquiry);
+router.get('/', authMiddleware, checkPermission('customers', 'view'), inquiryController.getAllInquiries);
+router.get('/export', authMiddleware, checkPermission('customers', 'exportData'), inquiryController.exportInquiries);
+router.patch('/:id/receive', authMiddleware, checkPermission('customers', 'edit'), inquiryController.markAsRecieved);
+router.delete('/:id', authMiddleware, checkPermission('customers', 'delete'), inquiryController.deleteInquiry);
+router.patch('/:id/remark', authMiddleware, checkPermission('customers', 'edit'), inquiryController.remarkInquiry);
 
 module.exports = router;
@@ -3,11 +3,13 @@ const router = express.Router();
 const inventoryManagementController = require('../controllers/inventoryManagementController');
 const authMiddleware = require('../middleware/authMiddleware');
 const roleMiddleware = require('../middleware/roleMiddleware');
+const { checkPermission } = require('../middleware/permissionMiddleware');
 
 router.post(
     '/requests',
     authMiddleware,
     roleMiddleware(['manager', 'admin', 'staff']),
+    checkPermission('inventory', 'view'),
     inventoryManagementController.createRequest
 );
 
@@ -16,6 +18,7 @@ router.get(
     '/requests',
     authMiddleware,
     roleMiddleware(['manager', 'admin', 'staff']),
+    checkPermission('inventory', 'view'),
     inventoryManagementController.getRequests
 );
  
@@ -23,6 +26,7 @@ router.get(
     '/requests/:id',
     authMiddleware,
     roleMiddleware(['manager', 'admin', 'staff']),
+    checkPermission('inventory', 'view'),
     inventoryManagementController.getRequestById
 );
 
@@ -30,6 +34,7 @@ router.put(
     '/requests/:id',
     authMiddleware,
     roleMiddleware(['manager', 'admin']),
+    checkPermission('inventory', 'adjustStock'),
     inventoryManagementController.updateRequestStatus
 );
  
@@ -37,6 +42,7 @@ router.delete(
     '/requests/:id',
     authMiddleware,
     roleMiddleware(['manager', 'admin']),
+    checkPermission('inventory', 'adjustStock'),
     inventoryManagementController.deleteRequest
 );
 
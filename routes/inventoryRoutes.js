@@ -3,6 +3,7 @@ const router = express.Router();
 const inventoryController = require('../controllers/inventoryController');
 const authMiddleware = require('../middleware/authMiddleware');
 const roleMiddleware = require('../middleware/roleMiddleware');
+const { checkPermission } = require('../middleware/permissionMiddleware');
 
 // ================== Product Routes ==================
 
@@ -11,6 +12,7 @@ router.post(
     '/products',
     authMiddleware,
     roleMiddleware(['manager', 'admin']),
+    checkPermission('inventory', 'manageProducts'),
     inventoryController.createProduct
 );
  
@@ -18,6 +20,7 @@ router.get(
     '/products',
     authMiddleware,
     roleMiddleware(['manager', 'admin', 'staff']),
+    checkPermission('inventory', 'view'),
     inventoryController.getProducts
 );
  
@@ -25,6 +28,7 @@ router.get(
     '/low-stock',
     authMiddleware,
     roleMiddleware(['manager', 'admin']),
+    checkPermission('inventory', 'view'),
     inventoryController.getLowStockProducts
 );
 
@@ -33,6 +37,7 @@ router.get(
     '/expiring-soon',
     authMiddleware,
     roleMiddleware(['manager', 'admin']),
+    checkPermission('inventory', 'view'),
     inventoryController.getExpiringSoon
 );
 
@@ -49,6 +54,7 @@ router.get(
     '/products/:id',
     authMiddleware,
     roleMiddleware(['manager', 'admin', 'staff']),
+    checkPermission('inventory', 'view'),
     inventoryController.getProductById
 );
 
@@ -57,6 +63,7 @@ router.put(
     '/products/:id',
     authMiddleware,
     roleMiddleware(['manager', 'admin']),
+    checkPermission('inventory', 'manageProducts'),
     inventoryController.updateProduct
 );
 
@@ -65,6 +72,7 @@ router.post(
     '/products/:id/adjust-stock',
     authMiddleware,
     roleMiddleware(['manager', 'admin']),
+    checkPermission('inventory', 'adjustStock'),
     inventoryController.adjustStock
 );
  
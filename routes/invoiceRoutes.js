@@ -4,6 +4,7 @@ const router = express.Router();
 const invoiceController = require("../controllers/invoiceController");
 const authMiddleware = require("../middleware/authMiddleware");
 const roleMiddleware = require("../middleware/roleMiddleware");
+const { checkPermission } = require("../middleware/permissionMiddleware");
 
 // All routes require authentication (Admin or Manager)
 router.use(authMiddleware, roleMiddleware(["admin", "manager"]));
@@ -11,33 +12,40 @@ router.use(authMiddleware, roleMiddleware(["admin", "manager"]));
 // ================== Invoice Management ==================
 
 // Create new invoice
-router.post("/", invoiceController.createInvoice);
+router.post("/", checkPermission("invoices", "create"), invoiceController.createInvoice);
 
 // Get invoices with filtering and pagination
-router.get("/", invoiceController.getInvoices);
+router.get("/", checkPermission("invoices", "view"), invoiceController.getInvoices);
 
 // Get invoice statistics
-router.get("/stats", invoiceController.getInvoiceStats);
+router.get("/stats", checkPermission("invoices", "view"), invoiceController.getInvoiceStats);
 
 // Get overdue invoices
-router.get("/overdue", invoiceController.getOverdueInvoices);
+router.get("/overdue", checkPermission("invoices", "view"), invoiceController.getOverdueInvoices);
 
 // Get invoice by ID
-router.get("/:id", invoiceController.getInvoiceById);
+router.get("/:id", checkPermission("invoices", "view"), invoiceController.getInvoiceById);
+
+// Download invoice as a GST tax invoice PDF
+router.get("/:id/pdf", checkPermission("invoices", "view"), invoiceController.getInvoicePdf);
 
 // Update invoice
-router.put("/:id", invoiceController.updateInvoice);
+router.put("/:id", checkPermission("invoices", "edit"), invoiceController.updateInvoice);
 
 // Cancel invoice
-router.post("/:id/cancel", invoiceController.cancelInvoice);
+router.post("/:id/cancel", checkPermission("invoices", "cancel"), invoiceController.cancelInvoice);
+
+// Raise a credit/debit note against selected lines of an invoice
+router.post("/:id/credit-note", checkPermission("invoices", "issueNotes"), invoiceController.createCreditNote);
+router.post("/:id/debit-note", checkPermission("invoices", "issueNotes"), invoiceController.createDebitNote);
 
 // ================== Payment Management ==================
 
 // Add payment to invoice
-router.post("/:id/payment", invoiceController.addPayment);
+router.post("/:id/payment", checkPermission("invoices", "collectPayment"), invoiceController.addPayment);
 
 // Add refund to invoice
-router.post("/:id/refund", invoiceController.addRefund);
+router.post("/:id/refund", checkPermission("invoices", "refund"), invoiceController.addRefund);
 
 module.exports = router;
 
@@ -4,6 +4,7 @@ const router = express.Router();
 const loyaltyController = require("../controllers/loyaltyController");
 const authMiddleware = require("../middleware/authMiddleware");
 const roleMiddleware = require("../middleware/roleMiddleware");
+const { checkPermission } = require("../middleware/permissionMiddleware");
 
 // All routes require authentication (Admin or Manager)
 router.use(authMiddleware, roleMiddleware(["admin", "manager"]));
@@ -11,67 +12,67 @@ router.use(authMiddleware, roleMiddleware(["admin", "manager"]));
 // ================== Rewards Management ==================
 
 // Create reward
-router.post("/rewards", loyaltyController.createReward);
+router.post("/rewards", checkPermission("marketing", "manage"), loyaltyController.createReward);
 
 // Get rewards
-router.get("/rewards", loyaltyController.getRewards);
+router.get("/rewards", checkPermission("marketing", "view"), loyaltyController.getRewards);
 
 // Update reward
-router.put("/rewards/:id", loyaltyController.updateReward);
+router.put("/rewards/:id", checkPermission("marketing", "manage"), loyaltyController.updateReward);
 
 // Delete reward
-router.delete("/rewards/:id", loyaltyController.deleteReward);
+router.delete("/rewards/:id", checkPermission("marketing", "manage"), loyaltyController.deleteReward);
 
 // Redeem reward
-router.post("/rewards/:id/redeem", loyaltyController.redeemReward);
+router.post("/rewards/:id/redeem", checkPermission("customers", "edit"), loyaltyController.redeemReward);
 
 // ================== Membership Plans ==================
 
 // Create membership plan
-router.post("/membership-plans", loyaltyController.createMembershipPlan);
+router.post("/membership-plans", checkPermission("marketing", "manage"), loyaltyController.createMembershipPlan);
 
 // Get membership plans
-router.get("/membership-plans", loyaltyController.getMembershipPlans);
+router.get("/membership-plans", checkPermission("marketing", "view"), loyaltyController.getMembershipPlans);
 
 // Update membership plan
-router.put("/membership-plans/:id", loyaltyController.updateMembershipPlan);
+router.put("/membership-plans/:id", checkPermission("marketing", "manage"), loyaltyController.updateMembershipPlan);
 
 // Delete membership plan
-router.delete("/membership-plans/:id", loyaltyController.deleteMembershipPlan);
+router.delete("/membership-plans/:id", checkPermission("marketing", "manage"), loyaltyController.deleteMembershipPlan);
 
 // ================== Customer Loyalty ==================
 
 // Get customer loyalty history
-router.get("/customers/:customerId/history", loyaltyController.getCustomerLoyaltyHistory);
+router.get("/customers/:customerId/history", checkPermission("customers", "view"), loyaltyController.getCustomerLoyaltyHistory);
 
 // Get available rewards for customer
-router.get("/customers/:customerId/available-rewards", loyaltyController.getAvailableRewardsForCustomer);
+router.get("/customers/:customerId/available-rewards", checkPermission("customers", "view"), loyaltyController.getAvailableRewardsForCustomer);
 
 // ================== Customer Subscriptions ==================
 
 // Subscribe to membership plan
-router.post("/subscriptions", loyaltyController.subscribeMembership);
+router.post("/subscriptions", checkPermission("customers", "edit"), loyaltyController.subscribeMembership);
 
 // Get all subscriptions (filtered by business)
-router.get("/subscriptions", loyaltyController.getSubscriptions);
+router.get("/subscriptions", checkPermission("customers", "view"), loyaltyController.getSubscriptions);
 
 // Get subscription statistics
-router.get("/subscriptions/stats", loyaltyController.getSubscriptionStats);
+router.get("/subscriptions/stats", checkPermission("customers", "view"), loyaltyController.getSubscriptionStats);
 
 // Get expiring subscriptions (for reminders)
-router.get("/subscriptions/expiring", loyaltyController.getExpiringSoonSubscriptions);
+router.get("/subscriptions/expiring", checkPermission("customers", "view"), loyaltyController.getExpiringSoonSubscriptions);
 
 // Get customer active subscription
-router.get("/subscriptions/customer/:customerId", loyaltyController.getCustomerSubscription);
+router.get("/subscriptions/customer/:customerId", checkPermission("customers", "view"), loyaltyController.getCustomerSubscription);
 
 // Get subscription benefits
-router.get("/subscriptions/:id/benefits", loyaltyController.getSubscriptionBenefits);
+router.get("/subscriptions/:id/benefits", checkPermission("customers", "view"), loyaltyController.getSubscriptionBenefits);
 
 // Renew subscription
-router.put("/subscriptions/:id/renew", loyaltyController.renewSubscription);
+router.put("/subscriptions/:id/renew", checkPermission("customers", "edit"), loyaltyController.renewSubscription);
 
 // Cancel subscription
-router.put("/subscriptions/:id/cancel", loyaltyController.cancelSubscription);
+router.put("/subscriptions/:id/cancel", checkPermission("customers", "edit"), loyaltyController.cancelSubscription);
 
 module.exports = router;
 
@@ -3,31 +3,32 @@ const router = express.Router();
 const managerController = require("../controllers/managerController");
 const authMiddleware = require("../middleware/authMiddleware");
 const roleMiddleware = require("../middleware/roleMiddleware");
+const { checkPermission } = require("../middleware/permissionMiddleware");
 
 // Manager routes
 router.use(authMiddleware, roleMiddleware(["manager"]));
 
 // ================== Manager Dashboard ==================
-router.get("/dashboard", managerController.getManagerDashboard);
-router.get("/stats", managerController.getManagerStats);
-router.get("/appointments/stats", managerController.getManagerAppointmentStats);
+router.get("/dashboard", checkPermission("reports", "dailyReports"), managerController.getManagerDashboard);
+router.get("/stats", checkPermission("reports", "dailyReports"), managerController.getManagerStats);
+router.get("/appointments/stats", checkPermission("appointments", "view"), managerController.getManagerAppointmentStats);
 
 // ================== Staff Management ==================
-router.post("/staff", managerController.addStaff);
-router.get("/staff", managerController.getStaff);
-router.get("/staff/:id", managerController.getStaffById);
-router.put("/staff/:id", managerController.updateStaff);
-router.delete("/staff/:id", managerController.deleteStaff);
+router.post("/staff", checkPermission("staff", "create"), managerController.addStaff);
+router.get("/staff", checkPermission("staff", "view"), managerController.getStaff);
+router.get("/staff/:id", checkPermission("staff", "view"), managerController.getStaffById);
+router.put("/staff/:id", checkPermission("staff", "edit"), managerController.updateStaff);
+router.delete("/staff/:id", checkPermission("staff", "delete"), managerController.deleteStaff);
 
 // ================== Transaction Management ==================
-router.post("/transaction", managerController.addTransaction);
-router.put("/transaction/:id", managerController.updateTransaction);
-router.get("/transaction/:id", managerController.getTransaction);
-router.get("/transactions", managerController.getTransactions);
+router.post("/transaction", checkPermission("financial", "recordTransactions"), managerController.addTransaction);
+router.put("/transaction/:id", checkPermission("financial", "recordTransactions"), managerController.updateTransaction);
+router.get("/transaction/:id", checkPermission("financial", "viewRevenue"), managerController.getTransaction);
+router.get("/transactions", checkPermission("financial", "viewRevenue"), managerController.getTransactions);
 
 // ================== Business Management (Manager can update their own business) ==================
-router.get("/business", managerController.getBusinessInfo);
-router.put("/business", managerController.updateBusiness);
+router.get("/business", checkPermission("settings", "view"), managerController.getBusinessInfo);
+router.put("/business", checkPermission("settings", "edit"), managerController.updateBusiness);
 
 // ================== Alerts / System Notifications ==================
 router.get("/alerts", managerController.getAlerts);
@@ -37,6 +38,7 @@ router.post("/alerts/mark-all-read", managerController.markAllAlertsAsRead);
 
 // ================== Manager Profile & Settings ==================
 router.get("/profile", managerController.getManagerProfile);
+router.get("/permissions", managerController.getManagerPermissions);
 router.put("/profile", managerController.updateManagerProfile);
 router.put("/password", managerController.updateManagerPassword);
 
@@ -4,6 +4,7 @@ const notificationController = require("../controllers/notificationController");
 const notificationEnhancedController = require("../controllers/notificationEnhancedController");
 const authMiddleware = require("../middleware/authMiddleware");
 const roleMiddleware = require("../middleware/roleMiddleware");
+const { checkPermission } = require("../middleware/permissionMiddleware");
 
 // All routes require authentication (Admin or Manager)
 router.use(authMiddleware, roleMiddleware(["admin", "manager"]));
@@ -11,48 +12,48 @@ router.use(authMiddleware, roleMiddleware(["admin", "manager"]));
 // ================== Notification Management ==================
 
 // Create notification
-router.post("/", notificationController.createNotification);
+router.post("/", checkPermission("marketing", "manage"), notificationController.createNotification);
 
 // Send notification
-router.post("/:notificationId/send", notificationController.sendNotification);
+router.post("/:notificationId/send", checkPermission("marketing", "manage"), notificationController.sendNotification);
 
 // Get notifications
-router.get("/", notificationController.getNotifications);
+router.get("/", checkPermission("marketing", "view"), notificationController.getNotifications);
 
 // Get notification analytics
-router.get("/:notificationId/analytics", notificationController.getNotificationAnalytics);
+router.get("/:notificationId/analytics", checkPermission("marketing", "view"), notificationController.getNotificationAnalytics);
 
 // ================== Campaign Management ==================
 
 // Create campaign
-router.post("/campaigns", notificationController.createCampaign);
+router.post("/campaigns", checkPermission("marketing", "manage"), notificationController.createCampaign);
 
 // Get campaigns
-router.get("/campaigns", notificationController.getCampaigns);
+router.get("/campaigns", checkPermission("marketing", "view"), notificationController.getCampaigns);
 
 // ================== Customer Analytics ==================
 
 // Get customer analytics
-router.get("/analytics/customers", notificationController.getCustomerAnalytics);
+router.get("/analytics/customers", checkPermission("marketing", "view"), notificationController.getCustomerAnalytics);
 
 // ================== Automated Notifications ==================
 
 // Get automated notifications summary
-router.get("/automated/summary", notificationEnhancedController.getAutomatedNotificationsSummary);
+router.get("/automated/summary", checkPermission("marketing", "view"), notificationEnhancedController.getAutomatedNotificationsSummary);
 
 // Send birthday wishes
-router.post("/automated/birthday", notificationEnhancedController.sendBirthdayWishes);
+router.post("/automated/birthday", checkPermission("marketing", "manage"), notificationEnhancedController.sendBirthdayWishes);
 
 // Send anniversary wishes
-router.post("/automated/anniversary", notificationEnhancedController.sendAnniversaryWishes);
+router.post("/automated/anniversary", checkPermission("marketing", "manage"), notificationEnhancedController.sendAnniversaryWishes);
 
 // Send appointment reminders
-router.post("/automated/appointment-reminders", notificationEnhancedController.sendAppointmentReminders);
+router.post("/automated/appointment-reminders", checkPermission("marketing", "manage"), notificationEnhancedController.sendAppointmentReminders);
 
 // Send reactivation campaign to inactive customers
-router.post("/automated/reactivation", notificationEnhancedController.sendReactivationCampaign);
+router.post("/automated/reactivation", checkPermission("marketing", "manage"), notificationEnhancedController.sendReactivationCampaign);
 
 // Send review requests
-router.post("/automated/review-requests", notificationEnhancedController.sendReviewRequest);
+router.post("/automated/review-requests", checkPermission("marketing", "manage"), notificationEnhancedController.sendReviewRequest);
 
 module.exports = router;
\ No newline at end of file
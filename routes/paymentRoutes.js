@@ -2,6 +2,8 @@ const express = require("express");
 const router = express.Router();
 const { createOrder, verifyPayment } = require("../controllers/paymentController");
 const protect = require("../middleware/authMiddleware");
+const roleMiddleware = require("../middleware/roleMiddleware");
+const { checkPermission } = require("../middleware/permissionMiddleware");
 
 // Routes
 router.post("/create-order", createOrder);
@@ -9,4 +11,10 @@ router.post("/verify-payment", verifyPayment);
 router.get("/get-key", require("../controllers/paymentController").getRazorpayKey);
 router.get("/check-config", require("../controllers/paymentController").checkConfig);
 
+// Razorpay webhook (authenticated by its signature, not a user token)
+router.post("/webhook", require("../controllers/paymentController").handleWebhook);
+
+// Gateway orders vs bookings
+router.get("/reconciliation", protect, roleMiddleware(["admin", "manager"]), checkPermission("financial", "viewRevenue"), require("../controllers/paymentController").getReconciliationReport);
+
 module.exports = router;
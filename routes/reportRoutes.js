@@ -3,14 +3,15 @@ const router = express.Router();
 const reportController = require("../controllers/reportController");
 const authMiddleware = require("../middleware/authMiddleware");
 const roleMiddleware = require("../middleware/roleMiddleware");
+const { checkPermission, getReportAction } = require("../middleware/permissionMiddleware");
 
 // Reports (Admin & Manager)
 router.use(authMiddleware, roleMiddleware(["admin", "manager"]));
 
-router.get("/", reportController.getReports);
-router.get("/analytics", reportController.getAnalytics);
-router.get("/summary", reportController.getSummary);
-router.get("/trends", reportController.getTrends);
-router.get("/export", reportController.exportReports);
+router.get("/", checkPermission("reports", "dailyReports"), reportController.getReports);
+router.get("/analytics", checkPermission("reports", getReportAction), reportController.getAnalytics);
+router.get("/summary", checkPermission("reports", getReportAction), reportController.getSummary);
+router.get("/trends", checkPermission("reports", getReportAction), reportController.getTrends);
+router.get("/export", checkPermission("reports", "exportReports"), reportController.exportReports);
 
 module.exports = router;
@@ -0,0 +1,26 @@
+// resourceRoutes.js - Bookable resource (room/chair/equipment) routes
+const express = require("express");
+const router = express.Router();
+const resourceController = require("../controllers/resourceController");
+const authMiddleware = require("../middleware/authMiddleware");
+const roleMiddleware = require("../middleware/roleMiddleware");
+const { checkPermission } = require("../middleware/permissionMiddleware");
+
+// All routes require authentication (Admin or Manager)
+router.use(authMiddleware, roleMiddleware(["admin", "manager"]));
+
+// ================== Resource Management ==================
+
+// Create new resource
+router.post("/", checkPermission("services", "create"), resourceController.createResource);
+
+// Get resources of a business
+router.get("/", checkPermission("services", "view"), resourceController.getResources);
+
+// Update resource
+router.put("/:id", checkPermission("services", "edit"), resourceController.updateResource);
+
+// Delete resource (soft delete)
+router.delete("/:id", checkPermission("services", "delete"), resourceController.deleteResource);
+
+module.exports = router;
@@ -4,6 +4,7 @@ const router = express.Router();
 const reviewController = require("../controllers/reviewController");
 const authMiddleware = require("../middleware/authMiddleware");
 const roleMiddleware = require("../middleware/roleMiddleware");
+const { checkPermission } = require("../middleware/permissionMiddleware");
 
 // All routes require authentication (Admin or Manager)
 router.use(authMiddleware, roleMiddleware(["admin", "manager"]));
@@ -11,42 +12,42 @@ router.use(authMiddleware, roleMiddleware(["admin", "manager"]));
 // ================== Review Management ==================
 
 // Create new review
-router.post("/", reviewController.createReview);
+router.post("/", checkPermission("customers", "edit"), reviewController.createReview);
 
 // Get reviews with filtering and pagination
-router.get("/", reviewController.getReviews);
+router.get("/", checkPermission("customers", "view"), reviewController.getReviews);
 
 // Get review statistics
-router.get("/stats", reviewController.getReviewStats);
+router.get("/stats", checkPermission("customers", "view"), reviewController.getReviewStats);
 
 // Get featured reviews
-router.get("/featured", reviewController.getFeaturedReviews);
+router.get("/featured", checkPermission("customers", "view"), reviewController.getFeaturedReviews);
 
 // Get review by ID
-router.get("/:id", reviewController.getReviewById);
+router.get("/:id", checkPermission("customers", "view"), reviewController.getReviewById);
 
 // Update review
-router.put("/:id", reviewController.updateReview);
+router.put("/:id", checkPermission("customers", "edit"), reviewController.updateReview);
 
 // Delete review
-router.delete("/:id", reviewController.deleteReview);
+router.delete("/:id", checkPermission("customers", "delete"), reviewController.deleteReview);
 
 // ================== Review Actions ==================
 
 // Approve review
-router.post("/:id/approve", reviewController.approveReview);
+router.post("/:id/approve", checkPermission("customers", "edit"), reviewController.approveReview);
 
 // Reject review
-router.post("/:id/reject", reviewController.rejectReview);
+router.post("/:id/reject", checkPermission("customers", "edit"), reviewController.rejectReview);
 
 // Flag review for moderation
-router.post("/:id/flag", reviewController.flagReview);
+router.post("/:id/flag", checkPermission("customers", "edit"), reviewController.flagReview);
 
 // Add response to review
-router.post("/:id/response", reviewController.addResponse);
+router.post("/:id/response", checkPermission("customers", "edit"), reviewController.addResponse);
 
 // Mark review as helpful
-router.post("/:id/helpful", reviewController.markHelpful);
+router.post("/:id/helpful", checkPermission("customers", "edit"), reviewController.markHelpful);
 
 module.exports = router;
 
@@ -4,6 +4,7 @@ const router = express.Router();
 const serviceController = require("../controllers/serviceController");
 const authMiddleware = require("../middleware/authMiddleware");
 const roleMiddleware = require("../middleware/roleMiddleware");
+const { checkPermission } = require("../middleware/permissionMiddleware");
 
 // Public route for booking services
 router.get("/public/business/:identifier", serviceController.getPublicBusinessServices);
@@ -14,33 +15,33 @@ router.use(authMiddleware, roleMiddleware(["admin", "manager"]));
 // ================== Service Management ==================
 
 // Create new service
-router.post("/", serviceController.createService);
+router.post("/", checkPermission("services", "create"), serviceController.createService);
 
 // Get services with filtering and pagination
-router.get("/", serviceController.getServices);
+router.get("/", checkPermission("services", "view"), serviceController.getServices);
 
 // Get popular services
-router.get("/popular", serviceController.getPopularServices);
+router.get("/popular", checkPermission("services", "view"), serviceController.getPopularServices);
 
 // Get featured services
-router.get("/featured", serviceController.getFeaturedServices);
+router.get("/featured", checkPermission("services", "view"), serviceController.getFeaturedServices);
 
 // Get service categories
-router.get("/categories", serviceController.getServiceCategories);
+router.get("/categories", checkPermission("services", "view"), serviceController.getServiceCategories);
 
 // Get service by ID
-router.get("/:id", serviceController.getServiceById);
+router.get("/:id", checkPermission("services", "view"), serviceController.getServiceById);
 
 // Update service
-router.put("/:id", serviceController.updateService);
+router.put("/:id", checkPermission("services", "edit"), serviceController.updateService);
 
 // Delete service (soft delete)
-router.delete("/:id", serviceController.deleteService);
+router.delete("/:id", checkPermission("services", "delete"), serviceController.deleteService);
 
 // ================== Inventory Management ==================
 
 // Update service inventory
-router.post("/:id/inventory", serviceController.updateInventory);
+router.post("/:id/inventory", checkPermission("services", "edit"), serviceController.updateInventory);
 
 module.exports = router;
 
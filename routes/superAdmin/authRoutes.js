@@ -6,9 +6,17 @@ const superAdminAuth = require("../../middleware/superAdminAuth");
 // Public Auth Routes
 router.post("/register", authController.register); // Should be restricted or removed after first setup
 router.post("/login", authController.login);
+router.post("/login/2fa", authController.loginTwoFactor);
 
 // Protected Routes
 router.get("/profile", superAdminAuth, authController.getProfile);
 router.post("/logout", superAdminAuth, authController.logout);
 
+// Two-Factor Authentication (reachable while mandatory 2FA is waiting on enrolment)
+router.get("/2fa", superAdminAuth.twoFactorSetupAuth, authController.getTwoFactor);
+router.post("/2fa/setup", superAdminAuth.twoFactorSetupAuth, authController.setupTwoFactor);
+router.post("/2fa/enable", superAdminAuth.twoFactorSetupAuth, authController.enableTwoFactor);
+router.post("/2fa/disable", superAdminAuth.twoFactorSetupAuth, authController.disableTwoFactorAuth);
+router.post("/2fa/backup-codes", superAdminAuth.twoFactorSetupAuth, authController.regenerateTwoFactorBackupCodes);
+
 module.exports = router;
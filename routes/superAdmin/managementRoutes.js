@@ -24,6 +24,11 @@ router.get("/admins/:id/businesses", adminController.getAdminAllBusiness);
 router.patch("/admins/:id/status", adminController.updateAdminStatus);
 router.patch("/admins/:adminId/businesses/:businessId/status", adminController.updateAdminBusinessStatus);
 router.patch("/admins/:adminId/businesses/:businessId/plan", adminController.updateAdminBusinessPlan);
+router.delete("/admins/:id/2fa", adminController.resetAdminTwoFactor);
+
+// Security Policy
+router.get("/security-policy", adminController.getSecurityPolicy);
+router.patch("/security-policy", adminController.updateSecurityPolicy);
 
 // Sidebar Management
 router.patch("/admins/:id/sidebar", sidebarController.toggleAdminSidebar);
@@ -4,6 +4,7 @@ const router = express.Router();
 const uploadController = require('../controllers/uploadController');
 const authMiddleware = require('../middleware/authMiddleware');
 const roleMiddleware = require('../middleware/roleMiddleware');
+const { checkPermission } = require('../middleware/permissionMiddleware');
 const {
     uploadBusinessLogo,
     uploadBusinessBanner,
@@ -31,6 +32,7 @@ router.post('/business/logo',
             next();
         });
     },
+    checkPermission('settings', 'edit'),
     uploadController.uploadBusinessLogo
 );
 
@@ -46,6 +48,7 @@ router.post('/business/banner',
             next();
         });
     },
+    checkPermission('settings', 'edit'),
     uploadController.uploadBusinessBanner
 );
 
@@ -61,6 +64,7 @@ router.post('/business/gallery',
             next();
         });
     },
+    checkPermission('settings', 'edit'),
     uploadController.uploadBusinessGallery
 );
 
@@ -76,6 +80,7 @@ router.post('/business/thumbnail',
             next();
         });
     },
+    checkPermission('settings', 'edit'),
     uploadController.uploadBusinessThumbnail
 );
 
@@ -91,6 +96,7 @@ router.post('/business/qrcode',
             next();
         });
     },
+    checkPermission('settings', 'edit'),
     uploadController.uploadQRCode
 );
 
@@ -106,6 +112,7 @@ router.post('/business/images',
             next();
         });
     },
+    checkPermission('settings', 'edit'),
     uploadController.uploadBusinessImages
 );
 
@@ -113,6 +120,7 @@ router.post('/business/images',
 router.delete('/business/:filename',
     authMiddleware,
     roleMiddleware(['admin', 'manager']),
+    checkPermission('settings', 'edit'),
     uploadController.deleteBusinessImage
 );
 
@@ -122,6 +130,7 @@ router.delete('/business/:filename',
 router.post('/staff/profile',
     authMiddleware,
     roleMiddleware(['admin', 'manager']),
+    checkPermission('staff', 'edit'),
     (req, res, next) => {
         uploadStaffProfile.single('profile')(req, res, (err) => {
             if (err) {
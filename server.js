@@ -7,6 +7,12 @@ const { startCampaignScheduler } = require("./utils/campaignScheduler");
 const whatsappWebService = require("./services/whatsappWebService");
 const { startGoogleSheetSync, stopGoogleSheetSync } = require("./services/googleSheetSyncService");
 const { startPlanExpiryScheduler } = require("./utils/planExpiryScheduler");
+const { startReminderScheduler } = require("./utils/reminderScheduler");
+const { startWaitlistScheduler } = require("./utils/waitlistUtils");
+const { startBookingHoldScheduler } = require("./utils/bookingHoldUtils");
+const { dropLegacyNumberIndexes } = require("./utils/numberingUtils");
+const { startDunningScheduler } = require("./utils/dunningScheduler");
+const { hashLegacyPins } = require("./utils/pinUtils");
 const cluster = require('cluster');
 const os = require('os');
 
@@ -40,6 +46,24 @@ if (cluster.isPrimary) {
 
         // 4. Plan Expiry Scheduler (Singleton)
         startPlanExpiryScheduler();
+
+        // 5. Appointment Reminder Scheduler (Singleton)
+        startReminderScheduler();
+
+        // 6. Waitlist Offer Expiry Scheduler (Singleton)
+        startWaitlistScheduler();
+
+        // 7. Advance Payment Hold Release Scheduler (Singleton)
+        startBookingHoldScheduler();
+
+        // 8. One-off: invoice/booking numbers became unique per business
+        dropLegacyNumberIndexes();
+
+        // 9. Overdue Invoice Dunning Scheduler (Singleton)
+        startDunningScheduler();
+
+        // 10. One-off: manager/staff PINs are now stored hashed
+        hashLegacyPins();
     }).catch(err => {
         console.error('❌ Master process failed to connect to MongoDB:', err.message);
         process.exit(1);
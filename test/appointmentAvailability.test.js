@@ -0,0 +1,69 @@
+// appointmentAvailability.test.js - Appointment.checkAvailability against stored bookings in every status
+const { describe, it, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Query } = require('mingo');
+
+const Appointment = require('../models/Appointment');
+const { query } = require('./stubs');
+
+const businessId = new mongoose.Types.ObjectId();
+const staffId = new mongoose.Types.ObjectId();
+const date = new Date('2026-03-11T00:00:00.000Z');
+let stored;
+
+const booking = (status, overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    business: businessId,
+    appointmentDate: date,
+    staff: staffId,
+    startTime: '10:00',
+    endTime: '11:00',
+    status,
+    ...overrides
+});
+
+const isFree = (startTime = '10:30', endTime = '11:30') =>
+    Appointment.checkAvailability(businessId, staffId, date, startTime, endTime);
+
+before(() => {
+    mock.method(Appointment, 'find', (filter) => query(() => stored.filter(doc => new Query(filter).test(doc))));
+});
+
+after(() => {
+    mock.restoreAll();
+});
+
+beforeEach(() => {
+    stored = [];
+});
+
+describe('Appointment.checkAvailability', () => {
+    it('is free when nothing overlaps', async () => {
+        stored = [booking('confirmed', { startTime: '09:00', endTime: '10:00' })];
+        assert.equal(await isFree(), true);
+    });
+
+    it('treats a slot held for online payment as taken', async () => {
+        stored = [booking('awaiting_payment')];
+        assert.equal(await isFree(), false);
+    });
+
+    it('treats a rescheduled booking as taken', async () => {
+        stored = [booking('rescheduled')];
+        assert.equal(await isFree(), false);
+    });
+
+    it('ignores cancelled and no-show bookings', async () => {
+        stored = [booking('cancelled'), booking('no_show')];
+        assert.equal(await isFree(), true);
+    });
+
+    it('checks the staff on each service line and skips the booking being moved', async () => {
+        const moved = booking('confirmed', { staff: null, serviceLines: [{ staff: staffId, startTime: '10:00', endTime: '11:00' }] });
+        stored = [moved];
+
+        assert.equal(await isFree(), false);
+        assert.equal(await Appointment.checkAvailability(businessId, staffId, date, '10:30', '11:30', moved._id), true);
+    });
+});
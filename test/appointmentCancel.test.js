@@ -0,0 +1,162 @@
+// appointmentCancel.test.js - Cancelling a booking from the dashboard and by confirmation code, including two requests at once,
+// and the business scoping that dashboard cancel and reschedule share
+const { describe, it, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Query } = require('mingo');
+
+const Appointment = require('../models/Appointment');
+const Business = require('../models/Business');
+const Manager = require('../models/Manager');
+const CouponRedemption = require('../models/CouponRedemption');
+const { cancelAppointment, cancelAppointmentByCode, rescheduleAppointment } = require('../controllers/appointmentController');
+const { query, invoke } = require('./stubs');
+
+const adminId = String(new mongoose.Types.ObjectId());
+const business = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Lotus Spa',
+    settings: {
+        timezone: 'Asia/Kolkata',
+        appointmentSettings: {
+            cancellationPolicy: { allowCancellation: true, minCancellationHours: 24, refundPercentage: 100 },
+            waitlistSettings: { enabled: false }
+        }
+    }
+};
+let stored;
+
+// Booking paid in full at the counter (no gateway payment, so the refund is settled by hand)
+const buildStoredAppointment = (overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    business: business._id,
+    customer: new mongoose.Types.ObjectId(),
+    bookingNumber: 'BK-2001',
+    confirmationCode: 'K7M2QX9PRT',
+    appointmentDate: new Date('2030-01-10T00:00:00.000Z'),
+    startTime: '10:00',
+    endTime: '11:00',
+    status: 'confirmed',
+    totalAmount: 500,
+    paidAmount: 500,
+    ...overrides
+});
+
+// Filter cast by the schema (string ids become ObjectIds) and matched against the stored booking as MongoDB would
+const matchesStored = (filter) => new Query(Appointment.where(filter).cast(Appointment)).test(stored);
+
+// Appointment as loaded by the controller; populateBusiness mirrors .populate('business')
+const load = (populateBusiness = false) => {
+    const appointment = Appointment.hydrate({ ...stored });
+    if (populateBusiness) appointment.business = Business.hydrate(business);
+    return appointment;
+};
+
+const cancelFromDashboard = () => invoke(cancelAppointment, {
+    user: { id: adminId, role: 'admin' },
+    params: { id: String(stored._id) },
+    body: { reason: 'Therapist unavailable' }
+});
+
+const cancelByCode = () => invoke(cancelAppointmentByCode, {
+    params: { confirmationCode: stored.confirmationCode },
+    body: { reason: 'Travelling' }
+});
+
+before(() => {
+    mock.method(mongoose.Model.prototype, 'save', async function () {
+        return this;
+    });
+    mock.method(Business, 'find', () => query(() => [{ _id: business._id }]));
+    mock.method(Business, 'findById', () => query(() => business));
+    mock.method(Manager, 'find', () => query(() => []));
+    mock.method(CouponRedemption, 'find', () => query(() => []));
+
+    mock.method(Appointment, 'findOne', (filter) => query(() => (matchesStored(filter) ? load() : null)));
+    mock.method(Appointment, 'findById', () => query(() => null));
+    mock.method(Appointment, 'findByConfirmationCode', () => query(() => load(true)));
+
+    // populate('business') applies to the updated booking
+    mock.method(Appointment, 'findOneAndUpdate', (filter, update) => {
+        let populateBusiness = false;
+        const chain = query(() => {
+            if (!matchesStored(filter)) return null;
+            Object.assign(stored, update.$set);
+            return load(populateBusiness);
+        });
+        chain.populate = (path) => {
+            populateBusiness = path === 'business';
+            return chain;
+        };
+        return chain;
+    });
+});
+
+after(() => {
+    mock.restoreAll();
+});
+
+beforeEach(() => {
+    stored = buildStoredAppointment();
+});
+
+describe('cancelAppointment', () => {
+    it('cancels and quotes the refund by the policy', async () => {
+        const { status, body } = await cancelFromDashboard();
+
+        assert.equal(status, 200);
+        assert.equal(body.data.refund.amount, 500);
+        assert.equal(stored.status, 'cancelled');
+        assert.equal(stored.cancellationReason, 'Therapist unavailable');
+        assert.equal(stored.cancelledByModel, 'Admin');
+    });
+
+    it('cancels and refunds only once when two requests arrive together', async () => {
+        const results = await Promise.all([cancelFromDashboard(), cancelFromDashboard()]);
+
+        assert.deepEqual(results.map(result => result.status).sort(), [200, 409]);
+        assert.equal(results.filter(result => result.body.data?.refund?.amount > 0).length, 1);
+    });
+
+    it('leaves completed appointments alone', async () => {
+        stored = buildStoredAppointment({ status: 'completed' });
+        const { status, body } = await cancelFromDashboard();
+
+        assert.equal(status, 400);
+        assert.equal(body.message, 'Cannot cancel a completed appointment');
+        assert.equal(stored.status, 'completed');
+    });
+});
+
+describe('cancelAppointmentByCode', () => {
+    it('cancels on behalf of the customer', async () => {
+        const { status, body } = await cancelByCode();
+
+        assert.equal(status, 200);
+        assert.equal(body.data.refundAmount, 500);
+        assert.equal(body.data.appointment.business.name, 'Lotus Spa');
+        assert.equal(stored.cancelledByModel, 'Customer');
+    });
+
+    it('cancels and refunds only once when two requests arrive together', async () => {
+        const results = await Promise.all([cancelByCode(), cancelByCode()]);
+
+        assert.deepEqual(results.map(result => result.status).sort(), [200, 409]);
+        assert.equal(results.filter(result => result.body.data?.refundAmount > 0).length, 1);
+    });
+});
+
+describe('rescheduleAppointment', () => {
+    it("does not find another business's booking", async () => {
+        stored = buildStoredAppointment({ business: new mongoose.Types.ObjectId() });
+        Appointment.findById.mock.mockImplementationOnce(() => query(() => load()));
+        const { status } = await invoke(rescheduleAppointment, {
+            user: { id: adminId, role: 'admin' },
+            params: { id: String(stored._id) },
+            body: { newDate: '2030-01-11', newStartTime: '12:00', newEndTime: '13:00' }
+        });
+
+        assert.equal(status, 404);
+        assert.equal(stored.startTime, '10:00');
+    });
+});
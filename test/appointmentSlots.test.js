@@ -0,0 +1,114 @@
+// appointmentSlots.test.js - Opening hours and slot generation in the business timezone
+process.env.TZ = 'UTC';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkBusinessOpen, generateAvailableSlots } = require('../utils/appointmentUtils');
+
+// 11 March 2026 is a Wednesday
+const WEDNESDAY = '2026-03-11';
+
+const buildBusiness = (overrides = {}) => ({
+    settings: {
+        timezone: 'Asia/Kolkata',
+        appointmentSettings: { slotDuration: 30, minAdvanceBookingHours: 0.5 }
+    },
+    openingHours: {
+        weekly: [
+            { day: 'tuesday', shifts: [{ open: '09:00', close: '12:00' }] },
+            { day: 'wednesday', shifts: [{ open: '00:00', close: '02:00' }, { open: '10:00', close: '12:00' }] },
+            { day: 'thursday', isClosed: true }
+        ],
+        overrides: []
+    },
+    ...overrides
+});
+
+const startTimes = (slots) => slots.map(slot => slot.startTime);
+
+describe('checkBusinessOpen', () => {
+    it('accepts a range inside one shift', () => {
+        assert.deepEqual(checkBusinessOpen(buildBusiness(), WEDNESDAY, '10:00', '11:30'), { isOpen: true });
+    });
+
+    it('rejects a range spanning the gap between split shifts', () => {
+        const result = checkBusinessOpen(buildBusiness(), WEDNESDAY, '01:30', '10:30');
+        assert.equal(result.isOpen, false);
+        assert.match(result.reason, /00:00-02:00, 10:00-12:00/);
+    });
+
+    it('is closed on a weekly day off', () => {
+        const result = checkBusinessOpen(buildBusiness(), '2026-03-12', '10:00', '10:30');
+        assert.equal(result.isOpen, false);
+        assert.match(result.reason, /thursdays/);
+    });
+
+    it('lets holidays and date overrides win over the weekly hours', () => {
+        const holiday = buildBusiness({ holidays: [{ date: new Date(`${WEDNESDAY}T00:00:00.000Z`), name: 'Holi' }] });
+        assert.match(checkBusinessOpen(holiday, WEDNESDAY, '10:00', '10:30').reason, /Holi/);
+
+        const business = buildBusiness();
+        business.openingHours.overrides = [{ date: new Date('2026-03-12T00:00:00.000Z'), shifts: [{ open: '14:00', close: '16:00' }] }];
+        assert.deepEqual(checkBusinessOpen(business, '2026-03-12', '14:00', '15:00'), { isOpen: true });
+    });
+
+    it('resolves the IST day of an instant, not the server day', () => {
+        // 20:00 UTC on Tuesday is 01:30 on Wednesday in IST
+        assert.deepEqual(checkBusinessOpen(buildBusiness(), new Date('2026-03-10T20:00:00.000Z'), '00:30', '01:00'), { isOpen: true });
+    });
+
+    it('falls back to settings.workingHours', () => {
+        const business = { settings: { workingHours: { open: '08:00', close: '18:00', days: ['wednesday'] } } };
+        assert.deepEqual(checkBusinessOpen(business, WEDNESDAY, '08:00', '09:00'), { isOpen: true });
+        assert.equal(checkBusinessOpen(business, '2026-03-12', '08:00', '09:00').isOpen, false);
+    });
+});
+
+describe('generateAvailableSlots', () => {
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-01T00:00:00.000Z') });
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+    });
+
+    it('lists every slot of every shift on a future day', () => {
+        assert.deepEqual(startTimes(generateAvailableSlots(buildBusiness(), WEDNESDAY)), [
+            '00:00', '00:30', '01:00', '01:30', '10:00', '10:30', '11:00', '11:30'
+        ]);
+    });
+
+    it('returns nothing on a closed day', () => {
+        assert.deepEqual(generateAvailableSlots(buildBusiness(), '2026-03-12'), []);
+    });
+
+    it('still treats Wednesday as tomorrow one minute before IST midnight', () => {
+        // 23:59 on Tuesday in IST, while the server (UTC) clock reads 18:29
+        mock.timers.setTime(new Date('2026-03-10T18:29:00.000Z').getTime());
+        assert.deepEqual(startTimes(generateAvailableSlots(buildBusiness(), WEDNESDAY)).slice(0, 2), ['00:00', '00:30']);
+    });
+
+    it('drops slots inside the advance booking window once Wednesday starts in IST', () => {
+        // 00:00 on Wednesday in IST, still Tuesday on the server (UTC) clock
+        mock.timers.setTime(new Date('2026-03-10T18:30:00.000Z').getTime());
+        assert.deepEqual(startTimes(generateAvailableSlots(buildBusiness(), WEDNESDAY)).slice(0, 2), ['00:30', '01:00']);
+
+        // 01:15 in IST: only slots from 01:45 on are far enough ahead
+        mock.timers.setTime(new Date('2026-03-10T19:45:00.000Z').getTime());
+        assert.deepEqual(startTimes(generateAvailableSlots(buildBusiness(), WEDNESDAY)), ['10:00', '10:30', '11:00', '11:30']);
+    });
+
+    it('has no slots left for a day that is over in IST', () => {
+        // 23:59 on Tuesday in IST
+        mock.timers.setTime(new Date('2026-03-10T18:29:00.000Z').getTime());
+        assert.deepEqual(generateAvailableSlots(buildBusiness(), '2026-03-10'), []);
+    });
+
+    it('skips slots overlapping existing appointments and fits the whole service', () => {
+        const existing = [{ startTime: '10:30', endTime: '11:00' }];
+        const slots = generateAvailableSlots(buildBusiness(), WEDNESDAY, existing, null, { serviceDuration: 60 });
+        assert.deepEqual(startTimes(slots), ['00:00', '00:30', '01:00', '11:00']);
+        assert.equal(slots[0].endTime, '01:00');
+    });
+});
@@ -0,0 +1,94 @@
+// invoiceNotes.test.js - Credit notes against a parent invoice, with the parent's stored fields matched as MongoDB would
+const { describe, it, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Query } = require('mingo');
+
+const Invoice = require('../models/Invoice');
+const Business = require('../models/Business');
+const { createCreditNote } = require('../controllers/invoiceController');
+const { query, invoke } = require('./stubs');
+
+const adminId = String(new mongoose.Types.ObjectId());
+const lineId = new mongoose.Types.ObjectId();
+let stored;
+
+// Parent invoice as stored by a release before credit notes existed: no creditNoteTotal / debitNoteTotal
+const buildStoredInvoice = () => ({
+    _id: new mongoose.Types.ObjectId(),
+    business: new mongoose.Types.ObjectId(),
+    invoiceNumber: 'INV-0042',
+    invoiceType: 'regular',
+    status: 'sent',
+    supplyType: 'intra_state',
+    items: [{ _id: lineId, itemType: 'service', name: 'Haircut', price: 1000, quantity: 1, taxableValue: 1000, taxRate: 18, total: 1180 }],
+    total: 1180,
+    paidAmount: 0,
+    refundedAmount: 0
+});
+
+const issueCredit = (items = [{ itemId: String(lineId) }]) => invoke(createCreditNote, {
+    user: { id: adminId, role: 'admin' },
+    params: { id: String(stored._id) },
+    body: { items, reason: 'Service not delivered' }
+});
+
+before(() => {
+    mock.method(mongoose.Model.prototype, 'save', async function () {
+        return this;
+    });
+    mock.method(Business, 'findOne', () => query(() => ({ _id: stored.business })));
+    mock.method(Invoice, 'findById', () => query(() => Invoice.hydrate({ ...stored })));
+    mock.method(Invoice, 'find', () => query(() => []));
+    mock.method(Invoice, 'create', async (doc) => ({ ...doc, invoiceNumber: 'CN-0001' }));
+    mock.method(Invoice, 'findOneAndUpdate', (filter, update) => query(() => {
+        if (!new Query(filter).test(stored)) return null;
+        Object.entries(update.$inc || {}).forEach(([field, amount]) => {
+            stored[field] = (stored[field] || 0) + amount;
+        });
+        Object.assign(stored, update.$set);
+        return Invoice.hydrate({ ...stored });
+    }));
+});
+
+after(() => {
+    mock.restoreAll();
+});
+
+beforeEach(() => {
+    stored = buildStoredInvoice();
+});
+
+describe('createCreditNote', () => {
+    it('credits an invoice saved before creditNoteTotal was stored', async () => {
+        assert.equal('creditNoteTotal' in stored, false);
+
+        const { status, body } = await issueCredit();
+
+        assert.equal(status, 201);
+        assert.equal(body.data.total, 1180);
+        assert.equal(stored.creditNoteTotal, 1180);
+        assert.equal(body.data.parentInvoice.balanceDue, 0);
+    });
+
+    it('refuses when another credit note landed after the lines were checked', async () => {
+        Invoice.findById.mock.mockImplementationOnce(() => query(() => {
+            const loaded = Invoice.hydrate({ ...stored });
+            stored.creditNoteTotal = 590;
+            return loaded;
+        }));
+
+        const { status } = await issueCredit();
+
+        assert.equal(status, 409);
+        assert.equal(stored.creditNoteTotal, 590);
+    });
+
+    it('does not credit a line twice within one note', async () => {
+        const { status, body } = await issueCredit([{ itemId: String(lineId) }, { itemId: String(lineId) }]);
+
+        assert.equal(status, 400);
+        assert.match(body.message, /left to credit/);
+        assert.equal('creditNoteTotal' in stored, false);
+    });
+});
@@ -0,0 +1,256 @@
+// paymentWebhook.test.js - Razorpay webhook with signed fixture payloads (models are kept in memory)
+const { describe, it, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const WEBHOOK_SECRET = 'test-webhook-secret';
+process.env.RAZORPAY_WEBHOOK_SECRET = WEBHOOK_SECRET;
+
+const Appointment = require('../models/Appointment');
+const Invoice = require('../models/Invoice');
+const Transaction = require('../models/Transaction');
+const PaymentOrder = require('../models/PaymentOrder');
+const PaymentEvent = require('../models/PaymentEvent');
+const { handleWebhook } = require('../controllers/paymentController');
+const { signWebhookPayload } = require('../utils/paymentUtils');
+const { query, invoke } = require('./stubs');
+
+const businessId = new mongoose.Types.ObjectId();
+let store;
+
+const matches = (doc, filter) => Object.entries(filter).every(([path, value]) => {
+    if (value && typeof value === 'object' && !(value instanceof mongoose.Types.ObjectId)) return true;
+    return String(doc.get(path)) === String(value);
+});
+
+// Razorpay event body with a payment entity (amounts in paise)
+const paymentEvent = (event, payment = {}) => ({
+    entity: 'event',
+    account_id: 'acc_test',
+    event,
+    contains: ['payment'],
+    payload: {
+        payment: {
+            entity: {
+                id: 'pay_1',
+                entity: 'payment',
+                amount: 100000,
+                currency: 'INR',
+                status: event === 'payment.failed' ? 'failed' : 'captured',
+                order_id: 'order_1',
+                method: 'upi',
+                created_at: 1773200000,
+                ...payment
+            }
+        }
+    },
+    created_at: 1773200000
+});
+
+const refundEvent = (refund = {}) => ({
+    entity: 'event',
+    account_id: 'acc_test',
+    event: 'refund.processed',
+    contains: ['refund', 'payment'],
+    payload: {
+        refund: {
+            entity: {
+                id: 'rfnd_1',
+                entity: 'refund',
+                amount: 40000,
+                currency: 'INR',
+                payment_id: 'pay_1',
+                notes: { reason: 'Cancelled by customer' },
+                status: 'processed',
+                ...refund
+            }
+        },
+        payment: paymentEvent('payment.captured').payload.payment
+    },
+    created_at: 1773200500
+});
+
+// POST the body to the webhook handler the way express.json() hands it over (raw bytes kept)
+const deliver = (body, { eventId, signature } = {}) => {
+    const rawBody = Buffer.from(JSON.stringify(body));
+    const req = {
+        headers: {
+            'x-razorpay-signature': signature === undefined ? signWebhookPayload(rawBody, WEBHOOK_SECRET) : signature,
+            'x-razorpay-event-id': eventId
+        },
+        rawBody,
+        body: JSON.parse(rawBody.toString())
+    };
+
+    return invoke(handleWebhook, req);
+};
+
+before(() => {
+    mock.method(mongoose.Model.prototype, 'save', async function () {
+        return this;
+    });
+
+    mock.method(PaymentEvent, 'create', async (doc) => {
+        if (store.events.has(doc.eventId)) {
+            throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        }
+        const record = new PaymentEvent(doc);
+        store.events.set(doc.eventId, record);
+        return record;
+    });
+    mock.method(PaymentEvent, 'findOneAndUpdate', (filter) => query(() => {
+        const record = store.events.get(filter.eventId);
+        if (!record || record.status !== filter.status) return null;
+        record.status = 'received';
+        return record;
+    }));
+    mock.method(PaymentEvent, 'findOne', (filter) => query(() => store.events.get(filter.eventId) || null));
+
+    mock.method(Appointment, 'findOne', (filter) => query(() => (store.appointment && matches(store.appointment, filter) ? store.appointment : null)));
+    mock.method(Appointment, 'findById', (id) => query(() => (store.appointment && String(store.appointment._id) === String(id) ? store.appointment : null)));
+
+    mock.method(PaymentOrder, 'findOne', (filter) => query(() => store.orders.find(order => matches(order, filter)) || null));
+    mock.method(PaymentOrder, 'findOneAndUpdate', (filter, update) => query(() => {
+        let order = store.orders.find(existing => matches(existing, filter));
+        if (!order) {
+            order = new PaymentOrder(update.$setOnInsert);
+            store.orders.push(order);
+        }
+        return order;
+    }));
+
+    mock.method(Invoice, 'findOne', () => query(() => store.invoice));
+    mock.method(Transaction, 'findOne', () => query(() => null));
+});
+
+after(() => {
+    mock.restoreAll();
+});
+
+beforeEach(() => {
+    const appointment = new Appointment({
+        business: businessId,
+        bookingNumber: 'BK-1001',
+        status: 'pending',
+        totalAmount: 1000,
+        paidAmount: 0,
+        paymentStatus: 'pending',
+        paymentDetails: { gateway: 'razorpay', orderId: 'order_1' }
+    });
+
+    store = {
+        events: new Map(),
+        appointment,
+        invoice: new Invoice({ business: businessId, appointment: appointment._id, total: 1000, paidAmount: 0 }),
+        orders: [new PaymentOrder({ business: businessId, orderId: 'order_1', amount: 1000, appointment: appointment._id })]
+    };
+});
+
+describe('POST /api/payments/webhook', () => {
+    it('records a captured payment on the order, the booking and its invoice', async () => {
+        const { status, body } = await deliver(paymentEvent('payment.captured'), { eventId: 'evt_captured' });
+
+        assert.equal(status, 200);
+        assert.equal(body.message, 'Event processed');
+        assert.equal(body.data.status, 'processed');
+
+        const [order] = store.orders;
+        assert.equal(order.status, 'paid');
+        assert.equal(order.paymentId, 'pay_1');
+        assert.equal(order.amountPaid, 1000);
+
+        assert.equal(store.appointment.paidAmount, 1000);
+        assert.equal(store.appointment.paymentStatus, 'paid');
+        assert.equal(store.appointment.paymentDetails.paymentId, 'pay_1');
+
+        assert.equal(store.invoice.payments.length, 1);
+        assert.equal(store.invoice.payments[0].transactionId, 'pay_1');
+        assert.equal(store.invoice.paidAmount, 1000);
+
+        assert.equal(store.events.get('evt_captured').status, 'processed');
+    });
+
+    it('marks a failed payment on the order and the booking', async () => {
+        const body = paymentEvent('payment.failed', { error_description: 'Payment was declined by the bank' });
+        const response = await deliver(body, { eventId: 'evt_failed' });
+
+        assert.equal(response.status, 200);
+        assert.equal(store.orders[0].status, 'failed');
+        assert.equal(store.orders[0].failureReason, 'Payment was declined by the bank');
+        assert.equal(store.appointment.paymentStatus, 'failed');
+        assert.equal(store.appointment.paymentDetails.failureReason, 'Payment was declined by the bank');
+        assert.equal(store.appointment.paidAmount, 0);
+    });
+
+    it('applies a processed refund once, even when Razorpay reports it again', async () => {
+        await deliver(paymentEvent('payment.captured'), { eventId: 'evt_captured' });
+
+        const first = await deliver(refundEvent(), { eventId: 'evt_refund' });
+        assert.equal(first.status, 200);
+        assert.equal(first.body.data.status, 'processed');
+
+        assert.equal(store.orders[0].amountRefunded, 400);
+        assert.deepEqual(store.orders[0].refunds.map(refund => refund.refundId), ['rfnd_1']);
+        assert.equal(store.appointment.refundedAmount, 400);
+        assert.deepEqual([...store.appointment.paymentDetails.refundIds], ['rfnd_1']);
+        assert.equal(store.invoice.refunds.length, 1);
+        assert.equal(store.invoice.refunds[0].reason, 'Cancelled by customer');
+
+        // Same refund under a new event id
+        const again = await deliver(refundEvent(), { eventId: 'evt_refund_again' });
+        assert.equal(again.status, 200);
+        assert.equal(again.body.data.result, 'Refund rfnd_1 already recorded');
+        assert.equal(store.appointment.refundedAmount, 400);
+        assert.equal(store.orders[0].amountRefunded, 400);
+    });
+
+    it('ignores a redelivered event id', async () => {
+        const body = paymentEvent('payment.captured');
+        await deliver(body, { eventId: 'evt_captured' });
+
+        const { status, body: response } = await deliver(body, { eventId: 'evt_captured' });
+
+        assert.equal(status, 200);
+        assert.equal(response.message, 'Event already processed');
+        assert.equal(response.data.duplicate, true);
+        assert.equal(store.appointment.paidAmount, 1000);
+        assert.equal(store.invoice.payments.length, 1);
+        assert.equal(store.events.size, 1);
+    });
+
+    it('falls back to the event name and entity id when the event id header is missing', async () => {
+        const body = paymentEvent('payment.captured');
+        await deliver(body);
+        const { body: response } = await deliver(body);
+
+        assert.equal(response.data.eventId, 'payment.captured:pay_1');
+        assert.equal(response.data.duplicate, true);
+        assert.equal(store.invoice.payments.length, 1);
+    });
+
+    it('rejects a bad signature without touching anything', async () => {
+        const body = paymentEvent('payment.captured');
+        const forged = signWebhookPayload(Buffer.from(JSON.stringify(body)), 'wrong-secret');
+
+        for (const signature of [forged, '', 'not-hex']) {
+            const { status, body: response } = await deliver(body, { eventId: 'evt_forged', signature });
+            assert.equal(status, 400);
+            assert.equal(response.message, 'Invalid Signature');
+        }
+
+        assert.equal(store.events.size, 0);
+        assert.equal(store.appointment.paidAmount, 0);
+        assert.equal(store.orders[0].status, 'created');
+    });
+
+    it('rejects a body changed after signing', async () => {
+        const signed = paymentEvent('payment.captured');
+        const signature = signWebhookPayload(Buffer.from(JSON.stringify(signed)), WEBHOOK_SECRET);
+        const tampered = paymentEvent('payment.captured', { amount: 1 });
+
+        const { status } = await deliver(tampered, { eventId: 'evt_tampered', signature });
+
+        assert.equal(status, 400);
+        assert.equal(store.events.size, 0);
+    });
+});
@@ -0,0 +1,183 @@
+// permissionMiddleware.test.js - Manager permissions, checked directly and through the routes that use them
+const { describe, it, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+
+const Manager = require('../models/Manager');
+const Session = require('../models/Session');
+const { createAccessToken } = require('../utils/generateToken');
+const { checkPermission, PERMISSION_CATALOG } = require('../middleware/permissionMiddleware');
+const appointmentController = require('../controllers/appointmentController');
+const customerController = require('../controllers/customerController');
+const invoiceController = require('../controllers/invoiceController');
+const { query, invoke } = require('./stubs');
+
+const managerId = new mongoose.Types.ObjectId();
+const businessId = new mongoose.Types.ObjectId();
+let manager;
+
+// Manager (lean) with only the given "resource.action" permissions
+const buildManager = (granted = [], overrides = {}) => {
+    const permissions = {};
+    Object.entries(PERMISSION_CATALOG).forEach(([resource, actions]) => {
+        permissions[resource] = {};
+        Object.keys(actions).forEach(action => {
+            permissions[resource][action] = granted.includes(`${resource}.${action}`);
+        });
+    });
+
+    return {
+        _id: managerId,
+        name: 'Front Desk',
+        username: 'frontdesk',
+        isActive: true,
+        accessScope: 'all_branches',
+        business: { _id: businessId, admin: { _id: new mongoose.Types.ObjectId(), isActive: true } },
+        permissions,
+        ...overrides
+    };
+};
+
+before(() => {
+    mock.method(Manager, 'findById', () => query(() => manager));
+    mock.method(Session, 'exists', async () => ({ _id: new mongoose.Types.ObjectId() }));
+});
+
+after(() => {
+    mock.restoreAll();
+});
+
+describe('checkPermission', () => {
+    it('lets admins through without loading a manager', async () => {
+        const result = await invoke(checkPermission('invoices', 'refund'), { user: { id: 'admin-1', role: 'admin' } });
+        assert.equal(result.next, true);
+        assert.equal(result.error, undefined);
+    });
+
+    it('returns 403 naming the missing permission', async () => {
+        manager = buildManager(['customers.view']);
+        const result = await invoke(checkPermission('customers', 'delete'), { user: { id: String(managerId), role: 'manager' } });
+
+        assert.equal(result.status, 403);
+        assert.equal(result.body.success, false);
+        assert.equal(result.body.requiredPermission, 'customers.delete');
+    });
+
+    it('passes a manager holding the permission and attaches the manager', async () => {
+        manager = buildManager(['customers.delete']);
+        const req = { user: { id: String(managerId), role: 'manager' } };
+        const result = await invoke(checkPermission('customers', 'delete'), req);
+
+        assert.equal(result.next, true);
+        assert.equal(req.manager, manager);
+    });
+
+    it('resolves the action from the request', async () => {
+        manager = buildManager(['appointments.edit']);
+        const getAction = (req) => (req.body.status === 'cancelled' ? 'cancel' : 'edit');
+        const user = { id: String(managerId), role: 'manager' };
+
+        assert.equal((await invoke(checkPermission('appointments', getAction), { user, body: { status: 'confirmed' } })).next, true);
+        const denied = await invoke(checkPermission('appointments', getAction), { user, body: { status: 'cancelled' } });
+        assert.equal(denied.body.requiredPermission, 'appointments.cancel');
+    });
+
+    it('denies inactive managers and managers outside their access period', async () => {
+        const user = { id: String(managerId), role: 'manager' };
+
+        manager = buildManager(['customers.view'], { isActive: false });
+        assert.equal((await invoke(checkPermission('customers', 'view'), { user })).status, 403);
+
+        manager = buildManager(['customers.view'], { accessPeriod: { endDate: new Date(Date.now() - 60 * 1000) } });
+        const expired = await invoke(checkPermission('customers', 'view'), { user });
+        assert.equal(expired.status, 403);
+        assert.equal(expired.body.message, 'Access period has expired');
+    });
+
+    it('refuses to guard a route with an undeclared permission', () => {
+        assert.throws(() => checkPermission('customers', 'launchRockets'));
+    });
+});
+
+describe('routes guarded by checkPermission', () => {
+    let server;
+    let baseUrl;
+    const token = createAccessToken({ id: String(managerId), role: 'manager', name: 'Front Desk', sid: String(new mongoose.Types.ObjectId()) });
+
+    // Route and the permission it needs; the controller is replaced so only the guard is exercised
+    const guardedRoutes = [
+        { method: 'GET', path: '/api/customers', permission: 'customers.view', controller: [customerController, 'getCustomers'] },
+        { method: 'DELETE', path: '/api/customers/64b000000000000000000001', permission: 'customers.delete', controller: [customerController, 'deleteCustomer'] },
+        { method: 'POST', path: '/api/customers/import', permission: 'customers.create', controller: [customerController, 'importCustomers'] },
+        { method: 'POST', path: '/api/appointments/64b000000000000000000001/cancel', permission: 'appointments.cancel', controller: [appointmentController, 'cancelAppointment'] },
+        { method: 'PATCH', path: '/api/appointments/64b000000000000000000001/status', body: { status: 'confirmed' }, permission: 'appointments.edit', controller: [appointmentController, 'updateAppointmentStatus'] },
+        { method: 'PATCH', path: '/api/appointments/64b000000000000000000001/status', body: { status: 'cancelled' }, permission: 'appointments.cancel', controller: [appointmentController, 'updateAppointmentStatus'] },
+        { method: 'POST', path: '/api/invoices/64b000000000000000000001/credit-note', permission: 'invoices.issueNotes', controller: [invoiceController, 'createCreditNote'] }
+    ];
+
+    const request = (route, body = route.body) => fetch(`${baseUrl}${route.path}`, {
+        method: route.method,
+        headers: { authorization: `Bearer ${token}`, 'content-type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    }).then(async (response) => ({ status: response.status, body: await response.json() }));
+
+    before(async () => {
+        // Route modules read the handlers when they load, so stub them first
+        for (const { controller: [module, name] } of guardedRoutes) {
+            if (!module[name].mock) {
+                mock.method(module, name, (req, res) => res.json({ success: true, handledBy: name }));
+            }
+        }
+
+        const app = express();
+        app.use(express.json());
+        app.use('/api/appointments', require('../routes/appointmentRoutes'));
+        app.use('/api/customers', require('../routes/customerRoutes'));
+        app.use('/api/invoices', require('../routes/invoiceRoutes'));
+
+        await new Promise((resolve) => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        manager = buildManager();
+    });
+
+    for (const route of guardedRoutes) {
+        const label = `${route.method} ${route.path.replace(/[0-9a-f]{24}/, ':id')}${route.body ? ` ${JSON.stringify(route.body)}` : ''}`;
+
+        it(`${label} needs ${route.permission}`, async () => {
+            manager = buildManager(Object.keys(PERMISSION_CATALOG[route.permission.split('.')[0]])
+                .map(action => `${route.permission.split('.')[0]}.${action}`)
+                .filter(permission => permission !== route.permission));
+
+            const denied = await request(route);
+            assert.equal(denied.status, 403);
+            assert.equal(denied.body.requiredPermission, route.permission);
+
+            manager = buildManager([route.permission]);
+            const allowed = await request(route);
+            assert.equal(allowed.status, 200);
+            assert.equal(allowed.body.handledBy, route.controller[1]);
+        });
+    }
+
+    it('overriding the cancellation refund also needs appointments.refund', async () => {
+        const route = guardedRoutes.find(({ path }) => path.endsWith('/cancel'));
+
+        manager = buildManager(['appointments.cancel']);
+        const denied = await request(route, { refundAmount: 100 });
+        assert.equal(denied.status, 403);
+        assert.equal(denied.body.requiredPermission, 'appointments.refund');
+
+        manager = buildManager(['appointments.cancel', 'appointments.refund']);
+        assert.equal((await request(route, { refundAmount: 100 })).status, 200);
+    });
+});
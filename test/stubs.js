@@ -0,0 +1,48 @@
+// stubs.js - Stand-ins for mongoose queries and Express responses shared by the tests
+
+/**
+ * Chainable, awaitable stand-in for a mongoose query
+ * @param {Function} resolve - Returns (or resolves to) the query result when awaited
+ * @returns {Object}
+ */
+const query = (resolve) => {
+    const chain = {
+        select: () => chain,
+        populate: () => chain,
+        lean: () => chain,
+        then: (onFulfilled, onRejected) => Promise.resolve().then(resolve).then(onFulfilled, onRejected)
+    };
+    return chain;
+};
+
+/**
+ * Express response that reports what was sent
+ * @param {Function} onSend - Called with { status, body } when the handler responds
+ * @returns {Object}
+ */
+const createResponse = (onSend) => ({
+    statusCode: 200,
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(body) {
+        onSend({ status: this.statusCode, body });
+        return this;
+    }
+});
+
+/**
+ * Run an Express handler or middleware once
+ * @param {Function} handler - (req, res, next)
+ * @param {Object} req - Request
+ * @returns {Promise<Object>} - { status, body } when it responds, { next: true, error } when it calls next
+ */
+const invoke = (handler, req) => new Promise((resolve) => {
+    handler(req, createResponse(resolve), (error) => resolve({ next: true, error }));
+});
+
+module.exports = {
+    query,
+    invoke
+};
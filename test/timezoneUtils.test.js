@@ -0,0 +1,106 @@
+// timezoneUtils.test.js - Business-timezone date helpers, independent of the server's TZ
+process.env.TZ = 'UTC';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DEFAULT_TIMEZONE,
+    getBusinessTimezone,
+    getDateKey,
+    getDayNameForKey,
+    toCalendarDate,
+    getCalendarDayRange,
+    getCalendarMonthRange,
+    getTimezoneOffsetMinutes,
+    zonedTimeToUtc,
+    getZonedDayBounds,
+    getZonedMonthBounds,
+    getZonedNow
+} = require('../utils/timezoneUtils');
+
+const IST = 'Asia/Kolkata';
+
+describe('getBusinessTimezone', () => {
+    it('uses the business setting', () => {
+        assert.equal(getBusinessTimezone({ settings: { timezone: 'Europe/London' } }), 'Europe/London');
+    });
+
+    it('falls back to IST when unset or invalid', (t) => {
+        t.mock.method(console, 'warn', () => {});
+        assert.equal(getBusinessTimezone({}), DEFAULT_TIMEZONE);
+        assert.equal(getBusinessTimezone(null), DEFAULT_TIMEZONE);
+        assert.equal(getBusinessTimezone({ settings: { timezone: 'Not/AZone' } }), DEFAULT_TIMEZONE);
+        assert.equal(DEFAULT_TIMEZONE, IST);
+    });
+});
+
+describe('getDateKey', () => {
+    it('takes YYYY-MM-DD strings and UTC-midnight calendar dates as-is', () => {
+        assert.equal(getDateKey(' 2026-03-11 ', IST), '2026-03-11');
+        assert.equal(getDateKey(new Date('2026-03-11T00:00:00.000Z'), IST), '2026-03-11');
+        assert.equal(getDateKey(new Date('2026-03-11T00:00:00.000Z'), 'America/New_York'), '2026-03-11');
+    });
+
+    it('rolls over to the next IST day at 18:30 UTC', () => {
+        assert.equal(getDateKey(new Date('2026-03-10T18:29:59.999Z'), IST), '2026-03-10');
+        assert.equal(getDateKey(new Date('2026-03-10T18:30:00.000Z'), IST), '2026-03-11');
+    });
+
+    it('returns null for invalid dates', () => {
+        assert.equal(getDateKey('not a date', IST), null);
+        assert.ok(isNaN(toCalendarDate('not a date', IST).getTime()));
+    });
+});
+
+describe('calendar dates', () => {
+    it('names the weekday of a key', () => {
+        assert.equal(getDayNameForKey('2026-03-11'), 'wednesday');
+    });
+
+    it('stores the business-local day at UTC midnight', () => {
+        assert.equal(toCalendarDate(new Date('2026-03-10T19:00:00.000Z'), IST).toISOString(), '2026-03-11T00:00:00.000Z');
+    });
+
+    it('covers a whole calendar day and month', () => {
+        const day = getCalendarDayRange('2026-03-11', IST);
+        assert.equal(day.start.toISOString(), '2026-03-11T00:00:00.000Z');
+        assert.equal(day.end.toISOString(), '2026-03-11T23:59:59.999Z');
+
+        const month = getCalendarMonthRange('2026-02-14', IST);
+        assert.equal(month.start.toISOString(), '2026-02-01T00:00:00.000Z');
+        assert.equal(month.end.toISOString(), '2026-02-28T23:59:59.999Z');
+    });
+});
+
+describe('zoned instants', () => {
+    it('knows the IST offset', () => {
+        assert.equal(getTimezoneOffsetMinutes(new Date('2026-03-11T00:00:00.000Z'), IST), 330);
+    });
+
+    it('converts IST wall-clock times, including midnight, to UTC', () => {
+        assert.equal(zonedTimeToUtc('2026-03-11', '00:00', IST).toISOString(), '2026-03-10T18:30:00.000Z');
+        assert.equal(zonedTimeToUtc('2026-03-11', '09:30', IST).toISOString(), '2026-03-11T04:00:00.000Z');
+        assert.equal(zonedTimeToUtc('2026-03-11', '23:59', IST).toISOString(), '2026-03-11T18:29:00.000Z');
+    });
+
+    it('settles DST transitions', () => {
+        // New York moves from UTC-5 to UTC-4 at 02:00 on 8 March 2026
+        assert.equal(zonedTimeToUtc('2026-03-07', '09:00', 'America/New_York').toISOString(), '2026-03-07T14:00:00.000Z');
+        assert.equal(zonedTimeToUtc('2026-03-08', '09:00', 'America/New_York').toISOString(), '2026-03-08T13:00:00.000Z');
+    });
+
+    it('bounds an IST day and month in real instants', () => {
+        const day = getZonedDayBounds(new Date('2026-03-10T20:00:00.000Z'), IST);
+        assert.equal(day.start.toISOString(), '2026-03-10T18:30:00.000Z');
+        assert.equal(day.end.toISOString(), '2026-03-11T18:29:59.999Z');
+
+        const month = getZonedMonthBounds('2026-03-11', IST);
+        assert.equal(month.start.toISOString(), '2026-02-28T18:30:00.000Z');
+        assert.equal(month.end.toISOString(), '2026-03-31T18:29:59.999Z');
+    });
+
+    it('reports the business-local day and minute either side of IST midnight', () => {
+        assert.deepEqual(getZonedNow(IST, new Date('2026-03-10T18:29:00.000Z')), { dateKey: '2026-03-10', minutes: 23 * 60 + 59 });
+        assert.deepEqual(getZonedNow(IST, new Date('2026-03-10T18:30:00.000Z')), { dateKey: '2026-03-11', minutes: 0 });
+    });
+});
@@ -1,29 +1,201 @@
 // appointmentUtils.js - Appointment booking utility functions
 
+const {
+    getBusinessTimezone,
+    getDateKey,
+    getDayNameForKey,
+    zonedTimeToUtc,
+    getZonedNow
+} = require("./timezoneUtils");
+
+/**
+ * Convert a time string ("09:00", "9:00 PM") to minutes since midnight
+ * @param {string} timeStr - Time string
+ * @returns {number} - Minutes since midnight (0 for invalid input)
+ */
+const parseTimeToMinutes = (timeStr) => {
+    if (!timeStr || typeof timeStr !== 'string') return 0;
+
+    let time = timeStr.trim();
+    const isPM = /pm/i.test(time);
+    const isAM = /am/i.test(time);
+    time = time.replace(/AM|PM/gi, '').trim();
+
+    const parts = time.split(':');
+    if (parts.length < 2) return 0;
+
+    let hours = parseInt(parts[0], 10) || 0;
+    const minutes = parseInt(parts[1], 10) || 0;
+
+    if (isPM && hours !== 12) {
+        hours += 12;
+    } else if (isAM && hours === 12) {
+        hours = 0;
+    }
+
+    return hours * 60 + minutes;
+};
+
+/**
+ * Convert minutes since midnight to an HH:MM string
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string}
+ */
+const minutesToTimeString = (minutes) => {
+    const hours = Math.floor(minutes / 60);
+    return `${hours.toString().padStart(2, '0')}:${(minutes % 60).toString().padStart(2, '0')}`;
+};
+
+/**
+ * Instant at which an appointment starts, in the business timezone
+ * @param {Object} business - Business object (settings.timezone)
+ * @param {Date|string} appointmentDate - Calendar date of the appointment
+ * @param {string} startTime - Start time ("09:00" or "9:00 AM")
+ * @returns {Date}
+ */
+const getAppointmentStartInstant = (business, appointmentDate, startTime) => {
+    return zonedTimeToUtc(appointmentDate, minutesToTimeString(parseTimeToMinutes(startTime)), getBusinessTimezone(business));
+};
+
+/**
+ * Lay out an ordered list of services back to back from a start time
+ * @param {Array} items - Ordered services ({ service, serviceName, optionLabel, staff, duration, price })
+ * @param {string} startTime - Start of the first service
+ * @returns {Object} - { lines, startTime, endTime, duration, price }
+ */
+const buildServiceLines = (items = [], startTime) => {
+    const blockStart = parseTimeToMinutes(startTime);
+    let cursor = blockStart;
+
+    const lines = items.map(item => {
+        const duration = Number(item.duration) || 0;
+        const line = {
+            service: item.service,
+            serviceName: item.serviceName,
+            optionLabel: item.optionLabel,
+            staff: item.staff || undefined,
+            startTime: minutesToTimeString(cursor),
+            endTime: minutesToTimeString(cursor + duration),
+            duration,
+            price: Number(item.price) || 0
+        };
+        cursor += duration;
+        return line;
+    });
+
+    return {
+        lines,
+        startTime: minutesToTimeString(blockStart),
+        endTime: minutesToTimeString(cursor),
+        duration: cursor - blockStart,
+        price: lines.reduce((sum, line) => sum + line.price, 0)
+    };
+};
+
+/**
+ * Resolve the opening shifts of a business for a specific date
+ * Precedence: holidays / days off > date overrides > openingHours.weekly >
+ * legacy businessHours > settings.workingHours
+ * @param {Object} business - Business object
+ * @param {Date} date - Date to resolve
+ * @returns {Object} - { isOpen, shifts: [{ open, close }], reason }
+ */
+const getBusinessHoursForDate = (business, date) => {
+    const timeZone = getBusinessTimezone(business);
+    const dateKey = getDateKey(date, timeZone);
+    const dayName = getDayNameForKey(dateKey);
+    const closed = (reason) => ({ isOpen: false, shifts: [], reason });
+
+    const holiday = (business.holidays || []).find(h => h.date && getDateKey(h.date, timeZone) === dateKey);
+    if (holiday) {
+        return closed(`Business is closed on ${dateKey} (${holiday.name || holiday.reason || 'Holiday'})`);
+    }
+
+    if ((business.daysOff || []).some(d => d && getDateKey(d, timeZone) === dateKey)) {
+        return closed(`Business is closed on ${dateKey} (day off)`);
+    }
+
+    const openingHours = business.openingHours || {};
+
+    const override = (openingHours.overrides || []).find(o => o.date && getDateKey(o.date, timeZone) === dateKey);
+    if (override) {
+        if (override.isClosed || !override.shifts || override.shifts.length === 0) {
+            return closed(`Business is closed on ${dateKey}${override.reason ? ` (${override.reason})` : ''}`);
+        }
+        return { isOpen: true, shifts: override.shifts, reason: override.reason };
+    }
+
+    const weekly = (openingHours.weekly || []).find(w => w.day === dayName);
+    if (weekly) {
+        if (weekly.isClosed || !weekly.shifts || weekly.shifts.length === 0) {
+            return closed(`Business is closed on ${dayName}s`);
+        }
+        return { isOpen: true, shifts: weekly.shifts };
+    }
+
+    const legacyHours = business.businessHours && business.businessHours[dayName];
+    if (legacyHours) {
+        if (legacyHours.isOpen === false) {
+            return closed(`Business is closed on ${dayName}s`);
+        }
+        return { isOpen: true, shifts: [{ open: legacyHours.openTime || "09:00", close: legacyHours.closeTime || "21:00" }] };
+    }
+
+    const workingHours = (business.settings && business.settings.workingHours) || {};
+    if (workingHours.days && !workingHours.days.includes(dayName)) {
+        return closed("Business is closed on the selected day");
+    }
+
+    // Default to 9 AM - 9 PM if not specified
+    return { isOpen: true, shifts: [{ open: workingHours.open || "09:00", close: workingHours.close || "21:00" }] };
+};
+
+/**
+ * Check that a time range falls entirely inside one opening shift
+ * @param {Object} business - Business object
+ * @param {Date} date - Appointment date
+ * @param {string} startTime - Start time
+ * @param {string} endTime - End time
+ * @returns {Object} - { isOpen, reason }
+ */
+const checkBusinessOpen = (business, date, startTime, endTime) => {
+    const hours = getBusinessHoursForDate(business, date);
+    if (!hours.isOpen) {
+        return { isOpen: false, reason: hours.reason };
+    }
+
+    const start = parseTimeToMinutes(startTime);
+    const end = parseTimeToMinutes(endTime);
+    const fits = hours.shifts.some(shift =>
+        start >= parseTimeToMinutes(shift.open) && end <= parseTimeToMinutes(shift.close)
+    );
+
+    if (!fits) {
+        const opening = hours.shifts.map(shift => `${shift.open}-${shift.close}`).join(', ');
+        return { isOpen: false, reason: `Appointment time must be within business working hours (${opening})` };
+    }
+
+    return { isOpen: true };
+};
+
 /**
  * Generate available time slots for a given date
  * @param {Object} business - Business object with settings
  * @param {Date} date - Date to generate slots for
  * @param {Array} existingAppointments - Existing appointments for the date
  * @param {string} staffId - Optional staff ID to filter slots
+ * @param {Object} options - Optional overrides
+ * @param {Object} options.window - Working window ({ start, end } in HH:MM) to intersect with business hours
+ * @param {number} options.serviceDuration - Length of the service being booked in minutes (defaults to slotDuration)
+ * @param {number} options.serviceBufferTime - Service-specific buffer after the service in minutes
  * @returns {Array} - Array of available time slots
  */
-const generateAvailableSlots = (business, date, existingAppointments = [], staffId = null) => {
+const generateAvailableSlots = (business, date, existingAppointments = [], staffId = null, options = {}) => {
     const settings = (business.settings && business.settings.appointmentSettings) || {};
-    const workingHours = (business.settings && business.settings.workingHours) || {};
 
-    // Check if business is open on this day
-    const dayName = date.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
-
-    // Default to 9 AM - 9 PM if not specified
-    let startTime = "09:00";
-    let endTime = "21:00";
-
-    if (workingHours.days && workingHours.days.includes(dayName)) {
-        startTime = workingHours.open || "09:00";
-        endTime = workingHours.close || "21:00";
-    } else if (workingHours.days && !workingHours.days.includes(dayName)) {
-        // Explicitly closed
+    // Check if business is open on this day (holidays, days off, overrides, split shifts)
+    const businessHours = getBusinessHoursForDate(business, date);
+    if (!businessHours.isOpen) {
         return [];
     }
 
@@ -71,66 +243,87 @@ const generateAvailableSlots = (business, date, existingAppointments = [], staff
         return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
     };
 
-    const startMinutes = timeToMinutes(startTime);
-    const endMinutes = timeToMinutes(endTime);
-
     // Validate slotDuration to prevent infinite loops (OOM error)
     // If invalid or too small, default to 30 mins or return empty
     const safeSlotDuration = (!slotDuration || slotDuration < 5) ? 30 : slotDuration;
 
-    // Validate working hours
-    if (startMinutes >= endMinutes) {
+    // When a service is known, each slot must hold the whole service plus its buffer
+    const fitToService = options.serviceDuration > 0;
+    const appointmentLength = fitToService ? options.serviceDuration : safeSlotDuration;
+    const occupiedMinutes = appointmentLength + (fitToService ? (options.serviceBufferTime || 0) : 0);
+
+    // Opening periods for the day, narrowed to the caller's working window (e.g. a staff member's shift)
+    const periods = businessHours.shifts
+        .map(shift => {
+            let startMinutes = timeToMinutes(shift.open);
+            let endMinutes = timeToMinutes(shift.close);
+            if (options.window) {
+                startMinutes = Math.max(startMinutes, timeToMinutes(options.window.start));
+                endMinutes = Math.min(endMinutes, timeToMinutes(options.window.end));
+            }
+            return { startMinutes, endMinutes };
+        })
+        // Validate working hours
+        .filter(period => period.startMinutes < period.endMinutes);
+
+    if (periods.length === 0) {
         return [];
     }
 
     // Default to 1 hour (60 mins) minimum advance booking if not specified
     const minAdvanceBookingMinutes = settings.minAdvanceBookingHours ? settings.minAdvanceBookingHours * 60 : 60;
 
-    // Calculate current time in minutes (if date is today)
-    const now = new Date();
+    // Calculate current time in minutes (if date is today in the business timezone)
+    const timeZone = getBusinessTimezone(business);
+    const zonedNow = getZonedNow(timeZone);
     let currentDayMinutes = -1;
 
     // Check if the requested date is today
-    const isToday = date.getDate() === now.getDate() &&
-        date.getMonth() === now.getMonth() &&
-        date.getFullYear() === now.getFullYear();
+    const isToday = getDateKey(date, timeZone) === zonedNow.dateKey;
 
     if (isToday) {
-        currentDayMinutes = now.getHours() * 60 + now.getMinutes();
+        currentDayMinutes = zonedNow.minutes;
     }
 
     // Generate slots
-    for (let currentMinutes = startMinutes; currentMinutes < endMinutes; currentMinutes += safeSlotDuration) {
-
-        // Skip past slots if today
-        if (isToday && currentMinutes < currentDayMinutes + minAdvanceBookingMinutes) {
-            continue;
-        }
+    for (const { startMinutes, endMinutes } of periods) {
+        for (let currentMinutes = startMinutes; currentMinutes < endMinutes; currentMinutes += safeSlotDuration) {
 
-        const slotStartTime = minutesToTime(currentMinutes);
-        const slotEndTime = minutesToTime(currentMinutes + safeSlotDuration);
+            // Skip past slots if today
+            if (isToday && currentMinutes < currentDayMinutes + minAdvanceBookingMinutes) {
+                continue;
+            }
 
-        // Check if slot is available
-        const isAvailable = !existingAppointments.some(appointment => {
-            if (staffId && appointment.staff && appointment.staff.toString() !== staffId) {
-                return false; // Different staff, slot is available
+            // Service (plus buffer) must finish before this opening period closes
+            if (fitToService && currentMinutes + occupiedMinutes > endMinutes) {
+                break;
             }
 
-            const appointmentStart = timeToMinutes(appointment.startTime);
-            const appointmentEnd = timeToMinutes(appointment.endTime);
+            const slotStartTime = minutesToTime(currentMinutes);
+            const slotEndTime = minutesToTime(currentMinutes + appointmentLength);
+
+            // Check if slot is available
+            const isAvailable = !existingAppointments.some(appointment => {
+                if (staffId && appointment.staff && appointment.staff.toString() !== staffId) {
+                    return false; // Different staff, slot is available
+                }
 
-            // Check for overlap (including buffer time)
-            return (currentMinutes < appointmentEnd + bufferTime) &&
-                (currentMinutes + safeSlotDuration > appointmentStart - bufferTime);
-        });
+                const appointmentStart = timeToMinutes(appointment.startTime);
+                const appointmentEnd = timeToMinutes(appointment.endTime);
 
-        if (isAvailable) {
-            slots.push({
-                startTime: slotStartTime,
-                endTime: slotEndTime,
-                duration: slotDuration,
-                available: true
+                // Check for overlap (including buffer time)
+                return (currentMinutes < appointmentEnd + bufferTime) &&
+                    (currentMinutes + occupiedMinutes > appointmentStart - bufferTime);
             });
+
+            if (isAvailable) {
+                slots.push({
+                    startTime: slotStartTime,
+                    endTime: slotEndTime,
+                    duration: fitToService ? appointmentLength : slotDuration,
+                    available: true
+                });
+            }
         }
     }
 
@@ -141,7 +334,6 @@ const generateAvailableSlots = (business, date, existingAppointments = [], staff
 const validateAppointmentBooking = (appointmentData, business, existingAppointments = []) => {
     const errors = [];
     const settings = business.settings.appointmentSettings;
-    const workingHours = business.settings.workingHours;
 
     // Check if online booking is allowed
     if (!settings.allowOnlineBooking) {
@@ -152,53 +344,8 @@ const validateAppointmentBooking = (appointmentData, business, existingAppointme
     const appointmentDate = new Date(appointmentData.appointmentDate);
     const now = new Date();
 
-    // Helper function to parse time string to 24-hour format
-    const parseTimeTo24Hour = (timeStr) => {
-        if (!timeStr) return { hours: 0, minutes: 0 };
-
-        let time = timeStr.trim();
-        let isPM = false;
-
-        // Check for AM/PM
-        if (time.includes('PM') || time.includes('pm')) {
-            isPM = true;
-            time = time.replace(/PM|pm/gi, '').trim();
-        } else if (time.includes('AM') || time.includes('am')) {
-            time = time.replace(/AM|am/gi, '').trim();
-        }
-
-        // Extract hours and minutes
-        const parts = time.split(':');
-        if (parts.length < 2) return { hours: 0, minutes: 0 };
-
-        let hours = parseInt(parts[0], 10) || 0;
-        const minutes = parseInt(parts[1], 10) || 0;
-
-        // Convert to 24-hour format
-        if (isPM && hours !== 12) {
-            hours += 12;
-        } else if (!isPM && hours === 12) {
-            hours = 0;
-        }
-
-        return { hours, minutes };
-    };
-
-    // Parse the start time
-    const timeParts = parseTimeTo24Hour(appointmentData.startTime);
-
-    // Create appointment datetime by combining date with start time
-    // Ensure date is in YYYY-MM-DD format
-    const dateStr = appointmentDate.toISOString().split('T')[0];
-    const appointmentDateTime = new Date(
-        appointmentDate.getFullYear(),
-        appointmentDate.getMonth(),
-        appointmentDate.getDate(),
-        timeParts.hours,
-        timeParts.minutes,
-        0,
-        0
-    );
+    // Appointment start as a real instant in the business timezone
+    const appointmentDateTime = getAppointmentStartInstant(business, appointmentDate, appointmentData.startTime);
 
     const hoursUntilAppointment = (appointmentDateTime - now) / (1000 * 60 * 60);
 
@@ -210,75 +357,34 @@ const validateAppointmentBooking = (appointmentData, business, existingAppointme
         errors.push(`Appointment cannot be booked more than ${settings.maxAdvanceBookingHours / 24} days in advance`);
     }
 
-    // Check if business is open on the selected day
-    const dayName = appointmentDate.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
-    if (!workingHours.days.includes(dayName)) {
-        errors.push("Business is closed on the selected day");
+    // Check if business is open (holidays, days off, date overrides, split shifts)
+    const openCheck = checkBusinessOpen(business, appointmentDate, appointmentData.startTime, appointmentData.endTime);
+    if (!openCheck.isOpen) {
+        errors.push(openCheck.reason);
     }
 
-    // Check if appointment time is within working hours
-    const appointmentStartTime = appointmentData.startTime;
-    const appointmentEndTime = appointmentData.endTime;
-
-    // Helper function to convert time string to minutes for comparison
-    const timeToMinutes = (timeStr) => {
-        if (!timeStr) return 0;
-        // Handle formats like "09:00", "9:00", "09:00 AM", "9:00 PM"
-        let time = timeStr.trim();
-        let isPM = false;
-
-        // Check for AM/PM
-        if (time.includes('PM') || time.includes('pm')) {
-            isPM = true;
-            time = time.replace(/PM|pm/gi, '').trim();
-        } else if (time.includes('AM') || time.includes('am')) {
-            time = time.replace(/AM|am/gi, '').trim();
-        }
-
-        // Extract hours and minutes
-        const parts = time.split(':');
-        if (parts.length < 2) return 0;
-
-        let hours = parseInt(parts[0], 10) || 0;
-        const minutes = parseInt(parts[1], 10) || 0;
-
-        // Convert to 24-hour format
-        if (isPM && hours !== 12) {
-            hours += 12;
-        } else if (!isPM && hours === 12) {
-            hours = 0;
-        }
-
-        return hours * 60 + minutes;
-    };
-
-    const startMinutes = timeToMinutes(appointmentStartTime);
-    const endMinutes = timeToMinutes(appointmentEndTime);
-    const openMinutes = timeToMinutes(workingHours.open);
-    const closeMinutes = timeToMinutes(workingHours.close);
+    // Check for conflicts with existing appointments (each service line against its own staff)
+    const segments = (appointmentData.serviceLines && appointmentData.serviceLines.length > 0)
+        ? appointmentData.serviceLines
+        : [appointmentData];
 
-    if (startMinutes < openMinutes || endMinutes > closeMinutes) {
-        errors.push("Appointment time must be within business working hours");
-    }
-
-    // Check for conflicts with existing appointments
-    const hasConflict = existingAppointments.some(appointment => {
-        if (appointmentData.staff && appointment.staff &&
-            appointment.staff.toString() !== appointmentData.staff) {
+    const hasConflict = segments.some(segment => existingAppointments.some(appointment => {
+        if (segment.staff && appointment.staff &&
+            appointment.staff.toString() !== segment.staff.toString()) {
             return false; // Different staff, no conflict
         }
 
-        // Use timeToMinutes for proper time comparison
-        const appointmentStart = timeToMinutes(appointmentData.startTime);
-        const appointmentEnd = timeToMinutes(appointmentData.endTime);
-        const existingStart = timeToMinutes(appointment.startTime);
-        const existingEnd = timeToMinutes(appointment.endTime);
+        // Use parseTimeToMinutes for proper time comparison
+        const appointmentStart = parseTimeToMinutes(segment.startTime);
+        const appointmentEnd = parseTimeToMinutes(segment.endTime);
+        const existingStart = parseTimeToMinutes(appointment.startTime);
+        const existingEnd = parseTimeToMinutes(appointment.endTime);
 
         // Check for overlap (including buffer time)
         const bufferMinutes = settings.bufferTime || 0;
         return (appointmentStart < existingEnd + bufferMinutes) &&
             (appointmentEnd > existingStart - bufferMinutes);
-    });
+    }));
 
     if (hasConflict) {
         errors.push("Selected time slot is not available");
@@ -407,8 +513,7 @@ const canCancelAppointment = (appointment, business) => {
         };
     }
 
-    const appointmentDate = new Date(appointment.appointmentDate);
-    const appointmentTime = new Date(`${appointmentDate.toISOString().split('T')[0]}T${appointment.startTime}:00`);
+    const appointmentTime = getAppointmentStartInstant(business, appointment.appointmentDate, appointment.startTime);
     const now = new Date();
     const hoursUntilAppointment = (appointmentTime - now) / (1000 * 60 * 60);
 
@@ -428,7 +533,38 @@ const canCancelAppointment = (appointment, business) => {
 
     return {
         canCancel: true,
-        refundAmount: appointment.finalPrice * (cancellationPolicy.refundPercentage / 100)
+        refundAmount: calculateCancellationRefund(appointment, business, now).refundAmount
+    };
+};
+
+/**
+ * Refund due on a prepaid appointment being cancelled now
+ * refundPercentage of what was paid (net of earlier refunds) is returned when cancelling at least
+ * minCancellationHours before the start; later cancellations are not refunded. A cancellation fee
+ * is always kept back.
+ * @param {Object} appointment - Appointment object
+ * @param {Object} business - Business object
+ * @param {Date} now - Cancellation instant
+ * @param {number} cancellationFee - Fee to keep back
+ * @returns {Object} - { refundAmount, refundableBalance, percentage, hoursRemaining }
+ */
+const calculateCancellationRefund = (appointment, business, now = new Date(), cancellationFee = 0) => {
+    const policy = business.settings?.appointmentSettings?.cancellationPolicy || {};
+    const appointmentTime = getAppointmentStartInstant(business, appointment.appointmentDate, appointment.startTime);
+    const hoursRemaining = (appointmentTime - now) / (1000 * 60 * 60);
+
+    const refundableBalance = Math.max(0, (appointment.paidAmount || 0) - (appointment.refundedAmount || 0));
+    const inWindow = hoursRemaining >= (policy.minCancellationHours || 0);
+    const percentage = inWindow ? Math.min(Math.max(policy.refundPercentage ?? 100, 0), 100) : 0;
+
+    const byPolicy = Math.round(refundableBalance * percentage) / 100;
+    const refundAmount = Math.max(0, Math.min(byPolicy, refundableBalance - (Number(cancellationFee) || 0)));
+
+    return {
+        refundAmount: Math.round(refundAmount * 100) / 100,
+        refundableBalance,
+        percentage,
+        hoursRemaining: Math.round(hoursRemaining * 10) / 10
     };
 };
 
@@ -483,11 +619,18 @@ const getBusinessServices = (businessType) => {
 };
 
 module.exports = {
+    parseTimeToMinutes,
+    minutesToTimeString,
+    getAppointmentStartInstant,
+    buildServiceLines,
+    getBusinessHoursForDate,
+    checkBusinessOpen,
     generateAvailableSlots,
     validateAppointmentBooking,
     calculateAppointmentPricing,
     generateConfirmationMessage,
     canCancelAppointment,
+    calculateCancellationRefund,
     formatTime,
     getBusinessServices,
     getServicePriceAndDuration
@@ -0,0 +1,377 @@
+// availabilityUtils.js - Staff-aware availability engine for slot generation
+
+const Appointment = require("../models/Appointment");
+const Service = require("../models/Service");
+const Staff = require("../models/Staff");
+const { generateAvailableSlots, getServicePriceAndDuration, buildServiceLines } = require("./appointmentUtils");
+const { DEFAULT_TIMEZONE, getBusinessTimezone, getDateKey, getDayNameForKey, getCalendarDayRange } = require("./timezoneUtils");
+const { buildResourceAllocations, findResourceConflicts, getResourceUsageForDate } = require("./resourceUtils");
+
+// Attendance statuses that take a staff member off the floor for the whole day
+const UNAVAILABLE_ATTENDANCE_STATUSES = ["leave", "absent"];
+
+/**
+ * Convert an HH:MM string to minutes since midnight
+ * @param {string} timeStr - Time in HH:MM format
+ * @returns {number} - Minutes since midnight (0 for invalid input)
+ */
+const timeToMinutes = (timeStr) => {
+    if (!timeStr || typeof timeStr !== 'string') return 0;
+    const [hours, minutes] = timeStr.trim().split(':').map(Number);
+    if (isNaN(hours) || isNaN(minutes)) return 0;
+    return hours * 60 + minutes;
+};
+
+/**
+ * Check if a staff member has a leave/absence recorded for a date
+ * @param {Object} staff - Staff document (needs attendance.records)
+ * @param {Date} date - Date to check
+ * @param {string} timeZone - Business timezone
+ * @returns {boolean}
+ */
+const isStaffOnLeave = (staff, date, timeZone = DEFAULT_TIMEZONE) => {
+    const records = (staff.attendance && staff.attendance.records) || [];
+    const dateKey = getDateKey(date, timeZone);
+    return records.some(record =>
+        record.date &&
+        UNAVAILABLE_ATTENDANCE_STATUSES.includes(record.status) &&
+        getDateKey(record.date, timeZone) === dateKey
+    );
+};
+
+/**
+ * Check if a staff member is scheduled to work on a date
+ * Staff without explicit working days follow the business calendar.
+ * @param {Object} staff - Staff document
+ * @param {Date} date - Date to check
+ * @param {string} timeZone - Business timezone
+ * @returns {boolean}
+ */
+const isStaffWorkingOn = (staff, date, timeZone = DEFAULT_TIMEZONE) => {
+    if (staff.status && staff.status !== 'active') return false;
+
+    const days = (staff.workingHours && staff.workingHours.days) || [];
+    const dayName = getDayNameForKey(getDateKey(date, timeZone));
+    if (days.length > 0 && !days.includes(dayName)) return false;
+
+    return !isStaffOnLeave(staff, date, timeZone);
+};
+
+/**
+ * Filter staff down to those qualified to perform a service
+ * Services without assigned staff can be performed by anyone.
+ * @param {Object} service - Service document (optional)
+ * @param {Array} staffList - Candidate staff
+ * @returns {Array} - Eligible staff
+ */
+const getEligibleStaff = (service, staffList = []) => {
+    const assigned = ((service && service.assignedStaff) || []).map(id => id.toString());
+    if (assigned.length === 0) return staffList;
+    return staffList.filter(staff => assigned.includes(staff._id.toString()));
+};
+
+/**
+ * Generate slots per eligible staff member plus a merged "any staff" view
+ * @param {Object} business - Business object with settings
+ * @param {Date} date - Date to generate slots for
+ * @param {Array} existingAppointments - Existing appointments for the date (startTime, endTime, staff)
+ * @param {Object} options - Engine options
+ * @param {Object} options.service - Service being booked (for assignedStaff / requiresStaff)
+ * @param {Array} options.staffList - Active staff of the business
+ * @param {string} options.staffId - Restrict to a single staff member
+ * @param {number} options.duration - Service duration in minutes (slots must fit it entirely)
+ * @returns {Object} - { slots, staff, staffBased }
+ */
+const generateStaffAvailability = (business, date, existingAppointments = [], options = {}) => {
+    const { service = null, staffList = [], staffId = null, duration = null } = options;
+
+    const slotOptions = duration
+        ? { serviceDuration: duration, serviceBufferTime: (service && service.bufferTime) || 0 }
+        : {};
+
+    // Businesses that don't roster staff (or services that need none) keep business-level slots
+    if (staffList.length === 0 || (service && service.requiresStaff === false)) {
+        return {
+            slots: generateAvailableSlots(business, date, existingAppointments, staffId, slotOptions),
+            staff: [],
+            staffBased: false
+        };
+    }
+
+    const timeZone = getBusinessTimezone(business);
+    let candidates = getEligibleStaff(service, staffList).filter(staff => isStaffWorkingOn(staff, date, timeZone));
+    if (staffId) {
+        candidates = candidates.filter(staff => staff._id.toString() === staffId.toString());
+    }
+
+    const staffAvailability = candidates.map(staff => {
+        const id = staff._id.toString();
+        const ownAppointments = existingAppointments.filter(appointment =>
+            appointment.staff && appointment.staff.toString() === id
+        );
+        const slots = generateAvailableSlots(business, date, ownAppointments, id, {
+            ...slotOptions,
+            window: {
+                start: (staff.workingHours && staff.workingHours.start) || "09:00",
+                end: (staff.workingHours && staff.workingHours.end) || "18:00"
+            }
+        });
+
+        return {
+            staffId: staff._id,
+            name: staff.name,
+            role: staff.role,
+            slots
+        };
+    });
+
+    // Merge into a single "any staff" view keyed by start time
+    const merged = new Map();
+    staffAvailability.forEach(entry => {
+        entry.slots.forEach(slot => {
+            if (!merged.has(slot.startTime)) {
+                merged.set(slot.startTime, { ...slot, availableStaff: [] });
+            }
+            merged.get(slot.startTime).availableStaff.push(entry.staffId);
+        });
+    });
+
+    // Unassigned bookings still occupy somebody, so they reduce the free headcount
+    const bufferTime = (business.settings && business.settings.appointmentSettings && business.settings.appointmentSettings.bufferTime) || 0;
+    const unassigned = existingAppointments.filter(appointment => !appointment.staff);
+
+    const slots = Array.from(merged.values())
+        .filter(slot => {
+            const slotStart = timeToMinutes(slot.startTime);
+            const slotEnd = timeToMinutes(slot.endTime) + (slotOptions.serviceBufferTime || 0);
+            const occupied = unassigned.filter(appointment =>
+                slotStart < timeToMinutes(appointment.endTime) + bufferTime &&
+                slotEnd > timeToMinutes(appointment.startTime) - bufferTime
+            ).length;
+            return slot.availableStaff.length > occupied;
+        })
+        .sort((a, b) => timeToMinutes(a.startTime) - timeToMinutes(b.startTime));
+
+    return {
+        slots,
+        staff: staffAvailability,
+        staffBased: true
+    };
+};
+
+/**
+ * Find start times where an ordered sequence of services fits as one contiguous block
+ * Each line is given to a qualified, free staff member (preferring whoever did the
+ * previous line); the first fitting assignment is returned with every slot.
+ * @param {Object} business - Business object with settings
+ * @param {Date} date - Date to generate slots for
+ * @param {Array} existingIntervals - Busy intervals for the date (startTime, endTime, staff)
+ * @param {Object} options - Engine options
+ * @param {Array} options.lines - Ordered [{ service, duration, staffId }]
+ * @param {Array} options.staffList - Active staff of the business
+ * @returns {Object} - { slots, staff, staffBased }
+ */
+const generateSequenceAvailability = (business, date, existingIntervals = [], options = {}) => {
+    const { lines = [], staffList = [] } = options;
+    const totalDuration = lines.reduce((sum, line) => sum + line.duration, 0);
+    const lastService = lines.length > 0 ? lines[lines.length - 1].service : null;
+    const blockOptions = {
+        serviceDuration: totalDuration,
+        serviceBufferTime: (lastService && lastService.bufferTime) || 0
+    };
+
+    const layout = (startTime, staffIds = []) => buildServiceLines(lines.map((line, index) => ({
+        service: line.service._id,
+        serviceName: line.service.name,
+        staff: staffIds[index] || null,
+        duration: line.duration,
+        price: line.price
+    })), startTime).lines;
+
+    // Without rostered staff the whole block is checked against business-level bookings
+    const needsStaff = staffList.length > 0 && lines.some(line => line.service.requiresStaff !== false);
+    if (!needsStaff) {
+        return {
+            slots: generateAvailableSlots(business, date, existingIntervals, null, blockOptions)
+                .map(slot => ({ ...slot, lines: layout(slot.startTime) })),
+            staff: [],
+            staffBased: false
+        };
+    }
+
+    const bufferTime = (business.settings && business.settings.appointmentSettings && business.settings.appointmentSettings.bufferTime) || 0;
+    const timeZone = getBusinessTimezone(business);
+    const workingStaff = staffList.filter(staff => isStaffWorkingOn(staff, date, timeZone));
+    const unassigned = existingIntervals.filter(interval => !interval.staff);
+
+    const overlaps = (interval, start, end) =>
+        start < timeToMinutes(interval.endTime) + bufferTime &&
+        end > timeToMinutes(interval.startTime) - bufferTime;
+
+    const isStaffFree = (staff, start, end) => {
+        const shiftStart = timeToMinutes((staff.workingHours && staff.workingHours.start) || "09:00");
+        const shiftEnd = timeToMinutes((staff.workingHours && staff.workingHours.end) || "18:00");
+        if (start < shiftStart || end > shiftEnd) return false;
+
+        const id = staff._id.toString();
+        return !existingIntervals.some(interval =>
+            interval.staff && interval.staff.toString() === id && overlaps(interval, start, end)
+        );
+    };
+
+    // Block starts that fit opening hours and booking-window rules; staff are checked per line
+    const candidates = generateAvailableSlots(business, date, [], null, blockOptions);
+
+    const slots = [];
+    candidates.forEach(candidate => {
+        let cursor = timeToMinutes(candidate.startTime);
+        let previousStaffId = null;
+        const staffIds = [];
+
+        const fits = lines.every((line, index) => {
+            const start = cursor;
+            const end = cursor + line.duration + (index === lines.length - 1 ? blockOptions.serviceBufferTime : 0);
+            cursor += line.duration;
+
+            if (line.service.requiresStaff === false) {
+                staffIds.push(null);
+                return true;
+            }
+
+            let pool = getEligibleStaff(line.service, workingStaff);
+            if (line.staffId) {
+                pool = pool.filter(staff => staff._id.toString() === line.staffId.toString());
+            }
+
+            const free = pool.filter(staff => isStaffFree(staff, start, end));
+            const occupied = unassigned.filter(interval => overlaps(interval, start, end)).length;
+            if (free.length <= occupied) return false;
+
+            const chosen = free.find(staff => previousStaffId && staff._id.toString() === previousStaffId) || free[0];
+            previousStaffId = chosen._id.toString();
+            staffIds.push(chosen._id);
+            return true;
+        });
+
+        if (fits) {
+            slots.push({ ...candidate, lines: layout(candidate.startTime, staffIds) });
+        }
+    });
+
+    return { slots, staff: [], staffBased: true };
+};
+
+/**
+ * Drop slots whose required resources are already fully booked
+ * @param {Array} slots - Candidate slots
+ * @param {Object} usage - { resources, bookedAllocations } from getResourceUsageForDate
+ * @param {Function} toSegments - slot => [{ service, startTime, endTime }]
+ * @returns {Array}
+ */
+const filterSlotsByResources = (slots, usage, toSegments) => {
+    return slots.filter(slot =>
+        findResourceConflicts(buildResourceAllocations(toSegments(slot)), usage.resources, usage.bookedAllocations).length === 0
+    );
+};
+
+/**
+ * Load everything the engine needs for a business/date and compute availability
+ * @param {Object} business - Business object with settings
+ * @param {Date} date - Date to generate slots for
+ * @param {Object} options - { serviceId, staffId, durationOption } or { services: [{ serviceId, staffId, durationOption }] }
+ * @returns {Promise<Object>} - { slots, staff, staffBased, service, duration, lines }
+ */
+const getAvailabilityForDate = async (business, date, options = {}) => {
+    const { serviceId = null, staffId = null, durationOption = null, services = null } = options;
+
+    // Appointment dates are stored as calendar dates, so match the business-local day
+    const { start: startOfDay, end: endOfDay } = getCalendarDayRange(date, getBusinessTimezone(business));
+
+    const [bookedAppointments, staffList, service, sequenceServices] = await Promise.all([
+        Appointment.find({
+            business: business._id,
+            appointmentDate: { $gte: startOfDay, $lte: endOfDay },
+            status: { $nin: ['cancelled', 'no_show'] }
+        })
+            .select('startTime endTime staff serviceLines')
+            .lean(),
+        Staff.find({ business: business._id, status: 'active' })
+            .select('name role status workingHours attendance.records')
+            .lean(),
+        serviceId
+            ? Service.findOne({ _id: serviceId, business: business._id, isActive: true })
+                .select('name duration bufferTime pricingOptions price requiresStaff assignedStaff requiredResources')
+                .lean()
+            : null,
+        services && services.length > 0
+            ? Service.find({ _id: { $in: services.map(s => s.serviceId) }, business: business._id, isActive: true })
+                .select('name duration bufferTime pricingOptions price requiresStaff assignedStaff requiredResources')
+                .lean()
+            : []
+    ]);
+
+    // Multi-service bookings occupy each line's staff separately
+    const existingAppointments = Appointment.expandIntervals(bookedAppointments);
+
+    if (services && services.length > 0) {
+        const lines = services.map(entry => {
+            const lineService = sequenceServices.find(s => s._id.toString() === entry.serviceId.toString()) || null;
+            const resolved = lineService
+                ? getServicePriceAndDuration(lineService, entry.durationOption ? Number(entry.durationOption) : null)
+                : { price: 0, duration: 0 };
+            return { service: lineService, staffId: entry.staffId || null, durationOption: entry.durationOption || null, ...resolved };
+        });
+
+        // Callers report missing services; nothing to search for
+        if (lines.some(line => !line.service)) {
+            return { slots: [], staff: [], staffBased: false, service: null, duration: null, lines };
+        }
+
+        const availability = generateSequenceAvailability(business, date, existingAppointments, { lines, staffList });
+        const duration = lines.reduce((sum, line) => sum + line.duration, 0);
+
+        // Each line holds its service's rooms/equipment for its own segment of the block
+        if (lines.some(line => line.service.requiredResources && line.service.requiredResources.length > 0)) {
+            const usage = await getResourceUsageForDate(business, date);
+            availability.slots = filterSlotsByResources(availability.slots, usage, slot =>
+                slot.lines.map((line, index) => ({ service: lines[index].service, startTime: line.startTime, endTime: line.endTime }))
+            );
+        }
+
+        return { ...availability, service: null, duration, lines };
+    }
+
+    // Resolve the booked length from the chosen pricing option (or the service default)
+    const duration = service
+        ? getServicePriceAndDuration(service, durationOption ? Number(durationOption) : null).duration
+        : null;
+
+    const availability = generateStaffAvailability(business, date, existingAppointments, {
+        service,
+        staffList,
+        staffId,
+        duration
+    });
+
+    // A free staff member is not enough when the service also needs a room/chair/equipment
+    if (service && service.requiredResources && service.requiredResources.length > 0) {
+        const usage = await getResourceUsageForDate(business, date);
+        const toSegments = slot => [{ service, startTime: slot.startTime, endTime: slot.endTime }];
+        availability.slots = filterSlotsByResources(availability.slots, usage, toSegments);
+        availability.staff = availability.staff.map(entry => ({
+            ...entry,
+            slots: filterSlotsByResources(entry.slots, usage, toSegments)
+        }));
+    }
+
+    return { ...availability, service, duration };
+};
+
+module.exports = {
+    isStaffOnLeave,
+    isStaffWorkingOn,
+    getEligibleStaff,
+    generateStaffAvailability,
+    generateSequenceAvailability,
+    getAvailabilityForDate
+};
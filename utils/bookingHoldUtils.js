@@ -0,0 +1,133 @@
+// bookingHoldUtils.js - Hold a slot while the customer pays the advance, release it when the hold lapses
+const Appointment = require("../models/Appointment");
+const { deleteCache } = require("./cache");
+const { offerNextWaitlistEntry } = require("./waitlistUtils");
+const { releaseCouponRedemptions } = require("./couponUtils");
+
+// How often the scheduler releases lapsed holds
+const HOLD_INTERVAL_MS = 60 * 1000; // 1 minute
+const DEFAULT_HOLD_MINUTES = 15;
+
+let isProcessing = false;
+
+/**
+ * Advance payment settings of a business
+ * @param {Object} business - Business object
+ * @returns {Object|null} - { percentage, holdMinutes }, or null when no advance is required
+ */
+const getAdvancePaymentSettings = (business) => {
+    const settings = business?.settings?.appointmentSettings || {};
+    const percentage = Number(settings.advancePaymentPercentage) || 0;
+    if (!settings.requireAdvancePayment || percentage <= 0) return null;
+
+    const holdMinutes = typeof settings.advancePaymentHoldMinutes === 'number' && settings.advancePaymentHoldMinutes > 0
+        ? settings.advancePaymentHoldMinutes
+        : DEFAULT_HOLD_MINUTES;
+
+    return { percentage: Math.min(percentage, 100), holdMinutes };
+};
+
+/**
+ * Advance due for a booking, rounded to the paisa
+ * @param {number} totalAmount - Booking total
+ * @param {number} percentage - Advance percentage (0-100)
+ * @returns {number}
+ */
+const calculateAdvanceAmount = (totalAmount, percentage) => {
+    const amount = Math.round((Number(totalAmount) || 0) * percentage) / 100;
+    return Math.min(amount, Number(totalAmount) || 0);
+};
+
+/**
+ * Release a held slot that was not paid for
+ * @param {string} appointmentId - Appointment ID
+ * @param {string} reason - Cancellation reason
+ * @returns {Promise<Object|null>} - The released appointment, or null when it was no longer held
+ */
+const releaseBookingHold = async (appointmentId, reason = 'Advance payment not received in time') => {
+    const now = new Date();
+
+    // Atomic so a payment confirming at the same moment wins or loses cleanly
+    const released = await Appointment.findOneAndUpdate(
+        { _id: appointmentId, status: 'awaiting_payment' },
+        {
+            $set: {
+                status: 'cancelled',
+                cancellationReason: reason,
+                cancelledAt: now,
+                'paymentHold.releasedAt': now
+            }
+        },
+        { new: true }
+    );
+    if (!released) return null;
+
+    // An unpaid hold does not use up the customer's coupon
+    await releaseCouponRedemptions({ appointment: released._id });
+
+    await deleteCache(`business:${released.business}:appointments*`);
+    await deleteCache(`business:${released.business}:appointment:stats*`);
+
+    // The slot is free again: offer it to the waitlist
+    offerNextWaitlistEntry(released.business, released.appointmentDate).catch(err => {
+        console.error(`[Booking Hold] Waitlist offer failed for business ${released.business}:`, err.message);
+    });
+
+    return released;
+};
+
+/**
+ * Release every hold whose payment window has passed
+ */
+const processExpiredHolds = async () => {
+    if (isProcessing) return { success: true, skipped: true };
+    isProcessing = true;
+
+    let released = 0;
+
+    try {
+        const lapsed = await Appointment.find({
+            status: 'awaiting_payment',
+            'paymentHold.expiresAt': { $lte: new Date() }
+        }).select('_id');
+
+        for (const appointment of lapsed) {
+            try {
+                if (await releaseBookingHold(appointment._id)) released++;
+            } catch (err) {
+                console.error(`[Booking Hold Scheduler] Error releasing hold ${appointment._id}:`, err.message);
+            }
+        }
+
+        if (released) {
+            console.log(`[Booking Hold Scheduler] Released: ${released}`);
+        }
+
+        return { success: true, released };
+    } catch (err) {
+        console.error('[Booking Hold Scheduler] Fatal error:', err);
+        return { success: false, error: err.message };
+    } finally {
+        isProcessing = false;
+    }
+};
+
+/**
+ * Start the booking hold scheduler
+ * Must only run in a single process (the cluster master)
+ */
+const startBookingHoldScheduler = () => {
+    console.log('[Booking Hold Scheduler] Starting scheduler...');
+
+    setInterval(processExpiredHolds, HOLD_INTERVAL_MS);
+
+    console.log('[Booking Hold Scheduler] Scheduler started successfully');
+};
+
+module.exports = {
+    getAdvancePaymentSettings,
+    calculateAdvanceAmount,
+    releaseBookingHold,
+    processExpiredHolds,
+    startBookingHoldScheduler
+};
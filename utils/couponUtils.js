@@ -0,0 +1,240 @@
+// couponUtils.js - Coupon validation, discount calculation and redemption
+const crypto = require("crypto");
+const Coupon = require("../models/Coupon");
+const CouponRedemption = require("../models/CouponRedemption");
+const { round2 } = require("./gstUtils");
+
+// Unambiguous characters for generated codes (no 0/O, 1/I)
+const CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const COUPON_CODE_PATTERN = /^[A-Z0-9][A-Z0-9-]{2,29}$/;
+
+/**
+ * Normalize a code as typed by a customer
+ * @param {string} code - Coupon code
+ * @returns {string}
+ */
+const normalizeCouponCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Random code with an optional prefix, e.g. "DIWALI-7KQ2MX"
+ * @param {string} [prefix] - Code prefix
+ * @param {number} [length] - Random part length
+ * @returns {string}
+ */
+const generateCouponCode = (prefix = '', length = 6) => {
+    const random = Array.from(crypto.randomBytes(length), byte => CODE_CHARS[byte % CODE_CHARS.length]).join('');
+    return prefix ? `${normalizeCouponCode(prefix)}-${random}` : random;
+};
+
+/**
+ * Discount a coupon gives on a set of lines
+ * Service and category restrictions decide which lines the coupon applies to; min spend is
+ * checked against the whole order.
+ * @param {Object} coupon - Coupon object
+ * @param {Array} lines - [{ service, category, amount }] (amount after any other discounts)
+ * @returns {Object} - { discount, eligibleAmount, lineDiscounts } (lineDiscounts matches lines by index)
+ */
+const calculateCouponDiscount = (coupon, lines) => {
+    const serviceIds = (coupon.applicableServices || []).map(id => id.toString());
+    const categories = (coupon.applicableCategories || []).map(c => c.toLowerCase());
+    const restricted = serviceIds.length > 0 || categories.length > 0;
+
+    const isEligible = (line) => {
+        if (!restricted) return true;
+        if (line.service && serviceIds.includes(line.service.toString())) return true;
+        return Boolean(line.category && categories.includes(String(line.category).toLowerCase()));
+    };
+
+    const eligible = lines.map(line => (isEligible(line) ? Math.max(Number(line.amount) || 0, 0) : 0));
+    const eligibleAmount = round2(eligible.reduce((sum, amount) => sum + amount, 0));
+
+    let discount = coupon.discountType === 'percentage'
+        ? (eligibleAmount * coupon.discountValue) / 100
+        : coupon.discountValue;
+    if (coupon.discountType === 'percentage' && coupon.maxDiscount) {
+        discount = Math.min(discount, coupon.maxDiscount);
+    }
+    discount = round2(Math.min(discount, eligibleAmount));
+
+    // Spread the discount over eligible lines in proportion to their value (last line takes the rounding)
+    const lineDiscounts = eligible.map(() => 0);
+    let remaining = discount;
+    const lastEligible = eligible.reduce((last, amount, index) => (amount > 0 ? index : last), -1);
+    eligible.forEach((amount, index) => {
+        if (amount <= 0 || eligibleAmount <= 0) return;
+        const share = index === lastEligible ? remaining : round2((discount * amount) / eligibleAmount);
+        lineDiscounts[index] = share;
+        remaining = round2(remaining - share);
+    });
+
+    return { discount, eligibleAmount, lineDiscounts };
+};
+
+/**
+ * Check a coupon for an order
+ * @param {Object} params
+ * @param {string} params.businessId - Business ID
+ * @param {string} params.code - Coupon code
+ * @param {string} [params.customerId] - Customer ID (needed for per-customer limits and customer-only coupons)
+ * @param {Array} params.lines - [{ service, category, amount }]
+ * @param {Date} [params.now] - Current time
+ * @returns {Promise<Object>} - { valid, message, coupon, discount, eligibleAmount, lineDiscounts }
+ */
+const validateCoupon = async ({ businessId, code, customerId, lines, now = new Date() }) => {
+    const normalized = normalizeCouponCode(code);
+    const invalid = (message, coupon = null) => ({ valid: false, message, coupon, discount: 0 });
+
+    if (!normalized) return invalid("Coupon code is required");
+
+    const coupon = await Coupon.findOne({ business: businessId, code: normalized });
+    if (!coupon || !coupon.isActive) return invalid("Invalid coupon code");
+
+    if (coupon.validFrom && now < coupon.validFrom) return invalid("This coupon is not active yet", coupon);
+    if (coupon.validUntil && now > coupon.validUntil) return invalid("This coupon has expired", coupon);
+
+    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+        return invalid("This coupon has been fully redeemed", coupon);
+    }
+
+    if (coupon.eligibleCustomers && coupon.eligibleCustomers.length > 0) {
+        const allowed = customerId && coupon.eligibleCustomers.some(id => id.toString() === customerId.toString());
+        if (!allowed) return invalid("This coupon is not valid for your account", coupon);
+    }
+
+    if (coupon.perCustomerLimit && customerId) {
+        // Counted within the current validity window, so recurring offers (birthdays) renew each time
+        const used = await CouponRedemption.countDocuments({
+            coupon: coupon._id,
+            customer: customerId,
+            status: 'applied',
+            createdAt: { $gte: coupon.validFrom || new Date(0) }
+        });
+        if (used >= coupon.perCustomerLimit) {
+            return invalid("You have already used this coupon", coupon);
+        }
+    }
+
+    const orderTotal = round2(lines.reduce((sum, line) => sum + (Number(line.amount) || 0), 0));
+    if (coupon.minSpend && orderTotal < coupon.minSpend) {
+        return invalid(`Minimum spend of ₹${coupon.minSpend} required for this coupon`, coupon);
+    }
+
+    const { discount, eligibleAmount, lineDiscounts } = calculateCouponDiscount(coupon, lines);
+    if (eligibleAmount <= 0) {
+        return invalid("This coupon does not apply to the selected services", coupon);
+    }
+
+    return {
+        valid: true,
+        message: "Coupon applied",
+        coupon,
+        discount,
+        eligibleAmount,
+        lineDiscounts
+    };
+};
+
+/**
+ * Record a use of a coupon
+ * The global limit is enforced atomically, so the last use cannot be taken twice.
+ * @param {Object} coupon - Coupon object
+ * @param {Object} usage - { customer, discountAmount, appointment, invoice }
+ * @returns {Promise<Object|null>} - The redemption, or null when the coupon ran out meanwhile
+ */
+const redeemCoupon = async (coupon, usage) => {
+    const filter = { _id: coupon._id, isActive: true };
+    if (coupon.usageLimit) {
+        filter.usedCount = { $lt: coupon.usageLimit };
+    }
+
+    const claimed = await Coupon.findOneAndUpdate(filter, { $inc: { usedCount: 1 } }, { new: true });
+    if (!claimed) return null;
+
+    return CouponRedemption.create({
+        coupon: coupon._id,
+        business: coupon.business,
+        customer: usage.customer,
+        code: coupon.code,
+        discountAmount: usage.discountAmount,
+        appointment: usage.appointment,
+        invoice: usage.invoice
+    });
+};
+
+/**
+ * Give back the coupon uses of a cancelled booking or invoice
+ * @param {Object} filter - { appointment } or { invoice } or { _id }
+ * @returns {Promise<number>} - Number of uses released
+ */
+const releaseCouponRedemptions = async (filter) => {
+    const redemptions = await CouponRedemption.find({ ...filter, status: 'applied' });
+    let released = 0;
+
+    for (const redemption of redemptions) {
+        const updated = await CouponRedemption.findOneAndUpdate(
+            { _id: redemption._id, status: 'applied' },
+            { $set: { status: 'released', releasedAt: new Date() } }
+        );
+        if (!updated) continue;
+
+        await Coupon.updateOne({ _id: redemption.coupon, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+        released++;
+    }
+
+    return released;
+};
+
+/**
+ * Make sure an automated offer code (BDAY20, ANNIV25, ...) exists and covers these customers
+ * The validity window restarts once the previous one has ended.
+ * @param {string} businessId - Business ID
+ * @param {Object} offer - { code, description, discountValue, validDays, customers }
+ * @returns {Promise<Object>} - The coupon
+ */
+const ensureOfferCoupon = async (businessId, offer) => {
+    const now = new Date();
+    const code = normalizeCouponCode(offer.code);
+    const validUntil = new Date(now.getTime() + offer.validDays * 24 * 60 * 60 * 1000);
+    const customerIds = offer.customers || [];
+
+    const existing = await Coupon.findOne({ business: businessId, code });
+    if (!existing) {
+        return Coupon.create({
+            business: businessId,
+            code,
+            description: offer.description,
+            discountType: 'percentage',
+            discountValue: offer.discountValue,
+            perCustomerLimit: 1,
+            eligibleCustomers: customerIds,
+            validFrom: now,
+            validUntil,
+            source: 'automated'
+        });
+    }
+
+    const windowEnded = !existing.validUntil || existing.validUntil < now;
+    return Coupon.findByIdAndUpdate(
+        existing._id,
+        {
+            $set: {
+                isActive: true,
+                validUntil: existing.validUntil && existing.validUntil > validUntil ? existing.validUntil : validUntil,
+                ...(windowEnded ? { validFrom: now } : {})
+            },
+            $addToSet: { eligibleCustomers: { $each: customerIds } }
+        },
+        { new: true }
+    );
+};
+
+module.exports = {
+    COUPON_CODE_PATTERN,
+    normalizeCouponCode,
+    generateCouponCode,
+    calculateCouponDiscount,
+    validateCoupon,
+    redeemCoupon,
+    releaseCouponRedemptions,
+    ensureOfferCoupon
+};
@@ -0,0 +1,572 @@
+// customerImportUtils.js - Parse customer spreadsheets (CSV), preview duplicates and import in batches
+const Customer = require("../models/Customer");
+
+const MAX_IMPORT_ROWS = 10000;
+const IMPORT_BATCH_SIZE = 500;
+
+// Clean new rows echoed back in a preview (duplicates and errors are always listed in full)
+const PREVIEW_SAMPLE_SIZE = 20;
+
+// Header names (lowercase, without spaces/punctuation) recognised for each Customer field
+const COLUMN_ALIASES = {
+    name: ['name', 'fullname', 'customername', 'clientname', 'customer', 'client'],
+    firstName: ['firstname', 'givenname', 'fname'],
+    lastName: ['lastname', 'surname', 'familyname', 'lname'],
+    phone: ['phone', 'mobile', 'phonenumber', 'mobilenumber', 'mobileno', 'phoneno', 'contact', 'contactnumber', 'contactno', 'whatsapp', 'whatsappnumber'],
+    email: ['email', 'emailid', 'emailaddress', 'mail'],
+    gender: ['gender', 'sex'],
+    dateOfBirth: ['dob', 'dateofbirth', 'birthday', 'birthdate'],
+    anniversary: ['anniversary', 'anniversarydate', 'weddinganniversary'],
+    tags: ['tags', 'tag', 'labels', 'groups'],
+    marketingConsent: ['marketingconsent', 'consent', 'optin', 'marketingoptin', 'marketing'],
+    notes: ['notes', 'note', 'remarks', 'comments']
+};
+
+const IMPORT_FIELDS = Object.keys(COLUMN_ALIASES);
+const CONSENT_CHANNELS = ['email', 'sms', 'whatsapp', 'phone'];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const headerKey = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted cells (with embedded commas, quotes and line breaks), CRLF line endings,
+ * a UTF-8 BOM, and semicolon- or tab-separated files as saved by some Excel locales.
+ * @param {string} text - File contents
+ * @returns {Array<Array<string>>} - Rows (blank lines dropped)
+ */
+const parseCsv = (text) => {
+    const input = String(text || '').replace(/^\uFEFF/, '');
+    const firstLine = input.split(/\r?\n/, 1)[0] || '';
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+        (firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best), ',');
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows
+        .map(cells => cells.map(value => value.trim()))
+        .filter(cells => cells.some(value => value !== ''));
+};
+
+/**
+ * Work out which column holds which Customer field
+ * @param {Array<string>} headers - Header row
+ * @param {Object} [overrides] - { field: 'Header as in the file' } chosen by the user
+ * @returns {Object} - { mapping: { field: columnIndex }, unmapped: [header] }
+ */
+const detectColumnMapping = (headers, overrides = {}) => {
+    const keys = headers.map(headerKey);
+    const mapping = {};
+
+    IMPORT_FIELDS.forEach(field => {
+        if (overrides[field] !== undefined && overrides[field] !== null && overrides[field] !== '') {
+            const index = keys.indexOf(headerKey(overrides[field]));
+            if (index !== -1) mapping[field] = index;
+            return;
+        }
+        const index = keys.findIndex(key => COLUMN_ALIASES[field].includes(key));
+        if (index !== -1) mapping[field] = index;
+    });
+
+    const used = new Set(Object.values(mapping));
+    return {
+        mapping,
+        unmapped: headers.filter((header, index) => !used.has(index) && header)
+    };
+};
+
+/**
+ * Normalise an Indian phone number to its 10 digits
+ * Accepts +91 / 91 / 0 prefixes, spaces, dashes and brackets. Numbers with another
+ * country code are kept in international form (+<digits>).
+ * @param {string} value - Phone as typed in the sheet
+ * @returns {Object} - { phone, error }
+ */
+const normalizeIndianPhone = (value) => {
+    const raw = String(value || '').trim();
+    if (!raw) return { phone: null, error: 'Phone is required' };
+
+    // Excel turns long numbers into scientific notation (9.19876E+11) - the digits are lost
+    if (/e\+/i.test(raw)) {
+        return { phone: null, error: 'Phone is in scientific notation; format the column as text and export again' };
+    }
+
+    let digits = raw.replace(/\D/g, '');
+    const international = raw.startsWith('+') || raw.startsWith('00');
+    if (raw.startsWith('00')) digits = digits.slice(2);
+
+    if (digits.length === 12 && digits.startsWith('91')) {
+        digits = digits.slice(2);
+    } else if (digits.length === 11 && digits.startsWith('0')) {
+        digits = digits.slice(1);
+    } else if (international && !digits.startsWith('91')) {
+        if (digits.length < 8 || digits.length > 15) return { phone: null, error: 'Invalid phone number' };
+        return { phone: `+${digits}`, error: null };
+    }
+
+    if (!/^[6-9]\d{9}$/.test(digits)) {
+        return { phone: null, error: 'Invalid Indian mobile number' };
+    }
+    return { phone: digits, error: null };
+};
+
+/**
+ * Ways the same Indian number may already be stored on a customer
+ * @param {string} phone - Normalised phone
+ * @returns {Array<string>}
+ */
+const getPhoneVariants = (phone) => {
+    if (!/^\d{10}$/.test(phone)) return [phone];
+    return [phone, `0${phone}`, `91${phone}`, `+91${phone}`, `+91 ${phone}`];
+};
+
+/**
+ * Parse a date cell as a calendar date (UTC midnight, like other stored calendar dates)
+ * Day-first formats are assumed (DD/MM/YYYY, DD-MM-YYYY, DD.MM.YYYY), as are ISO dates,
+ * "12 Mar 1990" / "12-Mar-1990" and Excel date serials.
+ * @param {string} value - Cell value
+ * @returns {Date|null|undefined} - undefined when empty, null when unparseable
+ */
+const parseImportDate = (value) => {
+    const raw = String(value || '').trim();
+    if (!raw) return undefined;
+
+    let year;
+    let month;
+    let day;
+    let match;
+
+    if ((match = raw.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/))) {
+        [, year, month, day] = match.map(Number);
+    } else if ((match = raw.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/))) {
+        [, day, month, year] = match.map(Number);
+    } else if ((match = raw.match(/^(\d{1,2})[-\s/]([a-z]{3})[a-z]*[-\s/,]+(\d{2}|\d{4})$/i))) {
+        day = Number(match[1]);
+        month = MONTHS.indexOf(match[2].toLowerCase()) + 1;
+        year = Number(match[3]);
+    } else if (/^\d{4,5}$/.test(raw)) {
+        // Excel serial (days since 1899-12-30)
+        const date = new Date(Date.UTC(1899, 11, 30) + Number(raw) * 24 * 60 * 60 * 1000);
+        return date.getUTCFullYear() >= 1900 ? date : null;
+    } else {
+        return null;
+    }
+
+    if (year < 100) {
+        // Two-digit years: assume the most recent past century
+        const currentYear = new Date().getUTCFullYear() % 100;
+        year += year > currentYear ? 1900 : 2000;
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    const valid = month >= 1 && month <= 12 &&
+        date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+    return valid ? date : null;
+};
+
+/**
+ * Parse a marketing consent cell
+ * "yes" / "true" / "1" / "opt-in" consents to every channel, "no" to none, and a list such as
+ * "sms, whatsapp" to just those channels.
+ * @param {string} value - Cell value
+ * @returns {Object|null|undefined} - { email, sms, whatsapp, phone }, undefined when empty, null when unparseable
+ */
+const parseConsent = (value) => {
+    const raw = String(value || '').trim().toLowerCase();
+    if (!raw) return undefined;
+
+    const all = (granted) => CONSENT_CHANNELS.reduce((acc, channel) => ({ ...acc, [channel]: granted }), {});
+    if (['yes', 'y', 'true', '1', 'optin', 'opt-in', 'opted in', 'all'].includes(raw)) return all(true);
+    if (['no', 'n', 'false', '0', 'optout', 'opt-out', 'opted out', 'none'].includes(raw)) return all(false);
+
+    const channels = raw.split(/[,;|/\s]+/).filter(Boolean).map(channel => (channel === 'call' ? 'phone' : channel));
+    if (channels.length === 0 || channels.some(channel => !CONSENT_CHANNELS.includes(channel))) return null;
+
+    return CONSENT_CHANNELS.reduce((acc, channel) => ({ ...acc, [channel]: channels.includes(channel) }), {});
+};
+
+/**
+ * Turn one sheet row into Customer fields
+ * @param {Array<string>} cells - Row cells
+ * @param {Object} mapping - { field: columnIndex }
+ * @param {number} rowNumber - Row number in the file (header is row 1)
+ * @returns {Object} - { row, data, errors }
+ */
+const buildImportRow = (cells, mapping, rowNumber) => {
+    const cell = (field) => (mapping[field] !== undefined ? (cells[mapping[field]] || '').trim() : '');
+    const errors = [];
+    const data = {};
+
+    // Name: explicit first/last columns win over a single name column
+    let firstName = cell('firstName');
+    let lastName = cell('lastName');
+    if (!firstName && cell('name')) {
+        // "Sharma, Priya" is last name first
+        const [before, after] = cell('name').split(/\s*,\s*/, 2);
+        const [first, ...rest] = (after ? `${after} ${before}` : before).split(/\s+/);
+        firstName = first;
+        lastName = lastName || rest.join(' ');
+    }
+    if (!firstName) errors.push('Name is required');
+    data.firstName = firstName;
+    if (lastName) data.lastName = lastName;
+
+    const { phone, error: phoneError } = normalizeIndianPhone(cell('phone'));
+    if (phoneError) errors.push(phoneError);
+    data.phone = phone;
+
+    const email = cell('email').toLowerCase();
+    if (email) {
+        if (EMAIL_PATTERN.test(email)) {
+            data.email = email;
+        } else {
+            errors.push('Invalid email');
+        }
+    }
+
+    const gender = cell('gender').toLowerCase();
+    if (gender) {
+        const genders = { m: 'male', male: 'male', f: 'female', female: 'female', other: 'other', o: 'other' };
+        if (genders[gender]) {
+            data.gender = genders[gender];
+        } else {
+            errors.push('Gender must be male, female or other');
+        }
+    }
+
+    [['dateOfBirth', 'date of birth'], ['anniversary', 'anniversary']].forEach(([field, label]) => {
+        const date = parseImportDate(cell(field));
+        if (date === null) {
+            errors.push(`Invalid ${label} (use DD/MM/YYYY)`);
+        } else if (date) {
+            if (date > new Date()) {
+                errors.push(`The ${label} cannot be in the future`);
+            } else {
+                data[field] = date;
+            }
+        }
+    });
+
+    const tags = cell('tags').split(/[,;|]/).map(tag => tag.trim()).filter(Boolean);
+    if (tags.length > 0) data.tags = [...new Set(tags)];
+
+    const consent = parseConsent(cell('marketingConsent'));
+    if (consent === null) {
+        errors.push('Marketing consent must be yes/no or a list of channels (email, sms, whatsapp, phone)');
+    } else if (consent) {
+        data.marketingConsent = consent;
+    }
+
+    if (cell('notes')) data.notes = cell('notes');
+
+    return { row: rowNumber, data, errors };
+};
+
+/**
+ * Parse an import file into rows with their Customer fields
+ * @param {string} text - CSV contents
+ * @param {Object} [overrides] - Column mapping chosen by the user
+ * @returns {Object} - { headers, mapping, unmapped, rows, error }
+ */
+const parseCustomerImport = (text, overrides = {}) => {
+    const table = parseCsv(text);
+    if (table.length < 2) {
+        return { error: 'The file has no customer rows' };
+    }
+
+    const [headers, ...records] = table;
+    if (records.length > MAX_IMPORT_ROWS) {
+        return { error: `A file can have at most ${MAX_IMPORT_ROWS} customers; split it and import each part` };
+    }
+
+    const { mapping, unmapped } = detectColumnMapping(headers, overrides);
+    if (mapping.phone === undefined) {
+        return { error: 'No phone column found; map one of the columns to phone' };
+    }
+    if (mapping.name === undefined && mapping.firstName === undefined) {
+        return { error: 'No name column found; map one of the columns to name or firstName' };
+    }
+
+    const rows = records.map((cells, index) => buildImportRow(cells, mapping, index + 2));
+
+    // Column index -> header name, which is easier to check in the UI
+    const mappedHeaders = Object.fromEntries(Object.entries(mapping).map(([field, index]) => [field, headers[index]]));
+    return { headers, mapping: mappedHeaders, unmapped, rows, error: null };
+};
+
+/**
+ * Classify parsed rows against existing customers and against each other
+ * Status is one of: new, duplicate (matches an existing customer by phone or email),
+ * duplicate_in_file (same phone/email as an earlier row), conflict (phone and email match
+ * two different customers) or invalid.
+ * @param {string} businessId - Business ID
+ * @param {Array} rows - Rows from parseCustomerImport
+ * @returns {Promise<Array>} - Rows with status and, for duplicates, the matched customer
+ */
+const classifyImportRows = async (businessId, rows) => {
+    const valid = rows.filter(row => row.errors.length === 0);
+    const phones = [...new Set(valid.flatMap(row => getPhoneVariants(row.data.phone)))];
+    const emails = [...new Set(valid.map(row => row.data.email).filter(Boolean))];
+
+    // Chunked so a large file does not build one huge $in
+    const chunkSize = IMPORT_BATCH_SIZE * 5;
+    const existing = [];
+    for (const [field, values] of [['phone', phones], ['email', emails]]) {
+        for (let i = 0; i < values.length; i += chunkSize) {
+            existing.push(...await Customer.find({ business: businessId, [field]: { $in: values.slice(i, i + chunkSize) } })
+                .select('firstName lastName phone email isActive')
+                .lean());
+        }
+    }
+
+    const byPhone = new Map();
+    const byEmail = new Map();
+    existing.forEach(customer => {
+        const { phone } = normalizeIndianPhone(customer.phone);
+        byPhone.set(phone || customer.phone, customer);
+        if (customer.email) byEmail.set(customer.email, customer);
+    });
+
+    const seenPhones = new Map();
+    const seenEmails = new Map();
+
+    return rows.map(row => {
+        if (row.errors.length > 0) return { ...row, status: 'invalid' };
+
+        const { phone, email } = row.data;
+        const earlierRow = seenPhones.get(phone) || (email && seenEmails.get(email));
+        if (earlierRow) {
+            return { ...row, status: 'duplicate_in_file', errors: [`Same phone or email as row ${earlierRow}`] };
+        }
+        seenPhones.set(phone, row.row);
+        if (email) seenEmails.set(email, row.row);
+
+        const phoneMatch = byPhone.get(phone);
+        const emailMatch = email ? byEmail.get(email) : null;
+
+        if (phoneMatch && emailMatch && phoneMatch._id.toString() !== emailMatch._id.toString()) {
+            return {
+                ...row,
+                status: 'conflict',
+                errors: ['Phone and email belong to two different existing customers']
+            };
+        }
+
+        const match = phoneMatch || emailMatch;
+        if (!match) return { ...row, status: 'new' };
+
+        return {
+            ...row,
+            status: 'duplicate',
+            match: {
+                id: match._id,
+                name: `${match.firstName || ''} ${match.lastName || ''}`.trim(),
+                phone: match.phone,
+                email: match.email,
+                isActive: match.isActive,
+                matchedOn: phoneMatch ? (emailMatch ? 'phone_and_email' : 'phone') : 'email'
+            }
+        };
+    });
+};
+
+/**
+ * Summary counts and a trimmed row listing for a preview
+ * @param {Array} classified - Rows from classifyImportRows
+ * @returns {Object} - { summary, duplicates, errors, sample }
+ */
+const summarizeImportRows = (classified) => {
+    const summary = { total: classified.length, new: 0, duplicate: 0, duplicate_in_file: 0, conflict: 0, invalid: 0 };
+    classified.forEach(row => { summary[row.status]++; });
+
+    const describe = (row) => ({
+        row: row.row,
+        status: row.status,
+        name: [row.data.firstName, row.data.lastName].filter(Boolean).join(' '),
+        phone: row.data.phone,
+        email: row.data.email,
+        ...(row.match ? { match: row.match } : {}),
+        ...(row.errors.length > 0 ? { errors: row.errors } : {})
+    });
+
+    return {
+        summary,
+        duplicates: classified.filter(row => row.status === 'duplicate').map(describe),
+        errors: classified.filter(row => ['invalid', 'conflict', 'duplicate_in_file'].includes(row.status)).map(describe),
+        sample: classified.filter(row => row.status === 'new').slice(0, PREVIEW_SAMPLE_SIZE).map(describe)
+    };
+};
+
+/**
+ * Fields an import may change on an existing customer
+ * Only cells that have a value are applied, tags are added to the existing ones, and
+ * consent is set per channel so a sheet without consent leaves it untouched.
+ * @param {Object} data - Row data
+ * @returns {Object} - MongoDB update
+ */
+const buildCustomerUpdate = (data) => {
+    const set = {};
+    ['firstName', 'lastName', 'email', 'gender', 'dateOfBirth', 'anniversary', 'notes'].forEach(field => {
+        if (data[field] !== undefined) set[field] = data[field];
+    });
+    if (data.marketingConsent) {
+        CONSENT_CHANNELS.forEach(channel => {
+            set[`marketingConsent.${channel}`] = data.marketingConsent[channel];
+        });
+    }
+
+    const update = { $set: set };
+    if (data.tags) update.$addToSet = { tags: { $each: data.tags } };
+    return update;
+};
+
+/**
+ * Import classified rows in batches
+ * New rows are inserted; duplicates are skipped or, with onDuplicate 'update', merged into the
+ * matched customer. Every row that was not imported is reported with its reason.
+ * @param {Object} business - Business document
+ * @param {Array} classified - Rows from classifyImportRows
+ * @param {Object} options - { onDuplicate: 'skip'|'update', userId, userModel }
+ * @returns {Promise<Object>} - { created, updated, skipped, failed, errors }
+ */
+const commitCustomerImport = async (business, classified, { onDuplicate = 'skip', userId, userModel }) => {
+    const result = { created: 0, updated: 0, skipped: 0, failed: 0, errors: [] };
+    const report = (row, status, errors) => {
+        result.errors.push({ row: row.row, status, phone: row.data.phone, errors });
+    };
+
+    const toCreate = [];
+    const toUpdate = [];
+
+    classified.forEach(row => {
+        if (row.status === 'new') {
+            const doc = {
+                ...row.data,
+                business: business._id,
+                source: 'other',
+                createdBy: userId,
+                createdByModel: userModel
+            };
+            const validationError = new Customer(doc).validateSync();
+            if (validationError) {
+                result.failed++;
+                report(row, 'failed', Object.values(validationError.errors).map(err => err.message));
+            } else {
+                toCreate.push({ row, doc });
+            }
+        } else if (row.status === 'duplicate' && onDuplicate === 'update') {
+            toUpdate.push(row);
+        } else if (row.status === 'duplicate') {
+            result.skipped++;
+            report(row, 'skipped', [`Customer already exists (matched on ${row.match.matchedOn.replace(/_/g, ' ')})`]);
+        } else {
+            result[row.status === 'invalid' ? 'failed' : 'skipped']++;
+            report(row, row.status === 'invalid' ? 'failed' : 'skipped', row.errors);
+        }
+    });
+
+    for (let i = 0; i < toCreate.length; i += IMPORT_BATCH_SIZE) {
+        const batch = toCreate.slice(i, i + IMPORT_BATCH_SIZE);
+        try {
+            const inserted = await Customer.insertMany(batch.map(item => item.doc), { ordered: false });
+            result.created += inserted.length;
+        } catch (err) {
+            // Unordered insert: everything except the failed documents went in
+            const writeErrors = err.writeErrors || [];
+            if (writeErrors.length === 0) throw err;
+
+            result.created += err.insertedDocs ? err.insertedDocs.length : batch.length - writeErrors.length;
+            writeErrors.forEach(writeError => {
+                const item = batch[writeError.index];
+                if (!item) return;
+                result.failed++;
+                report(item.row, 'failed', [writeError.code === 11000
+                    ? 'A customer with this phone was added while importing'
+                    : (writeError.errmsg || 'Insert failed')]);
+            });
+        }
+    }
+
+    for (let i = 0; i < toUpdate.length; i += IMPORT_BATCH_SIZE) {
+        const batch = toUpdate.slice(i, i + IMPORT_BATCH_SIZE);
+        const operations = batch.map(row => {
+            const update = buildCustomerUpdate(row.data);
+            update.$set.updatedBy = userId;
+            update.$set.updatedByModel = userModel;
+            return { updateOne: { filter: { _id: row.match.id, business: business._id }, update } };
+        });
+
+        try {
+            const bulkResult = await Customer.bulkWrite(operations, { ordered: false });
+            result.updated += bulkResult.matchedCount;
+        } catch (err) {
+            const writeErrors = err.writeErrors || [];
+            if (writeErrors.length === 0) throw err;
+
+            result.updated += batch.length - writeErrors.length;
+            writeErrors.forEach(writeError => {
+                const row = batch[writeError.index];
+                if (!row) return;
+                result.failed++;
+                report(row, 'failed', [writeError.errmsg || 'Update failed']);
+            });
+        }
+    }
+
+    result.errors.sort((a, b) => a.row - b.row);
+    return result;
+};
+
+module.exports = {
+    MAX_IMPORT_ROWS,
+    IMPORT_FIELDS,
+    parseCsv,
+    detectColumnMapping,
+    normalizeIndianPhone,
+    getPhoneVariants,
+    parseImportDate,
+    parseConsent,
+    buildImportRow,
+    parseCustomerImport,
+    classifyImportRows,
+    summarizeImportRows,
+    commitCustomerImport
+};
@@ -0,0 +1,343 @@
+// customerMergeUtils.js - Find duplicate customers and merge them into one record
+const Customer = require("../models/Customer");
+const CustomerMerge = require("../models/CustomerMerge");
+const Appointment = require("../models/Appointment");
+const AppointmentSeries = require("../models/AppointmentSeries");
+const Invoice = require("../models/Invoice");
+const Transaction = require("../models/Transaction");
+const LoyaltyTransaction = require("../models/LoyaltyTransaction");
+const CustomerMembership = require("../models/CustomerMembership");
+const Review = require("../models/Review");
+const Coupon = require("../models/Coupon");
+const CouponRedemption = require("../models/CouponRedemption");
+const { normalizeIndianPhone } = require("./customerImportUtils");
+const { round2 } = require("./gstUtils");
+
+const MAX_MERGE_DUPLICATES = 10;
+
+// Collections whose `customer` field is re-pointed to the survivor (key = CustomerMerge.reassigned)
+const CUSTOMER_REFERENCES = [
+    ['appointments', Appointment],
+    ['appointmentSeries', AppointmentSeries],
+    ['invoices', Invoice],
+    ['transactions', Transaction],
+    ['loyaltyTransactions', LoyaltyTransaction],
+    ['memberships', CustomerMembership],
+    ['reviews', Review],
+    ['couponRedemptions', CouponRedemption]
+];
+
+const TIER_RANK = ['none', 'bronze', 'silver', 'gold', 'platinum'];
+
+// Profile fields copied from a duplicate when the survivor has none
+const FILL_FIELDS = ['lastName', 'email', 'alternatePhone', 'dateOfBirth', 'gender', 'anniversary', 'gstNumber', 'profilePicture', 'referredBy', 'category'];
+
+const normalizeName = (customer) => `${customer.firstName || ''} ${customer.lastName || ''}`
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Edit distance between two strings (insertions, deletions, substitutions)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const levenshtein = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+/**
+ * Whether two names are probably the same person
+ * Matches small typos ("Priya Sharma" / "Priya Sharmaa") and a missing or initialled last
+ * name ("Priya" / "Priya S").
+ * @param {Object} a - Customer
+ * @param {Object} b - Customer
+ * @returns {boolean}
+ */
+const namesLookAlike = (a, b) => {
+    const nameA = normalizeName(a);
+    const nameB = normalizeName(b);
+    if (!nameA || !nameB) return false;
+    if (nameA === nameB) return true;
+
+    const [firstA, ...restA] = nameA.split(' ');
+    const [firstB, ...restB] = nameB.split(' ');
+    const lastA = restA.join(' ');
+    const lastB = restB.join(' ');
+
+    if (firstA === firstB && (!lastA || !lastB || lastA[0] === lastB[0])) return true;
+    return levenshtein(nameA, nameB) <= Math.max(1, Math.floor(Math.min(nameA.length, nameB.length) / 6));
+};
+
+/**
+ * Groups of customers of a business that look like the same person
+ * Customers are linked by the same phone (after normalising +91/0 prefixes), the same email,
+ * or a similar name with the same date of birth; linked customers form one group.
+ * @param {string} businessId - Business ID
+ * @returns {Promise<Array>} - [{ reasons, suggestedSurvivor, customers }]
+ */
+const findDuplicateCustomers = async (businessId) => {
+    const customers = await Customer.find({ business: businessId, isActive: true, mergedInto: null })
+        .select('firstName lastName phone email dateOfBirth totalVisits totalSpent loyaltyPoints lastVisit createdAt')
+        .lean();
+
+    // Union-find over customer indexes
+    const parent = customers.map((_, index) => index);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const reasons = new Map();
+    const link = (i, j, reason) => {
+        const rootI = find(i);
+        const rootJ = find(j);
+        if (rootI !== rootJ) parent[rootJ] = rootI;
+        const key = [i, j].sort((x, y) => x - y).join(':');
+        reasons.set(key, [...new Set([...(reasons.get(key) || []), reason])]);
+    };
+
+    const linkByKey = (keyOf, reason) => {
+        const firstIndex = new Map();
+        customers.forEach((customer, index) => {
+            const key = keyOf(customer);
+            if (!key) return;
+            if (firstIndex.has(key)) {
+                link(firstIndex.get(key), index, reason);
+            } else {
+                firstIndex.set(key, index);
+            }
+        });
+    };
+
+    linkByKey(customer => normalizeIndianPhone(customer.phone).phone || customer.phone, 'same_phone');
+    linkByKey(customer => (customer.email ? customer.email.toLowerCase().trim() : null), 'same_email');
+
+    // Fuzzy names only need comparing among customers born on the same day
+    const byBirthday = new Map();
+    customers.forEach((customer, index) => {
+        if (!customer.dateOfBirth) return;
+        const key = new Date(customer.dateOfBirth).toISOString().slice(0, 10);
+        byBirthday.set(key, [...(byBirthday.get(key) || []), index]);
+    });
+    byBirthday.forEach(indexes => {
+        for (let x = 0; x < indexes.length; x++) {
+            for (let y = x + 1; y < indexes.length; y++) {
+                if (namesLookAlike(customers[indexes[x]], customers[indexes[y]])) {
+                    link(indexes[x], indexes[y], 'similar_name_and_dob');
+                }
+            }
+        }
+    });
+
+    const groups = new Map();
+    customers.forEach((_, index) => {
+        const root = find(index);
+        groups.set(root, [...(groups.get(root) || []), index]);
+    });
+
+    return [...groups.values()]
+        .filter(indexes => indexes.length > 1)
+        .map(indexes => {
+            const members = indexes.map(index => customers[index]);
+            const groupReasons = new Set();
+            reasons.forEach((list, key) => {
+                const [i] = key.split(':').map(Number);
+                if (indexes.includes(i)) list.forEach(reason => groupReasons.add(reason));
+            });
+
+            // Keep the record with the most history, then the oldest
+            const survivor = [...members].sort((a, b) =>
+                (b.totalVisits || 0) - (a.totalVisits || 0) || new Date(a.createdAt) - new Date(b.createdAt))[0];
+
+            return {
+                reasons: [...groupReasons],
+                suggestedSurvivor: survivor._id,
+                customers: members.map(customer => ({
+                    id: customer._id,
+                    name: `${customer.firstName || ''} ${customer.lastName || ''}`.trim(),
+                    phone: customer.phone,
+                    email: customer.email,
+                    dateOfBirth: customer.dateOfBirth,
+                    totalVisits: customer.totalVisits || 0,
+                    totalSpent: customer.totalSpent || 0,
+                    loyaltyPoints: customer.loyaltyPoints || 0,
+                    lastVisit: customer.lastVisit,
+                    createdAt: customer.createdAt
+                }))
+            };
+        })
+        // Exact phone/email matches first, then by size
+        .sort((a, b) => {
+            const exact = (group) => (group.reasons.some(r => r !== 'similar_name_and_dob') ? 1 : 0);
+            return exact(b) - exact(a) || b.customers.length - a.customers.length;
+        });
+};
+
+/**
+ * Merge duplicate customers into a surviving record
+ * History (appointments, invoices, transactions, loyalty, memberships, reviews, coupon uses)
+ * is re-pointed to the survivor, visit/spend/points totals are combined, gaps in the
+ * survivor's profile are filled from the duplicates, and the duplicates are deactivated
+ * with mergedInto set. A CustomerMerge record keeps the before state for audit.
+ * @param {Object} business - Business document
+ * @param {string} survivorId - Customer to keep
+ * @param {Array<string>} duplicateIds - Customers to fold into the survivor
+ * @param {Object} options - { userId, userModel, reason }
+ * @returns {Promise<Object>} - { success, status, message, survivor, merge }
+ */
+const mergeCustomers = async (business, survivorId, duplicateIds, { userId, userModel, reason } = {}) => {
+    const ids = [...new Set(duplicateIds.map(id => id.toString()))];
+    if (ids.includes(survivorId.toString())) {
+        return { success: false, status: 400, message: "A customer cannot be merged into itself" };
+    }
+
+    const survivor = await Customer.findOne({ _id: survivorId, business: business._id });
+    if (!survivor || !survivor.isActive || survivor.mergedInto) {
+        return { success: false, status: 404, message: "Customer to keep not found or inactive" };
+    }
+
+    const duplicates = await Customer.find({ _id: { $in: ids }, business: business._id });
+    if (duplicates.length !== ids.length) {
+        return { success: false, status: 404, message: "One or more customers to merge were not found" };
+    }
+    if (duplicates.some(customer => customer.mergedInto)) {
+        return { success: false, status: 400, message: "One or more customers have already been merged" };
+    }
+
+    const survivorBefore = survivor.toObject();
+    const duplicateObjectIds = duplicates.map(customer => customer._id);
+
+    // Re-point history
+    const reassigned = {};
+    for (const [key, Model] of CUSTOMER_REFERENCES) {
+        const result = await Model.updateMany(
+            { customer: { $in: duplicateObjectIds } },
+            { $set: { customer: survivor._id } }
+        );
+        reassigned[key] = result.modifiedCount || 0;
+    }
+
+    // Coupons restricted to a duplicate become usable by the survivor
+    const restricted = await Coupon.updateMany(
+        { business: business._id, eligibleCustomers: { $in: duplicateObjectIds } },
+        { $addToSet: { eligibleCustomers: survivor._id } }
+    );
+    await Coupon.updateMany(
+        { business: business._id, eligibleCustomers: { $in: duplicateObjectIds } },
+        { $pull: { eligibleCustomers: { $in: duplicateObjectIds } } }
+    );
+    reassigned.coupons = restricted.modifiedCount || 0;
+
+    // Combine totals (the duplicates' loyalty history was re-pointed above, so no extra ledger entry)
+    duplicates.forEach(duplicate => {
+        survivor.totalVisits = (survivor.totalVisits || 0) + (duplicate.totalVisits || 0);
+        survivor.totalSpent = round2((survivor.totalSpent || 0) + (duplicate.totalSpent || 0));
+        survivor.loyaltyPoints = (survivor.loyaltyPoints || 0) + (duplicate.loyaltyPoints || 0);
+
+        if (duplicate.firstVisit && (!survivor.firstVisit || duplicate.firstVisit < survivor.firstVisit)) {
+            survivor.firstVisit = duplicate.firstVisit;
+        }
+        if (duplicate.lastVisit && (!survivor.lastVisit || duplicate.lastVisit > survivor.lastVisit)) {
+            survivor.lastVisit = duplicate.lastVisit;
+        }
+        if (TIER_RANK.indexOf(duplicate.membershipTier) > TIER_RANK.indexOf(survivor.membershipTier)) {
+            survivor.membershipTier = duplicate.membershipTier;
+            survivor.membershipStartDate = duplicate.membershipStartDate;
+            survivor.membershipExpiryDate = duplicate.membershipExpiryDate;
+        }
+        if (!survivor.activeSubscription && duplicate.activeSubscription) {
+            survivor.activeSubscription = duplicate.activeSubscription;
+        }
+
+        FILL_FIELDS.forEach(field => {
+            if (!survivor[field] && duplicate[field]) survivor[field] = duplicate[field];
+        });
+        // Keep the duplicate's number reachable on the survivor
+        if (!survivor.alternatePhone && duplicate.phone !== survivor.phone) {
+            survivor.alternatePhone = duplicate.phone;
+        }
+
+        survivor.tags = [...new Set([...(survivor.tags || []), ...(duplicate.tags || [])])];
+        if (duplicate.notes) {
+            survivor.notes = [survivor.notes, duplicate.notes].filter(Boolean).join('\n');
+        }
+        if (duplicate.internalNotes) {
+            survivor.internalNotes = [survivor.internalNotes, duplicate.internalNotes].filter(Boolean).join('\n');
+        }
+    });
+    survivor.averageSpent = survivor.totalVisits > 0 ? round2(survivor.totalSpent / survivor.totalVisits) : 0;
+
+    if (survivor.totalVisits >= 20) {
+        survivor.customerType = 'vip';
+    } else if (survivor.totalVisits >= 5) {
+        survivor.customerType = 'regular';
+    }
+
+    survivor.updatedBy = userId;
+    survivor.updatedByModel = userModel;
+    await survivor.save();
+
+    const mergedSnapshots = duplicates.map(customer => customer.toObject());
+
+    // Duplicates stay (their phone is still unique per business) but no longer count anywhere
+    await Customer.updateMany(
+        { _id: { $in: duplicateObjectIds } },
+        {
+            $set: {
+                isActive: false,
+                mergedInto: survivor._id,
+                mergedAt: new Date(),
+                totalVisits: 0,
+                totalSpent: 0,
+                averageSpent: 0,
+                loyaltyPoints: 0,
+                updatedBy: userId,
+                updatedByModel: userModel
+            },
+            $unset: { activeSubscription: 1 }
+        }
+    );
+
+    // Customers merged earlier into one of these duplicates now point at the survivor
+    await Customer.updateMany(
+        { business: business._id, mergedInto: { $in: duplicateObjectIds } },
+        { $set: { mergedInto: survivor._id } }
+    );
+
+    const merge = await CustomerMerge.create({
+        business: business._id,
+        survivor: survivor._id,
+        mergedCustomers: duplicateObjectIds,
+        survivorBefore,
+        mergedSnapshots,
+        reassigned,
+        totals: {
+            totalVisits: survivor.totalVisits,
+            totalSpent: survivor.totalSpent,
+            loyaltyPoints: survivor.loyaltyPoints
+        },
+        reason,
+        performedBy: userId,
+        performedByModel: userModel
+    });
+
+    return { success: true, survivor, merge };
+};
+
+module.exports = {
+    MAX_MERGE_DUPLICATES,
+    namesLookAlike,
+    findDuplicateCustomers,
+    mergeCustomers
+};
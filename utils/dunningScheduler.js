@@ -0,0 +1,357 @@
+// dunningScheduler.js - Mark unpaid invoices overdue and send escalating payment reminders per business dunningSettings
+const Invoice = require("../models/Invoice");
+const Business = require("../models/Business");
+const { sendReminderOnChannel } = require("./reminderScheduler");
+const { getBusinessTimezone, getDateKey, getZonedDayBounds } = require("./timezoneUtils");
+const { round2 } = require("./gstUtils");
+const { createGatewayPaymentLink, cancelGatewayPaymentLink } = require("../controllers/paymentController");
+
+// How often the scheduler looks for overdue invoices
+const DUNNING_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+// Days after the due date, used when a business has not set its own schedule
+const DEFAULT_REMINDER_DAYS = [1, 7, 15, 30];
+const MAX_DUNNING_REMINDERS = 10;
+
+// Payment links stay valid this long; a fresh one is made for later reminders
+const PAYMENT_LINK_VALIDITY_DAYS = 30;
+
+// Invoices that carry a balance of their own (notes adjust their parent instead)
+const DUNNABLE_TYPES = ['regular'];
+const UNSETTLED_STATUSES = ['unpaid', 'partial', 'overdue'];
+
+let isProcessing = false;
+
+/**
+ * Dunning settings of a business, with defaults
+ * @param {Object} business - Business object
+ * @returns {Object} - { enabled, reminderDays, channels, includePaymentLink }
+ */
+const getDunningSettings = (business) => {
+    const settings = business?.settings?.dunningSettings || {};
+    const days = (settings.reminderDays || []).filter(day => typeof day === 'number' && day >= 0);
+
+    const channels = [];
+    if (settings.sendEmail !== false) channels.push('email');
+    if (settings.sendSMS) channels.push('sms');
+    if (settings.sendWhatsapp !== false) channels.push('whatsapp');
+
+    return {
+        enabled: Boolean(settings.enabled),
+        reminderDays: [...new Set(days.length > 0 ? days : DEFAULT_REMINDER_DAYS)].sort((a, b) => a - b),
+        channels,
+        includePaymentLink: settings.includePaymentLink !== false
+    };
+};
+
+/**
+ * Whole calendar days between the due date and now, in the business timezone
+ * @param {Date} dueDate - Invoice due date
+ * @param {string} timeZone - IANA timezone
+ * @param {Date} now - Current instant
+ * @returns {number}
+ */
+const getDaysOverdue = (dueDate, timeZone, now = new Date()) => {
+    const dueKey = getDateKey(dueDate, timeZone);
+    const todayKey = getDateKey(now, timeZone);
+    if (!dueKey || !todayKey) return 0;
+    return Math.round((new Date(`${todayKey}T00:00:00.000Z`) - new Date(`${dueKey}T00:00:00.000Z`)) / (24 * 60 * 60 * 1000));
+};
+
+/**
+ * Which reminder of the schedule is due for an invoice
+ * Only the latest due stage is sent, so an invoice that became overdue long ago
+ * (or a schedule that was changed) does not get a burst of reminders.
+ * @param {Array<number>} reminderDays - Days after the due date, ascending
+ * @param {number} daysOverdue - Days since the due date
+ * @param {number} lastStage - Last stage sent (0 when none)
+ * @returns {number|null} - 1-based stage, or null when nothing is due
+ */
+const getDueStage = (reminderDays, daysOverdue, lastStage = 0) => {
+    let due = null;
+    reminderDays.forEach((day, index) => {
+        if (index + 1 > lastStage && daysOverdue >= day) due = index + 1;
+    });
+    return due;
+};
+
+/**
+ * Wording for a reminder stage: friendly first, firmer later, the last one marked final
+ * @param {number} stage - 1-based stage
+ * @param {number} totalStages - Number of stages in the schedule
+ * @param {Object} details - { invoiceNumber, daysOverdue }
+ * @returns {Object} - { tone, heading, message }
+ */
+const getReminderWording = (stage, totalStages, { invoiceNumber, daysOverdue }) => {
+    if (stage >= totalStages && totalStages > 1) {
+        return {
+            tone: 'final',
+            heading: 'Final Payment Reminder',
+            message: `Invoice ${invoiceNumber} is now ${daysOverdue} days overdue and this is our final reminder. Please clear the balance right away, or contact us if there is a problem with the invoice.`
+        };
+    }
+    if (stage > 1) {
+        return {
+            tone: 'firm',
+            heading: 'Payment Overdue',
+            message: `We have not yet received payment for invoice ${invoiceNumber}, which is ${daysOverdue} days overdue. Please settle the balance at the earliest.`
+        };
+    }
+    return {
+        tone: 'friendly',
+        heading: 'Payment Reminder',
+        message: `This is a friendly reminder that invoice ${invoiceNumber} is past its due date. If you have already paid, please ignore this message.`
+    };
+};
+
+/**
+ * Payment link for the current balance, reusing the invoice's link while it still matches
+ * @param {Object} invoice - Invoice document with populated customer
+ * @param {number} amountDue - Balance to collect
+ * @param {Date} now - Current instant
+ * @returns {Promise<string|null>} - Link URL, or null when no link could be made
+ */
+const ensurePaymentLink = async (invoice, amountDue, now = new Date()) => {
+    const current = invoice.paymentLink;
+    if (current?.url && current.amount === amountDue && (!current.expiresAt || current.expiresAt > now)) {
+        return current.url;
+    }
+
+    try {
+        if (current?.id) {
+            // The old link is for a different balance; a payment on it would no longer be right
+            await cancelGatewayPaymentLink(current.id).catch(() => null);
+        }
+
+        const customer = invoice.customer || {};
+        const expiresAt = new Date(now.getTime() + PAYMENT_LINK_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+        const link = await createGatewayPaymentLink({
+            invoice,
+            amount: amountDue,
+            customer: {
+                name: `${customer.firstName || ''} ${customer.lastName || ''}`.trim() || invoice.customerSnapshot?.name,
+                phone: customer.phone || invoice.customerSnapshot?.phone,
+                email: customer.email || invoice.customerSnapshot?.email
+            },
+            expiresAt
+        });
+
+        invoice.paymentLink = {
+            id: link.id,
+            url: link.short_url,
+            amount: amountDue,
+            expiresAt,
+            createdAt: now
+        };
+        return link.short_url;
+    } catch (err) {
+        console.error(`[Dunning] Payment link failed for invoice ${invoice.invoiceNumber}:`, err.error?.description || err.message);
+        return null;
+    }
+};
+
+/**
+ * Cancel the payment link of an invoice that no longer needs one (paid or cancelled)
+ * @param {Object} invoice - Invoice document
+ * @returns {Promise<void>}
+ */
+const closePaymentLink = async (invoice) => {
+    if (!invoice.paymentLink?.id) return;
+
+    try {
+        await cancelGatewayPaymentLink(invoice.paymentLink.id);
+    } catch (err) {
+        // Already paid, expired or cancelled
+    }
+    await Invoice.updateOne({ _id: invoice._id }, { $unset: { paymentLink: 1 } });
+};
+
+/**
+ * Flip unpaid invoices of a business whose due date has passed to overdue
+ * @param {Object} business - Business (lean) with settings
+ * @param {Date} now - Current instant
+ * @returns {Promise<number>} - Invoices marked overdue
+ */
+const markOverdueInvoices = async (business, now = new Date()) => {
+    // Due today is not overdue until the business-local day is over
+    const { start: startOfToday } = getZonedDayBounds(now, getBusinessTimezone(business));
+
+    const result = await Invoice.updateMany(
+        {
+            business: business._id,
+            invoiceType: { $in: DUNNABLE_TYPES },
+            dueDate: { $lt: startOfToday },
+            paymentStatus: { $in: ['unpaid', 'partial'] },
+            // Drafts have not been issued to the customer yet
+            status: { $nin: ['draft', 'cancelled', 'paid'] }
+        },
+        { $set: { paymentStatus: 'overdue', status: 'overdue' } }
+    );
+
+    return result.modifiedCount || 0;
+};
+
+/**
+ * Send due payment reminders for a single business
+ * @param {Object} business - Business (lean) with settings and name
+ * @param {Date} now - Current instant
+ * @returns {Promise<Object>} - { sent, failed }
+ */
+const processBusinessDunning = async (business, now = new Date()) => {
+    const stats = { sent: 0, failed: 0 };
+    const settings = getDunningSettings(business);
+    if (!settings.enabled || settings.channels.length === 0) return stats;
+
+    const timeZone = getBusinessTimezone(business);
+    const { start: startOfToday } = getZonedDayBounds(now, timeZone);
+
+    const invoices = await Invoice.find({
+        business: business._id,
+        invoiceType: { $in: DUNNABLE_TYPES },
+        dueDate: { $lt: startOfToday },
+        paymentStatus: { $in: UNSETTLED_STATUSES },
+        status: { $nin: ['draft', 'cancelled'] }
+    }).populate('customer', 'firstName lastName phone email');
+
+    for (const invoice of invoices) {
+        try {
+            const amountDue = round2(invoice.balanceDue);
+            if (amountDue <= 0) continue;
+
+            const daysOverdue = getDaysOverdue(invoice.dueDate, timeZone, now);
+            const lastStage = (invoice.reminderLog || []).reduce((max, entry) => Math.max(max, entry.stage || 0), 0);
+            const stage = getDueStage(settings.reminderDays, daysOverdue, lastStage);
+            if (stage === null) continue;
+
+            const paymentUrl = settings.includePaymentLink ? await ensurePaymentLink(invoice, amountDue, now) : null;
+            const wording = getReminderWording(stage, settings.reminderDays.length, {
+                invoiceNumber: invoice.invoiceNumber,
+                daysOverdue
+            });
+
+            // Current contact details, falling back to those on the invoice
+            const customer = {
+                phone: invoice.customer?.phone || invoice.customerSnapshot?.phone,
+                email: invoice.customer?.email || invoice.customerSnapshot?.email
+            };
+            const data = {
+                customerName: invoice.customerSnapshot?.name || `${invoice.customer?.firstName || ''} ${invoice.customer?.lastName || ''}`.trim(),
+                businessName: business.name,
+                invoiceNumber: invoice.invoiceNumber,
+                amountDue: `₹${amountDue.toFixed(2)}`,
+                dueDate: new Date(invoice.dueDate).toLocaleDateString('en-IN', {
+                    year: 'numeric', month: 'short', day: 'numeric', timeZone
+                }),
+                daysOverdue,
+                reminderHeading: wording.heading,
+                reminderMessage: wording.message,
+                paymentText: paymentUrl
+                    ? `Pay securely online: ${paymentUrl}`
+                    : `Please contact ${business.name} to make the payment.`
+            };
+
+            const results = [];
+            for (const channel of settings.channels) {
+                const { sentAt, ...result } = await sendReminderOnChannel(channel, customer, data, 'invoice_payment_reminder');
+                results.push(result);
+            }
+
+            // Logged even when nothing was delivered so the stage is not retried every hour
+            invoice.reminderLog.push({
+                stage,
+                daysOverdue,
+                amountDue,
+                paymentLinkUrl: paymentUrl || undefined,
+                channels: results,
+                sentAt: now
+            });
+            invoice.remindersSent = (invoice.remindersSent || 0) + 1;
+            invoice.lastReminderDate = now;
+            await invoice.save();
+
+            if (results.some(r => r.status === 'sent')) {
+                stats.sent++;
+            } else {
+                stats.failed++;
+            }
+        } catch (err) {
+            console.error(`[Dunning] Error processing invoice ${invoice._id}:`, err.message);
+            stats.failed++;
+        }
+    }
+
+    return stats;
+};
+
+/**
+ * Mark overdue invoices and send due payment reminders across businesses
+ */
+const processInvoiceDunning = async () => {
+    if (isProcessing) {
+        console.log('[Dunning] Previous run still in progress, skipping');
+        return { success: true, skipped: true };
+    }
+
+    isProcessing = true;
+    const totals = { businesses: 0, markedOverdue: 0, sent: 0, failed: 0 };
+
+    try {
+        const businesses = await Business.find({ isActive: true })
+            .select('name settings')
+            .lean();
+
+        const now = new Date();
+        for (const business of businesses) {
+            try {
+                totals.markedOverdue += await markOverdueInvoices(business, now);
+
+                const stats = await processBusinessDunning(business, now);
+                totals.businesses++;
+                totals.sent += stats.sent;
+                totals.failed += stats.failed;
+            } catch (err) {
+                console.error(`[Dunning] Error processing business ${business._id}:`, err.message);
+            }
+        }
+
+        if (totals.markedOverdue || totals.sent || totals.failed) {
+            console.log(`[Dunning] Run completed. Marked overdue: ${totals.markedOverdue}, Reminders sent: ${totals.sent}, Failed: ${totals.failed}`);
+        }
+
+        return { success: true, ...totals };
+    } catch (err) {
+        console.error('[Dunning] Fatal error:', err);
+        return { success: false, error: err.message };
+    } finally {
+        isProcessing = false;
+    }
+};
+
+/**
+ * Start the dunning scheduler
+ * Must only run in a single process (the cluster master) so reminders are not sent twice
+ */
+const startDunningScheduler = () => {
+    console.log('[Dunning] Starting scheduler...');
+
+    setInterval(processInvoiceDunning, DUNNING_INTERVAL_MS);
+
+    // Initial run on startup (after 90 seconds to allow DB connection)
+    setTimeout(processInvoiceDunning, 90000);
+
+    console.log('[Dunning] Scheduler started successfully');
+};
+
+module.exports = {
+    DEFAULT_REMINDER_DAYS,
+    MAX_DUNNING_REMINDERS,
+    getDunningSettings,
+    getDaysOverdue,
+    getDueStage,
+    getReminderWording,
+    closePaymentLink,
+    markOverdueInvoices,
+    processBusinessDunning,
+    processInvoiceDunning,
+    startDunningScheduler
+};
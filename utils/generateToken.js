@@ -5,6 +5,12 @@ const ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET || 'access-secret';
 const REFRESH_TOKEN_SECRET = process.env.REFRESH_TOKEN_SECRET || 'refresh-secret';
 const ACCESS_TOKEN_EXPIRES = process.env.ACCESS_TOKEN_EXPIRES || '7d'; // 7 days for better UX
 const REFRESH_TOKEN_EXPIRES = process.env.REFRESH_TOKEN_EXPIRES || '30d'; // for reference
+const PASSWORD_RESET_SECRET = process.env.PASSWORD_RESET_SECRET || 'password-reset-secret';
+const PASSWORD_RESET_EXPIRES = process.env.PASSWORD_RESET_EXPIRES || '30m';
+const EMAIL_VERIFICATION_SECRET = process.env.EMAIL_VERIFICATION_SECRET || 'email-verification-secret';
+const EMAIL_VERIFICATION_EXPIRES = process.env.EMAIL_VERIFICATION_EXPIRES || '24h';
+const TWO_FACTOR_TOKEN_SECRET = process.env.TWO_FACTOR_TOKEN_SECRET || 'two-factor-secret';
+const TWO_FACTOR_TOKEN_EXPIRES = process.env.TWO_FACTOR_TOKEN_EXPIRES || '5m';
 
 // Create JWT access token with payload
 const createAccessToken = (payload) => {
@@ -18,9 +24,8 @@ const verifyAccessToken = (token) => {
 
 // Create refresh token as an opaque token (UUID) signed with secret so we can verify it
  const createRefreshToken = (payload) => {
-    // sign a token with uuid inside to make it unlinkable to payload
-    const tokenId = uuidv4();
-    return jwt.sign({ ...payload, tid: tokenId }, REFRESH_TOKEN_SECRET, { expiresIn: REFRESH_TOKEN_EXPIRES });
+    // A random jti makes every token unique, even two issued for the same session in the same second
+    return jwt.sign(payload, REFRESH_TOKEN_SECRET, { expiresIn: REFRESH_TOKEN_EXPIRES, jwtid: uuidv4() });
 }
 
 // Verify refresh token
@@ -28,9 +33,58 @@ const verifyRefreshToken = (token) => {
     return jwt.verify(token, REFRESH_TOKEN_SECRET);
 }
 
+// Password reset token; signed with the current password hash so it stops working once the password changes
+const createPasswordResetToken = (admin) => {
+    return jwt.sign({ id: String(admin._id), purpose: 'password_reset' }, PASSWORD_RESET_SECRET + admin.password, { expiresIn: PASSWORD_RESET_EXPIRES });
+}
+
+// Admin id a reset token claims, read before loading the admin whose password hash verifies it
+const decodePasswordResetToken = (token) => {
+    const decoded = jwt.decode(token);
+    return decoded && decoded.purpose === 'password_reset' ? decoded.id : null;
+}
+
+// Verify password reset token against the admin's current password hash or throw
+const verifyPasswordResetToken = (token, passwordHash) => {
+    const decoded = jwt.verify(token, PASSWORD_RESET_SECRET + passwordHash);
+    if (decoded.purpose !== 'password_reset') throw new Error('Invalid token purpose');
+    return decoded;
+}
+
+// Email verification token bound to the address it was sent to
+const createEmailVerificationToken = (admin) => {
+    return jwt.sign({ id: String(admin._id), email: admin.email, purpose: 'email_verification' }, EMAIL_VERIFICATION_SECRET, { expiresIn: EMAIL_VERIFICATION_EXPIRES });
+}
+
+// Verify email verification token or throw
+const verifyEmailVerificationToken = (token) => {
+    const decoded = jwt.verify(token, EMAIL_VERIFICATION_SECRET);
+    if (decoded.purpose !== 'email_verification') throw new Error('Invalid token purpose');
+    return decoded;
+}
+
+// Short-lived token proving the password step of a two-factor login
+const createTwoFactorToken = (payload) => {
+    return jwt.sign({ ...payload, purpose: 'two_factor_login' }, TWO_FACTOR_TOKEN_SECRET, { expiresIn: TWO_FACTOR_TOKEN_EXPIRES });
+}
+
+// Verify two-factor login token or throw
+const verifyTwoFactorToken = (token) => {
+    const decoded = jwt.verify(token, TWO_FACTOR_TOKEN_SECRET);
+    if (decoded.purpose !== 'two_factor_login') throw new Error('Invalid token purpose');
+    return decoded;
+}
+
 module.exports = {
     createAccessToken,
     verifyAccessToken,
     createRefreshToken,
     verifyRefreshToken,
+    createPasswordResetToken,
+    decodePasswordResetToken,
+    verifyPasswordResetToken,
+    createEmailVerificationToken,
+    verifyEmailVerificationToken,
+    createTwoFactorToken,
+    verifyTwoFactorToken,
 };
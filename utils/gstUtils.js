@@ -0,0 +1,265 @@
+// gstUtils.js - GST helpers: GSTIN checks, place of supply, CGST/SGST/IGST split and tax summaries
+
+// GST state codes (first two digits of a GSTIN)
+const GST_STATE_CODES = {
+    '01': 'Jammu and Kashmir',
+    '02': 'Himachal Pradesh',
+    '03': 'Punjab',
+    '04': 'Chandigarh',
+    '05': 'Uttarakhand',
+    '06': 'Haryana',
+    '07': 'Delhi',
+    '08': 'Rajasthan',
+    '09': 'Uttar Pradesh',
+    '10': 'Bihar',
+    '11': 'Sikkim',
+    '12': 'Arunachal Pradesh',
+    '13': 'Nagaland',
+    '14': 'Manipur',
+    '15': 'Mizoram',
+    '16': 'Tripura',
+    '17': 'Meghalaya',
+    '18': 'Assam',
+    '19': 'West Bengal',
+    '20': 'Jharkhand',
+    '21': 'Odisha',
+    '22': 'Chhattisgarh',
+    '23': 'Madhya Pradesh',
+    '24': 'Gujarat',
+    '26': 'Dadra and Nagar Haveli and Daman and Diu',
+    '27': 'Maharashtra',
+    '29': 'Karnataka',
+    '30': 'Goa',
+    '31': 'Lakshadweep',
+    '32': 'Kerala',
+    '33': 'Tamil Nadu',
+    '34': 'Puducherry',
+    '35': 'Andaman and Nicobar Islands',
+    '36': 'Telangana',
+    '37': 'Andhra Pradesh',
+    '38': 'Ladakh',
+    '97': 'Other Territory'
+};
+
+// Older or informal names still found in addresses
+const STATE_ALIASES = {
+    'newdelhi': '07',
+    'nctofdelhi': '07',
+    'orissa': '21',
+    'uttaranchal': '05',
+    'pondicherry': '34',
+    'damananddiu': '26',
+    'dadraandnagarhaveli': '26',
+    'andamanandnicobar': '35'
+};
+
+// Rates a line can carry
+const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28, 40];
+
+const DEFAULT_GST_RATE = 18;
+// SAC heading for "other services", used when neither the service nor the business names a code
+const DEFAULT_SERVICE_SAC = '9997';
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const normalizeStateName = (name) => String(name || '').toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * Validate a GSTIN, including its check digit
+ * @param {string} gstin - GST identification number
+ * @returns {boolean}
+ */
+const isValidGstin = (gstin) => {
+    const value = String(gstin || '').trim().toUpperCase();
+    if (!GSTIN_PATTERN.test(value) || !GST_STATE_CODES[value.slice(0, 2)]) return false;
+
+    let sum = 0;
+    for (let i = 0; i < 14; i++) {
+        const product = GSTIN_CHARSET.indexOf(value[i]) * (i % 2 === 0 ? 1 : 2);
+        sum += Math.floor(product / 36) + (product % 36);
+    }
+    return GSTIN_CHARSET[(36 - (sum % 36)) % 36] === value[14];
+};
+
+/**
+ * GST state code for a state name, a two-digit code or a GSTIN
+ * @param {string} value - State name, code or GSTIN
+ * @returns {string|null} - Two-digit code
+ */
+const getStateCode = (value) => {
+    if (!value) return null;
+    const text = String(value).trim();
+
+    if (/^\d{1,2}$/.test(text)) {
+        const code = text.padStart(2, '0');
+        return GST_STATE_CODES[code] ? code : null;
+    }
+    if (/^\d{2}[A-Z]/i.test(text) && text.length === 15) {
+        return GST_STATE_CODES[text.slice(0, 2)] ? text.slice(0, 2) : null;
+    }
+
+    const normalized = normalizeStateName(text);
+    if (STATE_ALIASES[normalized]) return STATE_ALIASES[normalized];
+
+    const match = Object.entries(GST_STATE_CODES).find(([, name]) => normalizeStateName(name) === normalized);
+    return match ? match[0] : null;
+};
+
+/**
+ * State name for a GST state code
+ * @param {string} code - Two-digit code
+ * @returns {string|null}
+ */
+const getStateName = (code) => GST_STATE_CODES[code] || null;
+
+/**
+ * GST settings of a business, with defaults
+ * @param {Object} business - Business object
+ * @returns {Object} - { defaultRate, defaultSacCode, gstin, stateCode, state }
+ */
+const getBusinessGstSettings = (business) => {
+    const settings = business?.settings?.gstSettings || {};
+    const gstin = business?.registration?.gstNumber ? String(business.registration.gstNumber).trim().toUpperCase() : null;
+    const stateCode = (gstin && getStateCode(gstin)) || getStateCode(business?.state);
+
+    return {
+        defaultRate: typeof settings.defaultRate === 'number' ? settings.defaultRate : DEFAULT_GST_RATE,
+        defaultSacCode: settings.defaultSacCode || DEFAULT_SERVICE_SAC,
+        gstin,
+        stateCode,
+        state: stateCode ? getStateName(stateCode) : business?.state || null
+    };
+};
+
+/**
+ * Place of supply for an invoice
+ * Personal grooming, beauty and fitness services are supplied where they are performed
+ * (section 12(4) of the IGST Act), so the business's own state is the default. Goods delivered
+ * to another state can set the place of supply explicitly.
+ * @param {Object} business - Business object
+ * @param {string} [override] - State name or code given on the invoice
+ * @returns {Object|null} - { state, stateCode }, or null when the override is not a known state
+ */
+const resolvePlaceOfSupply = (business, override) => {
+    if (override) {
+        const code = getStateCode(override);
+        return code ? { state: getStateName(code), stateCode: code } : null;
+    }
+
+    const { stateCode, state } = getBusinessGstSettings(business);
+    return { state, stateCode };
+};
+
+/**
+ * GST on one taxable value
+ * Intra-state supplies split the rate equally into CGST and SGST; inter-state supplies carry IGST.
+ * @param {number} taxableValue - Value after discounts
+ * @param {number} rate - GST rate in percent
+ * @param {boolean} interState - Whether the supply is inter-state
+ * @returns {Object} - { cgst, sgst, igst, totalTax }
+ */
+const splitGst = (taxableValue, rate, interState) => {
+    if (interState) {
+        const igst = round2((taxableValue * rate) / 100);
+        return { cgst: 0, sgst: 0, igst, totalTax: igst };
+    }
+
+    const half = round2((taxableValue * rate) / 200);
+    return { cgst: half, sgst: half, igst: 0, totalTax: round2(half * 2) };
+};
+
+/**
+ * Per-rate tax summary of invoice lines
+ * @param {Array} items - Lines with { taxRate, taxableValue, cgst, sgst, igst }
+ * @returns {Array} - [{ taxRate, taxableValue, cgst, sgst, igst, totalTax }] by ascending rate
+ */
+const buildTaxSummary = (items) => {
+    const byRate = new Map();
+
+    items.forEach(item => {
+        const rate = Number(item.taxRate) || 0;
+        const row = byRate.get(rate) || { taxRate: rate, taxableValue: 0, cgst: 0, sgst: 0, igst: 0, totalTax: 0 };
+        row.taxableValue = round2(row.taxableValue + (item.taxableValue || 0));
+        row.cgst = round2(row.cgst + (item.cgst || 0));
+        row.sgst = round2(row.sgst + (item.sgst || 0));
+        row.igst = round2(row.igst + (item.igst || 0));
+        row.totalTax = round2(row.cgst + row.sgst + row.igst);
+        byRate.set(rate, row);
+    });
+
+    return [...byRate.values()].sort((a, b) => a.taxRate - b.taxRate);
+};
+
+/**
+ * Tax summary in the older taxBreakdown shape ({ taxName, taxRate, taxAmount })
+ * @param {Array} taxSummary - Output of buildTaxSummary
+ * @returns {Array}
+ */
+const toTaxBreakdown = (taxSummary) => taxSummary.flatMap(row => {
+    if (row.igst > 0) return [{ taxName: 'IGST', taxRate: row.taxRate, taxAmount: row.igst }];
+    if (row.cgst > 0 || row.sgst > 0) {
+        return [
+            { taxName: 'CGST', taxRate: row.taxRate / 2, taxAmount: row.cgst },
+            { taxName: 'SGST', taxRate: row.taxRate / 2, taxAmount: row.sgst }
+        ];
+    }
+    return [];
+});
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+    'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const twoDigitWords = (n) => (n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]}${n % 10 ? ` ${ONES[n % 10]}` : ''}`);
+
+const wholeNumberWords = (n) => {
+    if (n === 0) return 'Zero';
+
+    const parts = [];
+    const units = [['Crore', 10000000], ['Lakh', 100000], ['Thousand', 1000], ['Hundred', 100]];
+    let rest = n;
+    units.forEach(([label, size]) => {
+        if (rest >= size) {
+            const count = Math.floor(rest / size);
+            parts.push(`${count >= 100 ? wholeNumberWords(count) : twoDigitWords(count)} ${label}`);
+            rest %= size;
+        }
+    });
+    if (rest > 0) parts.push(twoDigitWords(rest));
+
+    return parts.join(' ');
+};
+
+/**
+ * Amount in words using the Indian numbering system, as printed on tax invoices
+ * @param {number} amount - Amount in rupees
+ * @returns {string} - e.g. "Rupees One Lakh Twenty Thousand and Fifty Paise Only"
+ */
+const amountInWords = (amount) => {
+    const paiseTotal = Math.round(Math.abs(Number(amount) || 0) * 100);
+    const rupees = Math.floor(paiseTotal / 100);
+    const paise = paiseTotal % 100;
+
+    let words = `Rupees ${wholeNumberWords(rupees)}`;
+    if (paise > 0) words += ` and ${twoDigitWords(paise)} Paise`;
+    return `${words} Only`;
+};
+
+module.exports = {
+    GST_STATE_CODES,
+    GST_RATES,
+    DEFAULT_GST_RATE,
+    DEFAULT_SERVICE_SAC,
+    round2,
+    isValidGstin,
+    getStateCode,
+    getStateName,
+    getBusinessGstSettings,
+    resolvePlaceOfSupply,
+    splitGst,
+    buildTaxSummary,
+    toTaxBreakdown,
+    amountInWords
+};
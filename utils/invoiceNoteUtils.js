@@ -0,0 +1,199 @@
+// invoiceNoteUtils.js - Credit and debit notes raised against lines of an invoice
+const Invoice = require("../models/Invoice");
+const { round2, splitGst, buildTaxSummary, toTaxBreakdown } = require("./gstUtils");
+
+const NOTE_TYPES = ['credit_note', 'debit_note'];
+
+// Aggregation: invoice total as it counts towards revenue (credit notes reduce it)
+const signedTotalExpression = {
+    $cond: [{ $eq: ['$invoiceType', 'credit_note'] }, { $multiply: ['$total', -1] }, '$total']
+};
+
+// Aggregation: amount still owed on an invoice after its notes and payments
+// Notes carry no balance of their own: they move the parent's
+const outstandingExpression = {
+    $cond: [
+        { $in: ['$invoiceType', NOTE_TYPES] },
+        0,
+        {
+            $subtract: [
+                { $add: ['$total', { $ifNull: ['$debitNoteTotal', 0] }] },
+                { $add: ['$paidAmount', { $ifNull: ['$creditNoteTotal', 0] }] }
+            ]
+        }
+    ]
+};
+
+/**
+ * Taxable value of an invoice line after discounts
+ * @param {Object} line - Invoice item
+ * @returns {number}
+ */
+const getLineTaxableValue = (line) => {
+    if (typeof line.taxableValue === 'number') return line.taxableValue;
+    return round2(Math.max(line.price * line.quantity - (line.discount || 0), 0));
+};
+
+/**
+ * Taxable value already credited per parent line
+ * @param {Array} creditNotes - Active credit notes of the parent invoice
+ * @returns {Map} - parent item id -> credited taxable value
+ */
+const getCreditedByLine = (creditNotes) => {
+    const credited = new Map();
+    creditNotes.forEach(note => {
+        note.items.forEach(item => {
+            if (!item.parentItem) return;
+            const key = item.parentItem.toString();
+            credited.set(key, round2((credited.get(key) || 0) + (item.taxableValue || 0)));
+        });
+    });
+    return credited;
+};
+
+/**
+ * Build the lines of a credit or debit note from selected parent lines
+ * Each selection names a parent line and either a quantity (at the line's unit value after
+ * discount) or an amount (taxable value, for price corrections). Tax uses the parent line's
+ * rate and the parent's supply type. A credit note cannot credit more than a line's value
+ * minus what earlier credit notes already credited.
+ * @param {Object} parent - Parent invoice
+ * @param {Array} selections - [{ itemId, quantity, amount }]
+ * @param {string} noteType - 'credit_note' or 'debit_note'
+ * @param {Map} creditedByLine - Output of getCreditedByLine
+ * @returns {Object} - { items } or { error }
+ */
+const buildNoteItems = (parent, selections, noteType, creditedByLine = new Map()) => {
+    const interState = parent.supplyType === 'inter_state';
+    const items = [];
+    // Includes lines already credited earlier in this note, so repeating a line cannot over-credit it
+    const credited = new Map(creditedByLine);
+
+    for (const selection of selections) {
+        const line = selection.itemId ? parent.items.id(selection.itemId) : null;
+        if (!line) {
+            return { error: `Invoice line ${selection.itemId} not found` };
+        }
+
+        const lineTaxable = getLineTaxableValue(line);
+        const unitValue = round2(lineTaxable / line.quantity);
+        const hasAmount = selection.amount !== undefined && selection.amount !== null;
+
+        let quantity;
+        let taxableValue;
+        if (hasAmount) {
+            taxableValue = round2(Number(selection.amount));
+            quantity = 1;
+            if (!(taxableValue > 0)) {
+                return { error: `Amount for "${line.name}" must be greater than 0` };
+            }
+        } else {
+            quantity = selection.quantity !== undefined ? Number(selection.quantity) : line.quantity;
+            if (!Number.isInteger(quantity) || quantity < 1) {
+                return { error: `Quantity for "${line.name}" must be a whole number of at least 1` };
+            }
+            if (noteType === 'credit_note' && quantity > line.quantity) {
+                return { error: `Cannot credit more than ${line.quantity} of "${line.name}"` };
+            }
+            // Crediting the whole line returns its exact value, avoiding rounding drift
+            taxableValue = noteType === 'credit_note' && quantity === line.quantity
+                ? lineTaxable
+                : round2(unitValue * quantity);
+        }
+
+        if (noteType === 'credit_note') {
+            const key = line._id.toString();
+            const alreadyCredited = credited.get(key) || 0;
+            const remaining = round2(lineTaxable - alreadyCredited);
+            if (taxableValue > remaining) {
+                return { error: `Only ${remaining.toFixed(2)} of "${line.name}" is left to credit` };
+            }
+            credited.set(key, round2(alreadyCredited + taxableValue));
+        }
+
+        const taxRate = typeof line.taxRate === 'number' ? line.taxRate : (parent.taxRate || 0);
+        const gst = splitGst(taxableValue, taxRate, interState);
+
+        items.push({
+            itemType: line.itemType,
+            service: line.service,
+            product: line.product,
+            parentItem: line._id,
+            name: line.name,
+            description: selection.reason || line.description,
+            hsnSacCode: line.hsnSacCode,
+            quantity,
+            price: hasAmount ? taxableValue : unitValue,
+            discount: 0,
+            taxRate,
+            taxableValue,
+            cgst: gst.cgst,
+            sgst: gst.sgst,
+            igst: gst.igst,
+            tax: gst.totalTax,
+            total: round2(taxableValue + gst.totalTax)
+        });
+    }
+
+    return { items };
+};
+
+/**
+ * Totals and tax fields of a note from its lines
+ * @param {Array} items - Output of buildNoteItems
+ * @returns {Object}
+ */
+const summarizeNoteItems = (items) => {
+    const taxSummary = buildTaxSummary(items);
+    const sum = (field) => round2(items.reduce((total, item) => total + (item[field] || 0), 0));
+
+    return {
+        subtotal: sum('taxableValue'),
+        discountTotal: 0,
+        taxTotal: sum('tax'),
+        total: sum('total'),
+        cgstTotal: sum('cgst'),
+        sgstTotal: sum('sgst'),
+        igstTotal: sum('igst'),
+        taxSummary,
+        taxBreakdown: toTaxBreakdown(taxSummary)
+    };
+};
+
+/**
+ * Credit and debit note totals per business and day, for report exports
+ * @param {Object} match - Extra $match conditions (business, invoiceDate)
+ * @param {Object|string} timezone - $dateToString timezone (name or expression)
+ * @returns {Promise<Map>} - "businessId:YYYY-MM-DD" -> { creditNotes, debitNotes }
+ */
+const getNoteTotalsByDay = async (match, timezone) => {
+    const rows = await Invoice.aggregate([
+        { $match: { ...match, invoiceType: { $in: NOTE_TYPES }, status: { $ne: 'cancelled' } } },
+        {
+            $group: {
+                _id: {
+                    business: '$business',
+                    date: { $dateToString: { format: '%Y-%m-%d', date: '$invoiceDate', timezone } }
+                },
+                creditNotes: { $sum: { $cond: [{ $eq: ['$invoiceType', 'credit_note'] }, '$total', 0] } },
+                debitNotes: { $sum: { $cond: [{ $eq: ['$invoiceType', 'debit_note'] }, '$total', 0] } }
+            }
+        }
+    ]);
+
+    return new Map(rows.map(row => [
+        `${row._id.business}:${row._id.date}`,
+        { creditNotes: round2(row.creditNotes), debitNotes: round2(row.debitNotes) }
+    ]));
+};
+
+module.exports = {
+    NOTE_TYPES,
+    signedTotalExpression,
+    outstandingExpression,
+    getLineTaxableValue,
+    getCreditedByLine,
+    buildNoteItems,
+    summarizeNoteItems,
+    getNoteTotalsByDay
+};
@@ -0,0 +1,219 @@
+// invoicePdf.js - Render a GST tax invoice with pdfkit
+const { amountInWords, getStateName } = require("./gstUtils");
+
+const LEFT = 50;
+const RIGHT = 550;
+const PAGE_BOTTOM = 700;
+
+// Item table columns: [label, x, width, align]
+const ITEM_COLUMNS = [
+    ['Description', 50, 150, 'left'],
+    ['HSN/SAC', 200, 50, 'left'],
+    ['Qty', 250, 30, 'right'],
+    ['Rate', 280, 55, 'right'],
+    ['Taxable', 335, 60, 'right'],
+    ['GST %', 395, 35, 'right'],
+    ['Tax', 430, 55, 'right'],
+    ['Amount', 485, 65, 'right']
+];
+
+const formatAmount = (value) => `Rs. ${(Number(value) || 0).toFixed(2)}`;
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-IN') : '');
+
+const formatAddress = (address) => {
+    if (!address) return '';
+    if (typeof address === 'string') return address;
+    return [address.street, address.city, address.state, address.zipCode].filter(Boolean).join(', ');
+};
+
+/**
+ * Document title for an invoice
+ * @param {Object} invoice - Invoice object
+ * @returns {string}
+ */
+const getDocumentTitle = (invoice) => {
+    if (invoice.invoiceType === 'credit_note') return 'CREDIT NOTE';
+    if (invoice.invoiceType === 'debit_note') return 'DEBIT NOTE';
+    if (invoice.invoiceType === 'proforma') return 'PROFORMA INVOICE';
+    return invoice.businessSnapshot?.gstNumber ? 'TAX INVOICE' : 'INVOICE';
+};
+
+const ensureSpace = (doc, y, needed) => {
+    if (y + needed <= PAGE_BOTTOM) return y;
+    doc.addPage();
+    return 50;
+};
+
+const drawRow = (doc, y, values, columns) => {
+    columns.forEach(([, x, width, align], index) => {
+        doc.text(values[index] ?? '', x, y, { width, align });
+    });
+};
+
+/**
+ * Write an invoice onto a pdfkit document
+ * Business and customer details come from the snapshots taken when the invoice was raised.
+ * @param {PDFDocument} doc - pdfkit document (already piped)
+ * @param {Object} invoice - Invoice object
+ * @param {Object} [options] - { parentInvoiceNumber } for credit/debit notes
+ */
+const renderInvoicePdf = (doc, invoice, options = {}) => {
+    const seller = invoice.businessSnapshot || {};
+    const buyer = invoice.customerSnapshot || {};
+    const interState = invoice.supplyType === 'inter_state';
+
+    // 1. Header
+    doc.fontSize(20).font('Helvetica-Bold').text(getDocumentTitle(invoice), { align: 'right' });
+    doc.fontSize(10).font('Helvetica').text(`No: ${invoice.invoiceNumber}`, { align: 'right' });
+    doc.text(`Date: ${formatDate(invoice.invoiceDate)}`, { align: 'right' });
+    if (options.parentInvoiceNumber) {
+        doc.text(`Against Invoice: ${options.parentInvoiceNumber}`, { align: 'right' });
+    }
+    if (invoice.dueDate) {
+        doc.text(`Due Date: ${formatDate(invoice.dueDate)}`, { align: 'right' });
+    }
+
+    doc.moveDown();
+
+    // 2. Supplier
+    doc.fontSize(14).font('Helvetica-Bold').text(seller.name || '', LEFT);
+    doc.fontSize(10).font('Helvetica').text(formatAddress(seller.address));
+    if (seller.phone) doc.text(`Phone: ${seller.phone}`);
+    if (seller.email) doc.text(`Email: ${seller.email}`);
+    if (seller.gstNumber) doc.text(`GSTIN: ${seller.gstNumber}`);
+    if (seller.panNumber) doc.text(`PAN: ${seller.panNumber}`);
+    if (seller.state) doc.text(`State: ${seller.state}${seller.stateCode ? ` (${seller.stateCode})` : ''}`);
+
+    doc.moveDown();
+
+    // 3. Recipient and place of supply
+    doc.fontSize(12).font('Helvetica-Bold').text('Bill To:');
+    doc.fontSize(10).font('Helvetica').text(buyer.name || '');
+    const buyerAddress = formatAddress(buyer.address);
+    if (buyerAddress) doc.text(buyerAddress);
+    if (buyer.phone) doc.text(buyer.phone);
+    if (buyer.email) doc.text(buyer.email);
+    if (buyer.gstNumber) doc.text(`GSTIN: ${buyer.gstNumber}`);
+
+    const supplyState = invoice.placeOfSupply?.state || getStateName(invoice.placeOfSupply?.stateCode);
+    if (supplyState) {
+        doc.moveDown(0.5);
+        doc.text(`Place of Supply: ${supplyState}${invoice.placeOfSupply?.stateCode ? ` (${invoice.placeOfSupply.stateCode})` : ''}`);
+    }
+
+    doc.moveDown();
+
+    // 4. Items
+    let y = doc.y;
+    doc.fontSize(9).font('Helvetica-Bold');
+    drawRow(doc, y, ITEM_COLUMNS.map(([label]) => label), ITEM_COLUMNS);
+    doc.moveTo(LEFT, y + 13).lineTo(RIGHT, y + 13).stroke();
+    y += 20;
+
+    doc.font('Helvetica');
+    (invoice.items || []).forEach(item => {
+        y = ensureSpace(doc, y, 20);
+        const taxableValue = item.taxableValue ?? (item.price * item.quantity - (item.discount || 0));
+        drawRow(doc, y, [
+            item.name,
+            item.hsnSacCode || '',
+            String(item.quantity),
+            (Number(item.price) || 0).toFixed(2),
+            (Number(taxableValue) || 0).toFixed(2),
+            item.taxRate !== undefined && item.taxRate !== null ? `${item.taxRate}%` : '',
+            (Number(item.tax) || 0).toFixed(2),
+            (Number(item.total) || 0).toFixed(2)
+        ], ITEM_COLUMNS);
+        y += Math.max(15, doc.heightOfString(item.name || '', { width: ITEM_COLUMNS[0][2] }) + 5);
+    });
+
+    doc.moveTo(LEFT, y).lineTo(RIGHT, y).stroke();
+    y += 10;
+
+    // 5. Tax summary per rate
+    if (invoice.taxSummary && invoice.taxSummary.length > 0) {
+        const summaryColumns = interState
+            ? [['GST Rate', 50, 80, 'left'], ['Taxable Value', 130, 100, 'right'], ['IGST', 230, 100, 'right'], ['Total Tax', 330, 100, 'right']]
+            : [['GST Rate', 50, 80, 'left'], ['Taxable Value', 130, 100, 'right'], ['CGST', 230, 80, 'right'], ['SGST', 310, 80, 'right'], ['Total Tax', 390, 100, 'right']];
+
+        y = ensureSpace(doc, y, 30 + invoice.taxSummary.length * 15);
+        doc.font('Helvetica-Bold');
+        drawRow(doc, y, summaryColumns.map(([label]) => label), summaryColumns);
+        y += 15;
+
+        doc.font('Helvetica');
+        invoice.taxSummary.forEach(row => {
+            const values = interState
+                ? [`${row.taxRate}%`, row.taxableValue.toFixed(2), row.igst.toFixed(2), row.totalTax.toFixed(2)]
+                : [`${row.taxRate}%`, row.taxableValue.toFixed(2), row.cgst.toFixed(2), row.sgst.toFixed(2), row.totalTax.toFixed(2)];
+            drawRow(doc, y, values, summaryColumns);
+            y += 15;
+        });
+        y += 10;
+    }
+
+    // 6. Totals
+    const totals = [
+        ['Subtotal', invoice.subtotal],
+        ['Discount', invoice.discountTotal ? -invoice.discountTotal : 0]
+    ];
+    if (interState) {
+        totals.push(['IGST', invoice.igstTotal]);
+    } else if (invoice.cgstTotal || invoice.sgstTotal) {
+        totals.push(['CGST', invoice.cgstTotal], ['SGST', invoice.sgstTotal]);
+    } else {
+        totals.push(['Tax', invoice.taxTotal]);
+    }
+    if (invoice.adjustmentAmount) {
+        totals.push([invoice.adjustmentReason || 'Adjustment', invoice.adjustmentAmount]);
+    }
+
+    y = ensureSpace(doc, y, 40 + totals.length * 15);
+    doc.fontSize(10).font('Helvetica');
+    totals.forEach(([label, value]) => {
+        doc.text(label, 330, y, { width: 100, align: 'right' });
+        doc.text(formatAmount(value), 430, y, { width: 120, align: 'right' });
+        y += 15;
+    });
+
+    doc.font('Helvetica-Bold');
+    doc.text('Total', 330, y, { width: 100, align: 'right' });
+    doc.text(formatAmount(invoice.total), 430, y, { width: 120, align: 'right' });
+    y += 20;
+
+    doc.font('Helvetica').fontSize(9).text(`Amount in words: ${amountInWords(invoice.total)}`, LEFT, y, { width: RIGHT - LEFT });
+    y = doc.y + 10;
+
+    // 7. Payment status
+    if (!invoice.invoiceType || invoice.invoiceType === 'regular') {
+        const balance = (invoice.total || 0) - (invoice.paidAmount || 0);
+        doc.fontSize(10);
+        doc.text(`Paid: ${formatAmount(invoice.paidAmount)}`, LEFT, y);
+        if (balance > 0) {
+            doc.fillColor('red').text(`Balance Due: ${formatAmount(balance)}`);
+            doc.fillColor('black');
+        }
+    }
+
+    if (invoice.noteReason) {
+        doc.moveDown();
+        doc.fontSize(9).text(`Reason: ${invoice.noteReason}`, LEFT);
+    }
+    if (invoice.notes) {
+        doc.moveDown();
+        doc.fontSize(9).text(`Notes: ${invoice.notes}`, LEFT);
+    }
+    if (invoice.termsAndConditions) {
+        doc.moveDown(0.5);
+        doc.fontSize(8).text(invoice.termsAndConditions, LEFT);
+    }
+
+    // Footer
+    doc.moveDown(3);
+    doc.fontSize(8).text('This is a computer generated document and does not require a signature.', LEFT, doc.y, { align: 'center', width: RIGHT - LEFT });
+};
+
+module.exports = {
+    getDocumentTitle,
+    renderInvoicePdf
+};
@@ -0,0 +1,147 @@
+// numberingUtils.js - Gapless document numbers per business and financial year (e.g. SPA-BLR/2026-27/00042)
+const mongoose = require("mongoose");
+const Counter = require("../models/Counter");
+const { getBusinessTimezone, getZonedParts } = require("./timezoneUtils");
+
+// Number series and the business setting holding each prefix
+const NUMBER_SERIES = {
+    invoice: { setting: 'invoicePrefix', defaultPrefix: 'INV' },
+    credit_note: { setting: 'creditNotePrefix', defaultPrefix: 'CN' },
+    debit_note: { setting: 'debitNotePrefix', defaultPrefix: 'DN' },
+    booking: { setting: 'bookingPrefix', defaultPrefix: 'BK' }
+};
+
+const DEFAULT_PADDING = 5;
+// "/" separates prefix, financial year and sequence, so prefixes cannot contain it
+const PREFIX_PATTERN = /^[A-Za-z0-9][A-Za-z0-9-]{0,15}$/;
+
+/**
+ * Indian financial year (April to March) of a date in a timezone
+ * @param {Date} date - Date
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} - e.g. "2026-27"
+ */
+const getFinancialYear = (date, timeZone) => {
+    const { year, month } = getZonedParts(date, timeZone);
+    const startYear = month >= 4 ? year : year - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Numbering settings of a business, with defaults
+ * @param {Object} business - Business object
+ * @returns {Object} - { prefixes: { invoice, credit_note, debit_note, booking }, padding }
+ */
+const getNumberingSettings = (business) => {
+    const settings = business?.settings?.numberingSettings || {};
+    const prefixes = {};
+    Object.entries(NUMBER_SERIES).forEach(([series, { setting, defaultPrefix }]) => {
+        prefixes[series] = settings[setting] || defaultPrefix;
+    });
+
+    return {
+        prefixes,
+        padding: Number.isInteger(settings.padding) ? settings.padding : DEFAULT_PADDING
+    };
+};
+
+/**
+ * Format a document number
+ * @param {string} prefix - Series prefix
+ * @param {string} financialYear - e.g. "2026-27"
+ * @param {number} seq - Sequence number
+ * @param {number} padding - Minimum digits
+ * @returns {string} - e.g. "SPA-BLR/2026-27/00042"
+ */
+const formatDocumentNumber = (prefix, financialYear, seq, padding = DEFAULT_PADDING) =>
+    `${prefix}/${financialYear}/${String(seq).padStart(padding, '0')}`;
+
+/**
+ * Take the next number of a sequence
+ * A single atomic $inc, so concurrent requests across cluster workers never share a number.
+ * @param {string} businessId - Business ID
+ * @param {string} series - Series key
+ * @param {string} financialYear - e.g. "2026-27"
+ * @returns {Promise<number>}
+ */
+const nextSequence = async (businessId, series, financialYear) => {
+    const filter = { business: businessId, series, financialYear };
+    const update = { $inc: { seq: 1 } };
+
+    try {
+        const counter = await Counter.findOneAndUpdate(filter, update, { new: true, upsert: true });
+        return counter.seq;
+    } catch (err) {
+        // Two workers creating the year's first counter at once: one upsert loses, the counter now exists
+        if (err.code !== 11000) throw err;
+        const counter = await Counter.findOneAndUpdate(filter, update, { new: true });
+        return counter.seq;
+    }
+};
+
+/**
+ * Generate the next document number of a business
+ * Callers take the number only once the document has passed validation (pre-save), so
+ * numbers are not burnt by rejected input.
+ * @param {string} businessId - Business ID
+ * @param {string} series - 'invoice', 'credit_note', 'debit_note' or 'booking'
+ * @param {Date} [date] - Document date (decides the financial year)
+ * @returns {Promise<string>}
+ */
+const generateDocumentNumber = async (businessId, series, date = new Date()) => {
+    if (!NUMBER_SERIES[series]) {
+        throw new Error(`Unknown number series: ${series}`);
+    }
+
+    const business = await mongoose.model('Business')
+        .findById(businessId)
+        .select('settings.numberingSettings settings.timezone')
+        .lean();
+
+    const { prefixes, padding } = getNumberingSettings(business);
+    const financialYear = getFinancialYear(date, getBusinessTimezone(business));
+    const seq = await nextSequence(businessId, series, financialYear);
+
+    return formatDocumentNumber(prefixes[series], financialYear, seq, padding);
+};
+
+/**
+ * Replace the old globally unique invoice/booking number indexes
+ * Numbers are now unique per business (two businesses may both have INV/2026-27/00001).
+ * Safe to run on every start; only the cluster master calls it.
+ */
+const dropLegacyNumberIndexes = async () => {
+    const legacy = [
+        ['Invoice', 'invoiceNumber_1'],
+        ['Appointment', 'bookingNumber_1']
+    ];
+
+    for (const [modelName, indexName] of legacy) {
+        try {
+            const Model = mongoose.model(modelName);
+            const indexes = await Model.collection.indexes();
+            const index = indexes.find(i => i.name === indexName);
+            if (!index || !index.unique) continue;
+
+            await Model.collection.dropIndex(indexName);
+            // Workers may have tried to build the new indexes while the old one was in the way
+            await Model.createIndexes();
+            console.log(`[Numbering] Replaced legacy unique index ${modelName}.${indexName}`);
+        } catch (err) {
+            // A collection that does not exist yet has no legacy index
+            if (err.codeName !== 'NamespaceNotFound') {
+                console.error(`[Numbering] Could not replace ${modelName}.${indexName}:`, err.message);
+            }
+        }
+    }
+};
+
+module.exports = {
+    NUMBER_SERIES,
+    PREFIX_PATTERN,
+    getFinancialYear,
+    getNumberingSettings,
+    formatDocumentNumber,
+    generateDocumentNumber,
+    dropLegacyNumberIndexes
+};
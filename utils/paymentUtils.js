@@ -0,0 +1,647 @@
+// paymentUtils.js - Razorpay webhook verification, event handling and payment reconciliation
+const crypto = require("crypto");
+const Appointment = require("../models/Appointment");
+const Invoice = require("../models/Invoice");
+const Transaction = require("../models/Transaction");
+const PaymentOrder = require("../models/PaymentOrder");
+const PaymentEvent = require("../models/PaymentEvent");
+
+// Events the webhook acts on; anything else is logged and ignored
+const HANDLED_EVENTS = ['payment.captured', 'payment.failed', 'refund.processed', 'payment_link.paid'];
+
+// Invoice.payments accepts these methods; other Razorpay methods (emi, paylater, ...) map to 'other'
+const INVOICE_PAYMENT_METHODS = ['card', 'upi', 'netbanking', 'wallet'];
+
+/**
+ * Convert a gateway amount (paise) to rupees
+ * @param {number} paise - Amount in paise
+ * @returns {number}
+ */
+const toRupees = (paise) => Math.round(Number(paise) || 0) / 100;
+
+/**
+ * Sign a raw webhook body the way Razorpay does (HMAC-SHA256, hex)
+ * Also used to build signed fixture payloads when testing the webhook.
+ * @param {Buffer|string} rawBody - Exact request body
+ * @param {string} secret - Webhook secret
+ * @returns {string}
+ */
+const signWebhookPayload = (rawBody, secret) => crypto
+    .createHmac('sha256', secret)
+    .update(rawBody)
+    .digest('hex');
+
+/**
+ * Check the x-razorpay-signature header against the raw body
+ * @param {Buffer|string} rawBody - Exact request body
+ * @param {string} signature - Signature header
+ * @param {string} secret - Webhook secret
+ * @returns {boolean}
+ */
+const verifyWebhookSignature = (rawBody, signature, secret) => {
+    if (!rawBody || !signature || !secret) return false;
+
+    const expected = Buffer.from(signWebhookPayload(rawBody, secret), 'utf8');
+    const received = Buffer.from(String(signature), 'utf8');
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Pull the payment, refund and payment link entities out of a webhook body
+ * @param {Object} body - Parsed webhook body
+ * @returns {Object} - { payment, refund, paymentLink }
+ */
+const getEventEntities = (body) => ({
+    payment: body?.payload?.payment?.entity || null,
+    refund: body?.payload?.refund?.entity || null,
+    paymentLink: body?.payload?.payment_link?.entity || null
+});
+
+/**
+ * Idempotency key for an event
+ * Razorpay sends x-razorpay-event-id; without it, fall back to the event name and entity id.
+ * @param {Object} body - Parsed webhook body
+ * @param {string} headerEventId - x-razorpay-event-id header
+ * @returns {string|null}
+ */
+const getWebhookEventId = (body, headerEventId) => {
+    if (headerEventId) return String(headerEventId);
+
+    const { payment, refund } = getEventEntities(body);
+    const entityId = refund?.id || payment?.id;
+    return body?.event && entityId ? `${body.event}:${entityId}` : null;
+};
+
+/**
+ * Map a Razorpay payment method to the Invoice.payments enum
+ * @param {string} method - Razorpay method
+ * @returns {string}
+ */
+const toInvoicePaymentMethod = (method) => (INVOICE_PAYMENT_METHODS.includes(method) ? method : 'other');
+
+/**
+ * Find the order record for a payment, creating one for orders made before orders were recorded
+ * @param {Object} payment - Razorpay payment entity
+ * @param {Object|null} appointment - Appointment booked with this order, if any
+ * @returns {Promise<Object|null>} - PaymentOrder document, or null when no business can be determined
+ */
+const findOrCreateOrderRecord = async (payment, appointment) => {
+    if (payment.order_id) {
+        const existing = await PaymentOrder.findOne({ orderId: payment.order_id });
+        if (existing) return existing;
+    } else if (payment.id) {
+        const existing = await PaymentOrder.findOne({ paymentId: payment.id });
+        if (existing) return existing;
+    }
+
+    const business = appointment?.business || payment.notes?.businessId;
+    if (!business || !payment.order_id) return null;
+
+    return PaymentOrder.findOneAndUpdate(
+        { orderId: payment.order_id },
+        {
+            $setOnInsert: {
+                business,
+                orderId: payment.order_id,
+                amount: toRupees(payment.amount),
+                currency: payment.currency || 'INR',
+                appointment: appointment?._id
+            }
+        },
+        { upsert: true, new: true }
+    );
+};
+
+/**
+ * Record a captured payment on its appointment and the appointment's invoice
+ * Safe to call more than once for the same payment.
+ * @param {Object} appointment - Appointment document
+ * @param {Object} payment - Razorpay payment entity
+ * @returns {Promise<Object|null>} - Invoice the payment was recorded on, if any
+ */
+const applyCapturedPayment = async (appointment, payment) => {
+    const amount = toRupees(payment.amount);
+
+    // The booking flow already counts a payment it verified itself
+    const alreadyCounted = appointment.paymentDetails?.paymentId === payment.id && appointment.paidAmount > 0;
+    if (!alreadyCounted) {
+        appointment.paidAmount = (appointment.paidAmount || 0) + amount;
+    }
+
+    appointment.paymentStatus = appointment.paidAmount >= appointment.totalAmount ? 'paid' : 'partial';
+    appointment.paymentMethod = INVOICE_PAYMENT_METHODS.includes(payment.method) ? payment.method : 'online';
+    appointment.set({
+        'paymentDetails.gateway': 'razorpay',
+        'paymentDetails.orderId': payment.order_id,
+        'paymentDetails.paymentId': payment.id,
+        'paymentDetails.method': payment.method,
+        'paymentDetails.capturedAt': payment.created_at ? new Date(payment.created_at * 1000) : new Date(),
+        'paymentDetails.failureReason': undefined
+    });
+    await appointment.save();
+
+    const invoice = await Invoice.findOne({
+        appointment: appointment._id,
+        invoiceType: { $nin: ['credit_note', 'debit_note'] },
+        status: { $ne: 'cancelled' }
+    });
+    if (invoice && !invoice.payments.some(entry => entry.transactionId === payment.id)) {
+        await invoice.addPayment({
+            amount,
+            paymentMethod: toInvoicePaymentMethod(payment.method),
+            transactionId: payment.id,
+            paymentGateway: 'razorpay',
+            status: 'success',
+            notes: `Razorpay order ${payment.order_id}`
+        });
+    }
+
+    return invoice;
+};
+
+/**
+ * Confirm a booking whose slot was held while the customer paid the advance
+ * @param {Object} appointment - Appointment in "awaiting_payment"
+ * @param {Object} payment - Razorpay payment entity
+ * @returns {Promise<Object|null>} - { appointment, invoice }, or null when the booking is no longer held
+ */
+const confirmHeldBooking = async (appointment, payment) => {
+    // Only one of the webhook and the client confirmation gets to confirm
+    const confirmed = await Appointment.findOneAndUpdate(
+        { _id: appointment._id, status: 'awaiting_payment' },
+        { $set: { status: 'pending', 'paymentHold.confirmedAt': new Date() } },
+        { new: true }
+    );
+    if (!confirmed) return null;
+
+    const invoice = await applyCapturedPayment(confirmed, payment);
+    return { appointment: confirmed, invoice };
+};
+
+/**
+ * Link a newly created online booking to its order
+ * If the webhook captured the payment before the booking existed, the payment is applied now.
+ * @param {Object} appointment - Appointment document with paymentDetails.orderId
+ * @returns {Promise<void>}
+ */
+const linkOrderToAppointment = async (appointment) => {
+    const orderId = appointment.paymentDetails?.orderId;
+    if (!orderId) return;
+
+    const order = await PaymentOrder.findOneAndUpdate(
+        { orderId, appointment: { $exists: false } },
+        { $set: { appointment: appointment._id } },
+        { new: true }
+    );
+    if (!order || order.status !== 'paid' || !order.paymentId) return;
+
+    const invoice = await applyCapturedPayment(appointment, {
+        id: order.paymentId,
+        order_id: orderId,
+        amount: Math.round(order.amountPaid * 100),
+        method: order.paymentMethod,
+        created_at: order.capturedAt ? Math.floor(order.capturedAt.getTime() / 1000) : undefined
+    });
+    if (invoice) {
+        order.invoice = invoice._id;
+        await order.save();
+    }
+};
+
+/**
+ * Record a gateway refund on the order, the appointment, its invoice and its transaction
+ * Each refund is applied once, so the cancellation flow and the refund webhook can both report it.
+ * @param {Object|null} appointment - Appointment document
+ * @param {Object|null} order - PaymentOrder document
+ * @param {Object} refund - { id, amount (rupees), reason }
+ * @returns {Promise<boolean>} - false when the refund had already been recorded
+ */
+const recordGatewayRefund = async (appointment, order, refund) => {
+    const onOrder = order ? order.refunds.some(entry => entry.refundId === refund.id) : true;
+    const onAppointment = appointment ? (appointment.paymentDetails?.refundIds || []).includes(refund.id) : true;
+    if (onOrder && onAppointment) return false;
+
+    if (!onOrder) {
+        order.refunds.push({ refundId: refund.id, amount: refund.amount, processedAt: new Date() });
+        order.amountRefunded = (order.amountRefunded || 0) + refund.amount;
+        if (order.amountRefunded >= order.amountPaid) order.status = 'refunded';
+        await order.save();
+    }
+
+    if (onAppointment) return true;
+
+    appointment.refundedAmount = (appointment.refundedAmount || 0) + refund.amount;
+    appointment.paymentDetails.refundIds.push(refund.id);
+    if (appointment.refundedAmount >= appointment.paidAmount) appointment.paymentStatus = 'refunded';
+    await appointment.save();
+
+    const invoice = await Invoice.findOne({
+        appointment: appointment._id,
+        invoiceType: { $nin: ['credit_note', 'debit_note'] },
+        status: { $ne: 'cancelled' }
+    });
+    if (invoice && !invoice.refunds.some(entry => entry.transactionId === refund.id)) {
+        await invoice.addRefund({
+            amount: refund.amount,
+            reason: refund.reason,
+            refundMethod: 'razorpay',
+            transactionId: refund.id
+        });
+    }
+
+    // Revenue is booked on the transaction; a cancelled prepaid booking gets one for what was paid
+    let transaction = await Transaction.findOne({ appointment: appointment._id });
+    if (!transaction && appointment.status === 'cancelled') {
+        await appointment.populate([
+            { path: 'customer', select: 'firstName lastName phone email' },
+            { path: 'service', select: 'name serviceType category' }
+        ]);
+        const method = appointment.paymentDetails?.method;
+
+        transaction = new Transaction({
+            business: appointment.business,
+            appointment: appointment._id,
+            customer: appointment.customer?._id,
+            service: appointment.service?._id,
+            staff: appointment.staff,
+            customerName: appointment.customer ? `${appointment.customer.firstName} ${appointment.customer.lastName}`.trim() : 'Online customer',
+            customerPhone: appointment.customer?.phone,
+            customerEmail: appointment.customer?.email,
+            isNewCustomer: false,
+            serviceName: appointment.service?.name || 'Service',
+            serviceType: appointment.service?.serviceType || 'other',
+            serviceCategory: appointment.service?.category,
+            basePrice: appointment.paidAmount,
+            finalPrice: appointment.paidAmount,
+            paymentMethod: ['card', 'upi', 'wallet'].includes(method) ? method : 'other',
+            source: 'cancellation',
+            notes: `Prepaid booking ${appointment.bookingNumber} cancelled`
+        });
+    }
+
+    if (transaction) {
+        transaction.refundedAmount = (transaction.refundedAmount || 0) + refund.amount;
+        transaction.finalPrice = Math.max(0, Math.round((transaction.finalPrice - refund.amount) * 100) / 100);
+        transaction.refundDate = new Date();
+        transaction.refundReason = refund.reason;
+        if (transaction.finalPrice <= 0) {
+            transaction.isRefunded = true;
+            transaction.paymentStatus = 'refunded';
+        }
+        await transaction.save();
+    }
+
+    return true;
+};
+
+// ================== Event Handlers ==================
+
+const handlePaymentCaptured = async ({ payment }) => {
+    const appointment = payment.order_id
+        ? await Appointment.findOne({ 'paymentDetails.orderId': payment.order_id })
+        : null;
+
+    const order = await findOrCreateOrderRecord(payment, appointment);
+    if (order) {
+        if (order.status !== 'refunded') order.status = 'paid';
+        order.paymentId = payment.id;
+        order.paymentMethod = payment.method;
+        order.amountPaid = toRupees(payment.amount);
+        order.capturedAt = payment.created_at ? new Date(payment.created_at * 1000) : new Date();
+        order.failureReason = undefined;
+        if (appointment) order.appointment = appointment._id;
+    }
+
+    if (!appointment) {
+        if (order) await order.save();
+        return {
+            business: order?.business,
+            result: 'Payment captured; no booking found for this order yet'
+        };
+    }
+
+    let invoice;
+    const held = appointment.status === 'awaiting_payment' ? await confirmHeldBooking(appointment, payment) : null;
+    if (held) {
+        invoice = held.invoice;
+    } else {
+        // Re-read in case the client confirmation changed the booking in the meantime
+        invoice = await applyCapturedPayment(await Appointment.findById(appointment._id), payment);
+    }
+    if (order) {
+        if (invoice) order.invoice = invoice._id;
+        await order.save();
+    }
+
+    let result = `Payment applied to booking ${appointment.bookingNumber}`;
+    if (held) result = `Advance received; booking ${appointment.bookingNumber} confirmed`;
+    else if (appointment.paymentHold?.releasedAt) result = `Payment received after the hold on booking ${appointment.bookingNumber} was released`;
+
+    return {
+        business: appointment.business,
+        confirmedAppointment: held ? appointment._id : undefined,
+        releasedHoldPayment: !held && appointment.paymentHold?.releasedAt ? appointment._id : undefined,
+        result
+    };
+};
+
+const handlePaymentFailed = async ({ payment }) => {
+    const appointment = payment.order_id
+        ? await Appointment.findOne({ 'paymentDetails.orderId': payment.order_id })
+        : null;
+    const reason = payment.error_description || payment.error_reason || 'Payment failed';
+
+    const order = await findOrCreateOrderRecord(payment, appointment);
+    if (order) {
+        // A later successful attempt on the same order wins
+        if (order.status === 'created' || order.status === 'failed') {
+            order.status = 'failed';
+            order.failureReason = reason;
+            await order.save();
+        }
+    }
+
+    if (appointment && !appointment.paidAmount && ['pending', 'failed'].includes(appointment.paymentStatus)) {
+        appointment.paymentStatus = 'failed';
+        appointment.set('paymentDetails.failureReason', reason);
+        await appointment.save();
+    }
+
+    return {
+        business: appointment?.business || order?.business,
+        result: `Payment failed: ${reason}`
+    };
+};
+
+const handleRefundProcessed = async ({ payment, refund }) => {
+    const paymentId = refund.payment_id || payment?.id;
+
+    let order = await PaymentOrder.findOne({ paymentId });
+    const appointment = await Appointment.findOne({ 'paymentDetails.paymentId': paymentId })
+        || (order?.appointment ? await Appointment.findById(order.appointment) : null);
+    if (!order && payment) {
+        order = await findOrCreateOrderRecord(payment, appointment);
+    }
+
+    if (!order && !appointment) {
+        return { ignored: true, result: `No order or booking found for payment ${paymentId}` };
+    }
+
+    const amount = toRupees(refund.amount);
+    const recorded = await recordGatewayRefund(appointment, order, {
+        id: refund.id,
+        amount,
+        reason: refund.notes?.reason || 'Refund processed by Razorpay'
+    });
+
+    let result = `Refund of ₹${amount} applied to booking ${appointment?.bookingNumber}`;
+    if (!recorded) result = `Refund ${refund.id} already recorded`;
+    else if (!appointment) result = 'Refund recorded; no booking found for this payment';
+
+    return { business: appointment?.business || order.business, result };
+};
+
+// Payment links are sent with overdue invoice reminders
+const handlePaymentLinkPaid = async ({ payment, paymentLink }) => {
+    const invoiceId = paymentLink?.notes?.invoiceId || payment.notes?.invoiceId;
+    const invoice = invoiceId
+        ? await Invoice.findById(invoiceId)
+        : await Invoice.findOne({ 'paymentLink.id': paymentLink?.id });
+    const businessId = invoice?.business || paymentLink?.notes?.businessId;
+
+    // The link's order is recorded too, so reconciliation sees where the money went
+    const order = await findOrCreateOrderRecord(
+        { ...payment, notes: { ...payment.notes, businessId: businessId?.toString() } },
+        null
+    );
+    if (order) {
+        if (order.status !== 'refunded') order.status = 'paid';
+        order.paymentId = payment.id;
+        order.paymentMethod = payment.method;
+        order.amountPaid = toRupees(payment.amount);
+        order.capturedAt = payment.created_at ? new Date(payment.created_at * 1000) : new Date();
+        if (invoice) order.invoice = invoice._id;
+        await order.save();
+    }
+
+    if (!invoice) {
+        return { business: businessId, result: `Payment link ${paymentLink?.id} paid; no invoice found` };
+    }
+
+    if (invoice.payments.some(entry => entry.transactionId === payment.id)) {
+        return { business: invoice.business, result: `Payment ${payment.id} already recorded on invoice ${invoice.invoiceNumber}` };
+    }
+
+    await invoice.addPayment({
+        amount: toRupees(payment.amount),
+        paymentMethod: toInvoicePaymentMethod(payment.method),
+        transactionId: payment.id,
+        paymentGateway: 'razorpay',
+        status: 'success',
+        notes: `Razorpay payment link ${paymentLink?.id}`
+    });
+    if (invoice.paymentStatus === 'paid') {
+        // The link is spent; dunning stops with the paid status
+        await Invoice.updateOne({ _id: invoice._id }, { $unset: { paymentLink: 1 } });
+    }
+
+    return {
+        business: invoice.business,
+        result: `Payment of ₹${toRupees(payment.amount)} applied to invoice ${invoice.invoiceNumber}`
+    };
+};
+
+const EVENT_HANDLERS = {
+    'payment.captured': handlePaymentCaptured,
+    'payment.failed': handlePaymentFailed,
+    'refund.processed': handleRefundProcessed,
+    'payment_link.paid': handlePaymentLinkPaid
+};
+
+/**
+ * Process a verified webhook event exactly once
+ * Events that failed earlier are retried when Razorpay redelivers them.
+ * @param {Object} body - Parsed (and signature-verified) webhook body
+ * @param {string} headerEventId - x-razorpay-event-id header
+ * @returns {Promise<Object>} - { eventId, status, duplicate, result, confirmedAppointment, releasedHoldPayment }
+ */
+const processWebhookEvent = async (body, headerEventId) => {
+    const eventId = getWebhookEventId(body, headerEventId);
+    if (!eventId || !body?.event) {
+        throw new Error('Webhook event is missing an id or type');
+    }
+
+    const entities = getEventEntities(body);
+    const amountPaise = entities.refund?.amount ?? entities.payment?.amount;
+
+    let record;
+    try {
+        record = await PaymentEvent.create({
+            eventId,
+            event: body.event,
+            orderId: entities.payment?.order_id,
+            paymentId: entities.refund?.payment_id || entities.payment?.id,
+            refundId: entities.refund?.id,
+            amount: amountPaise !== undefined ? toRupees(amountPaise) : undefined,
+            payload: body
+        });
+    } catch (err) {
+        if (err.code !== 11000) throw err;
+
+        // Seen before: only a failed attempt is picked up again (atomically, in case of parallel retries)
+        record = await PaymentEvent.findOneAndUpdate(
+            { eventId, status: 'failed' },
+            { $set: { status: 'received', error: undefined } },
+            { new: true }
+        );
+        if (!record) {
+            const existing = await PaymentEvent.findOne({ eventId }).select('status result').lean();
+            return { eventId, status: existing?.status, duplicate: true, result: existing?.result };
+        }
+    }
+
+    const handler = EVENT_HANDLERS[body.event];
+    if (!handler || (body.event !== 'refund.processed' && !entities.payment) || (body.event === 'refund.processed' && !entities.refund)) {
+        record.status = 'ignored';
+        record.result = handler ? 'Event payload has no entity' : 'Event type not handled';
+        record.processedAt = new Date();
+        await record.save();
+        return { eventId, status: record.status, duplicate: false, result: record.result };
+    }
+
+    try {
+        const outcome = await handler(entities);
+
+        record.status = outcome.ignored ? 'ignored' : 'processed';
+        record.result = outcome.result;
+        if (outcome.business) record.business = outcome.business;
+        record.processedAt = new Date();
+        await record.save();
+
+        return {
+            eventId,
+            status: record.status,
+            duplicate: false,
+            result: record.result,
+            confirmedAppointment: outcome.confirmedAppointment,
+            releasedHoldPayment: outcome.releasedHoldPayment
+        };
+    } catch (err) {
+        record.status = 'failed';
+        record.error = err.message;
+        await record.save();
+        throw err;
+    }
+};
+
+/**
+ * Reconciliation of gateway orders against bookings for a business
+ * @param {string} businessId - Business ID
+ * @param {Date} from - Start of the period (order creation time)
+ * @param {Date} to - End of the period
+ * @returns {Promise<Object>} - { summary, unmatchedOrders, bookingsAwaitingCapture, failedEvents }
+ */
+const buildReconciliationReport = async (businessId, from, to) => {
+    const createdAt = { $gte: from, $lte: to };
+
+    const [orders, onlineBookings, failedEvents] = await Promise.all([
+        PaymentOrder.find({ business: businessId, createdAt }).lean(),
+        // Holds that lapsed without payment were never bookings
+        Appointment.find({
+            business: businessId,
+            createdAt,
+            'paymentDetails.orderId': { $exists: true, $ne: null },
+            'paymentHold.releasedAt': { $exists: false }
+        })
+            .select('bookingNumber appointmentDate startTime totalAmount paidAmount paymentStatus paymentDetails status customer')
+            .populate('customer', 'firstName lastName phone')
+            .lean(),
+        PaymentEvent.find({ business: businessId, createdAt, status: { $in: ['failed', 'received'] } })
+            .select('eventId event orderId paymentId refundId amount status error createdAt')
+            .lean()
+    ]);
+
+    // Orders can be linked by the order record or by the booking's payment details
+    const bookedOrderIds = new Set(onlineBookings.map(appointment => appointment.paymentDetails.orderId));
+    const paidOrders = orders.filter(order => ['paid', 'refunded'].includes(order.status));
+    const ordersById = new Map(orders.map(order => [order.orderId, order]));
+
+    // Look up the bookings behind paid orders that are not in the period's bookings
+    // (booked before the period started, or a hold released before the payment arrived)
+    const releasedOrderIds = new Set();
+    const otherPaid = paidOrders.filter(order => !bookedOrderIds.has(order.orderId));
+    if (otherPaid.length > 0) {
+        const linked = await Appointment.find({
+            'paymentDetails.orderId': { $in: otherPaid.map(order => order.orderId) }
+        }).select('paymentDetails.orderId paymentHold.releasedAt').lean();
+        linked.forEach(appointment => {
+            if (appointment.paymentHold?.releasedAt) releasedOrderIds.add(appointment.paymentDetails.orderId);
+            else bookedOrderIds.add(appointment.paymentDetails.orderId);
+        });
+    }
+
+    const unmatchedOrders = otherPaid
+        .filter(order => releasedOrderIds.has(order.orderId) || (!order.appointment && !order.invoice && !bookedOrderIds.has(order.orderId)))
+        .map(order => ({
+            orderId: order.orderId,
+            paymentId: order.paymentId,
+            receipt: order.receipt,
+            amountPaid: order.amountPaid,
+            amountRefunded: order.amountRefunded,
+            status: order.status,
+            reason: releasedOrderIds.has(order.orderId) ? 'hold_released' : 'no_booking',
+            capturedAt: order.capturedAt,
+            createdAt: order.createdAt
+        }));
+
+    const bookingsAwaitingCapture = onlineBookings
+        .filter(appointment => {
+            const order = ordersById.get(appointment.paymentDetails.orderId);
+            return !order || !['paid', 'refunded'].includes(order.status);
+        })
+        .map(appointment => ({
+            appointmentId: appointment._id,
+            bookingNumber: appointment.bookingNumber,
+            appointmentDate: appointment.appointmentDate,
+            startTime: appointment.startTime,
+            customer: appointment.customer,
+            totalAmount: appointment.totalAmount,
+            paidAmount: appointment.paidAmount,
+            paymentStatus: appointment.paymentStatus,
+            orderId: appointment.paymentDetails.orderId,
+            orderStatus: ordersById.get(appointment.paymentDetails.orderId)?.status || 'unknown'
+        }));
+
+    const sum = (items, field) => Math.round(items.reduce((total, item) => total + (item[field] || 0), 0) * 100) / 100;
+
+    return {
+        summary: {
+            ordersCreated: orders.length,
+            ordersPaid: paidOrders.length,
+            ordersFailed: orders.filter(order => order.status === 'failed').length,
+            amountCaptured: sum(paidOrders, 'amountPaid'),
+            amountRefunded: sum(paidOrders, 'amountRefunded'),
+            unmatchedOrders: unmatchedOrders.length,
+            unmatchedAmount: sum(unmatchedOrders, 'amountPaid'),
+            bookingsAwaitingCapture: bookingsAwaitingCapture.length,
+            failedEvents: failedEvents.length
+        },
+        unmatchedOrders,
+        bookingsAwaitingCapture,
+        failedEvents
+    };
+};
+
+module.exports = {
+    HANDLED_EVENTS,
+    toRupees,
+    signWebhookPayload,
+    verifyWebhookSignature,
+    getWebhookEventId,
+    confirmHeldBooking,
+    linkOrderToAppointment,
+    recordGatewayRefund,
+    processWebhookEvent,
+    buildReconciliationReport
+};
@@ -0,0 +1,169 @@
+// pinUtils.js - Hashed manager/staff login PINs with failed-attempt lockout
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { hashPassword, comparePassword } = require("./hashPassword");
+
+// Failed attempts allowed before the account is locked
+const PIN_MAX_ATTEMPTS = 5;
+// Lock length for the 1st, 2nd, 3rd... lockout in a row (minutes); the last one repeats
+const PIN_LOCK_MINUTES = [1, 5, 15, 60, 24 * 60];
+
+const BCRYPT_HASH_PATTERN = /^\$2[aby]\$\d{2}\$/;
+
+/**
+ * Whether a stored PIN is already a bcrypt hash
+ * @param {string} value - Stored PIN
+ * @returns {boolean}
+ */
+const isPinHashed = (value) => BCRYPT_HASH_PATTERN.test(String(value || ''));
+
+/**
+ * Compare a PIN with the stored value
+ * Records created before hashing still hold the plain PIN; those match by value and are
+ * flagged so the caller can store the hash.
+ * @param {string} pin - PIN entered by the user
+ * @param {string} stored - Stored PIN (hash or legacy plain text)
+ * @returns {Promise<Object>} - { match, needsRehash }
+ */
+const verifyPin = async (pin, stored) => {
+    if (!pin || !stored) return { match: false, needsRehash: false };
+
+    if (isPinHashed(stored)) {
+        return { match: await comparePassword(String(pin), stored), needsRehash: false };
+    }
+
+    const entered = Buffer.from(String(pin));
+    const expected = Buffer.from(String(stored));
+    const match = entered.length === expected.length && crypto.timingSafeEqual(entered, expected);
+    return { match, needsRehash: match };
+};
+
+/**
+ * Lock state of an account loaded with its pinSecurity field
+ * @param {Object} account - Manager / Staff document
+ * @returns {Object|null} - { lockedUntil, retryAfterSeconds } while locked, otherwise null
+ */
+const getPinLock = (account) => {
+    const lockedUntil = account?.pinSecurity?.lockedUntil;
+    if (!lockedUntil || new Date(lockedUntil) <= new Date()) return null;
+
+    return {
+        lockedUntil: new Date(lockedUntil),
+        retryAfterSeconds: Math.ceil((new Date(lockedUntil) - Date.now()) / 1000)
+    };
+};
+
+/**
+ * Count a wrong PIN; locks the account once PIN_MAX_ATTEMPTS is reached
+ * Each lockout since the last successful login is longer than the one before.
+ * @param {Object} Model - Manager or Staff model
+ * @param {string} accountId - Account id
+ * @returns {Promise<Object>} - { locked, lockedUntil, attemptsRemaining }
+ */
+const recordFailedPinAttempt = async (Model, accountId) => {
+    const account = await Model.findByIdAndUpdate(
+        accountId,
+        { $inc: { 'pinSecurity.failedAttempts': 1 }, $set: { 'pinSecurity.lastFailedAt': new Date() } },
+        { new: true }
+    ).select('pinSecurity').lean();
+
+    const failedAttempts = account?.pinSecurity?.failedAttempts || 0;
+    if (failedAttempts < PIN_MAX_ATTEMPTS) {
+        return { locked: false, lockedUntil: null, attemptsRemaining: PIN_MAX_ATTEMPTS - failedAttempts };
+    }
+
+    const lockCount = account.pinSecurity.lockCount || 0;
+    const minutes = PIN_LOCK_MINUTES[Math.min(lockCount, PIN_LOCK_MINUTES.length - 1)];
+    const lockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+
+    await Model.updateOne(
+        { _id: accountId },
+        {
+            $set: { 'pinSecurity.failedAttempts': 0, 'pinSecurity.lockedUntil': lockedUntil },
+            $inc: { 'pinSecurity.lockCount': 1 }
+        }
+    );
+
+    return { locked: true, lockedUntil, attemptsRemaining: 0 };
+};
+
+/**
+ * Clear failed attempts after a successful login, storing the hash for a legacy plain PIN
+ * @param {Object} Model - Manager or Staff model
+ * @param {Object} account - Account loaded with pin and pinSecurity
+ * @param {string} pin - PIN the user just entered
+ * @param {boolean} needsRehash - From verifyPin
+ */
+const clearPinFailures = async (Model, account, pin, needsRehash) => {
+    const security = account.pinSecurity || {};
+    if (!needsRehash && !security.failedAttempts && !security.lockCount && !security.lockedUntil) return;
+
+    const update = {
+        $set: { 'pinSecurity.failedAttempts': 0, 'pinSecurity.lockCount': 0 },
+        $unset: { 'pinSecurity.lockedUntil': 1 }
+    };
+    if (needsRehash) update.$set.pin = await hashPassword(String(pin));
+
+    await Model.updateOne({ _id: account._id }, update);
+};
+
+/**
+ * Schema pre('save') hook: hash a new or changed PIN
+ */
+async function hashPinBeforeSave() {
+    if (this.isModified('pin') && this.pin && !isPinHashed(this.pin)) {
+        this.pin = await hashPassword(String(this.pin));
+    }
+}
+
+/**
+ * Schema pre-update hook: hash a PIN set through findOneAndUpdate / updateOne / updateMany
+ */
+async function hashPinBeforeUpdate() {
+    const update = this.getUpdate();
+    if (!update) return;
+
+    const target = update.$set && update.$set.pin !== undefined ? update.$set : update;
+    if (target.pin && !isPinHashed(target.pin)) {
+        target.pin = await hashPassword(String(target.pin));
+    }
+}
+
+/**
+ * One-off migration: hash PINs still stored in plain text
+ * Safe to run on every start; accounts already hashed are not touched.
+ */
+const hashLegacyPins = async () => {
+    for (const modelName of ['Manager', 'Staff']) {
+        try {
+            const Model = mongoose.model(modelName);
+            const accounts = await Model.find({ pin: { $exists: true, $nin: [null, ''], $not: BCRYPT_HASH_PATTERN } })
+                .select('+pin')
+                .lean();
+
+            for (const account of accounts) {
+                // Matching on the old value skips accounts whose PIN changed meanwhile
+                await Model.updateOne({ _id: account._id, pin: account.pin }, { $set: { pin: await hashPassword(String(account.pin)) } });
+            }
+
+            if (accounts.length > 0) {
+                console.log(`[PIN] Hashed ${accounts.length} plain-text ${modelName} PIN(s)`);
+            }
+        } catch (err) {
+            console.error(`[PIN] Could not hash ${modelName} PINs:`, err.message);
+        }
+    }
+};
+
+module.exports = {
+    PIN_MAX_ATTEMPTS,
+    PIN_LOCK_MINUTES,
+    isPinHashed,
+    verifyPin,
+    getPinLock,
+    recordFailedPinAttempt,
+    clearPinFailures,
+    hashPinBeforeSave,
+    hashPinBeforeUpdate,
+    hashLegacyPins,
+};
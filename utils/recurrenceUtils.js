@@ -0,0 +1,117 @@
+// recurrenceUtils.js - Occurrence dates for recurring appointment series
+const { getDateKey, getDayNameForKey } = require("./timezoneUtils");
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Hard cap so a missing end condition cannot create an unbounded series
+const MAX_OCCURRENCES = 104;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const keyToDate = (dateKey) => new Date(`${dateKey}T00:00:00.000Z`);
+const dateToKey = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Validate a recurrence rule
+ * @param {Object} rule - { frequency, interval, dayOfWeek, count, until }
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateRecurrenceRule = (rule) => {
+    if (!rule || typeof rule !== 'object') return "Recurrence rule is required";
+
+    if (!FREQUENCIES.includes(rule.frequency)) {
+        return `Invalid frequency. Must be one of: ${FREQUENCIES.join(', ')}`;
+    }
+
+    if (rule.interval !== undefined && (!Number.isInteger(Number(rule.interval)) || Number(rule.interval) < 1)) {
+        return "Interval must be a whole number of at least 1";
+    }
+
+    if (rule.dayOfWeek !== undefined && rule.dayOfWeek !== null && !WEEKDAYS.includes(String(rule.dayOfWeek).toLowerCase())) {
+        return `Invalid dayOfWeek. Must be one of: ${WEEKDAYS.join(', ')}`;
+    }
+
+    if (!rule.count && !rule.until) {
+        return "Either count or until is required";
+    }
+
+    if (rule.count !== undefined && (!Number.isInteger(Number(rule.count)) || Number(rule.count) < 1 || Number(rule.count) > MAX_OCCURRENCES)) {
+        return `Count must be between 1 and ${MAX_OCCURRENCES}`;
+    }
+
+    if (rule.until && !getDateKey(rule.until)) {
+        return "Invalid until date";
+    }
+
+    return null;
+};
+
+/**
+ * Calendar dates of every occurrence of a series
+ * Weekly series fall on dayOfWeek (default: the weekday of startDate), starting with the
+ * first such day on or after startDate. Monthly series keep startDate's day of month,
+ * moving to the last day in shorter months.
+ * @param {Object} rule - { frequency, interval, dayOfWeek, count, until }
+ * @param {Date|string} startDate - First possible date
+ * @param {string} timeZone - Business timezone
+ * @returns {Array<string>} - YYYY-MM-DD keys
+ */
+const generateOccurrenceDates = (rule, startDate, timeZone) => {
+    const interval = Number(rule.interval) || 1;
+    const count = rule.count ? Math.min(Number(rule.count), MAX_OCCURRENCES) : MAX_OCCURRENCES;
+    const untilKey = rule.until ? getDateKey(rule.until, timeZone) : null;
+
+    let first = keyToDate(getDateKey(startDate, timeZone));
+    if (rule.frequency === 'weekly' && rule.dayOfWeek) {
+        const target = WEEKDAYS.indexOf(String(rule.dayOfWeek).toLowerCase());
+        first = new Date(first.getTime() + ((target - first.getUTCDay() + 7) % 7) * DAY_MS);
+    }
+
+    const dates = [];
+    for (let index = 0; dates.length < count; index++) {
+        let occurrence;
+        if (rule.frequency === 'daily') {
+            occurrence = new Date(first.getTime() + index * interval * DAY_MS);
+        } else if (rule.frequency === 'weekly') {
+            occurrence = new Date(first.getTime() + index * interval * 7 * DAY_MS);
+        } else {
+            const monthIndex = first.getUTCMonth() + index * interval;
+            const lastDay = new Date(Date.UTC(first.getUTCFullYear(), monthIndex + 1, 0)).getUTCDate();
+            occurrence = new Date(Date.UTC(first.getUTCFullYear(), monthIndex, Math.min(first.getUTCDate(), lastDay)));
+        }
+
+        const key = dateToKey(occurrence);
+        if (untilKey && key > untilKey) break;
+        dates.push(key);
+    }
+
+    return dates;
+};
+
+/**
+ * Human-readable summary of a rule, e.g. "Every 2 weeks on tuesday, 6 times"
+ * @param {Object} rule - Recurrence rule
+ * @param {Date|string} startDate - Series start date
+ * @returns {string}
+ */
+const describeRecurrenceRule = (rule, startDate) => {
+    const interval = Number(rule.interval) || 1;
+    const unit = { daily: 'day', weekly: 'week', monthly: 'month' }[rule.frequency];
+    let text = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+
+    if (rule.frequency === 'weekly') {
+        text += ` on ${rule.dayOfWeek ? String(rule.dayOfWeek).toLowerCase() : getDayNameForKey(getDateKey(startDate))}`;
+    }
+    if (rule.count) text += `, ${rule.count} times`;
+    if (rule.until) text += ` until ${getDateKey(rule.until)}`;
+
+    return text;
+};
+
+module.exports = {
+    MAX_OCCURRENCES,
+    validateRecurrenceRule,
+    generateOccurrenceDates,
+    describeRecurrenceRule
+};
@@ -0,0 +1,282 @@
+// reminderScheduler.js - Automatic appointment reminders per business reminderSettings
+const Appointment = require("../models/Appointment");
+const Business = require("../models/Business");
+const { sendTemplateSMS, sendTemplateWhatsApp } = require("./sendSMS");
+const { sendTemplateMail } = require("./sendMail");
+const { getAppointmentStartInstant } = require("./appointmentUtils");
+const { getBusinessTimezone, getCalendarDayRange, getZonedNow } = require("./timezoneUtils");
+
+// How often the scheduler looks for due reminders
+const REMINDER_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+
+let isProcessing = false;
+
+/**
+ * Reminder offsets (hours before the appointment) configured for a business
+ * @param {Object} reminderSettings - settings.appointmentSettings.reminderSettings
+ * @returns {Array<number>} - Unique offsets, largest first
+ */
+const getReminderOffsets = (reminderSettings = {}) => {
+    const schedule = (reminderSettings.reminderSchedule || []).filter(h => typeof h === 'number' && h > 0);
+    const offsets = schedule.length > 0 ? schedule : [reminderSettings.reminderHours || 24];
+    return [...new Set(offsets)].sort((a, b) => b - a);
+};
+
+/**
+ * Channels enabled for a business
+ * @param {Object} reminderSettings - settings.appointmentSettings.reminderSettings
+ * @returns {Array<string>}
+ */
+const getReminderChannels = (reminderSettings = {}) => {
+    const channels = [];
+    if (reminderSettings.sendSMSReminder) channels.push('sms');
+    if (reminderSettings.sendEmailReminder) channels.push('email');
+    if (reminderSettings.sendWhatsappReminder) channels.push('whatsapp');
+    return channels;
+};
+
+/**
+ * Service names of an appointment (multi-service bookings keep them in internalNotes)
+ * @param {Object} appointment - Appointment with populated service
+ * @returns {string}
+ */
+const getServiceNames = (appointment) => {
+    try {
+        const notes = appointment.internalNotes ? JSON.parse(appointment.internalNotes) : null;
+        if (notes && Array.isArray(notes.services) && notes.services.length > 0) {
+            return notes.services.map(s => s.serviceName || s.name).filter(Boolean).join(', ');
+        }
+    } catch (err) {
+        // internalNotes may be free text
+    }
+    return appointment.service?.name || 'Appointment';
+};
+
+/**
+ * Decide which reminder (if any) is due for an appointment
+ * Only the closest due reminder is sent; earlier ones that were missed (e.g. the
+ * booking was made after their send time) are recorded as skipped.
+ * @param {Object} appointment - Appointment document
+ * @param {Array<number>} offsets - Reminder offsets, largest first
+ * @param {Date} startsAt - Appointment start instant
+ * @param {Date} now - Current instant
+ * @returns {Object} - { due, skipped, reason }
+ */
+const getDueReminders = (appointment, offsets, startsAt, now) => {
+    const processed = new Set((appointment.reminders || []).map(r => r.hoursBefore));
+    const bookedAt = appointment.createdAt ? new Date(appointment.createdAt) : null;
+
+    const pending = offsets.filter(hours => {
+        if (processed.has(hours)) return false;
+        const sendAt = new Date(startsAt.getTime() - hours * 60 * 60 * 1000);
+        return now >= sendAt;
+    });
+
+    if (pending.length === 0) return { due: null, skipped: [], reason: null };
+
+    const due = pending[pending.length - 1];
+    const skipped = pending.slice(0, -1);
+
+    // A reminder whose send time was before the booking existed is pointless for that offset,
+    // unless it is the only reminder left before the appointment
+    const dueSendAt = new Date(startsAt.getTime() - due * 60 * 60 * 1000);
+    if (bookedAt && bookedAt > dueSendAt && offsets.some(hours => hours < due)) {
+        return { due: null, skipped: pending, reason: 'Booked after the reminder time' };
+    }
+
+    return { due, skipped, reason: 'Superseded by a later reminder' };
+};
+
+/**
+ * Send one reminder over a single channel
+ * @param {string} channel - sms | email | whatsapp
+ * @param {Object} customer - Populated customer
+ * @param {Object} data - Template data
+ * @param {string} [template] - Message template (same name on every channel)
+ * @returns {Promise<Object>} - Channel result for Appointment.reminders[].channels
+ */
+const sendReminderOnChannel = async (channel, customer, data, template = 'appointment_reminder') => {
+    const to = channel === 'email' ? customer.email : customer.phone;
+    if (!to) {
+        return { channel, status: 'skipped', error: `Customer has no ${channel === 'email' ? 'email' : 'phone number'}` };
+    }
+
+    try {
+        let result;
+        if (channel === 'sms') {
+            result = await sendTemplateSMS({ to, template, data });
+        } else if (channel === 'email') {
+            result = await sendTemplateMail({ to, template, data });
+        } else {
+            result = await sendTemplateWhatsApp({ to, template, data });
+        }
+
+        if (result && result.success) {
+            return { channel, status: 'sent', messageId: result.messageId, sentAt: new Date() };
+        }
+
+        return {
+            channel,
+            status: result && result.status === 'skipped' ? 'skipped' : 'failed',
+            error: (result && (result.error || result.message)) || 'Delivery failed'
+        };
+    } catch (err) {
+        return { channel, status: 'failed', error: err.message };
+    }
+};
+
+/**
+ * Send due reminders for a single business
+ * @param {Object} business - Business (lean) with settings and name
+ * @param {Date} now - Current instant
+ * @returns {Promise<Object>} - { sent, skipped, failed }
+ */
+const processBusinessReminders = async (business, now = new Date()) => {
+    const stats = { sent: 0, skipped: 0, failed: 0 };
+    const reminderSettings = business.settings?.appointmentSettings?.reminderSettings || {};
+    const channels = getReminderChannels(reminderSettings);
+    if (channels.length === 0) return stats;
+
+    const offsets = getReminderOffsets(reminderSettings);
+    const timeZone = getBusinessTimezone(business);
+    const horizon = new Date(now.getTime() + offsets[0] * 60 * 60 * 1000);
+
+    // Calendar dates between today and the furthest reminder horizon (business timezone)
+    const appointments = await Appointment.find({
+        business: business._id,
+        appointmentDate: {
+            $gte: getCalendarDayRange(getZonedNow(timeZone, now).dateKey, timeZone).start,
+            $lte: getCalendarDayRange(getZonedNow(timeZone, horizon).dateKey, timeZone).end
+        },
+        status: { $in: ['pending', 'confirmed', 'rescheduled'] }
+    })
+        .populate('customer', 'firstName lastName phone email')
+        .populate('service', 'name');
+
+    for (const appointment of appointments) {
+        try {
+            const startsAt = getAppointmentStartInstant(business, appointment.appointmentDate, appointment.startTime);
+            if (startsAt <= now || !appointment.customer) continue;
+
+            const { due, skipped, reason } = getDueReminders(appointment, offsets, startsAt, now);
+            if (due === null && skipped.length === 0) continue;
+
+            skipped.forEach(hours => {
+                appointment.reminders.push({ hoursBefore: hours, status: 'skipped', reason, channels: [] });
+                stats.skipped++;
+            });
+
+            if (due === null) {
+                await appointment.save();
+                continue;
+            }
+
+            const customer = appointment.customer;
+            const data = {
+                customerName: `${customer.firstName || ''} ${customer.lastName || ''}`.trim(),
+                businessName: business.name,
+                // Stored calendar dates are UTC midnight, so format them in UTC
+                appointmentDate: new Date(appointment.appointmentDate).toLocaleDateString('en-US', {
+                    weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC'
+                }),
+                startTime: appointment.startTime,
+                endTime: appointment.endTime,
+                services: getServiceNames(appointment)
+            };
+
+            const results = [];
+            for (const channel of channels) {
+                results.push(await sendReminderOnChannel(channel, customer, data));
+            }
+
+            await appointment.recordReminder(due, results);
+
+            if (results.some(r => r.status === 'sent')) {
+                stats.sent++;
+            } else {
+                stats.failed++;
+            }
+        } catch (err) {
+            console.error(`[Reminder Scheduler] Error processing appointment ${appointment._id}:`, err.message);
+            stats.failed++;
+        }
+    }
+
+    return stats;
+};
+
+/**
+ * Send all due appointment reminders across businesses
+ * This should be run frequently (every few minutes) so short reminders (e.g. 2h) go out on time
+ */
+const processAppointmentReminders = async () => {
+    if (isProcessing) {
+        console.log('[Reminder Scheduler] Previous run still in progress, skipping');
+        return { success: true, skipped: true };
+    }
+
+    isProcessing = true;
+    const totals = { businesses: 0, sent: 0, skipped: 0, failed: 0 };
+
+    try {
+        const businesses = await Business.find({
+            isActive: true,
+            $or: [
+                { 'settings.appointmentSettings.reminderSettings.sendSMSReminder': true },
+                { 'settings.appointmentSettings.reminderSettings.sendEmailReminder': true },
+                { 'settings.appointmentSettings.reminderSettings.sendWhatsappReminder': true }
+            ]
+        })
+            .select('name settings')
+            .lean();
+
+        const now = new Date();
+        for (const business of businesses) {
+            try {
+                const stats = await processBusinessReminders(business, now);
+                totals.businesses++;
+                totals.sent += stats.sent;
+                totals.skipped += stats.skipped;
+                totals.failed += stats.failed;
+            } catch (err) {
+                console.error(`[Reminder Scheduler] Error processing business ${business._id}:`, err.message);
+            }
+        }
+
+        if (totals.sent || totals.failed) {
+            console.log(`[Reminder Scheduler] Run completed. Sent: ${totals.sent}, Failed: ${totals.failed}, Skipped: ${totals.skipped}`);
+        }
+
+        return { success: true, ...totals };
+    } catch (err) {
+        console.error('[Reminder Scheduler] Fatal error:', err);
+        return { success: false, error: err.message };
+    } finally {
+        isProcessing = false;
+    }
+};
+
+/**
+ * Start the reminder scheduler
+ * Must only run in a single process (the cluster master) so reminders are not sent twice
+ */
+const startReminderScheduler = () => {
+    console.log('[Reminder Scheduler] Starting scheduler...');
+
+    setInterval(processAppointmentReminders, REMINDER_INTERVAL_MS);
+
+    // Initial run on startup (after 60 seconds to allow DB connection)
+    setTimeout(processAppointmentReminders, 60000);
+
+    console.log('[Reminder Scheduler] Scheduler started successfully');
+};
+
+module.exports = {
+    getReminderOffsets,
+    getReminderChannels,
+    getDueReminders,
+    sendReminderOnChannel,
+    processBusinessReminders,
+    processAppointmentReminders,
+    startReminderScheduler
+};
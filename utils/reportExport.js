@@ -21,6 +21,8 @@ const exportToCSV = async (data) => {
         'totalCustomers',
         'totalIncome',
         'totalExpenses',
+        'creditNotes',
+        'debitNotes',
         'netProfit',
         'isCompleted'
     ];
@@ -57,7 +59,7 @@ const exportToPDF = async (data) => {
 
             // Table headers
             doc.fontSize(10);
-            const headers = ['Date', 'Manager', 'Customers', 'Income', 'Expenses', 'Profit'];
+            const headers = ['Date', 'Manager', 'Customers', 'Income', 'Expenses', 'Cr. Notes', 'Dr. Notes', 'Profit'];
             const colWidth = (doc.page.width - 80) / headers.length;
             let yPos = doc.y;
 
@@ -76,6 +78,8 @@ const exportToPDF = async (data) => {
                     row.totalCustomers || '0',
                     `₹${(row.totalIncome || 0).toLocaleString('en-IN')}`,
                     `₹${(row.totalExpenses || 0).toLocaleString('en-IN')}`,
+                    `₹${(row.creditNotes || 0).toLocaleString('en-IN')}`,
+                    `₹${(row.debitNotes || 0).toLocaleString('en-IN')}`,
                     `₹${(row.netProfit || 0).toLocaleString('en-IN')}`
                 ];
 
@@ -0,0 +1,175 @@
+// resourceUtils.js - Room/chair/equipment allocation for bookings
+const Appointment = require("../models/Appointment");
+const Resource = require("../models/Resource");
+const { getBusinessTimezone, getCalendarDayRange } = require("./timezoneUtils");
+
+// Business.capacity fields that cap how many units of a resource type can exist
+const CAPACITY_FIELDS = {
+    room: 'numberOfRooms',
+    chair: 'seatingCapacity'
+};
+
+const toMinutes = (timeStr) => {
+    if (!timeStr || typeof timeStr !== 'string') return 0;
+    const [hours, minutes] = timeStr.split(':').map(Number);
+    return (hours || 0) * 60 + (minutes || 0);
+};
+
+const getId = (value) => (value && value._id ? value._id : value);
+
+/**
+ * Declared business capacity for a resource type
+ * @param {Object} business - Business object
+ * @param {string} type - room | chair | equipment
+ * @returns {number|null} - null when the business has not declared one
+ */
+const getResourceCapacityLimit = (business, type) => {
+    const field = CAPACITY_FIELDS[type];
+    const limit = field && business && business.capacity ? business.capacity[field] : null;
+    return typeof limit === 'number' && limit > 0 ? limit : null;
+};
+
+/**
+ * Resources a booking holds: every required resource of each segment's service for that segment
+ * @param {Array} segments - [{ service, startTime, endTime }] (service with requiredResources)
+ * @returns {Array} - [{ resource, quantity, startTime, endTime }]
+ */
+const buildResourceAllocations = (segments = []) => {
+    return segments.flatMap(segment => {
+        const requirements = (segment.service && segment.service.requiredResources) || [];
+        return requirements
+            .filter(requirement => requirement.resource)
+            .map(requirement => ({
+                resource: getId(requirement.resource),
+                quantity: requirement.quantity || 1,
+                startTime: segment.startTime,
+                endTime: segment.endTime
+            }));
+    });
+};
+
+/**
+ * Allocations that cannot be satisfied given what is already booked
+ * Usage is measured at its peak inside each requested window, so two bookings that
+ * overlap the window but not each other only count once.
+ * @param {Array} allocations - Requested allocations
+ * @param {Array} resources - Active resources of the business
+ * @param {Array} bookedAllocations - Allocations held by other appointments on the same day
+ * @returns {Array} - [{ resource, name, reason }]
+ */
+const findResourceConflicts = (allocations = [], resources = [], bookedAllocations = []) => {
+    const conflicts = [];
+
+    allocations.forEach((allocation, index) => {
+        const resourceId = allocation.resource.toString();
+        const resource = resources.find(r => r._id.toString() === resourceId);
+
+        if (!resource) {
+            conflicts.push({ resource: allocation.resource, name: null, reason: 'Resource is not available' });
+            return;
+        }
+
+        const start = toMinutes(allocation.startTime);
+        const end = toMinutes(allocation.endTime);
+
+        // Other holders of the same resource overlapping this window (including the booking's own other lines)
+        const overlapping = [
+            ...bookedAllocations,
+            ...allocations.filter((_, otherIndex) => otherIndex !== index)
+        ].filter(other =>
+            getId(other.resource).toString() === resourceId &&
+            start < toMinutes(other.endTime) &&
+            end > toMinutes(other.startTime)
+        );
+
+        const checkpoints = [start, ...overlapping.map(other => toMinutes(other.startTime)).filter(t => t > start && t < end)];
+        const peak = Math.max(0, ...checkpoints.map(point => overlapping
+            .filter(other => toMinutes(other.startTime) <= point && toMinutes(other.endTime) > point)
+            .reduce((sum, other) => sum + (other.quantity || 1), 0)
+        ));
+
+        if (peak + allocation.quantity > resource.quantity) {
+            conflicts.push({ resource: resource._id, name: resource.name, reason: `${resource.name} is fully booked` });
+        }
+    });
+
+    return conflicts;
+};
+
+/**
+ * Active resources and the allocations already held on a day
+ * @param {Object} business - Business object
+ * @param {Date|string} date - Appointment date
+ * @param {string} excludeAppointmentId - Appointment to ignore (when rescheduling)
+ * @returns {Promise<Object>} - { resources, bookedAllocations }
+ */
+const getResourceUsageForDate = async (business, date, excludeAppointmentId = null) => {
+    const { start: startOfDay, end: endOfDay } = getCalendarDayRange(date, getBusinessTimezone(business));
+
+    const query = {
+        business: business._id,
+        appointmentDate: { $gte: startOfDay, $lte: endOfDay },
+        status: { $nin: ['cancelled', 'no_show'] },
+        'resources.0': { $exists: true }
+    };
+    if (excludeAppointmentId) {
+        query._id = { $ne: excludeAppointmentId };
+    }
+
+    const [resources, appointments] = await Promise.all([
+        Resource.find({ business: business._id, isActive: true }).select('name type quantity').lean(),
+        Appointment.find(query).select('resources').lean()
+    ]);
+
+    return {
+        resources,
+        bookedAllocations: appointments.flatMap(appointment => appointment.resources || [])
+    };
+};
+
+/**
+ * Check that a set of allocations can be held on a day
+ * @param {Object} business - Business object
+ * @param {Date|string} date - Appointment date
+ * @param {Array} allocations - [{ resource, quantity, startTime, endTime }]
+ * @param {string} excludeAppointmentId - Appointment to ignore (when rescheduling)
+ * @returns {Promise<Object>} - { isAvailable, allocations, conflicts, message }
+ */
+const checkResourceAllocations = async (business, date, allocations = [], excludeAppointmentId = null) => {
+    if (allocations.length === 0) {
+        return { isAvailable: true, allocations, conflicts: [], message: null };
+    }
+
+    const { resources, bookedAllocations } = await getResourceUsageForDate(business, date, excludeAppointmentId);
+    const conflicts = findResourceConflicts(allocations, resources, bookedAllocations);
+
+    return {
+        isAvailable: conflicts.length === 0,
+        allocations,
+        conflicts,
+        message: conflicts.length > 0
+            ? [...new Set(conflicts.map(conflict => conflict.reason))].join(', ')
+            : null
+    };
+};
+
+/**
+ * Check that every resource a booking needs is free
+ * @param {Object} business - Business object
+ * @param {Date|string} date - Appointment date
+ * @param {Array} segments - [{ service, startTime, endTime }]
+ * @param {string} excludeAppointmentId - Appointment to ignore (when rescheduling)
+ * @returns {Promise<Object>} - { isAvailable, allocations, conflicts, message }
+ */
+const checkResourceAvailability = (business, date, segments, excludeAppointmentId = null) => {
+    return checkResourceAllocations(business, date, buildResourceAllocations(segments), excludeAppointmentId);
+};
+
+module.exports = {
+    getResourceCapacityLimit,
+    buildResourceAllocations,
+    findResourceConflicts,
+    getResourceUsageForDate,
+    checkResourceAllocations,
+    checkResourceAvailability
+};
@@ -16,7 +16,10 @@ const TEMPLATE_MAP = {
     'appointment_completed': 'appointmentCompleted',
     'birthday_greeting': 'birthdayGreeting',
     'anniversary_greeting': 'anniversaryGreeting',
-    're_engagement': 'reEngagement'
+    're_engagement': 'reEngagement',
+    'invoice_payment_reminder': 'invoicePaymentReminder',
+    'password_reset': 'passwordReset',
+    'email_verification': 'emailVerification'
 };
 
 // Singleton transporter instance
@@ -87,7 +87,9 @@ const sendBulkSMS = async (messages) => {
 const sendTemplateSMS = async (options) => {
     const templates = {
         appointment_confirmation: `Dear {{customerName}}, your appointment with {{businessName}} is confirmed for {{appointmentDate}} at {{startTime}}. Confirmation Code: {{confirmationCode}}. Please arrive 10 minutes early.`,
-        appointment_reminder: `Reminder: You have an appointment with {{businessName}} tomorrow at {{startTime}}. Services: {{services}}. We look forward to seeing you!`,
+        appointment_reminder: `Reminder: You have an appointment with {{businessName}} on {{appointmentDate}} at {{startTime}}. Services: {{services}}. We look forward to seeing you!`,
+        waitlist_offer: `Good news {{customerName}}! A slot for {{services}} at {{businessName}} opened up on {{appointmentDate}} at {{startTime}}. Claim it before {{expiresAt}}: {{claimUrl}}`,
+        invoice_payment_reminder: `{{reminderHeading}}: Invoice {{invoiceNumber}} from {{businessName}} for {{amountDue}} was due on {{dueDate}} ({{daysOverdue}} days overdue). {{paymentText}}`,
         promotional_offer: `Special offer from {{businessName}}: {{offerDescription}} Get {{discountText}}! Valid until {{expiryDate}}. Book now: {{actionUrl}}`,
         welcome: `Welcome to {{businessName}}! Thank you for choosing us. We're excited to serve you. For bookings, visit: {{businessUrl}}`,
         feedback_request: `Hi {{customerName}}, how was your recent visit to {{businessName}}? We'd love your feedback! Rate us: {{feedbackUrl}}`
@@ -224,7 +226,37 @@ This is a friendly reminder about your upcoming appointment with *{{businessName
 ⏰ *Time:* {{startTime}} - {{endTime}}
 💼 *Services:* {{services}}
 
-We look forward to seeing you! 😊`
+We look forward to seeing you! 😊`,
+
+        waitlist_offer: `🔔 *A Slot Just Opened Up!*
+
+Dear {{customerName}},
+
+A slot you were waiting for at *{{businessName}}* is now available.
+
+📅 *Date:* {{appointmentDate}}
+⏰ *Time:* {{startTime}} - {{endTime}}
+💼 *Services:* {{services}}
+
+Claim it before *{{expiresAt}}*:
+{{claimUrl}}
+
+After that, it will be offered to the next customer on the waitlist.`,
+
+        invoice_payment_reminder: `💳 *{{reminderHeading}}*
+
+Dear {{customerName}},
+
+{{reminderMessage}}
+
+🧾 *Invoice:* {{invoiceNumber}}
+💰 *Amount due:* {{amountDue}}
+📅 *Due date:* {{dueDate}}
+
+{{paymentText}}
+
+Thank you,
+{{businessName}}`
     };
 
     const template = templates[options.template];
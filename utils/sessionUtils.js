@@ -0,0 +1,210 @@
+// sessionUtils.js - Per-device login sessions with refresh token rotation and reuse detection
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Session = require("../models/Session");
+const { createAccessToken, createRefreshToken, verifyRefreshToken } = require("./generateToken");
+
+const USER_MODELS = { admin: 'Admin', manager: 'Manager', staff: 'Staff' };
+
+// A token replaced this recently is a refresh race from the same device, not a stolen token
+const REUSE_GRACE_MS = 10 * 1000;
+
+/**
+ * sha256 of a refresh token, as stored on the session
+ * @param {string} token - Refresh token
+ * @returns {string}
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Device details for a session from the request
+ * @param {Object} req - Express request
+ * @returns {Object} - { userAgent, ipAddress }
+ */
+const getRequestDevice = (req) => ({
+    userAgent: req?.headers?.['user-agent'] ? String(req.headers['user-agent']).slice(0, 500) : undefined,
+    ipAddress: req?.ip
+});
+
+/**
+ * Access + refresh token pair bound to a session
+ * The refresh token gets a random jti, so each rotation hashes differently and reuse detection holds.
+ * @param {Object} user - { id, role, name }
+ * @param {string} sessionId - Session id
+ * @returns {Object} - { accessToken, refreshToken, expiresAt }
+ */
+const issueTokens = ({ id, role, name }, sessionId) => {
+    const payload = { id: String(id), role, name, sid: String(sessionId) };
+    const accessToken = createAccessToken(payload);
+    const refreshToken = createRefreshToken(payload);
+    const { exp } = verifyRefreshToken(refreshToken);
+
+    return { accessToken, refreshToken, expiresAt: new Date(exp * 1000) };
+};
+
+/**
+ * Start a session for a successful login
+ * @param {Object} user - { id, role, name }
+ * @param {Object} req - Express request (device details)
+ * @param {string} [deviceName] - Label supplied by the client, e.g. "Front desk iPad"
+ * @returns {Promise<Object>} - { accessToken, refreshToken, sessionId }
+ */
+const createSession = async (user, req, deviceName) => {
+    const sessionId = new mongoose.Types.ObjectId();
+    const { accessToken, refreshToken, expiresAt } = issueTokens(user, sessionId);
+
+    await Session.create({
+        _id: sessionId,
+        user: user.id,
+        userModel: USER_MODELS[user.role],
+        role: user.role,
+        refreshTokenHash: hashToken(refreshToken),
+        deviceName: deviceName ? String(deviceName).slice(0, 100) : undefined,
+        ...getRequestDevice(req),
+        expiresAt
+    });
+
+    return { accessToken, refreshToken, sessionId: String(sessionId) };
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * Each refresh token works once. Presenting one that was already rotated means it leaked,
+ * so the whole session is revoked and the device holding the latest token is logged out too.
+ * @param {string} token - Refresh token
+ * @param {Object} req - Express request (device details)
+ * @returns {Promise<Object>} - { success, accessToken, refreshToken, sessionId } or { success: false, status, message }
+ */
+const rotateSession = async (token, req) => {
+    let decoded;
+    try {
+        decoded = verifyRefreshToken(token);
+    } catch (err) {
+        return { success: false, status: 401, message: "Invalid or expired refresh token" };
+    }
+
+    // Tokens issued before sessions existed cannot be revoked, so they are no longer accepted
+    if (!decoded.sid || !mongoose.Types.ObjectId.isValid(decoded.sid)) {
+        return { success: false, status: 401, message: "Session expired, please log in again" };
+    }
+
+    const presentedHash = hashToken(token);
+    const next = issueTokens(decoded, decoded.sid);
+    const now = new Date();
+
+    const session = await Session.findOneAndUpdate(
+        { _id: decoded.sid, user: decoded.id, refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+            $set: {
+                refreshTokenHash: hashToken(next.refreshToken),
+                previousTokenHash: presentedHash,
+                rotatedAt: now,
+                lastUsedAt: now,
+                expiresAt: next.expiresAt,
+                ...getRequestDevice(req)
+            },
+            $inc: { rotationCount: 1 }
+        },
+        { new: true }
+    ).select('_id').lean();
+
+    if (session) {
+        return { success: true, accessToken: next.accessToken, refreshToken: next.refreshToken, sessionId: String(session._id) };
+    }
+
+    const existing = await Session.findOne({ _id: decoded.sid, user: decoded.id })
+        .select('previousTokenHash rotatedAt revokedAt')
+        .lean();
+
+    if (!existing || existing.revokedAt) {
+        return { success: false, status: 401, message: "Session has been logged out, please log in again" };
+    }
+
+    if (existing.previousTokenHash === presentedHash && existing.rotatedAt && now - existing.rotatedAt < REUSE_GRACE_MS) {
+        return { success: false, status: 409, message: "Refresh token was just rotated, use the latest token" };
+    }
+
+    await revokeSession(existing._id, 'token_reuse');
+    return { success: false, status: 401, message: "Refresh token reuse detected, session has been logged out" };
+};
+
+/**
+ * Revoke one session
+ * @param {string} sessionId - Session id
+ * @param {string} reason - Session.revokedReason value
+ * @param {Object} [filter] - Extra conditions, e.g. { user } so users only revoke their own sessions
+ * @param {string} [revokedBy] - User who revoked it
+ * @returns {Promise<boolean>} - Whether an active session was revoked
+ */
+const revokeSession = async (sessionId, reason, filter = {}, revokedBy) => {
+    const result = await Session.updateOne(
+        { ...filter, _id: sessionId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } }
+    );
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId - Admin / Manager / Staff id
+ * @param {string} role - 'admin' | 'manager' | 'staff'
+ * @param {string} reason - Session.revokedReason value
+ * @param {Object} [options] - { exceptSessionId, revokedBy }
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, role, reason, { exceptSessionId, revokedBy } = {}) => {
+    const query = { user: userId, role, revokedAt: null };
+    if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+    const result = await Session.updateMany(query, {
+        $set: { revokedAt: new Date(), revokedReason: reason, revokedBy }
+    });
+    return result.modifiedCount;
+};
+
+/**
+ * Active sessions of a user, most recently used first
+ * @param {string} userId - Admin / Manager / Staff id
+ * @param {string} role - 'admin' | 'manager' | 'staff'
+ * @param {string} [currentSessionId] - Session making the request, flagged as current
+ * @returns {Promise<Array>}
+ */
+const listUserSessions = async (userId, role, currentSessionId) => {
+    const sessions = await Session.find({ user: userId, role, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .select('deviceName userAgent ipAddress lastUsedAt createdAt expiresAt')
+        .sort({ lastUsedAt: -1 })
+        .lean();
+
+    return sessions.map(session => ({
+        id: session._id,
+        deviceName: session.deviceName || null,
+        userAgent: session.userAgent || null,
+        ipAddress: session.ipAddress || null,
+        lastUsedAt: session.lastUsedAt,
+        createdAt: session.createdAt,
+        expiresAt: session.expiresAt,
+        current: currentSessionId ? String(session._id) === String(currentSessionId) : false
+    }));
+};
+
+/**
+ * Whether an access token's session is still live
+ * @param {string} sessionId - sid claim of the access token
+ * @param {string} userId - id claim of the access token
+ * @returns {Promise<boolean>}
+ */
+const isSessionActive = async (sessionId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+    const session = await Session.exists({ _id: sessionId, user: userId, revokedAt: null, expiresAt: { $gt: new Date() } });
+    return Boolean(session);
+};
+
+module.exports = {
+    hashToken,
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeUserSessions,
+    listUserSessions,
+    isSessionActive,
+};
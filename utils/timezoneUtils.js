@@ -0,0 +1,222 @@
+// timezoneUtils.js - Business-timezone date helpers
+//
+// Appointment dates are calendar dates: they are stored at UTC midnight of the
+// business-local day (e.g. 2026-11-08T00:00:00.000Z for 8 Nov), while times of day
+// (startTime/endTime) are business-local wall-clock "HH:MM" strings. Everything
+// here converts between those and real instants using the business's timezone,
+// so results do not depend on the server's TZ.
+
+const DEFAULT_TIMEZONE = "Asia/Kolkata";
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Intl formatters are expensive to build, so keep one per timezone
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+    if (!formatterCache.has(timeZone)) {
+        formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatterCache.get(timeZone);
+};
+
+/**
+ * Get the configured timezone of a business
+ * @param {Object} business - Business object
+ * @returns {string} - IANA timezone name
+ */
+const getBusinessTimezone = (business) => {
+    const timeZone = business && business.settings && business.settings.timezone;
+    if (!timeZone) return DEFAULT_TIMEZONE;
+
+    try {
+        getFormatter(timeZone);
+        return timeZone;
+    } catch (error) {
+        console.warn(`[Timezone] Invalid timezone "${timeZone}", falling back to ${DEFAULT_TIMEZONE}`);
+        return DEFAULT_TIMEZONE;
+    }
+};
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} - { year, month, day, hour, minute, second }
+ */
+const getZonedParts = (date, timeZone = DEFAULT_TIMEZONE) => {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+        if (type !== 'literal') parts[type] = parseInt(value, 10);
+    });
+    return parts;
+};
+
+const pad = (value) => value.toString().padStart(2, '0');
+
+/**
+ * Calendar key (YYYY-MM-DD) of a date value in a timezone
+ * "YYYY-MM-DD" strings and UTC-midnight calendar dates are taken as-is;
+ * other instants are converted to the business-local day.
+ * @param {Date|string} value - Date value
+ * @param {string} timeZone - IANA timezone
+ * @returns {string|null} - null for invalid dates
+ */
+const getDateKey = (value, timeZone = DEFAULT_TIMEZONE) => {
+    if (typeof value === 'string' && DATE_KEY_REGEX.test(value.trim())) {
+        return value.trim();
+    }
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+
+    if (date.getUTCHours() === 0 && date.getUTCMinutes() === 0 &&
+        date.getUTCSeconds() === 0 && date.getUTCMilliseconds() === 0) {
+        return date.toISOString().split('T')[0];
+    }
+
+    const { year, month, day } = getZonedParts(date, timeZone);
+    return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+/**
+ * Lowercase weekday name of a calendar key
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {string} - e.g. "monday"
+ */
+const getDayNameForKey = (dateKey) => WEEKDAYS[new Date(`${dateKey}T00:00:00.000Z`).getUTCDay()];
+
+/**
+ * Normalise a date value to the stored calendar-date form (UTC midnight)
+ * @param {Date|string} value - Date value
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} - Invalid Date for invalid input
+ */
+const toCalendarDate = (value, timeZone = DEFAULT_TIMEZONE) => {
+    const dateKey = getDateKey(value, timeZone);
+    return dateKey ? new Date(`${dateKey}T00:00:00.000Z`) : new Date(NaN);
+};
+
+/**
+ * Query range covering one calendar day of stored appointment dates
+ * @param {Date|string} value - Date value
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} - { start, end }
+ */
+const getCalendarDayRange = (value, timeZone = DEFAULT_TIMEZONE) => {
+    const start = toCalendarDate(value, timeZone);
+    const end = new Date(start.getTime() + 24 * 60 * 60 * 1000 - 1);
+    return { start, end };
+};
+
+/**
+ * Query range covering the calendar month of a date value (stored calendar dates)
+ * @param {Date|string} value - Date value
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} - { start, end }
+ */
+const getCalendarMonthRange = (value, timeZone = DEFAULT_TIMEZONE) => {
+    const [year, month] = getDateKey(value, timeZone).split('-').map(Number);
+    const start = new Date(Date.UTC(year, month - 1, 1));
+    const end = new Date(Date.UTC(year, month, 1) - 1);
+    return { start, end };
+};
+
+/**
+ * Offset of a timezone from UTC at an instant, in minutes
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {number}
+ */
+const getTimezoneOffsetMinutes = (date, timeZone = DEFAULT_TIMEZONE) => {
+    const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    return Math.round((asUtc - Math.floor(new Date(date).getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * Instant at which a business-local wall-clock time occurs
+ * @param {Date|string} dateValue - Calendar date
+ * @param {string} time - "HH:MM" (24-hour)
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date}
+ */
+const zonedTimeToUtc = (dateValue, time, timeZone = DEFAULT_TIMEZONE) => {
+    const dateKey = getDateKey(dateValue, timeZone);
+    const [hours, minutes] = (time || '00:00').split(':').map(n => parseInt(n, 10) || 0);
+    const wallClockAsUtc = new Date(`${dateKey}T${pad(hours)}:${pad(minutes)}:00.000Z`).getTime();
+
+    // Two passes settle DST transitions (no-op for fixed-offset zones like IST)
+    let instant = wallClockAsUtc - getTimezoneOffsetMinutes(new Date(wallClockAsUtc), timeZone) * 60000;
+    instant = wallClockAsUtc - getTimezoneOffsetMinutes(new Date(instant), timeZone) * 60000;
+    return new Date(instant);
+};
+
+/**
+ * Real instants bounding a business-local day (for createdAt / transactionDate style fields)
+ * @param {Date|string} value - Date value
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} - { start, end }
+ */
+const getZonedDayBounds = (value, timeZone = DEFAULT_TIMEZONE) => {
+    const { start: dayStart } = getCalendarDayRange(value, timeZone);
+    const nextDay = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+    return {
+        start: zonedTimeToUtc(dayStart, '00:00', timeZone),
+        end: new Date(zonedTimeToUtc(nextDay, '00:00', timeZone).getTime() - 1)
+    };
+};
+
+/**
+ * Real instants bounding the business-local month of a date value
+ * @param {Date|string} value - Date value
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} - { start, end }
+ */
+const getZonedMonthBounds = (value, timeZone = DEFAULT_TIMEZONE) => {
+    const { start: monthStart, end: monthEnd } = getCalendarMonthRange(value, timeZone);
+    const nextMonth = new Date(monthEnd.getTime() + 1);
+    return {
+        start: zonedTimeToUtc(monthStart, '00:00', timeZone),
+        end: new Date(zonedTimeToUtc(nextMonth, '00:00', timeZone).getTime() - 1)
+    };
+};
+
+/**
+ * Current business-local day and minute of day
+ * @param {string} timeZone - IANA timezone
+ * @param {Date} now - Reference instant (defaults to current time)
+ * @returns {Object} - { dateKey, minutes }
+ */
+const getZonedNow = (timeZone = DEFAULT_TIMEZONE, now = new Date()) => {
+    const { year, month, day, hour, minute } = getZonedParts(now, timeZone);
+    return {
+        dateKey: `${year}-${pad(month)}-${pad(day)}`,
+        minutes: hour * 60 + minute
+    };
+};
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    getBusinessTimezone,
+    getZonedParts,
+    getDateKey,
+    getDayNameForKey,
+    toCalendarDate,
+    getCalendarDayRange,
+    getCalendarMonthRange,
+    getTimezoneOffsetMinutes,
+    zonedTimeToUtc,
+    getZonedDayBounds,
+    getZonedMonthBounds,
+    getZonedNow
+};
@@ -0,0 +1,393 @@
+// twoFactorUtils.js - TOTP (RFC 6238) two-factor authentication with backup codes for Admin / SuperAdmin accounts
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+const PlatformSettings = require("../models/PlatformSettings");
+const { getOrSet, deleteCache } = require("./cache");
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'SpaAdvisor';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Steps accepted either side of now, for phone clocks that drift
+const TOTP_WINDOW = 1;
+const BACKUP_CODE_COUNT = 10;
+// Wrong codes allowed before the second factor is locked for TWO_FACTOR_LOCK_MINUTES
+// A correct password does not reset the count, only a correct code or the lock running out does
+const MAX_CODE_ATTEMPTS = 5;
+const TWO_FACTOR_LOCK_MINUTES = 15;
+
+const TWO_FACTOR_POLICY_CACHE_KEY = 'platform:two-factor-policy';
+const SECRET_KEY = crypto.createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || 'two-factor-encryption-key')
+    .digest();
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * RFC 4648 base32 encoding (authenticator apps expect the secret in this form)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+
+    return output;
+};
+
+/**
+ * RFC 4648 base32 decoding; spaces, padding and case are ignored
+ * @param {string} input - Base32 string
+ * @returns {Buffer}
+ */
+const base32Decode = (input) => {
+    const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * HOTP value (RFC 4226) for a counter
+ * @param {Buffer} key - Shared secret
+ * @param {number} counter - Moving factor
+ * @param {number} [digits] - Code length
+ * @returns {string}
+ */
+const generateHotp = (key, counter, digits = TOTP_DIGITS) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', key).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** digits);
+
+    return String(code).padStart(digits, '0');
+};
+
+/**
+ * TOTP value for a base32 secret at a point in time
+ * @param {string} secret - Base32 secret
+ * @param {number} [time] - Milliseconds since epoch
+ * @returns {string}
+ */
+const generateTotp = (secret, time = Date.now()) => {
+    return generateHotp(base32Decode(secret), Math.floor(time / 1000 / TOTP_STEP_SECONDS));
+};
+
+/**
+ * Time step a code belongs to, checking TOTP_WINDOW steps either side of now
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {number} [time] - Milliseconds since epoch
+ * @returns {number|null} - Matching step, or null when the code is wrong
+ */
+const matchTotp = (secret, code, time = Date.now()) => {
+    const clean = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(clean)) return null;
+
+    const key = base32Decode(secret);
+    const currentStep = Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+
+    for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+        const expected = Buffer.from(generateHotp(key, currentStep + offset));
+        if (crypto.timingSafeEqual(expected, Buffer.from(clean))) return currentStep + offset;
+    }
+    return null;
+};
+
+// AES-256-GCM so a database leak alone does not expose TOTP secrets
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', SECRET_KEY, iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+    const [iv, tag, encrypted] = String(stored).split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', SECRET_KEY, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashBackupCode = (code) => crypto.createHash('sha256')
+    .update(String(code).toUpperCase().replace(/[\s-]/g, ''))
+    .digest('hex');
+
+/**
+ * One-time backup codes, e.g. "7KQ2-MX9P"
+ * @param {number} [count] - Number of codes
+ * @returns {Array<string>}
+ */
+const generateBackupCodes = (count = BACKUP_CODE_COUNT) => {
+    return Array.from({ length: count }, () => {
+        const raw = base32Encode(crypto.randomBytes(5)).slice(0, 8);
+        return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+    });
+};
+
+/**
+ * Begin enrolment: store a pending secret and return what the authenticator app needs
+ * The secret only takes effect once a code from it is confirmed.
+ * @param {Object} Model - Admin or SuperAdmin model
+ * @param {string} accountId - Account id
+ * @param {string} accountName - Label shown in the authenticator app (usually the email)
+ * @returns {Promise<Object>} - { success, secret, otpauthUrl, qrCode } or { success: false, status, message }
+ */
+const startTwoFactorEnrollment = async (Model, accountId, accountName) => {
+    const account = await Model.findById(accountId).select('twoFactor.enabled').lean();
+    if (!account) return { success: false, status: 404, message: "Account not found" };
+    if (account.twoFactor?.enabled) {
+        return { success: false, status: 400, message: "Two-factor authentication is already enabled" };
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+    const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+
+    await Model.updateOne({ _id: accountId }, { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } });
+
+    return {
+        success: true,
+        secret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl)
+    };
+};
+
+/**
+ * Finish enrolment with a code from the authenticator app
+ * @param {Object} Model - Admin or SuperAdmin model
+ * @param {string} accountId - Account id
+ * @param {string} code - 6 digit code
+ * @returns {Promise<Object>} - { success, backupCodes } or { success: false, status, message }
+ */
+const confirmTwoFactorEnrollment = async (Model, accountId, code) => {
+    const account = await Model.findById(accountId).select('+twoFactor.pendingSecret twoFactor.enabled').lean();
+    if (!account) return { success: false, status: 404, message: "Account not found" };
+    if (account.twoFactor?.enabled) {
+        return { success: false, status: 400, message: "Two-factor authentication is already enabled" };
+    }
+    if (!account.twoFactor?.pendingSecret) {
+        return { success: false, status: 400, message: "Start two-factor setup first" };
+    }
+
+    const pendingSecret = account.twoFactor.pendingSecret;
+    const step = matchTotp(decryptSecret(pendingSecret), code);
+    if (step === null) {
+        return { success: false, status: 400, message: "Invalid verification code" };
+    }
+
+    const backupCodes = generateBackupCodes();
+    await Model.updateOne(
+        { _id: accountId },
+        {
+            $set: {
+                'twoFactor.enabled': true,
+                'twoFactor.secret': pendingSecret,
+                'twoFactor.lastUsedStep': step,
+                'twoFactor.failedAttempts': 0,
+                'twoFactor.backupCodes': backupCodes.map(backupCode => ({ codeHash: hashBackupCode(backupCode) })),
+                'twoFactor.enabledAt': new Date()
+            },
+            $unset: { 'twoFactor.pendingSecret': 1 }
+        }
+    );
+
+    return { success: true, backupCodes };
+};
+
+/**
+ * Result for a second factor locked after too many wrong codes
+ * @param {Date} lockedUntil - When codes are accepted again
+ * @returns {Object} - { success: false, status, message, lockedUntil }
+ */
+const getCodeLockResult = (lockedUntil) => {
+    const minutes = Math.max(1, Math.ceil((new Date(lockedUntil) - Date.now()) / 60000));
+    return {
+        success: false,
+        status: 429,
+        message: `Too many invalid codes. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+        lockedUntil: new Date(lockedUntil)
+    };
+};
+
+/**
+ * Check a second-factor code: a TOTP code or an unused backup code
+ * TOTP codes are accepted once (the step is remembered) and backup codes are spent on use.
+ * @param {Object} Model - Admin or SuperAdmin model
+ * @param {string} accountId - Account id
+ * @param {string} code - 6 digit TOTP code or backup code
+ * @returns {Promise<Object>} - { success, method, backupCodesRemaining } or { success: false, status, message }
+ */
+const verifyTwoFactorCode = async (Model, accountId, code) => {
+    const account = await Model.findById(accountId)
+        .select('twoFactor.enabled twoFactor.lockedUntil +twoFactor.secret +twoFactor.lastUsedStep +twoFactor.backupCodes')
+        .lean();
+    if (!account || !account.twoFactor?.enabled || !account.twoFactor.secret) {
+        return { success: false, status: 400, message: "Two-factor authentication is not enabled" };
+    }
+
+    const lockedUntil = account.twoFactor.lockedUntil;
+    if (lockedUntil && new Date(lockedUntil) > new Date()) {
+        return getCodeLockResult(lockedUntil);
+    }
+
+    const unusedCodes = (account.twoFactor.backupCodes || []).filter(backupCode => !backupCode.usedAt).length;
+    const step = matchTotp(decryptSecret(account.twoFactor.secret), code);
+
+    if (step !== null) {
+        // Conditional update so the same code cannot be used twice, even by concurrent requests
+        const result = await Model.updateOne(
+            {
+                _id: accountId,
+                $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': { $exists: false } }]
+            },
+            { $set: { 'twoFactor.lastUsedStep': step, 'twoFactor.failedAttempts': 0 }, $unset: { 'twoFactor.lockedUntil': 1 } }
+        );
+        if (result.modifiedCount > 0) {
+            return { success: true, method: 'totp', backupCodesRemaining: unusedCodes };
+        }
+    } else {
+        const result = await Model.updateOne(
+            { _id: accountId, 'twoFactor.backupCodes': { $elemMatch: { codeHash: hashBackupCode(code), usedAt: null } } },
+            {
+                $set: { 'twoFactor.backupCodes.$.usedAt': new Date(), 'twoFactor.failedAttempts': 0 },
+                $unset: { 'twoFactor.lockedUntil': 1 }
+            }
+        );
+        if (result.modifiedCount > 0) {
+            return { success: true, method: 'backup_code', backupCodesRemaining: unusedCodes - 1 };
+        }
+    }
+
+    const updated = await Model.findByIdAndUpdate(
+        accountId,
+        { $inc: { 'twoFactor.failedAttempts': 1 } },
+        { new: true }
+    ).select('twoFactor.failedAttempts').lean();
+
+    const failedAttempts = updated?.twoFactor?.failedAttempts || 0;
+    if (failedAttempts < MAX_CODE_ATTEMPTS) {
+        return { success: false, status: 401, message: "Invalid authentication code" };
+    }
+
+    const lockUntil = new Date(Date.now() + TWO_FACTOR_LOCK_MINUTES * 60 * 1000);
+    await Model.updateOne(
+        { _id: accountId },
+        { $set: { 'twoFactor.failedAttempts': 0, 'twoFactor.lockedUntil': lockUntil } }
+    );
+    return getCodeLockResult(lockUntil);
+};
+
+/**
+ * Replace all backup codes
+ * @param {Object} Model - Admin or SuperAdmin model
+ * @param {string} accountId - Account id
+ * @returns {Promise<Array<string>>} - New codes (shown once)
+ */
+const regenerateBackupCodes = async (Model, accountId) => {
+    const backupCodes = generateBackupCodes();
+    await Model.updateOne(
+        { _id: accountId },
+        { $set: { 'twoFactor.backupCodes': backupCodes.map(backupCode => ({ codeHash: hashBackupCode(backupCode) })) } }
+    );
+    return backupCodes;
+};
+
+/**
+ * Turn two-factor authentication off and forget the secret and backup codes
+ * @param {Object} Model - Admin or SuperAdmin model
+ * @param {string} accountId - Account id
+ */
+const disableTwoFactor = async (Model, accountId) => {
+    await Model.updateOne(
+        { _id: accountId },
+        {
+            $set: { 'twoFactor.enabled': false, 'twoFactor.failedAttempts': 0 },
+            $unset: {
+                'twoFactor.secret': 1,
+                'twoFactor.pendingSecret': 1,
+                'twoFactor.lastUsedStep': 1,
+                'twoFactor.lockedUntil': 1,
+                'twoFactor.backupCodes': 1,
+                'twoFactor.enabledAt': 1
+            }
+        }
+    );
+};
+
+/**
+ * Two-factor state of an account for status endpoints
+ * @param {Object} Model - Admin or SuperAdmin model
+ * @param {string} accountId - Account id
+ * @param {boolean} required - Whether the platform policy makes 2FA mandatory for this account type
+ * @returns {Promise<Object>}
+ */
+const getTwoFactorStatus = async (Model, accountId, required) => {
+    const account = await Model.findById(accountId).select('twoFactor.enabled twoFactor.enabledAt +twoFactor.backupCodes').lean();
+    const twoFactor = account?.twoFactor || {};
+
+    return {
+        enabled: Boolean(twoFactor.enabled),
+        enabledAt: twoFactor.enabledAt || null,
+        required,
+        backupCodesRemaining: twoFactor.enabled ? (twoFactor.backupCodes || []).filter(backupCode => !backupCode.usedAt).length : 0
+    };
+};
+
+/**
+ * Platform policy on mandatory two-factor authentication (cached briefly)
+ * @returns {Promise<Object>} - { admins, superAdmins }
+ */
+const getTwoFactorPolicy = async () => {
+    return getOrSet(TWO_FACTOR_POLICY_CACHE_KEY, async () => {
+        const settings = await PlatformSettings.getSettings();
+        const requireTwoFactor = settings?.security?.requireTwoFactor || {};
+        return { admins: Boolean(requireTwoFactor.admins), superAdmins: Boolean(requireTwoFactor.superAdmins) };
+    }, 60);
+};
+
+const clearTwoFactorPolicyCache = () => deleteCache(TWO_FACTOR_POLICY_CACHE_KEY);
+
+module.exports = {
+    MAX_CODE_ATTEMPTS,
+    TWO_FACTOR_LOCK_MINUTES,
+    base32Encode,
+    base32Decode,
+    generateTotp,
+    matchTotp,
+    generateBackupCodes,
+    startTwoFactorEnrollment,
+    confirmTwoFactorEnrollment,
+    verifyTwoFactorCode,
+    regenerateBackupCodes,
+    disableTwoFactor,
+    getTwoFactorStatus,
+    getTwoFactorPolicy,
+    clearTwoFactorPolicyCache,
+};
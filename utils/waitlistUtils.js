@@ -0,0 +1,247 @@
+// waitlistUtils.js - Offer freed slots to waitlisted customers
+const crypto = require("crypto");
+const Waitlist = require("../models/Waitlist");
+const Business = require("../models/Business");
+const Service = require("../models/Service");
+const { sendTemplateSMS, sendTemplateWhatsApp } = require("./sendSMS");
+const { getAvailabilityForDate } = require("./availabilityUtils");
+const { getAppointmentStartInstant, parseTimeToMinutes } = require("./appointmentUtils");
+const { getBusinessTimezone, toCalendarDate, getZonedNow } = require("./timezoneUtils");
+
+// How often the scheduler expires unclaimed offers
+const WAITLIST_INTERVAL_MS = 60 * 1000; // 1 minute
+const DEFAULT_OFFER_EXPIRY_MINUTES = 30;
+
+let isProcessing = false;
+
+/**
+ * Hash a claim token (only the hash is stored)
+ * @param {string} token - Raw claim token from the link
+ * @returns {string}
+ */
+const hashClaimToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Minutes an offer stays claimable for a business
+ * @param {Object} business - Business object
+ * @returns {number}
+ */
+const getOfferExpiryMinutes = (business) => {
+    const minutes = business?.settings?.appointmentSettings?.waitlistSettings?.offerExpiryMinutes;
+    return typeof minutes === 'number' && minutes > 0 ? minutes : DEFAULT_OFFER_EXPIRY_MINUTES;
+};
+
+/**
+ * First bookable slot inside a waitlist entry's window that is not already held by another offer
+ * @param {Object} business - Business object
+ * @param {Object} entry - Waitlist entry
+ * @param {Array} heldOffers - Open offers on the same day [{ startTime, endTime }]
+ * @param {Date} now - Current instant
+ * @returns {Promise<Object|null>} - Slot { startTime, endTime, availableStaff } or null
+ */
+const findSlotForEntry = async (business, entry, heldOffers = [], now = new Date()) => {
+    const { slots } = await getAvailabilityForDate(business, entry.date, {
+        serviceId: entry.service,
+        staffId: entry.staff || null,
+        durationOption: entry.durationOption || null
+    });
+
+    const windowStart = parseTimeToMinutes(entry.windowStart);
+    const windowEnd = parseTimeToMinutes(entry.windowEnd);
+    const minAdvanceHours = business.settings?.appointmentSettings?.minAdvanceBookingHours || 0;
+    const earliest = new Date(now.getTime() + minAdvanceHours * 60 * 60 * 1000);
+
+    return slots.find(slot => {
+        const start = parseTimeToMinutes(slot.startTime);
+        const end = parseTimeToMinutes(slot.endTime);
+        if (start < windowStart || end > windowEnd) return false;
+        if (getAppointmentStartInstant(business, entry.date, slot.startTime) <= earliest) return false;
+
+        return !heldOffers.some(offer =>
+            start < parseTimeToMinutes(offer.endTime) && end > parseTimeToMinutes(offer.startTime)
+        );
+    }) || null;
+};
+
+/**
+ * Send an offer over WhatsApp, falling back to SMS
+ * @param {Object} business - Business object
+ * @param {Object} entry - Waitlist entry
+ * @param {string} serviceName - Service name
+ * @param {string} token - Raw claim token
+ * @returns {Promise<string|null>} - Channel used, or null when nothing was delivered
+ */
+const sendWaitlistOffer = async (business, entry, serviceName, token) => {
+    const timeZone = getBusinessTimezone(business);
+    const data = {
+        customerName: entry.customerInfo.name,
+        businessName: business.name,
+        // Stored calendar dates are UTC midnight, so format them in UTC
+        appointmentDate: new Date(entry.date).toLocaleDateString('en-US', {
+            weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC'
+        }),
+        startTime: entry.offer.startTime,
+        endTime: entry.offer.endTime,
+        services: serviceName,
+        expiresAt: entry.offer.expiresAt.toLocaleTimeString('en-IN', {
+            hour: '2-digit', minute: '2-digit', timeZone
+        }),
+        claimUrl: `${process.env.FRONTEND_URL || 'https://spaadvisor.in'}/waitlist/claim/${token}`
+    };
+
+    const senders = [
+        { channel: 'whatsapp', send: sendTemplateWhatsApp },
+        { channel: 'sms', send: sendTemplateSMS }
+    ];
+
+    for (const { channel, send } of senders) {
+        try {
+            const result = await send({ to: entry.customerInfo.phone, template: 'waitlist_offer', data });
+            if (result && result.success) return channel;
+        } catch (err) {
+            console.error(`[Waitlist] ${channel} offer failed for entry ${entry._id}:`, err.message);
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Offer a freed slot on a date to the next waitlisted customer it suits
+ * Entries are served first come, first served; one offer is made per call.
+ * @param {string} businessId - Business ID
+ * @param {Date|string} date - Calendar date that had a slot freed
+ * @returns {Promise<Object|null>} - The offered entry, or null
+ */
+const offerNextWaitlistEntry = async (businessId, date) => {
+    const business = await Business.findById(businessId)
+        .select('name slug settings openingHours businessHours holidays daysOff')
+        .lean();
+    if (!business || business.settings?.appointmentSettings?.waitlistSettings?.enabled === false) return null;
+
+    const timeZone = getBusinessTimezone(business);
+    const calendarDate = toCalendarDate(date, timeZone);
+    if (isNaN(calendarDate.getTime())) return null;
+
+    const now = new Date();
+    const [waiting, offered] = await Promise.all([
+        Waitlist.find({ business: business._id, date: calendarDate, status: 'waiting' }).sort({ createdAt: 1 }),
+        Waitlist.find({ business: business._id, date: calendarDate, status: 'offered', 'offer.expiresAt': { $gt: now } })
+            .select('offer')
+            .lean()
+    ]);
+    const heldOffers = offered.map(entry => entry.offer);
+
+    for (const entry of waiting) {
+        const slot = await findSlotForEntry(business, entry, heldOffers, now);
+        if (!slot) continue;
+
+        const token = crypto.randomBytes(24).toString('hex');
+        const expiresAt = new Date(now.getTime() + getOfferExpiryMinutes(business) * 60 * 1000);
+
+        // Claim the entry atomically so concurrent cancellations don't offer it twice
+        const claimed = await Waitlist.findOneAndUpdate(
+            { _id: entry._id, status: 'waiting' },
+            {
+                $set: {
+                    status: 'offered',
+                    offer: {
+                        startTime: slot.startTime,
+                        endTime: slot.endTime,
+                        staff: entry.staff || (slot.availableStaff && slot.availableStaff[0]) || undefined,
+                        tokenHash: hashClaimToken(token),
+                        offeredAt: now,
+                        expiresAt
+                    }
+                },
+                $inc: { offerCount: 1 }
+            },
+            { new: true }
+        );
+        if (!claimed) continue;
+
+        const service = await Service.findById(entry.service).select('name').lean();
+        const channel = await sendWaitlistOffer(business, claimed, service?.name || 'your service', token);
+        if (channel) {
+            claimed.offer.channel = channel;
+            await claimed.save();
+        } else {
+            console.error(`[Waitlist] Could not deliver offer for entry ${claimed._id}`);
+        }
+
+        return claimed;
+    }
+
+    return null;
+};
+
+/**
+ * Expire unclaimed offers and pass their slots on, and close entries for past days
+ */
+const processWaitlistOffers = async () => {
+    if (isProcessing) return { success: true, skipped: true };
+    isProcessing = true;
+
+    const totals = { expired: 0, reoffered: 0 };
+
+    try {
+        const now = new Date();
+        const lapsed = await Waitlist.find({ status: 'offered', 'offer.expiresAt': { $lte: now } });
+
+        for (const entry of lapsed) {
+            entry.status = 'expired';
+            await entry.save();
+            totals.expired++;
+
+            try {
+                if (await offerNextWaitlistEntry(entry.business, entry.date)) totals.reoffered++;
+            } catch (err) {
+                console.error(`[Waitlist Scheduler] Error re-offering slot for business ${entry.business}:`, err.message);
+            }
+        }
+
+        // Entries whose day has passed (business-local) can no longer be served
+        const stale = await Waitlist.find({ status: 'waiting', date: { $lt: now } })
+            .populate('business', 'settings.timezone')
+            .select('business date');
+        for (const entry of stale) {
+            const { dateKey } = getZonedNow(getBusinessTimezone(entry.business), now);
+            if (entry.date.toISOString().split('T')[0] < dateKey) {
+                await Waitlist.updateOne({ _id: entry._id, status: 'waiting' }, { $set: { status: 'expired' } });
+                totals.expired++;
+            }
+        }
+
+        if (totals.expired || totals.reoffered) {
+            console.log(`[Waitlist Scheduler] Expired: ${totals.expired}, Re-offered: ${totals.reoffered}`);
+        }
+
+        return { success: true, ...totals };
+    } catch (err) {
+        console.error('[Waitlist Scheduler] Fatal error:', err);
+        return { success: false, error: err.message };
+    } finally {
+        isProcessing = false;
+    }
+};
+
+/**
+ * Start the waitlist scheduler
+ * Must only run in a single process (the cluster master) so offers are not duplicated
+ */
+const startWaitlistScheduler = () => {
+    console.log('[Waitlist Scheduler] Starting scheduler...');
+
+    setInterval(processWaitlistOffers, WAITLIST_INTERVAL_MS);
+
+    console.log('[Waitlist Scheduler] Scheduler started successfully');
+};
+
+module.exports = {
+    hashClaimToken,
+    getOfferExpiryMinutes,
+    findSlotForEntry,
+    offerNextWaitlistEntry,
+    processWaitlistOffers,
+    startWaitlistScheduler
+};